@@ -0,0 +1,60 @@
+import { writable } from 'svelte/store';
+import type { ClockEstimate, ConnectionStats, DegradedEvent } from 'p2p-console-viewer-lib';
+
+export interface PeerDiagnostics {
+	/** Latest getStats() sample; null until the first one. */
+	stats: ConnectionStats | null;
+	/** Reasons the connection is currently degraded; empty when it meets the thresholds. */
+	degraded: DegradedEvent['reasons'];
+	/** Latest heartbeat round trip; null until the first pong. */
+	latencyMs: number | null;
+	/** Estimated offset of the peer's clock; null until the first pong. */
+	clock: ClockEstimate | null;
+}
+
+/**
+ * Latest connection quality per peer id, fed from the client's stats and heartbeat events.
+ */
+export const diagnostics = writable<Record<string, PeerDiagnostics>>({});
+
+function updatePeer(peerId: string, changes: Partial<PeerDiagnostics>): void {
+	diagnostics.update((all) => ({
+		...all,
+		[peerId]: {
+			stats: all[peerId]?.stats ?? null,
+			degraded: all[peerId]?.degraded ?? [],
+			latencyMs: all[peerId]?.latencyMs ?? null,
+			clock: all[peerId]?.clock ?? null,
+			...changes
+		}
+	}));
+}
+
+export function recordStats(peerId: string, stats: ConnectionStats): void {
+	updatePeer(peerId, { stats });
+}
+
+export function recordDegraded(peerId: string, { reasons, stats }: DegradedEvent): void {
+	updatePeer(peerId, { stats, degraded: reasons });
+}
+
+export function recordRecovered(peerId: string, stats: ConnectionStats): void {
+	updatePeer(peerId, { stats, degraded: [] });
+}
+
+export function recordLatency(peerId: string, latencyMs: number): void {
+	updatePeer(peerId, { latencyMs });
+}
+
+export function recordClock(peerId: string, clock: ClockEstimate): void {
+	updatePeer(peerId, { clock });
+}
+
+/** Drop a peer that was disconnected (e.g. after missing its heartbeats). */
+export function forgetPeer(peerId: string): void {
+	diagnostics.update((all) => {
+		const rest = { ...all };
+		delete rest[peerId];
+		return rest;
+	});
+}
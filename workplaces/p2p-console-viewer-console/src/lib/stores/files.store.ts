@@ -0,0 +1,55 @@
+import { writable } from 'svelte/store';
+import type { CompletedFile, FailedFile, FileTransferInfo } from 'p2p-console-viewer-lib';
+
+export interface ReceivedFile {
+	peerId: string;
+	id: string;
+	name: string;
+	size: number;
+	mimeType: string;
+	bytes: number;
+	status: 'receiving' | 'done' | 'failed';
+	/** Why the transfer stopped; set when `status` is 'failed'. */
+	reason?: string;
+	/** Object URL of the verified file; set when `status` is 'done'. */
+	url?: string;
+}
+
+/**
+ * Files sent to this viewer by its sources, newest first.
+ */
+export const files = writable<ReceivedFile[]>([]);
+
+function upsert(peerId: string, info: FileTransferInfo, changes: Partial<ReceivedFile>): void {
+	files.update((list) => {
+		const { id, name, size, mimeType, bytes } = info;
+		const entry: ReceivedFile = { peerId, id, name, size, mimeType, bytes, status: 'receiving' };
+		const index = list.findIndex((file) => file.id === id && file.peerId === peerId);
+		if (index === -1) return [{ ...entry, ...changes }, ...list];
+		return list.map((file, i) => (i === index ? { ...file, ...entry, ...changes } : file));
+	});
+}
+
+export function recordFileProgress(peerId: string, info: FileTransferInfo): void {
+	if (info.direction === 'receive') upsert(peerId, info, {});
+}
+
+export function recordFileComplete(peerId: string, file: CompletedFile): void {
+	if (file.direction !== 'receive' || !file.blob) return;
+	upsert(peerId, file, { status: 'done', url: URL.createObjectURL(file.blob) });
+}
+
+export function recordFileFailed(peerId: string, file: FailedFile): void {
+	if (file.direction === 'receive') upsert(peerId, file, { status: 'failed', reason: file.reason });
+}
+
+/** Remove a finished entry and release its object URL. */
+export function dismissFile(peerId: string, id: string): void {
+	files.update((list) =>
+		list.filter((file) => {
+			if (file.id !== id || file.peerId !== peerId) return true;
+			if (file.url) URL.revokeObjectURL(file.url);
+			return false;
+		})
+	);
+}
@@ -1,9 +1,110 @@
-import  { type Subscriber, type Unsubscriber, type Updater, writable, type Writable } from 'svelte/store';
+import { derived, writable } from 'svelte/store';
+import {
+	P2pMessageHelper,
+	createEnvelope,
+	parseEnvelope,
+	type ConsoleMessage,
+	type Envelope,
+	type MessageGap
+} from 'p2p-console-viewer-lib';
+import { buildConsoleTree, type SourcedMessage } from '$lib/utils/console-tree.ts';
 
 export interface P2PMessage {
+	/** Peer the message came from (inbound) or went to (outbound). */
+	peerId: string;
 	timestamp: number;
 	direction: 'inbound' | 'outbound';
 	content: string;
 }
 
-export const messages = writable<P2PMessage[]>();
+export const messages = writable<P2PMessage[]>([]);
+
+/**
+ * A console message placed on the viewer's timeline.
+ */
+interface TimedMessage extends SourcedMessage {
+	/** When it was logged on this viewer's clock, or when it arrived while the source's clock offset was unknown. */
+	viewerTime: number;
+}
+
+/**
+ * Inbound console messages, each source's in arrival order, merged across sources by viewer time.
+ */
+const timeline = writable<TimedMessage[]>([]);
+
+const markerHelper = new P2pMessageHelper();
+
+/**
+ * Store a message and, when it carries a console message, place it on the timeline: after
+ * every earlier message from the same source, and after other sources' messages logged
+ * no later than it. Only the tail is scanned, so arrivals are not re-sorted.
+ */
+function record(stored: P2PMessage): void {
+	messages.update((list) => [...list, stored]);
+	const message = toConsoleMessage(stored);
+	if (!message) return;
+	const entry: TimedMessage = {
+		peerId: stored.peerId,
+		message,
+		viewerTime: message.correctedTimestamp ?? stored.timestamp
+	};
+	timeline.update((list) => {
+		let index = list.length;
+		while (
+			index > 0 &&
+			list[index - 1].peerId !== entry.peerId &&
+			list[index - 1].viewerTime > entry.viewerTime
+		) {
+			index--;
+		}
+		return [...list.slice(0, index), entry, ...list.slice(index)];
+	});
+}
+
+/**
+ * Record an envelope received from a source.
+ */
+export function addInboundEnvelope(peerId: string, envelope: Envelope): void {
+	record({
+		peerId,
+		timestamp: Date.now(),
+		direction: 'inbound',
+		content: JSON.stringify(envelope)
+	});
+}
+
+/**
+ * Insert a "N messages lost" marker where reliable delivery could not recover messages.
+ */
+export function addLostMarker(peerId: string, gap: MessageGap): void {
+	const marker = markerHelper.buildMessage('warn', [
+		`${gap.count} message(s) lost (#${gap.fromSeq}-${gap.toSeq})`
+	]);
+	if (!marker) return;
+	marker.lost = gap;
+	record({
+		peerId,
+		timestamp: Date.now(),
+		direction: 'inbound',
+		content: JSON.stringify(createEnvelope('console', marker))
+	});
+}
+
+/**
+ * The console message in a stored message, or null when it isn't a valid console envelope.
+ */
+function toConsoleMessage(message: P2PMessage): ConsoleMessage | null {
+	if (message.direction !== 'inbound') return null;
+	try {
+		const envelope = parseEnvelope(message.content);
+		return envelope.kind === 'console' ? (envelope.body as ConsoleMessage) : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Inbound console messages from all sources on the viewer's timeline, rebuilt into their
+ * grouped shape (groups nest per source).
+ */
+export const consoleTree = derived(timeline, ($timeline) => buildConsoleTree($timeline));
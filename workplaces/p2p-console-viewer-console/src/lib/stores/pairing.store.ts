@@ -0,0 +1,43 @@
+import { writable } from 'svelte/store';
+import type { PairingCode, PairingFailure } from 'p2p-console-viewer-lib';
+
+export interface PeerPairingState {
+	/** Short code to compare with the one shown on the source. */
+	code: string;
+	status: 'pending' | 'paired' | 'failed';
+	/** Why pairing failed; set when `status` is 'failed'. */
+	reason?: string;
+}
+
+/**
+ * Pairing state per peer id, fed from the client's auth events.
+ */
+export const pairings = writable<Record<string, PeerPairingState>>({});
+
+export function recordPairingCode(peerId: string, { code }: PairingCode): void {
+	pairings.update((all) => ({ ...all, [peerId]: { code, status: 'pending' } }));
+}
+
+export function recordPaired(peerId: string, { code }: PairingCode): void {
+	pairings.update((all) => ({ ...all, [peerId]: { code, status: 'paired' } }));
+}
+
+export function recordAuthFailed(peerId: string, { reason, by }: PairingFailure): void {
+	pairings.update((all) => ({
+		...all,
+		[peerId]: {
+			code: all[peerId]?.code ?? '',
+			status: 'failed',
+			reason: by === 'remote' ? `refused by peer: ${reason}` : reason
+		}
+	}));
+}
+
+/** Remove a peer's entry once the user has seen the outcome. */
+export function dismissPairing(peerId: string): void {
+	pairings.update((all) => {
+		const rest = { ...all };
+		delete rest[peerId];
+		return rest;
+	});
+}
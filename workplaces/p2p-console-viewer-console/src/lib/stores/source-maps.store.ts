@@ -0,0 +1,8 @@
+import { writable } from 'svelte/store';
+import { SourceMapResolver } from '$lib/utils/source-map-resolver.ts';
+
+/**
+ * Shared source map resolver. Call `sourceMaps.update((resolver) => resolver)` after
+ * adding maps or changing the base URL so call sites re-resolve.
+ */
+export const sourceMaps = writable(new SourceMapResolver());
@@ -0,0 +1,30 @@
+/**
+ * CSS properties honoured in `%c` styles, mirroring what browser devtools allow.
+ * Anything else (positioning, sizing, ...) is dropped so a source can't break the viewer layout.
+ */
+const ALLOWED_PROPERTY =
+	/^(color|background(-color)?|border(-(top|right|bottom|left))?(-(color|style|width|radius))?|border-radius|font(-(family|size|style|variant|weight))?|line-height|margin(-(top|right|bottom|left))?|padding(-(top|right|bottom|left))?|text-(decoration|shadow|transform|align)|letter-spacing|word-spacing|white-space|display|outline)$/i;
+
+/** Values that could load remote resources or run expressions. */
+const UNSAFE_VALUE = /url\s*\(|expression\s*\(|image-set\s*\(|@import/i;
+
+/**
+ * Reduce a `%c` CSS string to safe, allow-listed declarations.
+ */
+export function sanitizeConsoleStyle(css: string | undefined): string | undefined {
+	if (!css) return undefined;
+
+	const declarations = css
+		.split(';')
+		.map((declaration) => {
+			const colon = declaration.indexOf(':');
+			if (colon < 0) return null;
+			const property = declaration.slice(0, colon).trim();
+			const value = declaration.slice(colon + 1).trim();
+			if (!ALLOWED_PROPERTY.test(property) || !value || UNSAFE_VALUE.test(value)) return null;
+			return `${property}: ${value}`;
+		})
+		.filter((declaration): declaration is string => declaration !== null);
+
+	return declarations.length ? declarations.join('; ') : undefined;
+}
@@ -0,0 +1,58 @@
+import type { ConsoleMessage } from 'p2p-console-viewer-lib';
+
+export interface ConsoleNode {
+	/** Source that logged the message. */
+	peerId: string;
+	message: ConsoleMessage;
+	/** Entries logged inside a `console.group`; empty for every other method. */
+	children: ConsoleNode[];
+	/** Identical messages collapsed into this one by the source's LogPolicy. */
+	repeats: number;
+}
+
+/** A console message and the source it came from. */
+export interface SourcedMessage {
+	peerId: string;
+	message: ConsoleMessage;
+}
+
+/**
+ * Rebuild the nested console output from a flat list of messages.
+ *
+ * Nesting follows each message's `groupDepth`, so output stays consistent even when a
+ * `group`/`groupEnd` message was never received. Every source has its own group stack:
+ * messages from several sources can be interleaved without one source's groups
+ * swallowing another's output. "Repeated N times" messages are folded into the entry
+ * they refer to.
+ */
+export function buildConsoleTree(messages: SourcedMessage[]): ConsoleNode[] {
+	const root: ConsoleNode[] = [];
+	const stacks = new Map<string, ConsoleNode[][]>();
+	const byId = new Map<string, ConsoleNode>();
+
+	for (const { peerId, message } of messages) {
+		const original = message.repeat ? byId.get(`${peerId}:${message.repeat.of}`) : undefined;
+		if (original && message.repeat) {
+			original.repeats += message.repeat.count;
+			continue;
+		}
+
+		let stack = stacks.get(peerId);
+		if (!stack) {
+			stack = [root];
+			stacks.set(peerId, stack);
+		}
+		const depth = message.groupDepth ?? 0;
+		while (stack.length - 1 > depth) stack.pop();
+
+		if (message.method === 'groupEnd') continue;
+
+		const node: ConsoleNode = { peerId, message, children: [], repeats: 0 };
+		stack[stack.length - 1].push(node);
+		byId.set(`${peerId}:${message.id}`, node);
+
+		if (message.group) stack.push(node.children);
+	}
+
+	return root;
+}
@@ -0,0 +1,94 @@
+import { SourceMapConsumer, type RawSourceMap } from 'source-map-js';
+import type { CallSite } from 'p2p-console-viewer-lib';
+
+/** Generated file name without path, query or hash (`https://x/assets/index-a8f3.js?v=1` -> `index-a8f3.js`). */
+const generatedFileName = (url: string): string => url.split(/[?#]/)[0].split('/').pop() ?? url;
+
+/** Drop bundler prefixes so sources read like project paths (`webpack://app/./src/cart.ts` -> `src/cart.ts`). */
+export const displaySourcePath = (source: string): string =>
+	source.replace(/^[a-z-]+:\/\/[^/]*\//i, '').replace(/^(\.{1,2}\/)+/, '');
+
+/**
+ * Maps minified call sites back to original sources.
+ *
+ * Source maps are looked up by generated file name: first among maps added with
+ * `addSourceMap` (e.g. uploaded by the user), then fetched as `<baseUrl>/<file>.map`
+ * when a base URL is configured. Fetched maps (and misses) are cached.
+ */
+export class SourceMapResolver {
+	private baseUrl: string | null = null;
+	private readonly consumers = new Map<string, SourceMapConsumer>();
+	private readonly fetches = new Map<string, Promise<SourceMapConsumer | null>>();
+
+	get sourceMapBaseUrl(): string | null {
+		return this.baseUrl;
+	}
+
+	/** Generated files that currently have a source map. */
+	get files(): string[] {
+		return Array.from(this.consumers.keys());
+	}
+
+	/**
+	 * Register a source map.
+	 * @param raw - Parsed map or its JSON text.
+	 * @param generatedFile - Generated file the map belongs to; used when the map has no `file` field.
+	 */
+	addSourceMap(raw: RawSourceMap | string, generatedFile?: string): void {
+		const map: RawSourceMap = typeof raw === 'string' ? JSON.parse(raw) : raw;
+		const name = generatedFileName(map.file || generatedFile || '');
+		if (!name) {
+			throw new Error('Source map has no `file` field; pass the generated file name');
+		}
+		this.consumers.set(name, new SourceMapConsumer(map));
+		this.fetches.delete(name);
+	}
+
+	/** Set (or clear) the URL source maps are fetched from; previous misses are retried. */
+	setBaseUrl(url: string | null): void {
+		this.baseUrl = url ? url.replace(/\/+$/, '') : null;
+		this.fetches.clear();
+	}
+
+	/** Resolve a call site to its original position, or null when no map covers it. */
+	async resolve(callSite: CallSite): Promise<CallSite | null> {
+		const consumer = await this.consumerFor(callSite.file);
+		if (!consumer) return null;
+
+		// Source maps use 0-based columns, stack traces 1-based
+		const position = consumer.originalPositionFor({
+			line: callSite.line,
+			column: Math.max(callSite.column - 1, 0)
+		});
+		if (!position.source || position.line === null) return null;
+
+		return {
+			functionName: position.name || callSite.functionName,
+			file: position.source,
+			line: position.line,
+			column: position.column + 1
+		};
+	}
+
+	private consumerFor(file: string): Promise<SourceMapConsumer | null> {
+		const name = generatedFileName(file);
+		const known = this.consumers.get(name);
+		if (known) return Promise.resolve(known);
+		if (!this.baseUrl) return Promise.resolve(null);
+
+		let pending = this.fetches.get(name);
+		if (!pending) {
+			pending = fetch(`${this.baseUrl}/${name}.map`)
+				.then((response) => (response.ok ? response.json() : null))
+				.then((raw: RawSourceMap | null) => {
+					if (!raw) return null;
+					const consumer = new SourceMapConsumer(raw);
+					this.consumers.set(name, consumer);
+					return consumer;
+				})
+				.catch(() => null);
+			this.fetches.set(name, pending);
+		}
+		return pending;
+	}
+}
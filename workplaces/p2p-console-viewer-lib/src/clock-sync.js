@@ -0,0 +1,137 @@
+/**
+ * One ping/pong exchange, in the clocks of the two peers.
+ * @typedef {Object} ClockSample
+ * @property {number} sentAt - Local clock when the ping left.
+ * @property {number} repliedAt - Peer's clock when it answered.
+ * @property {number} returnedAt - Local clock when the pong arrived.
+ */
+
+/**
+ * Current estimate of a peer's clock relative to ours.
+ * @typedef {Object} ClockEstimate
+ * @property {number} offsetMs - Peer clock minus local clock at `referenceTime`.
+ * @property {number} driftPpm - How fast the offset changes, in microseconds per second (0 until enough history).
+ * @property {number} referenceTime - Local time `offsetMs` was measured at.
+ * @property {number} rttMs - Round trip of the exchange `offsetMs` comes from (the error is at most half of it).
+ * @property {number} samples - Exchanges in the window.
+ */
+
+/**
+ * ClockEstimator
+ *
+ * NTP-style estimate of a peer's clock offset and drift from ping/pong exchanges.
+ * Each exchange bounds the offset by assuming the pong was sent halfway through the
+ * round trip; the exchange with the shortest round trip in the window is the most
+ * accurate, so it provides the offset. Drift is the least-squares slope of the offset
+ * over time, from exchanges that weren't delayed by queuing.
+ *
+ * Usage:
+ * const clock = new ClockEstimator();
+ * clock.addSample({ sentAt, repliedAt, returnedAt }); // for each pong
+ * const localTime = clock.toLocalTime(message.timestamp);
+ */
+export class ClockEstimator {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.windowSize=64] - Exchanges kept for the estimate.
+   * @param {number} [opts.minDriftSpanMs=30000] - History needed before drift is estimated.
+   * @param {number} [opts.maxDriftPpm=500] - Drift beyond this is treated as noise and ignored.
+   */
+  constructor(opts = {}) {
+    /** @type {number} */
+    this.windowSize = opts.windowSize ?? 64;
+
+    /** @type {number} */
+    this.minDriftSpanMs = opts.minDriftSpanMs ?? 30000;
+
+    /** @type {number} */
+    this.maxDriftPpm = opts.maxDriftPpm ?? 500;
+
+    /**
+     * Recent exchanges, oldest first.
+     * @type {Array<{localTime: number, offset: number, rtt: number}>}
+     * @private
+     */
+    this.samples = [];
+
+    /**
+     * Latest estimate (null before the first exchange).
+     * @type {ClockEstimate|null}
+     */
+    this.estimate = null;
+  }
+
+  /**
+   * Add an exchange and update the estimate.
+   *
+   * @param {ClockSample} sample
+   * @returns {ClockEstimate}
+   */
+  addSample({ sentAt, repliedAt, returnedAt }) {
+    const rtt = Math.max(0, returnedAt - sentAt);
+    const localTime = sentAt + rtt / 2;
+    this.samples.push({ localTime, offset: repliedAt - localTime, rtt });
+    if (this.samples.length > this.windowSize) this.samples.shift();
+
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.estimate = {
+      offsetMs: best.offset,
+      driftPpm: this.estimateDrift(best.rtt),
+      referenceTime: best.localTime,
+      rttMs: best.rtt,
+      samples: this.samples.length,
+    };
+    return this.estimate;
+  }
+
+  /**
+   * Least-squares slope of the offset over local time, in ppm.
+   *
+   * @private
+   * @param {number} minRtt - Exchanges slower than twice this are left out.
+   * @returns {number}
+   */
+  estimateDrift(minRtt) {
+    const points = this.samples.filter((s) => s.rtt <= Math.max(2 * minRtt, 1));
+    if (points.length < 3) return 0;
+    const span = points[points.length - 1].localTime - points[0].localTime;
+    if (span < this.minDriftSpanMs) return 0;
+
+    const meanT =
+      points.reduce((sum, p) => sum + p.localTime, 0) / points.length;
+    const meanO = points.reduce((sum, p) => sum + p.offset, 0) / points.length;
+    let num = 0;
+    let den = 0;
+    for (const p of points) {
+      num += (p.localTime - meanT) * (p.offset - meanO);
+      den += (p.localTime - meanT) ** 2;
+    }
+    const ppm = den ? (num / den) * 1e6 : 0;
+    return Math.abs(ppm) > this.maxDriftPpm ? 0 : ppm;
+  }
+
+  /**
+   * Estimated offset (peer minus local) at a local time.
+   *
+   * @param {number} localTime
+   * @returns {number} 0 without an estimate.
+   */
+  offsetAt(localTime) {
+    if (!this.estimate) return 0;
+    const { offsetMs, driftPpm, referenceTime } = this.estimate;
+    return offsetMs + ((localTime - referenceTime) * driftPpm) / 1e6;
+  }
+
+  /**
+   * Convert a time read from the peer's clock to the local clock.
+   *
+   * @param {number} remoteTime
+   * @returns {number} `remoteTime` unchanged without an estimate.
+   */
+  toLocalTime(remoteTime) {
+    if (!this.estimate) return remoteTime;
+    return Math.round(
+      remoteTime - this.offsetAt(remoteTime - this.estimate.offsetMs),
+    );
+  }
+}
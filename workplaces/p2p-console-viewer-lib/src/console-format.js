@@ -0,0 +1,151 @@
+import { previewValue, serializeValue } from "./value-serializer.js";
+
+/**
+ * A run of output produced by formatting console arguments.
+ *
+ * Text segments carry the CSS from the most recent `%c` (if any). Object
+ * substitutions (`%o`/`%O`) and non-string trailing arguments also keep their
+ * serialized `value` so the viewer can render an inspectable object.
+ *
+ * @typedef {Object} FormatSegment
+ * @property {string} text - Rendered text (a preview for object values).
+ * @property {string} [style] - CSS applied to the segment (from `%c`).
+ * @property {import("./value-serializer.js").SerializedValue} [value] - Serialized object for `%o`/`%O` and trailing objects.
+ */
+
+/**
+ * Matches a format specifier (or an escaped `%%`).
+ * @type {RegExp}
+ */
+const SPECIFIER = /%([sdifoOc%])/g;
+
+/**
+ * Convert a `%s` argument to a string.
+ *
+ * @param {*} arg
+ * @param {function(*):import("./value-serializer.js").SerializedValue} serialize
+ * @returns {string}
+ */
+function toStringSubstitution(arg, serialize) {
+  if (typeof arg === "bigint") return `${arg}n`;
+  if (typeof arg === "symbol") return arg.toString();
+  if (Object.is(arg, -0)) return "-0";
+  if (arg !== null && (typeof arg === "object" || typeof arg === "function")) {
+    return previewValue(serialize(arg));
+  }
+  return String(arg);
+}
+
+/**
+ * Convert a `%d`/`%i`/`%f` argument to a number string (WHATWG: parseInt / parseFloat, NaN for symbols).
+ *
+ * @param {*} arg
+ * @param {'d'|'i'|'f'} specifier
+ * @returns {string}
+ */
+function toNumberSubstitution(arg, specifier) {
+  if (typeof arg === "symbol") return "NaN";
+  if (typeof arg === "bigint") return `${arg}n`;
+  const parsed = specifier === "f" ? parseFloat(arg) : parseInt(arg, 10);
+  return Object.is(parsed, -0) ? "-0" : String(parsed);
+}
+
+/**
+ * Apply the WHATWG console Formatter to a list of arguments.
+ *
+ * When the first argument is a string and more arguments follow, `%s %d %i %f %o %O %c`
+ * in it are substituted from the remaining arguments, left to right (`%%` yields `%`).
+ * Specifiers without a matching argument are left as-is. Remaining arguments are appended
+ * separated by spaces, as the console prints them.
+ *
+ * @param {Array<*>} args
+ * @param {import("./value-serializer.js").SerializeLimits} [limits] - Limits for serialized object values.
+ * @param {function(import("./value-serializer.js").SerializedValue):import("./value-serializer.js").SerializedValue} [transform]
+ *   Applied to every serialized argument before it is previewed or kept (used for redaction).
+ * @returns {Array<FormatSegment>}
+ */
+export function formatConsoleArgs(
+  args,
+  limits = {},
+  transform = (value) => value,
+) {
+  const segments = [];
+  const serialize = (arg) => transform(serializeValue(arg, limits));
+  let rest = args;
+  let style = "";
+
+  const pushText = (text) => {
+    if (!text) return;
+    const last = segments[segments.length - 1];
+    if (last && !("value" in last) && (last.style || "") === style) {
+      last.text += text;
+    } else {
+      segments.push(style ? { text, style } : { text });
+    }
+  };
+
+  const pushValue = (arg) => {
+    const value = serialize(arg);
+    const segment = { text: previewValue(value), value };
+    if (style) segment.style = style;
+    segments.push(segment);
+  };
+
+  if (typeof args[0] === "string" && args.length > 1) {
+    const format = args[0];
+    const substitutions = args.slice(1);
+    let cursor = 0;
+    let match;
+
+    SPECIFIER.lastIndex = 0;
+    while ((match = SPECIFIER.exec(format)) !== null) {
+      const specifier = match[1];
+      if (specifier !== "%" && substitutions.length === 0) break;
+
+      pushText(format.slice(cursor, match.index));
+      cursor = SPECIFIER.lastIndex;
+
+      if (specifier === "%") {
+        pushText("%");
+        continue;
+      }
+
+      const arg = substitutions.shift();
+      switch (specifier) {
+        case "s":
+          pushText(toStringSubstitution(arg, serialize));
+          break;
+        case "d":
+        case "i":
+        case "f":
+          pushText(toNumberSubstitution(arg, specifier));
+          break;
+        case "o":
+        case "O":
+          pushValue(arg);
+          break;
+        case "c":
+          style = String(arg);
+          break;
+      }
+    }
+
+    pushText(format.slice(cursor));
+    rest = substitutions;
+    // Styles only apply within the format string
+    style = "";
+    if (rest.length && segments.length) pushText(" ");
+  }
+
+  rest.forEach((arg, i) => {
+    if (i > 0) pushText(" ");
+    if (typeof arg === "string") {
+      // Top-level strings preview verbatim (truncated past maxStringLength)
+      pushText(previewValue(serialize(arg)));
+    } else {
+      pushValue(arg);
+    }
+  });
+
+  return segments;
+}
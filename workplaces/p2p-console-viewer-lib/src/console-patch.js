@@ -1,3 +1,32 @@
+import { parseStack } from "./utils/stack-trace.js";
+
+/**
+ * Every console method the interceptor knows how to capture.
+ *
+ * Methods that don't exist on the running console (e.g. `timeLog` on older
+ * runtimes) are skipped at patch time.
+ * @type {ReadonlyArray<string>}
+ */
+export const CONSOLE_METHODS = Object.freeze([
+  "log",
+  "info",
+  "warn",
+  "error",
+  "debug",
+  "table",
+  "dir",
+  "group",
+  "groupCollapsed",
+  "groupEnd",
+  "time",
+  "timeLog",
+  "timeEnd",
+  "count",
+  "countReset",
+  "assert",
+  "trace",
+]);
+
 /**
  * ConsoleInterceptor
  *
@@ -9,14 +38,38 @@
  * interceptor.patch((method, ...args) => { /* handle log });
  * later
  * interceptor.unpatch();
+ *
+ * With `captureCallSite` enabled, `interceptor.callSite` holds the location of the
+ * console call while the callback runs:
+ * const interceptor = new ConsoleInterceptor({ captureCallSite: true });
+ * interceptor.patch((method, ...args) => {
+ *   send(helper.buildMessage(method, args, { callSite: interceptor.callSite }));
+ * });
  */
 export class ConsoleInterceptor {
   /**
    * Create a ConsoleInterceptor.
    *
    * Initializes storage for original console methods and patch state.
+   *
+   * @param {Object} [opts]
+   * @param {boolean} [opts.captureCallSite=false] - Record the caller's file/line/column for every
+   *   captured call. Costs a stack capture per console call, so it is off by default.
    */
-  constructor() {
+  constructor(opts = {}) {
+    /**
+     * Whether call sites are captured for each console call.
+     * @type {boolean}
+     */
+    this.captureCallSite = !!opts.captureCallSite;
+
+    /**
+     * Location of the console call currently being handled by the callback
+     * (null outside the callback or when `captureCallSite` is off).
+     * @type {import("./utils/stack-trace.js").CallSite|null}
+     */
+    this.callSite = null;
+
     /**
      * Map of original console method implementations (e.g. { log: Function, warn: Function }).
      * Stored implementations are bound to the original console to preserve context.
@@ -29,6 +82,17 @@ export class ConsoleInterceptor {
      * @type {boolean}
      */
     this.isPatched = false;
+
+    /**
+     * True while a wrapper is running (the callback or the saved implementation).
+     * Console calls made from there are printed but never captured, so:
+     * - forwarding code that logs (or whose transport logs) cannot recurse;
+     * - runtimes that implement `table`, `count` or `trace` on top of
+     *   `log`/`warn`/`error` (e.g. Node) don't get captured twice.
+     * @type {boolean}
+     * @private
+     */
+    this.isCapturing = false;
   }
 
   /**
@@ -38,30 +102,73 @@ export class ConsoleInterceptor {
    * 1. Invoke the provided `callback` with the method name and original arguments.
    * 2. Call the previously saved implementation so other listeners / original behavior runs.
    *
+   * `console.assert` only reaches the callback when the assertion fails, matching
+   * what the console itself prints.
+   *
    * If already patched, this is a no-op.
    *
    * @param {function(string, ...*):void} callback - Function invoked for each console call.
+   * @param {Array<string>} [methodsToPatch=CONSOLE_METHODS] - Console methods to intercept.
    */
-  patch(callback) {
+  patch(callback, methodsToPatch = CONSOLE_METHODS) {
     if (this.isPatched) return;
 
-    const methodsToPatch = ["log", "info", "warn", "error", "debug"];
-
     methodsToPatch.forEach((method) => {
+      if (typeof console[method] !== "function") return;
+
       // Save the current implementation (might already be patched by others)
       this.originalMethods[method] = console[method].bind(console);
 
       // Replace with wrapped version
-      console[method] = (...args) => {
-        callback(method, ...args);
-        // Call the previous implementation first
-        this.originalMethods[method](...args);
+      const wrapper = (...args) => {
+        if (this.isCapturing) {
+          this.originalMethods[method](...args);
+          return;
+        }
+
+        this.isCapturing = true;
+        try {
+          if (method !== "assert" || !args[0]) {
+            this.callSite = this.captureCallSite
+              ? this.getCallSite(wrapper)
+              : null;
+            callback(method, ...args);
+          }
+          // Call the previous implementation
+          this.originalMethods[method](...args);
+        } finally {
+          this.callSite = null;
+          this.isCapturing = false;
+        }
       };
+      console[method] = wrapper;
     });
 
     this.isPatched = true;
   }
 
+  /**
+   * Find the frame that called the console wrapper.
+   *
+   * Uses `Error.captureStackTrace` (V8) to drop the interceptor's own frames and keep
+   * just the caller; elsewhere it skips this method's and the wrapper's frames.
+   *
+   * @private
+   * @param {Function} wrapper - The patched console method that was called.
+   * @returns {import("./utils/stack-trace.js").CallSite|null}
+   */
+  getCallSite(wrapper) {
+    if (typeof Error.captureStackTrace === "function") {
+      const holder = {};
+      const limit = Error.stackTraceLimit;
+      Error.stackTraceLimit = 1;
+      Error.captureStackTrace(holder, wrapper);
+      Error.stackTraceLimit = limit;
+      return parseStack(holder.stack)[0] || null;
+    }
+    return parseStack(new Error().stack)[2] || null;
+  }
+
   /**
    * Restore the original console methods that were replaced by `patch`.
    *
@@ -74,6 +181,7 @@ export class ConsoleInterceptor {
       console[method] = this.originalMethods[method];
     });
 
+    this.originalMethods = {};
     this.isPatched = false;
   }
 }
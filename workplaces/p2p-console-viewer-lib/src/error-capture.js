@@ -0,0 +1,200 @@
+import { P2pMessageHelper } from "./p2p-message-helper.js";
+import { parseStack } from "./utils/stack-trace.js";
+
+/**
+ * Derive the originating file/line/column from the first usable stack frame.
+ *
+ * @param {string|null} stack
+ * @returns {{file: string|null, line: number|null, column: number|null}}
+ */
+function locationFromStack(stack) {
+  const [frame] = parseStack(stack);
+  if (!frame) return { file: null, line: null, column: null };
+  return { file: frame.file, line: frame.line, column: frame.column };
+}
+
+/**
+ * Normalize a thrown value / rejection reason into ConsoleErrorInfo.
+ *
+ * @param {*} value - Whatever was thrown or rejected with.
+ * @param {boolean} handled
+ * @param {{file?: string, line?: number, column?: number}} [location] - Known source location (browser ErrorEvent).
+ * @returns {import("./p2p-message-helper.js").ConsoleErrorInfo}
+ */
+function describeError(value, handled, location = {}) {
+  const isError = value instanceof Error;
+  const stack = isError && typeof value.stack === "string" ? value.stack : null;
+  const fromStack = locationFromStack(stack);
+
+  let message;
+  try {
+    message = isError ? value.message : String(value);
+  } catch (e) {
+    message = "[unserializable reason]";
+  }
+
+  return {
+    name: isError ? value.name : "",
+    message,
+    stack,
+    file: location.file || fromStack.file,
+    line: location.line || fromStack.line,
+    column: location.column || fromStack.column,
+    handled,
+  };
+}
+
+/**
+ * ErrorCapture
+ *
+ * Opt-in companion to ConsoleInterceptor that reports errors nobody logged:
+ * - Browser: `error` and `unhandledrejection` window events (plus `rejectionhandled`).
+ * - Node: `uncaughtExceptionMonitor`, which also sees unhandled rejections just before
+ *   Node's default handling crashes the process on them.
+ *
+ * Each event is turned into an error message by P2pMessageHelper and passed to the
+ * callback given to `install`. Existing error handling is left untouched: the monitor
+ * only observes. In Node, `handleRejections` opts into an `unhandledRejection` listener
+ * instead (plus `rejectionHandled`), which keeps the process alive after unhandled
+ * rejections because Node stops crashing once such a listener exists.
+ *
+ * Typical use:
+ * const capture = new ErrorCapture();
+ * capture.install((message) => client.sendMessage(message));
+ * later
+ * capture.uninstall();
+ */
+export class ErrorCapture {
+  /**
+   * Create an ErrorCapture.
+   *
+   * @param {Object} [opts]
+   * @param {P2pMessageHelper} [opts.helper] - Helper used to build messages (shares namespace/clock with console messages).
+   * @param {boolean} [opts.handleRejections=false] - Node only: listen for `unhandledRejection` and
+   *   `rejectionHandled`. This turns off Node's default crash on unhandled rejections.
+   */
+  constructor(opts = {}) {
+    /**
+     * @type {P2pMessageHelper}
+     */
+    this.helper = opts.helper || new P2pMessageHelper();
+
+    /**
+     * Whether Node rejections are handled by a listener of our own (see constructor).
+     * @type {boolean}
+     */
+    this.handleRejections = !!opts.handleRejections;
+
+    /**
+     * Functions that remove the listeners registered by `install`.
+     * @type {Array<function():void>}
+     * @private
+     */
+    this.removers = [];
+
+    /**
+     * Unhandled rejections reported so far, so a later "handled" event can reuse their details.
+     * @type {WeakMap<Promise<*>, *>}
+     * @private
+     */
+    this.pendingRejections = new WeakMap();
+
+    /**
+     * Whether listeners are currently installed.
+     * @type {boolean}
+     */
+    this.isInstalled = false;
+  }
+
+  /**
+   * Start listening for uncaught errors and unhandled rejections.
+   *
+   * If already installed, this is a no-op.
+   *
+   * @param {function(import("./p2p-message-helper.js").ConsoleMessage):void} callback - Receives each error message.
+   */
+  install(callback) {
+    if (this.isInstalled) return;
+
+    const report = (kind, info) => callback(this.helper.buildErrorMessage(kind, info));
+
+    if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+      this.listen(window, "error", (event) => {
+        report(
+          "uncaughtException",
+          describeError(event.error ?? event.message, false, {
+            file: event.filename,
+            line: event.lineno,
+            column: event.colno,
+          }),
+        );
+      });
+      this.listen(window, "unhandledrejection", (event) => {
+        this.pendingRejections.set(event.promise, event.reason);
+        report("unhandledRejection", describeError(event.reason, false));
+      });
+      this.listen(window, "rejectionhandled", (event) => {
+        this.pendingRejections.delete(event.promise);
+        report("rejectionHandled", describeError(event.reason, true));
+      });
+    } else if (typeof process !== "undefined" && typeof process.on === "function") {
+      this.listen(process, "uncaughtExceptionMonitor", (error, origin) => {
+        if (origin === "unhandledRejection") {
+          // With our own listener the rejection was already reported below (strict mode)
+          if (!this.handleRejections) {
+            report("unhandledRejection", describeError(error, false));
+          }
+          return;
+        }
+        report("uncaughtException", describeError(error, false));
+      });
+      if (this.handleRejections) {
+        this.listen(process, "unhandledRejection", (reason, promise) => {
+          this.pendingRejections.set(promise, reason);
+          report("unhandledRejection", describeError(reason, false));
+        });
+        this.listen(process, "rejectionHandled", (promise) => {
+          if (!this.pendingRejections.has(promise)) return;
+          const reason = this.pendingRejections.get(promise);
+          this.pendingRejections.delete(promise);
+          report("rejectionHandled", describeError(reason, true));
+        });
+      }
+    }
+
+    this.isInstalled = true;
+  }
+
+  /**
+   * Register a listener on an EventTarget (browser) or EventEmitter (Node) and remember how to remove it.
+   *
+   * @private
+   * @param {EventTarget|NodeJS.Process} target
+   * @param {string} event
+   * @param {Function} handler
+   */
+  listen(target, event, handler) {
+    if (typeof target.addEventListener === "function") {
+      target.addEventListener(event, handler);
+      this.removers.push(() => target.removeEventListener(event, handler));
+    } else {
+      target.on(event, handler);
+      this.removers.push(() => target.off(event, handler));
+    }
+  }
+
+  /**
+   * Remove every listener registered by `install`.
+   *
+   * If not installed, this is a no-op.
+   */
+  uninstall() {
+    if (!this.isInstalled) return;
+
+    this.removers.forEach((remove) => remove());
+    this.removers = [];
+    this.pendingRejections = new WeakMap();
+
+    this.isInstalled = false;
+  }
+}
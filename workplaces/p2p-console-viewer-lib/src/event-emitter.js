@@ -0,0 +1,200 @@
+/**
+ * A registered handler.
+ * @typedef {Object} Listener
+ * @property {function(...*):void} handler
+ * @property {boolean} once - Removed before its first call.
+ */
+
+/**
+ * EventEmitter
+ *
+ * Event registration shared by the library's classes. Each event is named after its
+ * `on*` method (`onPeerStats` → "peerStats") and handlers get the same arguments
+ * either way. Every registration returns a function that removes it, so a component
+ * can clean up after itself when it unmounts.
+ *
+ * Handlers run synchronously in registration order; removing one while an event is
+ * being emitted doesn't affect that emission.
+ *
+ * Usage:
+ * const off = client.onPeerStats((peerId, stats) => render(peerId, stats));
+ * off();
+ * const [peerId] = await client.once("peerDead");
+ * for await (const [peerId, stats] of client.events("peerStats")) { ... }
+ *
+ * @template {Record<string, Array<*>>} Events - Map of event name to handler arguments.
+ */
+export class EventEmitter {
+  constructor() {
+    /**
+     * Handlers by event name.
+     * @type {Map<string, Array<Listener>>}
+     * @private
+     */
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Register a handler.
+   *
+   * @template {keyof Events & string} K
+   * @param {K} event
+   * @param {(...args: Events[K]) => void} handler
+   * @returns {() => void} Removes the handler.
+   */
+  on(event, handler) {
+    return this.addListener(event, { handler, once: false });
+  }
+
+  /**
+   * @template {keyof Events & string} K
+   * @overload
+   * @param {K} event
+   * @param {(...args: Events[K]) => void} handler
+   * @returns {() => void}
+   */
+  /**
+   * @template {keyof Events & string} K
+   * @overload
+   * @param {K} event
+   * @returns {Promise<Events[K]>}
+   */
+  /**
+   * Register a handler for the next emission only, or, without a handler, wait for it.
+   *
+   * @param {string} event
+   * @param {function(...*):void} [handler]
+   * @returns {(() => void)|Promise<Array<*>>} With a handler, a function removing it; otherwise the event's arguments.
+   */
+  once(event, handler) {
+    if (handler) return this.addListener(event, { handler, once: true });
+    return new Promise((resolve) => {
+      this.addListener(event, {
+        handler: (...args) => resolve(args),
+        once: true,
+      });
+    });
+  }
+
+  /**
+   * Remove a handler registered with `on`, `once` or an `on*` method.
+   *
+   * @template {keyof Events & string} K
+   * @param {K} event
+   * @param {(...args: Events[K]) => void} handler
+   */
+  off(event, handler) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners) return;
+    const index = listeners.findIndex((l) => l.handler === handler);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  /**
+   * Iterate over an event's emissions, each as its array of arguments. Emissions are
+   * buffered until consumed; leaving the loop (or aborting `signal`) unsubscribes.
+   *
+   * @template {keyof Events & string} K
+   * @param {K} event
+   * @param {{signal?: AbortSignal}} [opts]
+   * @returns {AsyncIterableIterator<Events[K]>}
+   */
+  events(event, opts = {}) {
+    const queue = [];
+    let waiting = null;
+    let done = false;
+
+    const off = this.on(event, (...args) => {
+      if (waiting) {
+        waiting({ value: args, done: false });
+        waiting = null;
+      } else {
+        queue.push(args);
+      }
+    });
+    const finish = () => {
+      if (done) return;
+      done = true;
+      off();
+      opts.signal?.removeEventListener("abort", finish);
+      waiting?.({ value: undefined, done: true });
+      waiting = null;
+    };
+    if (opts.signal?.aborted) finish();
+    opts.signal?.addEventListener("abort", finish);
+
+    return {
+      next() {
+        if (queue.length) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => {
+          waiting = resolve;
+        });
+      },
+      return() {
+        finish();
+        queue.length = 0;
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Number of handlers registered for an event.
+   *
+   * @param {keyof Events & string} event
+   * @returns {number}
+   */
+  listenerCount(event) {
+    return this.eventListeners.get(event)?.length ?? 0;
+  }
+
+  /**
+   * Call an event's handlers.
+   *
+   * @protected
+   * @template {keyof Events & string} K
+   * @param {K} event
+   * @param {Events[K]} args
+   */
+  emit(event, ...args) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners) return;
+    for (const listener of [...listeners]) {
+      if (listener.once) this.removeListener(event, listener);
+      listener.handler(...args);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} event
+   * @param {Listener} listener
+   * @returns {() => void}
+   */
+  addListener(event, listener) {
+    let listeners = this.eventListeners.get(event);
+    if (!listeners) {
+      listeners = [];
+      this.eventListeners.set(event, listeners);
+    }
+    listeners.push(listener);
+    return () => this.removeListener(event, listener);
+  }
+
+  /**
+   * @private
+   * @param {string} event
+   * @param {Listener} listener
+   */
+  removeListener(event, listener) {
+    const listeners = this.eventListeners.get(event);
+    const index = listeners ? listeners.indexOf(listener) : -1;
+    if (index !== -1) listeners.splice(index, 1);
+  }
+}
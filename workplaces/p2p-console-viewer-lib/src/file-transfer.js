@@ -0,0 +1,572 @@
+import { Logger } from "./utils/logger.js";
+import { createEnvelope, parseEnvelope } from "./protocol.js";
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Label of the data channel files travel on, so a large transfer doesn't hold up
+ * console messages on the main channel.
+ * @type {string}
+ */
+export const FILE_CHANNEL_LABEL = "p2p-files";
+
+/**
+ * Leading bytes of every file data frame ("P2PF").
+ * @type {Uint8Array}
+ */
+const MAGIC = new Uint8Array([0x50, 0x32, 0x50, 0x46]);
+
+/**
+ * Body of a `file` envelope. Data itself travels in binary frames between `start` and `end`.
+ * @typedef {Object} FileControl
+ * @property {'start'|'end'|'done'|'cancel'} type
+ * @property {string} id - Transfer id, chosen by the sender.
+ * @property {string} [name] - start: file name.
+ * @property {number} [size] - start: byte length.
+ * @property {string} [mimeType] - start: MIME type ('' when unknown).
+ * @property {string|null} [sha256] - end: hex SHA-256 of the whole file (null when WebCrypto is unavailable).
+ * @property {boolean} [ok] - done: whether the receiver accepted the file.
+ * @property {string} [reason] - cancel / failed done: why the transfer stopped.
+ */
+
+/**
+ * State of a transfer, as reported in events.
+ * @typedef {Object} FileTransferInfo
+ * @property {string} id
+ * @property {'send'|'receive'} direction
+ * @property {string} name
+ * @property {number} size
+ * @property {string} mimeType
+ * @property {number} bytes - Bytes sent or received so far.
+ */
+
+/**
+ * A finished transfer. On the receiving side `blob` holds the file, and `verified`
+ * tells whether its SHA-256 was checked (false only with `allowUnverified`).
+ * @typedef {FileTransferInfo & {blob: Blob|null, sha256: string|null, verified: boolean}} CompletedFile
+ */
+
+/**
+ * A transfer that stopped early.
+ * @typedef {FileTransferInfo & {reason: string}} FailedFile
+ */
+
+/**
+ * Hex SHA-256 of some bytes, or null without WebCrypto (e.g. an insecure context).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string|null>}
+ */
+async function sha256(bytes) {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) return null;
+  const digest = new Uint8Array(await subtle.digest("SHA-256", bytes));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Read a file-like payload into bytes.
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView} file
+ * @returns {Promise<Uint8Array>}
+ */
+async function readBytes(file) {
+  if (typeof Blob !== "undefined" && file instanceof Blob) {
+    return new Uint8Array(await file.arrayBuffer());
+  }
+  if (ArrayBuffer.isView(file)) {
+    return new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+  }
+  return new Uint8Array(file);
+}
+
+/**
+ * Build a data frame: magic, id length, id, payload.
+ *
+ * @param {string} id
+ * @param {Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function encodeFrame(id, payload) {
+  const idBytes = new TextEncoder().encode(id);
+  const frame = new Uint8Array(
+    MAGIC.length + 1 + idBytes.length + payload.length,
+  );
+  frame.set(MAGIC, 0);
+  frame[MAGIC.length] = idBytes.length;
+  frame.set(idBytes, MAGIC.length + 1);
+  frame.set(payload, MAGIC.length + 1 + idBytes.length);
+  return frame;
+}
+
+/**
+ * Split a data frame into transfer id and payload, or null when it isn't one.
+ *
+ * @param {ArrayBuffer} data
+ * @returns {{id: string, payload: Uint8Array}|null}
+ */
+function decodeFrame(data) {
+  const bytes = new Uint8Array(data);
+  if (bytes.length < MAGIC.length + 1) return null;
+  for (let i = 0; i < MAGIC.length; i++) {
+    if (bytes[i] !== MAGIC[i]) return null;
+  }
+  const idEnd = MAGIC.length + 1 + bytes[MAGIC.length];
+  return {
+    id: new TextDecoder().decode(bytes.subarray(MAGIC.length + 1, idEnd)),
+    payload: bytes.subarray(idEnd),
+  };
+}
+
+/**
+ * Handler arguments of each FileTransfer event (see EventEmitter).
+ * @typedef {Object} FileTransferEvents
+ * @property {[FileTransferInfo]} progress
+ * @property {[CompletedFile]} complete
+ * @property {[FailedFile]} failed
+ */
+
+/**
+ * FileTransfer
+ *
+ * Sends and receives whole files over one P2PChannel. A transfer is a `start`
+ * message, the file in binary frames of `chunkSize` bytes, and an `end` message with
+ * the file's SHA-256; the receiver checks size and digest and answers `done`.
+ * Either side can cancel. Incoming transfers are refused while `authorize` says no,
+ * past `maxConcurrent` transfers or `maxPendingBytes` in flight. Sending pauses while the channel's buffer is above
+ * `highWaterMark`, and a channel that closes fails every transfer in flight.
+ *
+ * Usage:
+ * const files = new FileTransfer(p2p.channel(FILE_CHANNEL_LABEL));
+ * files.onComplete((file) => file.blob && save(file.name, file.blob));
+ * const { id, done } = files.send(blob, { name: "heap.heapsnapshot" });
+ * await done; // resolves once the receiver verified the file
+ *
+ * @extends {EventEmitter<FileTransferEvents>}
+ */
+export class FileTransfer extends EventEmitter {
+  /**
+   * @param {import("./p2p-channel.js").P2PChannel} channel - Channel dedicated to file transfer.
+   * @param {Object} [opts]
+   * @param {number} [opts.chunkSize=16384] - Payload bytes per data frame.
+   * @param {number} [opts.highWaterMark=1048576] - Pause sending while the channel buffers more than this.
+   * @param {number} [opts.lowWaterMark=262144] - Resume sending once the buffer drains to this.
+   * @param {number} [opts.maxFileBytes=268435456] - Largest file accepted from the peer.
+   * @param {number} [opts.maxConcurrent=4] - Incoming transfers allowed at once.
+   * @param {number} [opts.maxPendingBytes=536870912] - Combined size of incoming transfers in flight.
+   * @param {boolean} [opts.allowUnverified=false] - Accept files whose SHA-256 could not be checked
+   *   (the sender left it out, or WebCrypto is unavailable here) instead of refusing them.
+   * @param {function():boolean} [opts.authorize] - Whether the peer may send files right now;
+   *   defaults to always.
+   * @param {Logger} [opts.logger]
+   */
+  constructor(channel, opts = {}) {
+    super();
+
+    /**
+     * @type {import("./p2p-channel.js").P2PChannel}
+     * @private
+     */
+    this.channel = channel;
+
+    /** @type {number} */
+    this.chunkSize = opts.chunkSize ?? 16 * 1024;
+
+    /** @type {number} */
+    this.highWaterMark = opts.highWaterMark ?? 1024 * 1024;
+
+    /** @type {number} */
+    this.lowWaterMark = opts.lowWaterMark ?? 256 * 1024;
+
+    /** @type {number} */
+    this.maxFileBytes = opts.maxFileBytes ?? 256 * 1024 * 1024;
+
+    /** @type {number} */
+    this.maxConcurrent = opts.maxConcurrent ?? 4;
+
+    /** @type {number} */
+    this.maxPendingBytes = opts.maxPendingBytes ?? 512 * 1024 * 1024;
+
+    /** @type {boolean} */
+    this.allowUnverified = opts.allowUnverified ?? false;
+
+    /**
+     * @type {function():boolean}
+     * @private
+     */
+    this.authorize = opts.authorize || (() => true);
+
+    /** @type {Logger} */
+    this.logger = opts.logger || new Logger();
+
+    /**
+     * Transfers in flight by id, both directions.
+     * @type {Map<string, FileTransferInfo & {chunks?: Array<Uint8Array>, reported: number, resolve?: function():void, reject?: function(Error):void}>}
+     * @private
+     */
+    this.transfers = new Map();
+
+    /** @private */
+    this.idPrefix = Math.random().toString(36).slice(2, 8);
+
+    /** @private */
+    this.nextId = 0;
+
+    channel.onMessage((data) => this.receive(data));
+    channel.onClose(() => this.close("channel-closed"));
+  }
+
+  /**
+   * Send a file to the peer.
+   *
+   * @param {Blob|ArrayBuffer|ArrayBufferView} file
+   * @param {Object} [opts]
+   * @param {string} [opts.name] - Defaults to the File's name, or "file".
+   * @param {string} [opts.mimeType] - Defaults to the Blob's type.
+   * @returns {{id: string, done: Promise<void>}} `done` resolves once the receiver verified the file and rejects when the transfer fails.
+   */
+  send(file, opts = {}) {
+    const id = `${this.idPrefix}-${++this.nextId}`;
+    const transfer = {
+      id,
+      direction: "send",
+      name: opts.name || file.name || "file",
+      size: file.size ?? file.byteLength,
+      mimeType: opts.mimeType ?? file.type ?? "",
+      bytes: 0,
+      reported: 0,
+    };
+    const done = new Promise((resolve, reject) => {
+      transfer.resolve = resolve;
+      transfer.reject = reject;
+    });
+    this.transfers.set(id, transfer);
+    this.stream(transfer, file).catch((error) => {
+      this.logger.error(`File transfer ${id} failed:`, error);
+      this.cancel(id, "send-failed");
+    });
+    return { id, done };
+  }
+
+  /**
+   * Stop a transfer in either direction and tell the peer.
+   *
+   * @param {string} id
+   * @param {string} [reason="cancelled"]
+   */
+  cancel(id, reason = "cancelled") {
+    if (!this.transfers.has(id)) return;
+    if (this.channel.isOpen()) this.sendControl({ type: "cancel", id, reason });
+    this.finish(id, reason);
+  }
+
+  /**
+   * Fail every transfer in flight without telling the peer (the channel is gone).
+   *
+   * @param {string} [reason="closed"]
+   */
+  close(reason = "closed") {
+    for (const id of [...this.transfers.keys()]) this.finish(id, reason);
+  }
+
+  /**
+   * Transfers in flight.
+   *
+   * @returns {Array<FileTransferInfo>}
+   */
+  active() {
+    return [...this.transfers.values()].map((transfer) => this.info(transfer));
+  }
+
+  /**
+   * Send the start message, the data frames and the end message.
+   *
+   * @private
+   * @param {FileTransferInfo} transfer
+   * @param {Blob|ArrayBuffer|ArrayBufferView} file
+   */
+  async stream(transfer, file) {
+    const bytes = await readBytes(file);
+    transfer.size = bytes.length;
+    if (!this.channel.isOpen()) {
+      throw new Error(`Data channel "${this.channel.label}" is not open`);
+    }
+
+    const { id, name, size, mimeType } = transfer;
+    this.sendControl({ type: "start", id, name, size, mimeType });
+    for (let offset = 0; offset < size; offset += this.chunkSize) {
+      await this.drained();
+      if (!this.transfers.has(id)) return;
+      const payload = bytes.subarray(offset, offset + this.chunkSize);
+      if (!this.channel.send(encodeFrame(id, payload))) {
+        throw new Error("data frame was not sent");
+      }
+      transfer.bytes += payload.length;
+      this.reportProgress(transfer);
+    }
+    if (!this.transfers.has(id)) return;
+    this.sendControl({ type: "end", id, sha256: await sha256(bytes) });
+  }
+
+  /**
+   * Resolve once the channel's buffer is below the high-water mark.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  drained() {
+    const channel = this.channel.channel;
+    if (!channel || channel.bufferedAmount <= this.highWaterMark) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const resume = () => {
+        channel.removeEventListener("bufferedamountlow", resume);
+        channel.removeEventListener("close", resume);
+        resolve();
+      };
+      channel.bufferedAmountLowThreshold = this.lowWaterMark;
+      channel.addEventListener("bufferedamountlow", resume);
+      channel.addEventListener("close", resume);
+    });
+  }
+
+  /**
+   * Handle a frame from the channel: a data frame or a `file` envelope.
+   *
+   * @private
+   * @param {string|ArrayBuffer} data
+   */
+  receive(data) {
+    if (typeof data !== "string") {
+      const frame = decodeFrame(data);
+      if (frame) this.receiveData(frame.id, frame.payload);
+      return;
+    }
+
+    let envelope;
+    try {
+      envelope = parseEnvelope(data);
+    } catch (error) {
+      this.logger.warn(
+        "Dropping invalid file transfer message:",
+        error.message,
+      );
+      return;
+    }
+    if (envelope.kind !== "file") return;
+
+    const control = envelope.body;
+    switch (control.type) {
+      case "start":
+        this.receiveStart(control);
+        break;
+      case "end":
+        this.receiveEnd(control).catch((error) => {
+          this.logger.error(`Failed to verify file ${control.id}:`, error);
+          this.cancel(control.id, "integrity");
+        });
+        break;
+      case "done":
+        this.finish(
+          control.id,
+          control.ok ? null : control.reason || "rejected",
+        );
+        break;
+      case "cancel":
+        this.finish(control.id, control.reason || "cancelled");
+        break;
+    }
+  }
+
+  /**
+   * @private
+   * @param {FileControl} control
+   */
+  receiveStart({ id, name, size, mimeType }) {
+    if (this.transfers.has(id)) return;
+    const reason = this.refusal(size);
+    if (reason) {
+      this.logger.warn(`Refusing file "${name}" (${size} bytes): ${reason}`);
+      this.sendControl({ type: "cancel", id, reason });
+      return;
+    }
+    const transfer = {
+      id,
+      direction: "receive",
+      name: name || "file",
+      size,
+      mimeType: mimeType || "",
+      bytes: 0,
+      reported: 0,
+      chunks: [],
+    };
+    this.transfers.set(id, transfer);
+    this.reportProgress(transfer, true);
+  }
+
+  /**
+   * Why an incoming file of `size` bytes can't be accepted now, or null if it can.
+   *
+   * @private
+   * @param {number} size
+   * @returns {string|null}
+   */
+  refusal(size) {
+    if (!this.authorize()) return "unauthorized";
+    if (!(size >= 0) || size > this.maxFileBytes) return "too-large";
+    const incoming = [...this.transfers.values()].filter(
+      (transfer) => transfer.direction === "receive",
+    );
+    if (incoming.length >= this.maxConcurrent) return "busy";
+    const pending = incoming.reduce((sum, transfer) => sum + transfer.size, 0);
+    if (pending + size > this.maxPendingBytes) return "busy";
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @param {Uint8Array} payload
+   */
+  receiveData(id, payload) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || transfer.direction !== "receive") return;
+    transfer.bytes += payload.length;
+    if (transfer.bytes > transfer.size) {
+      this.cancel(id, "size-mismatch");
+      return;
+    }
+    transfer.chunks.push(payload);
+    this.reportProgress(transfer);
+  }
+
+  /**
+   * Verify a completely received file and answer the sender. A file whose digest is
+   * missing on either side is refused as `unverified` unless `allowUnverified` is set.
+   *
+   * @private
+   * @param {FileControl} control
+   */
+  async receiveEnd({ id, sha256: expected }) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || transfer.direction !== "receive") return;
+    if (transfer.bytes !== transfer.size) {
+      this.cancel(id, "size-mismatch");
+      return;
+    }
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    const actual = await sha256(new Uint8Array(await blob.arrayBuffer()));
+    if (!this.transfers.has(id)) return;
+    let reason = null;
+    if (expected && actual) {
+      if (actual !== expected) reason = "integrity";
+    } else if (!this.allowUnverified) {
+      reason = "unverified";
+    }
+    if (reason) {
+      this.sendControl({ type: "done", id, ok: false, reason });
+      this.finish(id, reason);
+      return;
+    }
+    this.sendControl({ type: "done", id, ok: true });
+    const verified = !!(expected && actual);
+    this.finish(id, null, blob, verified ? actual : null, verified);
+  }
+
+  /**
+   * End a transfer: complete it (`reason` null) or fail it.
+   *
+   * @private
+   * @param {string} id
+   * @param {string|null} reason
+   * @param {Blob|null} [blob=null]
+   * @param {string|null} [digest=null]
+   * @param {boolean} [verified=false] - Received files: whether the digest matched.
+   */
+  finish(id, reason, blob = null, digest = null, verified = false) {
+    const transfer = this.transfers.get(id);
+    if (!transfer) return;
+    this.transfers.delete(id);
+    const info = this.info(transfer);
+
+    if (reason === null) {
+      transfer.resolve?.();
+      this.emit("complete", { ...info, blob, sha256: digest, verified });
+      return;
+    }
+    this.logger.warn(`File transfer ${id} (${info.name}) failed: ${reason}`);
+    transfer.reject?.(new Error(`File transfer failed: ${reason}`));
+    this.emit("failed", { ...info, reason });
+  }
+
+  /**
+   * Fire a progress event at most once per percent (and always at the end).
+   *
+   * @private
+   * @param {Object} transfer
+   * @param {boolean} [force=false]
+   */
+  reportProgress(transfer, force = false) {
+    const step = Math.max(1, Math.floor(transfer.size / 100));
+    if (
+      !force &&
+      transfer.bytes < transfer.size &&
+      transfer.bytes - transfer.reported < step
+    ) {
+      return;
+    }
+    transfer.reported = transfer.bytes;
+    const info = this.info(transfer);
+    this.emit("progress", info);
+  }
+
+  /**
+   * Public view of a transfer.
+   *
+   * @private
+   * @param {Object} transfer
+   * @returns {FileTransferInfo}
+   */
+  info({ id, direction, name, size, mimeType, bytes }) {
+    return { id, direction, name, size, mimeType, bytes };
+  }
+
+  /**
+   * @private
+   * @param {FileControl} control
+   */
+  sendControl(control) {
+    this.channel.send(createEnvelope("file", control));
+  }
+
+  /**
+   * Register a handler for transfer progress (at most once per percent).
+   *
+   * @param {function(FileTransferInfo):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onProgress(handler) {
+    return this.on("progress", handler);
+  }
+
+  /**
+   * Register a handler for finished transfers. Received files carry the verified blob.
+   *
+   * @param {function(CompletedFile):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onComplete(handler) {
+    return this.on("complete", handler);
+  }
+
+  /**
+   * Register a handler for transfers that were cancelled, refused or failed verification.
+   *
+   * @param {function(FailedFile):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onFailed(handler) {
+    return this.on("failed", handler);
+  }
+}
@@ -0,0 +1,209 @@
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Heartbeat body type of a probe.
+ * @type {string}
+ */
+export const HEARTBEAT_PING = "ping";
+
+/**
+ * Heartbeat body type of the reply to a probe.
+ * @type {string}
+ */
+export const HEARTBEAT_PONG = "pong";
+
+/**
+ * Body of a `heartbeat` envelope.
+ * @typedef {Object} HeartbeatBody
+ * @property {'ping'|'pong'} type
+ * @property {number} seq - Probe number, echoed in the pong.
+ * @property {number} sentAt - Sender's clock when the ping left, echoed in the pong.
+ * @property {number} [repliedAt] - Pong only: the answering peer's clock, for clock-offset estimation.
+ */
+
+/**
+ * Reply to a ping.
+ *
+ * @param {HeartbeatBody} ping
+ * @param {number} [now=Date.now()] - Local clock, reported as `repliedAt`.
+ * @returns {HeartbeatBody}
+ */
+export function createPong(ping, now = Date.now()) {
+  return {
+    type: HEARTBEAT_PONG,
+    seq: ping.seq,
+    sentAt: ping.sentAt,
+    repliedAt: now,
+  };
+}
+
+/**
+ * Handler arguments of each Heartbeat event (see EventEmitter).
+ * @typedef {Object} HeartbeatEvents
+ * @property {[number]} latency
+ * @property {[{misses: number}]} dead
+ * @property {[import("./clock-sync.js").ClockSample]} clockSample
+ */
+
+/**
+ * Heartbeat
+ *
+ * Application-level liveness probe for one peer. Every `intervalMs` it sends a ping;
+ * a ping still unanswered at the next tick counts as a miss, and `missThreshold`
+ * misses in a row declare the peer dead (a frozen or backgrounded tab keeps ICE
+ * "connected" but stops answering). Each pong yields a round-trip latency and, when it
+ * carries the peer's clock, a ClockSample.
+ *
+ * Usage:
+ * const heartbeat = new Heartbeat({ send: (body) => p2p.send(createEnvelope("heartbeat", body)) });
+ * heartbeat.onDead(() => cleanup());
+ * heartbeat.start();
+ * heartbeat.receive(pongBody); // for each incoming pong
+ *
+ * @extends {EventEmitter<HeartbeatEvents>}
+ */
+export class Heartbeat extends EventEmitter {
+  /**
+   * @param {Object} opts
+   * @param {function(HeartbeatBody):boolean} opts.send - Sends a ping to the peer.
+   * @param {number} [opts.intervalMs=5000] - Time between pings.
+   * @param {number} [opts.missThreshold=3] - Unanswered pings in a row before the peer is declared dead.
+   * @param {function():number} [opts.now=Date.now] - Clock used for latency.
+   */
+  constructor(opts) {
+    super();
+
+    /** @type {function(HeartbeatBody):boolean} @private */
+    this.send = opts.send;
+
+    /** @type {number} */
+    this.intervalMs = opts.intervalMs ?? 5000;
+
+    /** @type {number} */
+    this.missThreshold = opts.missThreshold ?? 3;
+
+    /** @type {function():number} @private */
+    this.now = opts.now || (() => Date.now());
+
+    /**
+     * Latest measured round-trip latency (null until the first pong).
+     * @type {number|null}
+     */
+    this.latencyMs = null;
+
+    /**
+     * Unanswered pings in a row.
+     * @type {number}
+     */
+    this.misses = 0;
+
+    /** @type {number} @private */
+    this.seq = 0;
+
+    /**
+     * Number of the ping awaiting its pong (null when none).
+     * @type {number|null}
+     * @private
+     */
+    this.outstanding = null;
+
+    /** @type {ReturnType<typeof setInterval>|null} @private */
+    this.timer = null;
+  }
+
+  /**
+   * Start probing (no-op when already running). Misses are counted afresh.
+   */
+  start() {
+    if (this.timer) return;
+    this.misses = 0;
+    this.outstanding = null;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  /**
+   * Stop probing.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.outstanding = null;
+  }
+
+  /**
+   * Count a miss for an unanswered ping, then send the next one.
+   *
+   * @private
+   */
+  tick() {
+    if (this.outstanding !== null) {
+      this.misses += 1;
+      if (this.misses >= this.missThreshold) {
+        this.stop();
+        this.emit("dead", { misses: this.misses });
+        return;
+      }
+    }
+
+    this.seq += 1;
+    this.outstanding = this.seq;
+    this.send({ type: HEARTBEAT_PING, seq: this.seq, sentAt: this.now() });
+  }
+
+  /**
+   * Handle a pong from the peer. A late pong for an older ping still proves the peer
+   * is alive, but only the current one is used for latency.
+   *
+   * @param {HeartbeatBody} body
+   */
+  receive(body) {
+    if (body.type !== HEARTBEAT_PONG || !this.timer) return;
+    this.misses = 0;
+    if (body.seq !== this.outstanding) return;
+
+    this.outstanding = null;
+    const returnedAt = this.now();
+    this.latencyMs = Math.max(0, returnedAt - body.sentAt);
+    this.emit("latency", this.latencyMs);
+
+    if (typeof body.repliedAt === "number") {
+      const sample = {
+        sentAt: body.sentAt,
+        repliedAt: body.repliedAt,
+        returnedAt,
+      };
+      this.emit("clockSample", sample);
+    }
+  }
+
+  /**
+   * Register a handler for each latency measurement.
+   *
+   * @param {function(number):void} handler - Called with the round-trip time in milliseconds.
+   * @returns {function():void} Removes the handler.
+   */
+  onLatency(handler) {
+    return this.on("latency", handler);
+  }
+
+  /**
+   * Register a handler for the peer being declared dead. Probing stops first.
+   *
+   * @param {function({misses: number}):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onDead(handler) {
+    return this.on("dead", handler);
+  }
+
+  /**
+   * Register a handler for each completed exchange that carries the peer's clock.
+   *
+   * @param {function(import("./clock-sync.js").ClockSample):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onClockSample(handler) {
+    return this.on("clockSample", handler);
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Storage backend used to persist buffered messages across reloads.
+ * @typedef {Object} LogBufferStorage
+ * @property {function():Promise<Array<*>>} load - Resolve with previously saved messages (oldest first).
+ * @property {function(Array<*>):Promise<void>} save - Replace the saved messages.
+ * @property {function():Promise<void>} clear - Remove saved messages.
+ */
+
+/**
+ * Size of a message once serialized for sending, in bytes.
+ *
+ * @param {*} message
+ * @returns {number}
+ */
+function messageBytes(message) {
+  let text;
+  try {
+    text = typeof message === "string" ? message : JSON.stringify(message);
+  } catch (e) {
+    return 0;
+  }
+  if (typeof text !== "string") return 0;
+  return typeof TextEncoder !== "undefined"
+    ? new TextEncoder().encode(text).length
+    : text.length;
+}
+
+/**
+ * Persist messages in localStorage under a single key.
+ *
+ * @param {string} key
+ * @returns {LogBufferStorage}
+ */
+export function createLocalStorageBackend(key) {
+  return {
+    async load() {
+      const raw = localStorage.getItem(key);
+      if (!raw) return [];
+      try {
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (e) {
+        return [];
+      }
+    },
+    async save(messages) {
+      localStorage.setItem(key, JSON.stringify(messages));
+    },
+    async clear() {
+      localStorage.removeItem(key);
+    },
+  };
+}
+
+/**
+ * Persist messages in IndexedDB (database "p2p-console-viewer", store "log-buffer").
+ *
+ * @param {string} key - Record key within the store.
+ * @returns {LogBufferStorage}
+ */
+export function createIndexedDbBackend(key) {
+  const STORE = "log-buffer";
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open("p2p-console-viewer", 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = (mode, action) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = action(db.transaction(STORE, mode).objectStore(STORE));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }),
+    );
+
+  return {
+    async load() {
+      const stored = await run("readonly", (store) => store.get(key));
+      return Array.isArray(stored) ? stored : [];
+    },
+    async save(messages) {
+      await run("readwrite", (store) => store.put(messages, key));
+    },
+    async clear() {
+      await run("readwrite", (store) => store.delete(key));
+    },
+  };
+}
+
+/**
+ * LogBuffer
+ *
+ * Ring buffer of outgoing messages kept on the source side so that viewers who
+ * connect later still receive what was logged before (startup logs in particular).
+ *
+ * The buffer is capped by message count and by total serialized bytes; the oldest
+ * messages are evicted first. It can optionally persist to IndexedDB or localStorage
+ * so messages survive a reload.
+ *
+ * Typical use:
+ * const buffer = new LogBuffer({ maxMessages: 1000, persist: "indexeddb" });
+ * const client = new P2PSignalingClient(url, { buffer });
+ */
+export class LogBuffer {
+  /**
+   * Create a LogBuffer.
+   *
+   * @param {Object} [opts]
+   * @param {number} [opts.maxMessages=500] - Maximum number of buffered messages.
+   * @param {number} [opts.maxBytes=1048576] - Maximum total serialized size of buffered messages.
+   * @param {'indexeddb'|'localstorage'|LogBufferStorage|null} [opts.persist=null] - Where to persist across reloads.
+   * @param {string} [opts.storageKey='p2p-console-viewer:buffer'] - Key used by the built-in backends.
+   * @param {number} [opts.persistDelayMs=250] - Debounce for writes to storage.
+   */
+  constructor(opts = {}) {
+    /** @type {number} */
+    this.maxMessages = opts.maxMessages ?? 500;
+
+    /** @type {number} */
+    this.maxBytes = opts.maxBytes ?? 1024 * 1024;
+
+    /** @type {number} */
+    this.persistDelayMs = opts.persistDelayMs ?? 250;
+
+    /**
+     * Buffered messages with their size, oldest first.
+     * @type {Array<{message: *, bytes: number}>}
+     * @private
+     */
+    this.entries = [];
+
+    /**
+     * Total serialized size of `entries`.
+     * @type {number}
+     */
+    this.totalBytes = 0;
+
+    /**
+     * @type {LogBufferStorage|null}
+     * @private
+     */
+    this.storage = LogBuffer.resolveStorage(
+      opts.persist ?? null,
+      opts.storageKey || "p2p-console-viewer:buffer",
+    );
+
+    /**
+     * Pending debounced save.
+     * @type {ReturnType<typeof setTimeout>|null}
+     * @private
+     */
+    this.saveTimer = null;
+
+    /**
+     * Resolves once persisted messages (if any) have been restored.
+     * @type {Promise<void>}
+     */
+    this.ready = this.restore();
+  }
+
+  /**
+   * Turn the `persist` option into a storage backend (null when unavailable).
+   *
+   * @private
+   * @param {'indexeddb'|'localstorage'|LogBufferStorage|null} persist
+   * @param {string} key
+   * @returns {LogBufferStorage|null}
+   */
+  static resolveStorage(persist, key) {
+    if (!persist) return null;
+    if (typeof persist === "object") return persist;
+    if (persist === "indexeddb" && typeof indexedDB !== "undefined") {
+      return createIndexedDbBackend(key);
+    }
+    if (persist === "localstorage" && typeof localStorage !== "undefined") {
+      return createLocalStorageBackend(key);
+    }
+    return null;
+  }
+
+  /**
+   * Load persisted messages and place them before anything pushed since startup.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    if (!this.storage) return;
+    let stored = [];
+    try {
+      stored = await this.storage.load();
+    } catch (e) {
+      stored = [];
+    }
+    const restored = stored.map((message) => ({
+      message,
+      bytes: messageBytes(message),
+    }));
+    this.entries = restored.concat(this.entries);
+    this.totalBytes = this.entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    this.trim();
+  }
+
+  /**
+   * Append a message, evicting the oldest ones past the count/byte caps.
+   * A single message larger than `maxBytes` is not buffered.
+   *
+   * @param {*} message
+   * @returns {boolean} True if the message was buffered.
+   */
+  push(message) {
+    const bytes = messageBytes(message);
+    if (bytes > this.maxBytes) return false;
+
+    this.entries.push({ message, bytes });
+    this.totalBytes += bytes;
+    this.trim();
+    this.schedulePersist();
+    return true;
+  }
+
+  /**
+   * Evict the oldest messages until both caps are respected.
+   *
+   * @private
+   */
+  trim() {
+    while (
+      this.entries.length > this.maxMessages ||
+      (this.totalBytes > this.maxBytes && this.entries.length)
+    ) {
+      this.totalBytes -= this.entries.shift().bytes;
+    }
+  }
+
+  /**
+   * Buffered messages, oldest first.
+   *
+   * @returns {Array<*>}
+   */
+  getMessages() {
+    return this.entries.map((entry) => entry.message);
+  }
+
+  /**
+   * Number of buffered messages.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Drop every buffered (and persisted) message.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = [];
+    this.totalBytes = 0;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.storage) {
+      try {
+        await this.storage.clear();
+      } catch (e) {
+        // Storage may be unavailable (private mode, quota); the in-memory buffer is still cleared
+      }
+    }
+  }
+
+  /**
+   * Debounce a save of the current messages to storage, once the restore is done.
+   *
+   * @private
+   */
+  schedulePersist() {
+    if (!this.storage || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      // Saving before the restore finished would replace the stored history with
+      // only what was pushed since startup
+      this.ready
+        .then(() => this.storage.save(this.getMessages()))
+        .catch(() => {
+          // Quota exceeded or storage unavailable: keep buffering in memory
+        });
+    }, this.persistDelayMs);
+  }
+}
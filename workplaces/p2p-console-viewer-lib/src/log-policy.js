@@ -0,0 +1,336 @@
+import { P2pMessageHelper } from "./p2p-message-helper.js";
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Token bucket settings.
+ * @typedef {Object} RateLimit
+ * @property {number} rate - Tokens added per second (sustained messages per second).
+ * @property {number} [burst] - Bucket capacity (defaults to `rate`).
+ */
+
+/**
+ * One line of a dropped-messages summary.
+ * @typedef {Object} DropCount
+ * @property {import("./p2p-message-helper.js").ConsoleLevel} level
+ * @property {string|null} namespace
+ * @property {'rate-limit'|'sampled'} reason
+ * @property {number} count
+ */
+
+/**
+ * Methods that shape the group tree; dropping them would misplace everything after.
+ * @type {Set<string>}
+ */
+const STRUCTURAL_METHODS = new Set(["group", "groupCollapsed", "groupEnd"]);
+
+/**
+ * Token bucket refilled continuously from a clock.
+ */
+class TokenBucket {
+  /**
+   * @param {RateLimit} limit
+   * @param {number} now
+   */
+  constructor(limit, now) {
+    this.rate = limit.rate;
+    this.capacity = limit.burst ?? limit.rate;
+    this.tokens = this.capacity;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take one token if available.
+   *
+   * @param {number} now - Milliseconds.
+   * @returns {boolean}
+   */
+  take(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.updatedAt = now;
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Handler arguments of each LogPolicy event (see EventEmitter).
+ * @typedef {Object} LogPolicyEvents
+ * @property {[Object]} message
+ */
+
+/**
+ * LogPolicy
+ *
+ * Decides which console messages go out, sitting between the console interceptor
+ * and the transport:
+ * - Identical consecutive messages can be collapsed: the first is sent and the rest are
+ *   reported as a single "repeated N times" message referencing it (`repeat`).
+ * - Per-level sampling keeps a random fraction of chatty levels.
+ * - Token buckets cap the rate per level and per namespace.
+ * - Dropped messages are counted by level, namespace and reason, and a warning summarizing
+ *   them (with a `dropped.breakdown`) is sent every `summaryIntervalMs`.
+ *
+ * Group messages are never dropped so the viewer's group nesting stays intact.
+ *
+ * Typical use:
+ * const policy = new LogPolicy({ levels: { debug: { rate: 20, burst: 50 } }, sampling: { debug: 0.2 } });
+ * policy.onMessage((msg) => client.sendMessage(msg));
+ * interceptor.patch((method, ...args) => {
+ *   const msg = helper.buildMessage(method, args);
+ *   if (msg) policy.push(msg);
+ * });
+ *
+ * @extends {EventEmitter<LogPolicyEvents>}
+ */
+export class LogPolicy extends EventEmitter {
+  /**
+   * Create a LogPolicy.
+   *
+   * @param {Object} [opts]
+   * @param {Object<string, RateLimit>} [opts.levels] - Token bucket per level (e.g. `{ debug: { rate: 20 } }`).
+   * @param {Object<string, RateLimit>} [opts.namespaces] - Token bucket per message namespace.
+   * @param {Object<string, number>} [opts.sampling] - Fraction (0-1) of messages kept per level.
+   * @param {boolean} [opts.collapseRepeats=false] - Collapse identical consecutive messages.
+   * @param {number} [opts.repeatFlushMs=1000] - How long a run of repeats may stay unreported.
+   * @param {number} [opts.summaryIntervalMs=5000] - How often dropped-message summaries are sent.
+   * @param {P2pMessageHelper} [opts.helper] - Builds the summary and repeat messages.
+   * @param {function():number} [opts.now=() => Date.now()] - Clock used by the token buckets.
+   * @param {function():number} [opts.random=Math.random] - Random source used for sampling.
+   */
+  constructor(opts = {}) {
+    super();
+
+    this.levelLimits = opts.levels || {};
+    this.namespaceLimits = opts.namespaces || {};
+    this.sampling = opts.sampling || {};
+    this.collapseRepeats = !!opts.collapseRepeats;
+    this.repeatFlushMs = opts.repeatFlushMs ?? 1000;
+    this.summaryIntervalMs = opts.summaryIntervalMs ?? 5000;
+    this.helper = opts.helper || new P2pMessageHelper();
+    this.now = opts.now || (() => Date.now());
+    this.random = opts.random || Math.random;
+
+    /**
+     * Buckets by "level:<name>" / "namespace:<name>", created on first use.
+     * @type {Map<string, TokenBucket>}
+     * @private
+     */
+    this.buckets = new Map();
+
+    /**
+     * Drops since the last summary, by "level|namespace|reason".
+     * @type {Map<string, DropCount>}
+     * @private
+     */
+    this.drops = new Map();
+
+    /**
+     * The last message sent and how many identical ones followed it unreported.
+     * @type {{key: string, message: Object, count: number}|null}
+     * @private
+     */
+    this.lastRun = null;
+
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    this.summaryTimer = null;
+
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    this.repeatTimer = null;
+  }
+
+  /**
+   * Register a handler for messages that passed the policy (including summaries).
+   *
+   * @param {function(Object):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onMessage(handler) {
+    return this.on("message", handler);
+  }
+
+  /**
+   * Run a message through the policy.
+   *
+   * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+   * @returns {boolean} True if the message was sent, false if it was collapsed or dropped.
+   */
+  push(message) {
+    if (this.collapseRepeats) {
+      const key = this.repeatKey(message);
+      if (this.lastRun && this.lastRun.key === key) {
+        this.lastRun.count += 1;
+        if (!this.repeatTimer) {
+          this.repeatTimer = setTimeout(
+            () => this.flushRepeats(),
+            this.repeatFlushMs,
+          );
+        }
+        return false;
+      }
+      this.flushRepeats();
+    }
+
+    const reason = this.dropReason(message);
+    if (reason) {
+      this.recordDrop(message, reason);
+      return false;
+    }
+
+    if (this.collapseRepeats) {
+      this.lastRun = { key: this.repeatKey(message), message, count: 0 };
+    }
+    this.emit("message", message);
+    return true;
+  }
+
+  /**
+   * What makes two messages "identical" for collapsing.
+   *
+   * @private
+   * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+   * @returns {string}
+   */
+  repeatKey(message) {
+    return JSON.stringify([
+      message.level,
+      message.namespace,
+      message.method,
+      message.groupDepth,
+      message.text,
+    ]);
+  }
+
+  /**
+   * Why a message should be dropped, or null to send it.
+   *
+   * @private
+   * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+   * @returns {'rate-limit'|'sampled'|null}
+   */
+  dropReason(message) {
+    if (STRUCTURAL_METHODS.has(message.method)) return null;
+
+    const keep = this.sampling[message.level];
+    if (typeof keep === "number" && this.random() >= keep) return "sampled";
+
+    const now = this.now();
+    const levelBucket = this.bucket("level", message.level, this.levelLimits);
+    if (levelBucket && !levelBucket.take(now)) return "rate-limit";
+
+    if (message.namespace) {
+      const nsBucket = this.bucket(
+        "namespace",
+        message.namespace,
+        this.namespaceLimits,
+      );
+      if (nsBucket && !nsBucket.take(now)) return "rate-limit";
+    }
+    return null;
+  }
+
+  /**
+   * Bucket for a level/namespace, or null when it isn't limited.
+   *
+   * @private
+   * @param {string} kind
+   * @param {string} name
+   * @param {Object<string, RateLimit>} limits
+   * @returns {TokenBucket|null}
+   */
+  bucket(kind, name, limits) {
+    const limit = limits[name];
+    if (!limit) return null;
+    const id = `${kind}:${name}`;
+    if (!this.buckets.has(id)) {
+      this.buckets.set(id, new TokenBucket(limit, this.now()));
+    }
+    return this.buckets.get(id);
+  }
+
+  /**
+   * Count a dropped message and make sure a summary is scheduled.
+   *
+   * @private
+   * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+   * @param {'rate-limit'|'sampled'} reason
+   */
+  recordDrop(message, reason) {
+    const id = `${message.level}|${message.namespace}|${reason}`;
+    const entry = this.drops.get(id);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      this.drops.set(id, {
+        level: message.level,
+        namespace: message.namespace,
+        reason,
+        count: 1,
+      });
+    }
+
+    if (!this.summaryTimer) {
+      this.summaryTimer = setTimeout(
+        () => this.flushSummary(),
+        this.summaryIntervalMs,
+      );
+    }
+  }
+
+  /**
+   * Report the current run of repeats (if any) as a "repeated N times" message.
+   */
+  flushRepeats() {
+    if (this.repeatTimer) {
+      clearTimeout(this.repeatTimer);
+      this.repeatTimer = null;
+    }
+    if (!this.lastRun || !this.lastRun.count) return;
+
+    const { message, count } = this.lastRun;
+    this.lastRun.count = 0;
+    const repeat = this.helper.buildNotice(message.level, [
+      `Previous message repeated ${count} time${count === 1 ? "" : "s"}`,
+    ]);
+    repeat.namespace = message.namespace;
+    repeat.groupDepth = message.groupDepth;
+    repeat.repeat = { of: message.id, count };
+    this.emit("message", repeat);
+  }
+
+  /**
+   * Send a warning describing everything dropped since the last summary.
+   */
+  flushSummary() {
+    if (this.summaryTimer) {
+      clearTimeout(this.summaryTimer);
+      this.summaryTimer = null;
+    }
+    if (!this.drops.size) return;
+
+    const breakdown = Array.from(this.drops.values());
+    this.drops.clear();
+    const total = breakdown.reduce((sum, entry) => sum + entry.count, 0);
+    const details = breakdown
+      .map(
+        (entry) =>
+          `${entry.count} ${entry.level}${entry.namespace ? ` [${entry.namespace}]` : ""} (${entry.reason})`,
+      )
+      .join(", ");
+
+    const summary = this.helper.buildNotice("warn", [
+      `Dropped ${total} message${total === 1 ? "" : "s"}: ${details}`,
+    ]);
+    summary.dropped = { count: total, reason: "policy", breakdown };
+    this.emit("message", summary);
+  }
+
+  /**
+   * Report pending repeats and drops now and stop the timers.
+   */
+  close() {
+    this.flushRepeats();
+    this.flushSummary();
+  }
+}
@@ -0,0 +1,1253 @@
+/**
+ * WebSocket ready states.
+ * @type {{CONNECTING: number, OPEN: number, CLOSING: number, CLOSED: number}}
+ */
+const READY_STATE = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+/**
+ * Create an event carrying extra read-only properties (`candidate`, `channel`, `code`, ...).
+ *
+ * @param {string} type
+ * @param {Object} [props]
+ * @returns {Event}
+ */
+function createEvent(type, props = {}) {
+  const event = new Event(type);
+  for (const [key, value] of Object.entries(props)) {
+    Object.defineProperty(event, key, { value, enumerable: true });
+  }
+  return event;
+}
+
+/**
+ * Dispatch an event the way the browser objects do: the `on<type>` property first,
+ * then listeners added with addEventListener.
+ *
+ * @param {EventTarget} target
+ * @param {Event} event
+ */
+function fire(target, event) {
+  const handler = target["on" + event.type];
+  if (typeof handler === "function") handler.call(target, event);
+  target.dispatchEvent(event);
+}
+
+/**
+ * Copy a payload the way it would cross the wire: strings as they are, binary data
+ * as a fresh ArrayBuffer.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView} data
+ * @returns {string|ArrayBuffer}
+ * @throws {TypeError} For any other type.
+ */
+function copyPayload(data) {
+  if (typeof data === "string") return data;
+  if (data instanceof ArrayBuffer) return data.slice(0);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice()
+      .buffer;
+  }
+  throw new TypeError(
+    "Loopback data channels carry strings, ArrayBuffers and typed arrays",
+  );
+}
+
+/**
+ * Size of a payload in bytes.
+ *
+ * @param {string|ArrayBuffer} payload
+ * @returns {number}
+ */
+function payloadSize(payload) {
+  return typeof payload === "string"
+    ? new TextEncoder().encode(payload).byteLength
+    : payload.byteLength;
+}
+
+/**
+ * A random stand-in for a DTLS certificate fingerprint, in SDP notation.
+ *
+ * @returns {string} E.g. "sha-256 4F:0A:...".
+ */
+function randomFingerprint() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const hex = Array.from(bytes, (b) =>
+    b.toString(16).padStart(2, "0").toUpperCase(),
+  );
+  return `sha-256 ${hex.join(":")}`;
+}
+
+/**
+ * Read the connection id and ICE generation out of a loopback ufrag ("<id>-<generation>").
+ *
+ * @param {string|undefined} ufrag
+ * @returns {{id: string, generation: number}|null}
+ */
+function parseUfrag(ufrag) {
+  const match = /^(\S+)-(\d+)$/.exec(ufrag || "");
+  return match ? { id: match[1], generation: Number(match[2]) } : null;
+}
+
+/**
+ * LoopbackDataChannel
+ *
+ * In-memory RTCDataChannel created by a LoopbackPeerConnection. Delivery is always
+ * reliable and in order, whatever `ordered`/`maxRetransmits` say; `bufferedAmount`
+ * counts bytes not yet delivered, and frames above the network's `maxMessageSize`
+ * are refused like on a real SCTP transport.
+ */
+export class LoopbackDataChannel extends EventTarget {
+  /**
+   * @param {LoopbackPeerConnection} connection - Owning connection.
+   * @param {string} label
+   * @param {RTCDataChannelInit} [init]
+   */
+  constructor(connection, label, init = {}) {
+    super();
+
+    /** @type {LoopbackPeerConnection} @private */
+    this.connection = connection;
+
+    /** @type {string} */
+    this.label = label;
+
+    /** @type {boolean} */
+    this.negotiated = !!init.negotiated;
+
+    /**
+     * Stream id: given for pre-negotiated channels, assigned once announced otherwise.
+     * @type {number|null}
+     */
+    this.id = init.id ?? null;
+
+    /** @type {boolean} */
+    this.ordered = init.ordered ?? true;
+
+    /** @type {number|null} */
+    this.maxRetransmits = init.maxRetransmits ?? null;
+
+    /** @type {number|null} */
+    this.maxPacketLifeTime = init.maxPacketLifeTime ?? null;
+
+    /** @type {string} */
+    this.protocol = init.protocol ?? "";
+
+    /** @type {RTCDataChannelState} */
+    this.readyState = "connecting";
+
+    /** @type {BinaryType} */
+    this.binaryType = "blob";
+
+    /** @type {number} */
+    this.bufferedAmount = 0;
+
+    /** @type {number} */
+    this.bufferedAmountLowThreshold = 0;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onopen = null;
+
+    /** @type {((event: MessageEvent) => void)|null} */
+    this.onmessage = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onclose = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onerror = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onbufferedamountlow = null;
+
+    /**
+     * The channel at the other end (null until paired).
+     * @type {LoopbackDataChannel|null}
+     * @private
+     */
+    this.remote = null;
+
+    /** @type {{messagesSent: number, bytesSent: number, messagesReceived: number, bytesReceived: number}} @private */
+    this.counters = {
+      messagesSent: 0,
+      bytesSent: 0,
+      messagesReceived: 0,
+      bytesReceived: 0,
+    };
+  }
+
+  /**
+   * Queue a message for the other end.
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView} data
+   * @throws {DOMException} If the channel is not open.
+   * @throws {TypeError} If the payload is of an unsupported type or too large.
+   */
+  send(data) {
+    if (this.readyState !== "open") {
+      throw new DOMException(
+        `Data channel "${this.label}" is ${this.readyState}`,
+        "InvalidStateError",
+      );
+    }
+    const payload = copyPayload(data);
+    const size = payloadSize(payload);
+    const maxMessageSize = this.connection.network.maxMessageSize;
+    if (size > maxMessageSize) {
+      throw new TypeError(
+        `Message of ${size} bytes exceeds maxMessageSize (${maxMessageSize})`,
+      );
+    }
+
+    this.bufferedAmount += size;
+    this.counters.messagesSent += 1;
+    this.counters.bytesSent += size;
+    this.connection.transmit(() => {
+      const before = this.bufferedAmount;
+      this.bufferedAmount = Math.max(0, before - size);
+      if (
+        before > this.bufferedAmountLowThreshold &&
+        this.bufferedAmount <= this.bufferedAmountLowThreshold
+      ) {
+        fire(this, new Event("bufferedamountlow"));
+      }
+      this.remote?.receive(payload, size);
+    });
+  }
+
+  /**
+   * Close both ends.
+   */
+  close() {
+    if (this.readyState === "closing" || this.readyState === "closed") return;
+    this.readyState = "closing";
+    const remote = this.remote;
+    this.connection.network.deliver(() => {
+      this.finishClose();
+      remote?.finishClose();
+    });
+  }
+
+  /**
+   * @private
+   */
+  open() {
+    if (this.readyState !== "connecting") return;
+    this.readyState = "open";
+    fire(this, new Event("open"));
+  }
+
+  /**
+   * @private
+   * @param {string|ArrayBuffer} payload
+   * @param {number} size
+   */
+  receive(payload, size) {
+    if (this.readyState !== "open") return;
+    this.counters.messagesReceived += 1;
+    this.counters.bytesReceived += size;
+    const data =
+      typeof payload !== "string" && this.binaryType === "blob"
+        ? new Blob([payload])
+        : payload;
+    fire(this, new MessageEvent("message", { data }));
+  }
+
+  /**
+   * @private
+   */
+  finishClose() {
+    if (this.readyState === "closed") return;
+    this.readyState = "closed";
+    this.bufferedAmount = 0;
+    fire(this, new Event("close"));
+  }
+}
+
+/**
+ * LoopbackPeerConnection
+ *
+ * In-memory RTCPeerConnection. Session descriptions and candidates only name the
+ * connection that produced them, so they must still travel through signaling like
+ * real ones: two connections link up once each has applied the other's description
+ * (offer/answer, including rollback on glare) and a candidate of its current ICE
+ * generation. `createOffer({ iceRestart: true })` starts a new generation, which is
+ * how an interrupted link (see `LoopbackNetwork#interrupt`) comes back. Descriptions
+ * carry a random DTLS fingerprint per connection, so pairing codes work as well.
+ *
+ * Created through `LoopbackNetwork#createPeerConnection`.
+ */
+export class LoopbackPeerConnection extends EventTarget {
+  /**
+   * @param {LoopbackNetwork} network
+   * @param {RTCConfiguration} [config]
+   */
+  constructor(network, config = {}) {
+    super();
+
+    /** @type {LoopbackNetwork} */
+    this.network = network;
+
+    /** @type {RTCConfiguration} */
+    this.config = config;
+
+    /**
+     * Identifies this connection in its descriptions and candidates.
+     * @type {string}
+     */
+    this.id = network.register(this);
+
+    /**
+     * Fingerprint of this connection's (imaginary) DTLS certificate, announced in
+     * every description it creates.
+     * @type {string}
+     */
+    this.fingerprint = randomFingerprint();
+
+    /** @type {RTCSignalingState} */
+    this.signalingState = "stable";
+
+    /** @type {RTCPeerConnectionState} */
+    this.connectionState = "new";
+
+    /** @type {RTCIceConnectionState} */
+    this.iceConnectionState = "new";
+
+    /** @type {RTCSessionDescriptionInit|null} */
+    this.localDescription = null;
+
+    /** @type {RTCSessionDescriptionInit|null} */
+    this.remoteDescription = null;
+
+    /**
+     * Available once a description exchange set up the data channel transport.
+     * @type {{maxMessageSize: number}|null}
+     */
+    this.sctp = null;
+
+    /** @type {((event: Event & {candidate: RTCIceCandidateInit|null}) => void)|null} */
+    this.onicecandidate = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onconnectionstatechange = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.oniceconnectionstatechange = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onsignalingstatechange = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onnegotiationneeded = null;
+
+    /** @type {((event: Event & {channel: LoopbackDataChannel}) => void)|null} */
+    this.ondatachannel = null;
+
+    /** @type {Array<LoopbackDataChannel>} @private */
+    this.channels = [];
+
+    /**
+     * ICE generation of the next local description; bumped by ICE restarts.
+     * @type {number}
+     * @private
+     */
+    this.iceGeneration = 0;
+
+    /** @type {number} @private */
+    this.localGeneration = -1;
+
+    /** @type {number} @private */
+    this.gatheredGeneration = -1;
+
+    /** @type {{id: string, generation: number}|null} @private */
+    this.remoteInfo = null;
+
+    /** @type {number} @private */
+    this.remoteCandidateGeneration = -1;
+
+    /**
+     * Local description of the last completed exchange, restored by a rollback.
+     * @type {RTCSessionDescriptionInit|null}
+     * @private
+     */
+    this.stableLocalDescription = null;
+
+    /** @type {boolean} @private */
+    this.negotiationQueued = false;
+
+    /**
+     * The connection at the other end (null until linked).
+     * @type {LoopbackPeerConnection|null}
+     * @private
+     */
+    this.peer = null;
+
+    /** @type {boolean} @private */
+    this.linkUp = false;
+
+    /**
+     * Deliveries held while the link is down, flushed when it comes back.
+     * @type {Array<function():void>}
+     * @private
+     */
+    this.held = [];
+  }
+
+  /**
+   * @param {RTCOfferOptions} [options]
+   * @returns {Promise<RTCSessionDescriptionInit>}
+   */
+  async createOffer(options = {}) {
+    this.assertNotClosed();
+    if (options.iceRestart) this.iceGeneration += 1;
+    return { type: "offer", sdp: this.describe() };
+  }
+
+  /**
+   * @returns {Promise<RTCSessionDescriptionInit>}
+   */
+  async createAnswer() {
+    this.assertNotClosed();
+    if (this.signalingState !== "have-remote-offer") {
+      throw new DOMException(
+        `Cannot answer in signaling state ${this.signalingState}`,
+        "InvalidStateError",
+      );
+    }
+    return { type: "answer", sdp: this.describe() };
+  }
+
+  /**
+   * @param {RTCSessionDescriptionInit} [description] - Omitted: an offer or answer, whichever fits.
+   * @returns {Promise<void>}
+   */
+  async setLocalDescription(description) {
+    this.assertNotClosed();
+    const type =
+      description?.type ??
+      (this.signalingState === "have-remote-offer" ? "answer" : "offer");
+
+    if (type === "rollback") {
+      if (this.signalingState === "have-local-offer") {
+        this.localDescription = this.stableLocalDescription;
+        this.setSignalingState("stable");
+      }
+      return;
+    }
+
+    const local = { type, sdp: description?.sdp || this.describe() };
+    if (type === "offer") {
+      if (
+        this.signalingState !== "stable" &&
+        this.signalingState !== "have-local-offer"
+      ) {
+        throw new DOMException(
+          `Cannot set a local offer in signaling state ${this.signalingState}`,
+          "InvalidStateError",
+        );
+      }
+      this.localDescription = local;
+      this.localGeneration = this.iceGeneration;
+      this.setSignalingState("have-local-offer");
+    } else {
+      if (this.signalingState !== "have-remote-offer") {
+        throw new DOMException(
+          `Cannot set a local answer in signaling state ${this.signalingState}`,
+          "InvalidStateError",
+        );
+      }
+      this.localDescription = local;
+      this.localGeneration = this.iceGeneration;
+      this.completeNegotiation();
+    }
+    this.gatherCandidates();
+  }
+
+  /**
+   * Apply the other side's description. A remote offer arriving while ours is pending
+   * rolls ours back, as in perfect negotiation.
+   *
+   * @param {RTCSessionDescriptionInit} description
+   * @returns {Promise<void>}
+   */
+  async setRemoteDescription(description) {
+    this.assertNotClosed();
+    const info = parseUfrag(/a=ice-ufrag:(\S+)/.exec(description.sdp)?.[1]);
+    if (!info) {
+      throw new DOMException(
+        "Not a loopback session description",
+        "OperationError",
+      );
+    }
+    if (this.remoteInfo && info.id !== this.remoteInfo.id) {
+      throw new DOMException(
+        "Session description belongs to a different connection",
+        "InvalidAccessError",
+      );
+    }
+
+    if (description.type === "offer") {
+      if (this.signalingState === "have-local-offer") {
+        this.localDescription = this.stableLocalDescription;
+        this.setSignalingState("stable");
+      }
+      if (this.signalingState !== "stable") {
+        throw new DOMException(
+          `Cannot set a remote offer in signaling state ${this.signalingState}`,
+          "InvalidStateError",
+        );
+      }
+      // An ICE restart from the other side restarts ours too
+      if (this.remoteInfo && info.generation !== this.remoteInfo.generation) {
+        this.iceGeneration += 1;
+      }
+      this.remoteDescription = { type: "offer", sdp: description.sdp };
+      this.remoteInfo = info;
+      this.setSignalingState("have-remote-offer");
+    } else if (description.type === "answer") {
+      if (this.signalingState !== "have-local-offer") {
+        throw new DOMException(
+          `Cannot set a remote answer in signaling state ${this.signalingState}`,
+          "InvalidStateError",
+        );
+      }
+      this.remoteDescription = { type: "answer", sdp: description.sdp };
+      this.remoteInfo = info;
+      this.completeNegotiation();
+    } else {
+      throw new DOMException(
+        `Unsupported description type: ${description.type}`,
+        "OperationError",
+      );
+    }
+  }
+
+  /**
+   * @param {RTCIceCandidateInit|null} [candidate] - Empty or null marks the end of candidates.
+   * @returns {Promise<void>}
+   */
+  async addIceCandidate(candidate) {
+    this.assertNotClosed();
+    if (!this.remoteDescription) {
+      throw new DOMException("No remote description", "InvalidStateError");
+    }
+    if (!candidate || !candidate.candidate) return;
+
+    const info = parseUfrag(
+      candidate.usernameFragment ??
+        /ufrag (\S+)/.exec(candidate.candidate)?.[1],
+    );
+    if (
+      !info ||
+      info.id !== this.remoteInfo.id ||
+      info.generation !== this.remoteInfo.generation
+    ) {
+      throw new DOMException(
+        "Candidate does not match the remote description",
+        "OperationError",
+      );
+    }
+    this.remoteCandidateGeneration = info.generation;
+    this.tryConnect();
+  }
+
+  /**
+   * @param {string} label
+   * @param {RTCDataChannelInit} [init]
+   * @returns {LoopbackDataChannel}
+   */
+  createDataChannel(label, init = {}) {
+    this.assertNotClosed();
+    const channel = new LoopbackDataChannel(this, label, init);
+    this.channels.push(channel);
+    if (!this.sctp) {
+      this.queueNegotiationNeeded();
+    } else if (this.peer && this.linkUp) {
+      this.network.deliver(() => this.pairChannels());
+    }
+    return channel;
+  }
+
+  /**
+   * Stats in the shape StatsSampler reads: one entry per data channel and, while
+   * linked, the selected candidate pair with an RTT of twice the network latency.
+   *
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getStats() {
+    const timestamp = Date.now();
+    const report = new Map();
+    this.channels.forEach((channel, index) => {
+      report.set(`D${index}`, {
+        id: `D${index}`,
+        type: "data-channel",
+        timestamp,
+        label: channel.label,
+        state: channel.readyState,
+        ...channel.counters,
+      });
+    });
+    if (this.peer && this.linkUp) {
+      const candidate = { protocol: "udp", candidateType: "host" };
+      report.set("T0", {
+        id: "T0",
+        type: "transport",
+        timestamp,
+        selectedCandidatePairId: "CP0",
+      });
+      report.set("CP0", {
+        id: "CP0",
+        type: "candidate-pair",
+        timestamp,
+        state: "succeeded",
+        nominated: true,
+        localCandidateId: "CL0",
+        remoteCandidateId: "CR0",
+        currentRoundTripTime: (2 * this.network.latencyMs) / 1000,
+      });
+      report.set("CL0", {
+        id: "CL0",
+        type: "local-candidate",
+        timestamp,
+        ...candidate,
+      });
+      report.set("CR0", {
+        id: "CR0",
+        type: "remote-candidate",
+        timestamp,
+        ...candidate,
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Close the connection. Local channels close silently; the other end sees its
+   * channels close and the connection drop to "disconnected".
+   */
+  close() {
+    if (this.signalingState === "closed") return;
+    this.signalingState = "closed";
+    this.connectionState = "closed";
+    this.iceConnectionState = "closed";
+    this.linkUp = false;
+    this.held = [];
+    this.channels.forEach((channel) => {
+      channel.readyState = "closed";
+      channel.bufferedAmount = 0;
+    });
+    this.network.unregister(this);
+
+    const peer = this.peer;
+    this.peer = null;
+    if (peer) this.network.deliver(() => peer.handlePeerClosed(this));
+  }
+
+  /**
+   * Send a delivery over the link, or hold it while the link is down.
+   *
+   * @private
+   * @param {function():void} delivery
+   */
+  transmit(delivery) {
+    if (this.linkUp) {
+      this.network.deliver(delivery);
+    } else {
+      this.held.push(delivery);
+    }
+  }
+
+  /**
+   * Bring the link down without closing anything (see `LoopbackNetwork#interrupt`).
+   *
+   * @private
+   */
+  interrupt() {
+    if (!this.linkUp) return;
+    this.linkUp = false;
+    this.setConnectionState("disconnected");
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  describe() {
+    return [
+      "v=0",
+      `o=- ${this.id} ${this.iceGeneration} IN IP4 127.0.0.1`,
+      "s=-",
+      "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+      `a=ice-ufrag:${this.id}-${this.iceGeneration}`,
+      `a=fingerprint:${this.fingerprint}`,
+      "",
+    ].join("\r\n");
+  }
+
+  /**
+   * @private
+   */
+  assertNotClosed() {
+    if (this.signalingState === "closed") {
+      throw new DOMException("The connection is closed", "InvalidStateError");
+    }
+  }
+
+  /**
+   * @private
+   * @param {RTCSignalingState} state
+   */
+  setSignalingState(state) {
+    if (this.signalingState === state) return;
+    this.signalingState = state;
+    fire(this, new Event("signalingstatechange"));
+  }
+
+  /**
+   * @private
+   * @param {RTCPeerConnectionState} state
+   */
+  setConnectionState(state) {
+    if (this.connectionState === state) return;
+    this.connectionState = state;
+    this.iceConnectionState = state === "connecting" ? "checking" : state;
+    fire(this, new Event("iceconnectionstatechange"));
+    fire(this, new Event("connectionstatechange"));
+  }
+
+  /**
+   * An offer/answer exchange finished.
+   *
+   * @private
+   */
+  completeNegotiation() {
+    this.stableLocalDescription = this.localDescription;
+    this.sctp = this.sctp || { maxMessageSize: this.network.maxMessageSize };
+    this.setSignalingState("stable");
+    if (this.connectionState === "new") this.setConnectionState("connecting");
+    this.tryConnect();
+  }
+
+  /**
+   * Announce one local candidate per ICE generation, then the end of candidates.
+   *
+   * @private
+   */
+  gatherCandidates() {
+    if (this.gatheredGeneration === this.localGeneration) return;
+    this.gatheredGeneration = this.localGeneration;
+    const ufrag = `${this.id}-${this.localGeneration}`;
+    const candidate = {
+      candidate: `candidate:1 1 udp 2122260223 127.0.0.1 9 typ host ufrag ${ufrag}`,
+      sdpMid: "0",
+      sdpMLineIndex: 0,
+      usernameFragment: ufrag,
+    };
+    setTimeout(() => {
+      if (this.signalingState === "closed") return;
+      fire(this, createEvent("icecandidate", { candidate }));
+      fire(this, createEvent("icecandidate", { candidate: null }));
+    }, 0);
+  }
+
+  /**
+   * Fire negotiationneeded once the current operations settle, unless a description
+   * exchange has set up the transport in the meantime.
+   *
+   * @private
+   */
+  queueNegotiationNeeded() {
+    if (this.negotiationQueued) return;
+    this.negotiationQueued = true;
+    setTimeout(() => {
+      this.negotiationQueued = false;
+      if (this.signalingState === "stable" && !this.sctp) {
+        fire(this, new Event("negotiationneeded"));
+      }
+    }, 0);
+  }
+
+  /**
+   * Whether this side has everything it needs to (re)establish the link.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  isReady() {
+    return (
+      this.signalingState === "stable" &&
+      !!this.remoteInfo &&
+      this.localGeneration >= 0 &&
+      this.remoteCandidateGeneration === this.remoteInfo.generation
+    );
+  }
+
+  /**
+   * Link up with the other side once both are ready for the same ICE generations.
+   *
+   * @private
+   */
+  tryConnect() {
+    if (!this.isReady()) return;
+    const peer = this.network.lookup(this.remoteInfo.id);
+    if (
+      !peer ||
+      !peer.isReady() ||
+      peer.remoteInfo.id !== this.id ||
+      peer.remoteInfo.generation !== this.localGeneration ||
+      this.remoteInfo.generation !== peer.localGeneration
+    ) {
+      return;
+    }
+    this.network.deliver(() => this.linkWith(peer));
+  }
+
+  /**
+   * @private
+   * @param {LoopbackPeerConnection} peer
+   */
+  linkWith(peer) {
+    if (
+      this.signalingState === "closed" ||
+      peer.signalingState === "closed" ||
+      (this.linkUp && peer.linkUp && this.peer === peer)
+    ) {
+      return;
+    }
+    this.peer = peer;
+    peer.peer = this;
+    for (const side of [this, peer]) {
+      side.linkUp = true;
+      side.setConnectionState("connected");
+      const held = side.held;
+      side.held = [];
+      held.forEach((delivery) => side.network.deliver(delivery));
+    }
+    this.pairChannels();
+  }
+
+  /**
+   * Pair up the channels of both sides and open them: pre-negotiated ones by id,
+   * in-band ones by announcing them to the other side (datachannel event).
+   *
+   * @private
+   */
+  pairChannels() {
+    const peer = this.peer;
+    if (!peer || !this.linkUp) return;
+
+    for (const [side, other] of [
+      [this, peer],
+      [peer, this],
+    ]) {
+      for (const channel of side.channels) {
+        if (channel.remote || channel.readyState !== "connecting") continue;
+
+        if (channel.negotiated) {
+          const match = other.channels.find(
+            (c) =>
+              c.negotiated &&
+              !c.remote &&
+              c.id === channel.id &&
+              c.readyState === "connecting",
+          );
+          if (!match) continue;
+          channel.remote = match;
+          match.remote = channel;
+        } else {
+          if (channel.id === null) channel.id = this.nextStreamId();
+          const twin = new LoopbackDataChannel(other, channel.label, {
+            id: channel.id,
+            ordered: channel.ordered,
+            maxRetransmits: channel.maxRetransmits ?? undefined,
+            maxPacketLifeTime: channel.maxPacketLifeTime ?? undefined,
+            protocol: channel.protocol,
+          });
+          twin.remote = channel;
+          channel.remote = twin;
+          other.channels.push(twin);
+          fire(other, createEvent("datachannel", { channel: twin }));
+        }
+        channel.open();
+        channel.remote.open();
+      }
+    }
+  }
+
+  /**
+   * Lowest stream id not used by either side.
+   *
+   * @private
+   * @returns {number}
+   */
+  nextStreamId() {
+    const used = new Set(
+      [...this.channels, ...(this.peer ? this.peer.channels : [])].map(
+        (channel) => channel.id,
+      ),
+    );
+    let id = 1;
+    while (used.has(id)) id += 1;
+    return id;
+  }
+
+  /**
+   * @private
+   * @param {LoopbackPeerConnection} peer
+   */
+  handlePeerClosed(peer) {
+    if (this.peer !== peer || this.signalingState === "closed") return;
+    this.linkUp = false;
+    this.held = [];
+    this.channels.forEach((channel) => {
+      if (channel.remote && channel.remote.connection === peer) {
+        channel.finishClose();
+      }
+    });
+    this.setConnectionState("disconnected");
+  }
+}
+
+/**
+ * LoopbackNetwork
+ *
+ * Creates LoopbackPeerConnections that can reach each other, for running the full
+ * offer/answer/ICE/data channel flow without a browser. Everything crosses the
+ * "network" asynchronously after `latencyMs`.
+ *
+ * Usage:
+ * const network = new LoopbackNetwork();
+ * const a = new P2PConnection({ peerConnectionFactory: (config) => network.createPeerConnection(config) });
+ * const b = new P2PConnection({ peerConnectionFactory: (config) => network.createPeerConnection(config), polite: false });
+ * // wire a's offer/candidates to b and b's answer/candidates to a, then a.initiate()
+ */
+export class LoopbackNetwork {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.latencyMs=0] - One-way delay of every delivery.
+   * @param {number} [opts.maxMessageSize=262144] - Largest data channel message, advertised as `sctp.maxMessageSize`.
+   */
+  constructor(opts = {}) {
+    /** @type {number} */
+    this.latencyMs = opts.latencyMs ?? 0;
+
+    /** @type {number} */
+    this.maxMessageSize = opts.maxMessageSize ?? 256 * 1024;
+
+    /**
+     * Open connections by id.
+     * @type {Map<string, LoopbackPeerConnection>}
+     * @private
+     */
+    this.connections = new Map();
+
+    /** @type {number} @private */
+    this.nextId = 1;
+  }
+
+  /**
+   * Create a connection on this network; usable as a `peerConnectionFactory`.
+   *
+   * @param {RTCConfiguration} [config]
+   * @returns {LoopbackPeerConnection}
+   */
+  createPeerConnection(config) {
+    return new LoopbackPeerConnection(this, config);
+  }
+
+  /**
+   * Simulate a network outage between a connection and the one it is linked to: both
+   * go "disconnected", their channels stay open and messages wait until an ICE restart
+   * links them up again.
+   *
+   * @param {LoopbackPeerConnection} connection
+   */
+  interrupt(connection) {
+    const peer = connection.peer;
+    connection.interrupt();
+    peer?.interrupt();
+  }
+
+  /**
+   * @private
+   * @param {LoopbackPeerConnection} connection
+   * @returns {string} The connection's id.
+   */
+  register(connection) {
+    const id = `loopback-${this.nextId++}`;
+    this.connections.set(id, connection);
+    return id;
+  }
+
+  /**
+   * @private
+   * @param {LoopbackPeerConnection} connection
+   */
+  unregister(connection) {
+    this.connections.delete(connection.id);
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @returns {LoopbackPeerConnection|undefined}
+   */
+  lookup(id) {
+    return this.connections.get(id);
+  }
+
+  /**
+   * @private
+   * @param {function():void} delivery
+   */
+  deliver(delivery) {
+    setTimeout(delivery, this.latencyMs);
+  }
+}
+
+/**
+ * LoopbackWebSocket
+ *
+ * In-memory WebSocket connected to a LoopbackSignalingHub. Created through
+ * `LoopbackSignalingHub#createWebSocket`.
+ */
+export class LoopbackWebSocket extends EventTarget {
+  /**
+   * @param {LoopbackSignalingHub} hub
+   * @param {string} url - Kept for reference; every socket reaches the same hub.
+   */
+  constructor(hub, url) {
+    super();
+
+    /** @type {LoopbackSignalingHub} @private */
+    this.hub = hub;
+
+    /** @type {string} */
+    this.url = url;
+
+    /** @type {number} */
+    this.readyState = READY_STATE.CONNECTING;
+
+    /**
+     * Id the hub assigned to this socket.
+     * @type {string|null}
+     */
+    this.id = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onopen = null;
+
+    /** @type {((event: MessageEvent) => void)|null} */
+    this.onmessage = null;
+
+    /** @type {((event: Event & {code: number, reason: string, wasClean: boolean}) => void)|null} */
+    this.onclose = null;
+
+    /** @type {((event: Event) => void)|null} */
+    this.onerror = null;
+
+    hub.join(this);
+  }
+
+  /**
+   * @param {string} data
+   * @throws {DOMException} While still connecting.
+   */
+  send(data) {
+    if (this.readyState === READY_STATE.CONNECTING) {
+      throw new DOMException(
+        "WebSocket is still connecting",
+        "InvalidStateError",
+      );
+    }
+    if (this.readyState !== READY_STATE.OPEN) return;
+    this.hub.route(this, String(data));
+  }
+
+  /**
+   * @param {number} [code=1000]
+   * @param {string} [reason=""]
+   */
+  close(code = 1000, reason = "") {
+    if (this.readyState >= READY_STATE.CLOSING) return;
+    this.readyState = READY_STATE.CLOSING;
+    this.hub.deliver(() => {
+      this.hub.leave(this);
+      this.finishClose(code, reason, true);
+    });
+  }
+
+  /**
+   * @private
+   */
+  open() {
+    if (this.readyState !== READY_STATE.CONNECTING) return;
+    this.readyState = READY_STATE.OPEN;
+    fire(this, new Event("open"));
+  }
+
+  /**
+   * @private
+   * @param {string} data
+   */
+  receive(data) {
+    if (this.readyState !== READY_STATE.OPEN) return;
+    fire(this, new MessageEvent("message", { data }));
+  }
+
+  /**
+   * @private
+   * @param {number} code
+   * @param {string} reason
+   * @param {boolean} wasClean
+   */
+  finishClose(code, reason, wasClean) {
+    if (this.readyState === READY_STATE.CLOSED) return;
+    this.readyState = READY_STATE.CLOSED;
+    fire(this, createEvent("close", { code, reason, wasClean }));
+  }
+}
+
+/**
+ * LoopbackSignalingHub
+ *
+ * In-memory stand-in for the signaling server (examples/server.cjs), with the same
+ * protocol: each socket is sent `{ type: "id", id }` when it connects, messages with a
+ * `to` field are forwarded to that client with `from` added (or answered with a
+ * `target-unavailable` error), others are broadcast, and a leaving client is
+ * announced with `{ type: "peer-left", id }`.
+ *
+ * Usage:
+ * const hub = new LoopbackSignalingHub();
+ * const client = new P2PSignalingClient("ws://loopback", {
+ *   webSocketFactory: (url) => hub.createWebSocket(url),
+ *   peerConnectionFactory: (config) => network.createPeerConnection(config),
+ * });
+ */
+export class LoopbackSignalingHub {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.latencyMs=0] - Delay of every delivery.
+   */
+  constructor(opts = {}) {
+    /** @type {number} */
+    this.latencyMs = opts.latencyMs ?? 0;
+
+    /**
+     * Connected sockets by assigned id.
+     * @type {Map<string, LoopbackWebSocket>}
+     * @private
+     */
+    this.clients = new Map();
+
+    /** @type {number} @private */
+    this.nextId = 1;
+  }
+
+  /**
+   * Open a socket to the hub; usable as a `webSocketFactory`.
+   *
+   * @param {string} [url]
+   * @returns {LoopbackWebSocket}
+   */
+  createWebSocket(url = "ws://loopback") {
+    return new LoopbackWebSocket(this, url);
+  }
+
+  /**
+   * Ids of the connected clients (what the server's /status reports).
+   *
+   * @returns {Array<string>}
+   */
+  peerIds() {
+    return [...this.clients.keys()];
+  }
+
+  /**
+   * Drop a client as if its connection broke: it gets an unclean close (1006) and the
+   * others a `peer-left`.
+   *
+   * @param {string} id
+   */
+  disconnect(id) {
+    const socket = this.clients.get(id);
+    if (!socket) return;
+    this.leave(socket);
+    this.deliver(() => socket.finishClose(1006, "", false));
+  }
+
+  /**
+   * @private
+   * @param {LoopbackWebSocket} socket
+   */
+  join(socket) {
+    this.deliver(() => {
+      if (socket.readyState !== READY_STATE.CONNECTING) return;
+      const id = `peer-${this.nextId++}`;
+      socket.id = id;
+      this.clients.set(id, socket);
+      socket.open();
+      this.deliver(() => socket.receive(JSON.stringify({ type: "id", id })));
+    });
+  }
+
+  /**
+   * @private
+   * @param {LoopbackWebSocket} socket
+   */
+  leave(socket) {
+    if (this.clients.get(socket.id) !== socket) return;
+    this.clients.delete(socket.id);
+    this.broadcast(JSON.stringify({ type: "peer-left", id: socket.id }), null);
+  }
+
+  /**
+   * @private
+   * @param {LoopbackWebSocket} socket
+   * @param {string} raw
+   */
+  route(socket, raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      this.broadcast(raw, socket.id);
+      return;
+    }
+
+    const forward = JSON.stringify({ ...parsed, from: socket.id });
+    if (!parsed.to) {
+      this.broadcast(forward, socket.id);
+      return;
+    }
+    const target = this.clients.get(String(parsed.to));
+    if (target) {
+      this.deliver(() => target.receive(forward));
+    } else {
+      const error = {
+        type: "error",
+        message: "target-unavailable",
+        to: parsed.to,
+      };
+      this.deliver(() => socket.receive(JSON.stringify(error)));
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} message
+   * @param {string|null} exceptId
+   */
+  broadcast(message, exceptId) {
+    for (const [id, socket] of this.clients) {
+      if (id !== exceptId) this.deliver(() => socket.receive(message));
+    }
+  }
+
+  /**
+   * @private
+   * @param {function():void} delivery
+   */
+  deliver(delivery) {
+    setTimeout(delivery, this.latencyMs);
+  }
+}
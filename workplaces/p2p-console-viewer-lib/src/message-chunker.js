@@ -0,0 +1,329 @@
+import { Logger } from "./utils/logger.js";
+
+/**
+ * Leading bytes of every chunk frame ("P2PC").
+ * @type {Uint8Array}
+ */
+const MAGIC = new Uint8Array([0x50, 0x32, 0x50, 0x43]);
+
+/**
+ * Magic + uint16 header length.
+ * @type {number}
+ */
+const PREFIX_BYTES = MAGIC.length + 2;
+
+/**
+ * Room reserved for the JSON chunk header when sizing payload slices.
+ * @type {number}
+ */
+const HEADER_RESERVE = 160;
+
+/**
+ * Header carried by every chunk frame.
+ * @typedef {Object} ChunkHeader
+ * @property {string} id - Id shared by all chunks of one message.
+ * @property {number} seq - Chunk index, from 0.
+ * @property {number} total - Number of chunks.
+ * @property {number} size - Byte length of the whole message.
+ * @property {number} offset - Byte offset of this chunk's payload.
+ * @property {boolean} text - True when the message was a string (UTF-8 encoded for transport).
+ */
+
+/**
+ * A message being reassembled.
+ * @typedef {Object} PendingMessage
+ * @property {Uint8Array} bytes
+ * @property {number} received - Chunks received so far.
+ * @property {number} total
+ * @property {boolean} text
+ * @property {ReturnType<typeof setTimeout>} timer - Inactivity timeout.
+ */
+
+/**
+ * View any binary payload as bytes without copying.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * MessageChunker
+ *
+ * Splits messages larger than the data channel's `maxMessageSize` into sequenced
+ * binary chunk frames and reassembles them on the receiving side, so callers of
+ * `P2PConnection.send` / `onMessage` never see the fragmentation.
+ *
+ * Strings are sent as UTF-8 and come back as strings; binary payloads come back as
+ * an ArrayBuffer. Partial messages are dropped after `reassemblyTimeoutMs` without a
+ * new chunk, or when accepting them would exceed `maxPendingBytes`.
+ */
+export class MessageChunker {
+  /**
+   * Create a MessageChunker.
+   *
+   * @param {Object} [opts]
+   * @param {number} [opts.reassemblyTimeoutMs=30000] - Drop a partial message after this long without a chunk.
+   * @param {number} [opts.maxPendingBytes=33554432] - Upper bound on bytes held for partial messages.
+   * @param {Logger} [opts.logger] - Receives warnings about dropped partial messages.
+   */
+  constructor(opts = {}) {
+    /** @type {number} */
+    this.reassemblyTimeoutMs = opts.reassemblyTimeoutMs ?? 30000;
+
+    /** @type {number} */
+    this.maxPendingBytes = opts.maxPendingBytes ?? 32 * 1024 * 1024;
+
+    /** @type {Logger} */
+    this.logger = opts.logger || new Logger();
+
+    /**
+     * Partial messages by id.
+     * @type {Map<string, PendingMessage>}
+     * @private
+     */
+    this.pending = new Map();
+
+    /**
+     * Bytes allocated for partial messages.
+     * @type {number}
+     */
+    this.pendingBytes = 0;
+
+    /**
+     * Ids of messages dropped for size; their remaining chunks are ignored quietly.
+     * Forgotten after the last chunk, or `reassemblyTimeoutMs` without one.
+     * @type {Map<string, ReturnType<typeof setTimeout>>}
+     * @private
+     */
+    this.rejected = new Map();
+
+    /** @private */
+    this.idPrefix = Math.random().toString(36).slice(2, 8);
+
+    /** @private */
+    this.nextId = 0;
+  }
+
+  /**
+   * Split a message into frames no larger than `maxBytes`.
+   *
+   * Messages that already fit are returned unchanged as the only frame, except binary
+   * ones that start like a chunk frame: those are wrapped in chunks so the receiver
+   * doesn't mistake them for one.
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView} data
+   * @param {number} maxBytes - Largest frame the channel accepts.
+   * @returns {Array<string|ArrayBuffer|ArrayBufferView>}
+   */
+  split(data, maxBytes) {
+    const text = typeof data === "string";
+    // UTF-8 needs at most 3 bytes per UTF-16 code unit; skip encoding short strings
+    if (text && data.length * 3 <= maxBytes) return [data];
+
+    const bytes = text ? new TextEncoder().encode(data) : toBytes(data);
+    if (
+      bytes.byteLength <= maxBytes &&
+      (text || !MessageChunker.isChunk(data))
+    ) {
+      return [data];
+    }
+
+    const sliceBytes = maxBytes - PREFIX_BYTES - HEADER_RESERVE;
+    if (sliceBytes <= 0) {
+      throw new Error(`maxBytes ${maxBytes} is too small to carry chunks`);
+    }
+
+    const id = `${this.idPrefix}-${this.nextId++}`;
+    const total = Math.ceil(bytes.byteLength / sliceBytes);
+    const frames = [];
+    for (let seq = 0; seq < total; seq++) {
+      const offset = seq * sliceBytes;
+      frames.push(
+        this.encodeFrame(
+          { id, seq, total, size: bytes.byteLength, offset, text },
+          bytes.subarray(offset, offset + sliceBytes),
+        ),
+      );
+    }
+    return frames;
+  }
+
+  /**
+   * Build a chunk frame: magic, uint16 header length, JSON header, payload.
+   *
+   * @private
+   * @param {ChunkHeader} header
+   * @param {Uint8Array} payload
+   * @returns {Uint8Array}
+   */
+  encodeFrame(header, payload) {
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const frame = new Uint8Array(
+      PREFIX_BYTES + headerBytes.byteLength + payload.byteLength,
+    );
+    frame.set(MAGIC, 0);
+    new DataView(frame.buffer).setUint16(MAGIC.length, headerBytes.byteLength);
+    frame.set(headerBytes, PREFIX_BYTES);
+    frame.set(payload, PREFIX_BYTES + headerBytes.byteLength);
+    return frame;
+  }
+
+  /**
+   * Whether incoming data is a chunk frame.
+   *
+   * @param {*} data
+   * @returns {boolean}
+   */
+  static isChunk(data) {
+    if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data))
+      return false;
+    const bytes = toBytes(data);
+    return (
+      bytes.byteLength > PREFIX_BYTES &&
+      MAGIC.every((byte, i) => bytes[i] === byte)
+    );
+  }
+
+  /**
+   * Feed incoming data through reassembly.
+   *
+   * @param {*} data - Raw data from the channel.
+   * @returns {*} The data itself when it isn't a chunk, the reassembled message once
+   *   its last chunk arrives, or null while chunks are outstanding (or were dropped).
+   */
+  accept(data) {
+    if (!MessageChunker.isChunk(data)) return data;
+
+    const bytes = toBytes(data);
+    let header;
+    let payload;
+    try {
+      const headerLength = new DataView(
+        bytes.buffer,
+        bytes.byteOffset,
+      ).getUint16(MAGIC.length);
+      header = JSON.parse(
+        new TextDecoder().decode(
+          bytes.subarray(PREFIX_BYTES, PREFIX_BYTES + headerLength),
+        ),
+      );
+      payload = bytes.subarray(PREFIX_BYTES + headerLength);
+      if (!Number.isInteger(header.size) || header.size < 0) {
+        throw new Error(`invalid size ${header.size}`);
+      }
+    } catch (e) {
+      this.logger.warn("Discarding malformed chunk:", e);
+      return null;
+    }
+
+    if (this.rejected.has(header.id)) {
+      if (header.seq === header.total - 1) {
+        this.forgetRejected(header.id);
+      } else {
+        this.reject(header.id);
+      }
+      return null;
+    }
+
+    let entry = this.pending.get(header.id);
+    if (!entry) {
+      if (this.pendingBytes + header.size > this.maxPendingBytes) {
+        this.logger.warn(
+          `Dropping chunked message ${header.id}: ${header.size} bytes exceeds the reassembly limit`,
+        );
+        if (header.total > 1) this.reject(header.id);
+        return null;
+      }
+      entry = {
+        bytes: new Uint8Array(header.size),
+        received: 0,
+        total: header.total,
+        text: !!header.text,
+        timer: null,
+      };
+      this.pending.set(header.id, entry);
+      this.pendingBytes += header.size;
+    }
+
+    if (header.offset + payload.byteLength > entry.bytes.byteLength) {
+      this.logger.warn(
+        `Dropping chunked message ${header.id}: chunk out of range`,
+      );
+      this.discard(header.id);
+      return null;
+    }
+    entry.bytes.set(payload, header.offset);
+    entry.received += 1;
+
+    clearTimeout(entry.timer);
+    if (entry.received < entry.total) {
+      entry.timer = setTimeout(() => {
+        this.logger.warn(
+          `Dropping chunked message ${header.id}: ${entry.received}/${entry.total} chunks before timeout`,
+        );
+        this.discard(header.id);
+      }, this.reassemblyTimeoutMs);
+      return null;
+    }
+
+    this.discard(header.id);
+    return entry.text
+      ? new TextDecoder().decode(entry.bytes)
+      : entry.bytes.buffer;
+  }
+
+  /**
+   * Ignore the remaining chunks of a dropped message until the last one arrives or
+   * none did for `reassemblyTimeoutMs` (it may be lost, or overtaken on an unordered channel).
+   *
+   * @private
+   * @param {string} id
+   */
+  reject(id) {
+    clearTimeout(this.rejected.get(id));
+    this.rejected.set(
+      id,
+      setTimeout(() => this.rejected.delete(id), this.reassemblyTimeoutMs),
+    );
+  }
+
+  /**
+   * Stop ignoring chunks of a dropped message.
+   *
+   * @private
+   * @param {string} id
+   */
+  forgetRejected(id) {
+    clearTimeout(this.rejected.get(id));
+    this.rejected.delete(id);
+  }
+
+  /**
+   * Forget a partial message and release its memory.
+   *
+   * @private
+   * @param {string} id
+   */
+  discard(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.pendingBytes -= entry.bytes.byteLength;
+    this.pending.delete(id);
+  }
+
+  /**
+   * Drop every partial message (e.g. when the channel closes).
+   */
+  clear() {
+    for (const id of [...this.pending.keys()]) this.discard(id);
+    for (const id of [...this.rejected.keys()]) this.forgetRejected(id);
+  }
+}
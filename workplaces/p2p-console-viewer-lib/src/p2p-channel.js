@@ -0,0 +1,295 @@
+import { MessageChunker } from "./message-chunker.js";
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Settings of a named data channel.
+ * @typedef {Object} ChannelConfig
+ * @property {string} label - Name the receiving side routes by.
+ * @property {boolean} [ordered=true] - Deliver messages in the order they were sent.
+ * @property {number} [maxRetransmits] - Best effort: give up on a message after this many retransmissions.
+ * @property {number} [maxPacketLifeTime] - Best effort: give up on a message after this many milliseconds.
+ * @property {number} [id] - Pre-negotiate the channel with this stream id instead of announcing it in-band;
+ *   both peers must declare it with the same id. Id 0 is taken by the connection's main channel.
+ * @property {string} [protocol] - Sub-protocol name reported to the remote side.
+ */
+
+/**
+ * Turn a message into what a data channel can send: strings and binary as they are,
+ * anything else as JSON.
+ *
+ * @param {string|Object|ArrayBuffer|ArrayBufferView} message
+ * @returns {string|ArrayBuffer|ArrayBufferView}
+ */
+export function serializeMessage(message) {
+  return typeof message === "string" ||
+    message instanceof ArrayBuffer ||
+    ArrayBuffer.isView(message)
+    ? message
+    : JSON.stringify(message);
+}
+
+/**
+ * Whether a message is a Blob (or File), which has to be read before it can be chunked.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isBlob(message) {
+  return typeof Blob !== "undefined" && message instanceof Blob;
+}
+
+/**
+ * Where `sendOverChannel` sends: a data channel with its chunker, on a connection.
+ * @typedef {Object} ChannelTarget
+ * @property {function():(RTCDataChannel|null)} channel - Current channel; read again after a Blob was read,
+ *   as the channel may have been replaced meanwhile.
+ * @property {MessageChunker} chunker
+ * @property {import("./p2p-connection.js").P2PConnection} connection - Provides the logger, the frame size limit
+ *   and the negotiated features.
+ * @property {string} name - How log messages refer to the channel.
+ */
+
+/**
+ * Send a message on a data channel, split into frames no larger than the connection
+ * allows. Shared by the main channel (`P2PConnection#send`) and named channels.
+ *
+ * Blobs are read first and sent asynchronously, so messages sent meanwhile go out
+ * before them.
+ *
+ * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message
+ * @param {ChannelTarget} target
+ * @returns {boolean} True if the message was handed to the channel.
+ */
+export function sendOverChannel(message, target) {
+  const { connection, chunker, name } = target;
+  const channel = target.channel();
+  if (!channel || channel.readyState !== "open") {
+    connection.logger.warn(
+      `${name} is not open. Current state:`,
+      channel ? channel.readyState : "none",
+    );
+    return false;
+  }
+
+  if (isBlob(message)) {
+    message.arrayBuffer().then(
+      (buffer) => sendOverChannel(buffer, target),
+      (error) =>
+        connection.logger.error(`Failed to read Blob for ${name}:`, error),
+    );
+    return true;
+  }
+
+  const data = serializeMessage(message);
+  const protocol = connection.protocol;
+  try {
+    const maxBytes = connection.getMaxMessageSize();
+    const frames = chunker.split(data, maxBytes);
+    const chunked = frames.length > 1 || frames[0] !== data;
+    if (chunked && protocol && !protocol.features.chunking) {
+      throw new Error(
+        `message must be chunked (limit ${maxBytes} bytes) and the peer does not support chunking`,
+      );
+    }
+    frames.forEach((frame) => channel.send(frame));
+  } catch (error) {
+    connection.logger.error(`Failed to send on ${name}:`, error);
+    return false;
+  }
+  connection.logger.debug(`Message sent on ${name}:`, data);
+  return true;
+}
+
+/**
+ * Handler arguments of each P2PChannel event (see EventEmitter).
+ * @typedef {Object} P2PChannelEvents
+ * @property {[string|ArrayBuffer]} message
+ * @property {[]} open
+ * @property {[]} close
+ */
+
+/**
+ * P2PChannel
+ *
+ * One named data channel of a P2PConnection, besides the connection's main channel.
+ * It survives renegotiation and reconnection: handlers registered on it stay in place
+ * while the underlying RTCDataChannel is replaced.
+ *
+ * Usage:
+ * const p2p = new P2PConnection({ channels: [{ label: "debug", ordered: false, maxRetransmits: 0 }] });
+ * p2p.channel("debug").onMessage((data) => { ... });
+ * p2p.channel("debug").send({ text: "cheap to lose" });
+ *
+ * @extends {EventEmitter<P2PChannelEvents>}
+ */
+export class P2PChannel extends EventEmitter {
+  /**
+   * @param {ChannelConfig} config
+   * @param {import("./p2p-connection.js").P2PConnection} connection - Owner; provides the logger, frame size limit and negotiated features.
+   * @param {Object} [chunkerOptions] - Passed to this channel's MessageChunker.
+   */
+  constructor(config, connection, chunkerOptions = {}) {
+    super();
+
+    /** @type {string} */
+    this.label = config.label;
+
+    /** @type {ChannelConfig} */
+    this.config = config;
+
+    /**
+     * @type {import("./p2p-connection.js").P2PConnection}
+     * @private
+     */
+    this.connection = connection;
+
+    /**
+     * The underlying channel (null until opened or received).
+     * @type {RTCDataChannel|null}
+     */
+    this.channel = null;
+
+    /**
+     * @type {MessageChunker}
+     * @private
+     */
+    this.chunker = new MessageChunker({
+      ...chunkerOptions,
+      logger: connection.logger,
+    });
+  }
+
+  /**
+   * `RTCDataChannelInit` for this channel's config.
+   *
+   * @returns {RTCDataChannelInit}
+   */
+  toChannelInit() {
+    const { ordered, maxRetransmits, maxPacketLifeTime, id, protocol } =
+      this.config;
+    const init = {};
+    if (ordered !== undefined) init.ordered = ordered;
+    if (maxRetransmits !== undefined) init.maxRetransmits = maxRetransmits;
+    if (maxPacketLifeTime !== undefined) {
+      init.maxPacketLifeTime = maxPacketLifeTime;
+    }
+    if (protocol !== undefined) init.protocol = protocol;
+    if (id !== undefined) {
+      init.negotiated = true;
+      init.id = id;
+    }
+    return init;
+  }
+
+  /**
+   * Whether the channel is announced in-band rather than pre-negotiated.
+   *
+   * @returns {boolean}
+   */
+  isInBand() {
+    return this.config.id === undefined;
+  }
+
+  /**
+   * Take over an RTCDataChannel (created locally or received from the peer).
+   *
+   * @param {RTCDataChannel} channel
+   */
+  attach(channel) {
+    this.detach();
+    this.channel = channel;
+    channel.binaryType = "arraybuffer";
+    const logger = this.connection.logger;
+
+    channel.onopen = () => {
+      logger.info(`Data channel "${this.label}" opened`);
+      this.emit("open");
+    };
+
+    channel.onclose = () => {
+      logger.info(`Data channel "${this.label}" closed`);
+      this.chunker.clear();
+      this.emit("close");
+    };
+
+    channel.onerror = (error) => {
+      logger.error(`Data channel "${this.label}" error:`, error);
+    };
+
+    channel.onmessage = (event) => {
+      const data = this.chunker.accept(event.data);
+      if (data === null) return;
+      this.emit("message", data);
+    };
+  }
+
+  /**
+   * Send a message on this channel; large messages are chunked like on the main channel.
+   *
+   * On a best-effort channel a message is lost when any of its chunks is. Blobs are
+   * read first and sent asynchronously, so messages sent meanwhile go out before them.
+   *
+   * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message
+   * @returns {boolean} True if the message was handed to the channel.
+   */
+  send(message) {
+    return sendOverChannel(message, {
+      channel: () => this.channel,
+      chunker: this.chunker,
+      connection: this.connection,
+      name: `data channel "${this.label}"`,
+    });
+  }
+
+  /**
+   * Whether the channel is open.
+   *
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!this.channel && this.channel.readyState === "open";
+  }
+
+  /**
+   * Register a message handler.
+   *
+   * @param {function(string|ArrayBuffer):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onMessage(handler) {
+    return this.on("message", handler);
+  }
+
+  /**
+   * Register a handler for the channel opening (again, after a renegotiation).
+   *
+   * @param {function():void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onOpen(handler) {
+    return this.on("open", handler);
+  }
+
+  /**
+   * Register a handler for the channel closing.
+   *
+   * @param {function():void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onClose(handler) {
+    return this.on("close", handler);
+  }
+
+  /**
+   * Close the underlying channel without firing close handlers; registered handlers stay.
+   */
+  detach() {
+    this.chunker.clear();
+    if (!this.channel) return;
+    this.channel.onopen = null;
+    this.channel.onclose = null;
+    this.channel.onmessage = null;
+    this.channel.close();
+    this.channel = null;
+  }
+}
@@ -1,15 +1,81 @@
+import { Logger } from "./utils/logger.js";
+import { MessageChunker } from "./message-chunker.js";
+import { P2PChannel, sendOverChannel } from "./p2p-channel.js";
+import {
+  ProtocolError,
+  createEnvelope,
+  createHello,
+  negotiate,
+  parseHandshake,
+} from "./protocol.js";
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Where connection recovery stands.
+ * @typedef {'idle'|'waiting'|'restarting-ice'|'renegotiating'|'gave-up'} RecoveryState
+ */
+
+/**
+ * Payload of a reconnecting event.
+ * @typedef {Object} ReconnectAttempt
+ * @property {number} attempt - 0 while waiting out a transient disconnect, then 1, 2, ...
+ * @property {'wait'|'ice-restart'|'renegotiate'} method
+ * @property {number} delayMs - How long until the next step if this one doesn't help.
+ */
+
+/**
+ * Handler arguments of each P2PConnection event (see EventEmitter).
+ * @typedef {Object} P2PConnectionEvents
+ * @property {[string|Object]} message
+ * @property {[]} connected
+ * @property {[]} disconnected
+ * @property {[RTCIceCandidate]} iceCandidate
+ * @property {[RTCSessionDescriptionInit]} offer
+ * @property {[RTCSessionDescriptionInit]} answer
+ * @property {[RTCDataChannel]} dataChannel
+ * @property {[]} channelOpen
+ * @property {[import("./protocol.js").NegotiatedProtocol]} protocolReady
+ * @property {[ProtocolError]} protocolError
+ * @property {[ReconnectAttempt]} reconnecting
+ * @property {[{attempts: number}]} reconnected
+ * @property {[{attempts: number}]} gaveUp
+ * @property {[]} closedByPeer
+ */
+
 /**
  * Simple WebRTC P2P Connection
  * Handles peer-to-peer connections with data channel for messaging
+ *
+ * @extends {EventEmitter<P2PConnectionEvents>}
  */
-export class P2PConnection {
+export class P2PConnection extends EventEmitter {
   /**
    * Create a new P2PConnection.
    *
    * @param {Object} [config={}] - Optional RTCPeerConnection configuration.
    * @param {Array<Object>} [config.iceServers] - STUN/TURN servers configuration.
+   * @param {Logger} [config.logger] - Logger for connection diagnostics (silent by default).
+   * @param {function(RTCConfiguration):RTCPeerConnection} [config.peerConnectionFactory] - Creates each
+   *   RTCPeerConnection; defaults to the global one. Inject e.g. `LoopbackNetwork#createPeerConnection` to run
+   *   without WebRTC.
+   * @param {boolean} [config.polite=true] - Perfect negotiation role: on colliding offers the polite side
+   *   yields to the remote offer, the impolite side ignores it. The two peers must disagree.
+   * @param {number} [config.maxChunkBytes=65536] - Messages above this (or the channel's `maxMessageSize`, if lower) are sent in chunks.
+   * @param {number} [config.reassemblyTimeoutMs=30000] - Drop a partially received message after this long without a chunk.
+   * @param {number} [config.maxReassemblyBytes=33554432] - Memory cap for partially received messages.
+   * @param {Array<import("./p2p-channel.js").ChannelConfig>} [config.channels] - Named data channels besides the main one,
+   *   e.g. a best-effort channel for verbose logs. Pre-negotiated ones (with `id`) are opened by both peers,
+   *   in-band ones by the impolite peer; declare the same channels on both sides.
+   * @param {boolean|Object} [config.reconnect=true] - Recover dropped connections; `false` disables it.
+   * @param {number} [config.reconnect.disconnectGraceMs=3000] - How long a "disconnected" state may last before recovery starts.
+   * @param {number} [config.reconnect.iceRestartAttempts=2] - Attempts made with an ICE restart before falling back to a full renegotiation.
+   * @param {number} [config.reconnect.maxAttempts=6] - Attempts before giving up.
+   * @param {number} [config.reconnect.backoffMs=1000] - Wait after the first attempt, doubled after each further one.
+   * @param {number} [config.reconnect.maxBackoffMs=30000] - Upper bound of the wait between attempts.
    */
   constructor(config = {}) {
+    super();
+
     // Default STUN servers for NAT traversal
     this.config = {
       iceServers: config.iceServers || [
@@ -18,6 +84,60 @@ export class P2PConnection {
       ],
     };
 
+    /**
+     * Where negotiation, ICE, data channel and handshake messages go.
+     * @type {Logger}
+     */
+    this.logger = config.logger || new Logger();
+
+    /**
+     * Creates the RTCPeerConnection whenever a new one is needed.
+     * @type {function(RTCConfiguration):RTCPeerConnection}
+     * @private
+     */
+    this.peerConnectionFactory =
+      config.peerConnectionFactory ||
+      ((rtcConfig) => new RTCPeerConnection(rtcConfig));
+
+    /**
+     * Largest frame handed to the data channel before chunking kicks in.
+     * @type {number}
+     */
+    this.maxChunkBytes = config.maxChunkBytes ?? 64 * 1024;
+
+    /**
+     * Splits oversized outgoing messages and reassembles incoming chunks.
+     * @type {MessageChunker}
+     * @private
+     */
+    this.chunker = new MessageChunker({
+      reassemblyTimeoutMs: config.reassemblyTimeoutMs,
+      maxPendingBytes: config.maxReassemblyBytes,
+      logger: this.logger,
+    });
+
+    /**
+     * Reassembly limits for the named channels' chunkers.
+     * @type {Object}
+     * @private
+     */
+    this.chunkerOptions = {
+      reassemblyTimeoutMs: config.reassemblyTimeoutMs,
+      maxPendingBytes: config.maxReassemblyBytes,
+    };
+
+    /**
+     * Named data channels by label (the main channel is not included).
+     * @type {Map<string, P2PChannel>}
+     */
+    this.channels = new Map();
+    (config.channels || []).forEach((channelConfig) =>
+      this.channels.set(
+        channelConfig.label,
+        new P2PChannel(channelConfig, this, this.chunkerOptions),
+      ),
+    );
+
     /**
      * @type {RTCPeerConnection|null}
      * @private
@@ -30,81 +150,204 @@ export class P2PConnection {
      */
     this.dataChannel = null;
 
+    /**
+     * Version and features agreed in the hello exchange (null until it completes).
+     * @type {import("./protocol.js").NegotiatedProtocol|null}
+     */
+    this.protocol = null;
+
+    /**
+     * The `hello` this side sent on the current channel.
+     * @type {import("./protocol.js").HelloBody|null}
+     * @private
+     */
+    this.localHello = null;
+
     /**
      * Whether this side created the offer (true if initiator).
      * @type {boolean}
      */
     this.isInitiator = false;
 
-    // Event handlers (arrays to allow multiple listeners)
-    /** @type {Array<function(string|Object):void>} */
-    this.onMessageHandlers = [];
-    /** @type {Array<function():void>} */
-    this.onConnectedHandlers = [];
-    /** @type {Array<function():void>} */
-    this.onDisconnectedHandlers = [];
-    /** @type {Array<function(RTCIceCandidate):void>} */
-    this.onIceCandidateHandlers = [];
-    /** @type {Array<function(RTCSessionDescriptionInit):void>} */
-    this.onOfferHandlers = [];
-    /** @type {Array<function(RTCSessionDescriptionInit):void>} */
-    this.onAnswerHandlers = [];
-    /** @type {Array<function(RTCDataChannel):void>} */
-    this.onDataChannelHandlers = [];
+    /**
+     * Perfect negotiation role (see the `polite` option).
+     * @type {boolean}
+     */
+    this.polite = config.polite ?? true;
+
+    /**
+     * Whether an offer of ours is being created and applied.
+     * @type {boolean}
+     * @private
+     */
+    this.makingOffer = false;
+
+    /**
+     * Whether the last remote offer was ignored (impolite side, colliding offer).
+     * Candidates belonging to it are expected to fail.
+     * @type {boolean}
+     * @private
+     */
+    this.ignoreOffer = false;
+
+    /**
+     * Remote ICE candidates received before the remote description was set.
+     * @type {Array<RTCIceCandidateInit>}
+     * @private
+     */
+    this.pendingCandidates = [];
+
+    /**
+     * Recovery settings, or null when reconnection is disabled.
+     * @type {{disconnectGraceMs: number, iceRestartAttempts: number, maxAttempts: number, backoffMs: number, maxBackoffMs: number}|null}
+     * @private
+     */
+    this.reconnect =
+      config.reconnect === false
+        ? null
+        : {
+            disconnectGraceMs: 3000,
+            iceRestartAttempts: 2,
+            maxAttempts: 6,
+            backoffMs: 1000,
+            maxBackoffMs: 30000,
+            ...(typeof config.reconnect === "object" ? config.reconnect : {}),
+          };
+
+    /**
+     * Current step of connection recovery.
+     * @type {RecoveryState}
+     */
+    this.recoveryState = "idle";
+
+    /**
+     * Whether the remote peer closed the current connection (see `onClosedByPeer`).
+     * @type {boolean}
+     * @private
+     */
+    this.peerClosed = false;
+
+    /**
+     * Recovery attempts made during the current outage.
+     * @type {number}
+     */
+    this.recoveryAttempts = 0;
+
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    this.recoveryTimer = null;
   }
 
   /**
    * Initialize as the connection initiator (creates offer).
    *
-   * - Creates RTCPeerConnection
-   * - Creates a data channel and attaches handlers
+   * - Creates RTCPeerConnection (with its data channel) unless a usable one exists
    * - Creates and sets local description (offer)
    * - Emits the offer via registered offer handlers
    *
+   * Calling it on an established connection renegotiates without tearing it down.
+   *
    * @returns {Promise<RTCSessionDescriptionInit>} The created SDP offer.
    */
   async initiate() {
     this.isInitiator = true;
-    this.createPeerConnection();
-
-    // Create data channel
-    this.dataChannel = this.peerConnection.createDataChannel("dataChannel");
-    this.setupDataChannel(this.dataChannel);
+    if (!this.hasUsablePeerConnection()) {
+      this.teardown();
+      this.createPeerConnection();
+    }
+    return this.makeOffer();
+  }
 
-    // Create and return offer
-    const offer = await this.peerConnection.createOffer();
-    await this.peerConnection.setLocalDescription(offer);
+  /**
+   * Create an offer, apply it locally and emit it via the offer handlers.
+   *
+   * @private
+   * @param {RTCOfferOptions} [options]
+   * @returns {Promise<RTCSessionDescriptionInit>}
+   */
+  async makeOffer(options) {
+    this.makingOffer = true;
+    try {
+      const offer = await this.peerConnection.createOffer(options);
+      await this.peerConnection.setLocalDescription(offer);
 
-    console.log("Created offer:", offer);
-    this.onOfferHandlers.forEach((handler) => handler(offer));
+      this.logger.debug("Created offer:", offer);
+      this.emit("offer", offer);
+      return offer;
+    } finally {
+      this.makingOffer = false;
+    }
+  }
 
-    return offer;
+  /**
+   * Whether the current RTCPeerConnection can still be negotiated on.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  hasUsablePeerConnection() {
+    return (
+      !!this.peerConnection &&
+      this.peerConnection.connectionState !== "failed" &&
+      this.peerConnection.connectionState !== "closed"
+    );
   }
 
   /**
-   * Initialize as the connection receiver (receives offer, creates answer).
+   * Initialize as the connection receiver (receives offer, creates answer), or answer
+   * a renegotiation on the current connection.
    *
-   * - Creates RTCPeerConnection
-   * - Sets the remote description (offer)
+   * - Creates RTCPeerConnection unless a usable one exists
+   * - On an offer collision (perfect negotiation) the impolite side ignores the offer;
+   *   the polite side rolls its own offer back and answers
+   * - Sets the remote description (offer); an offer that doesn't fit the current
+   *   connection (the initiator renegotiated from scratch) gets a new RTCPeerConnection
+   * - Adds ICE candidates that arrived early
    * - Creates and sets local description (answer)
    * - Emits the answer via registered answer handlers
    *
    * @param {RTCSessionDescriptionInit} offer - Remote SDP offer.
-   * @returns {Promise<RTCSessionDescriptionInit>} The created SDP answer.
+   * @returns {Promise<RTCSessionDescriptionInit|null>} The created SDP answer, or null when the offer was ignored.
    */
   async receiveOffer(offer) {
-    this.isInitiator = false;
-    this.createPeerConnection();
+    let fresh = false;
+    if (!this.hasUsablePeerConnection()) {
+      this.teardown();
+      this.createPeerConnection();
+      fresh = true;
+    }
 
-    await this.peerConnection.setRemoteDescription(
-      new RTCSessionDescription(offer),
-    );
+    const collision =
+      this.makingOffer || this.peerConnection.signalingState !== "stable";
+    this.ignoreOffer = !this.polite && collision;
+    if (this.ignoreOffer) {
+      this.logger.info("Ignoring colliding offer (impolite side)");
+      return null;
+    }
+    if (collision) {
+      this.logger.info("Offer collision: rolling back our offer (polite side)");
+    }
+    if (fresh || collision) this.isInitiator = false;
+
+    try {
+      await this.peerConnection.setRemoteDescription(offer);
+    } catch (error) {
+      if (fresh || collision) throw error;
+      this.logger.warn(
+        "Offer does not match the current connection, starting a new one:",
+        error,
+      );
+      this.isInitiator = false;
+      this.teardown();
+      this.createPeerConnection();
+      await this.peerConnection.setRemoteDescription(offer);
+    }
+    await this.flushCandidates();
 
     const answer = await this.peerConnection.createAnswer();
     await this.peerConnection.setLocalDescription(answer);
 
-    console.log("Created answer:", answer);
-    this.onAnswerHandlers.forEach((handler) => handler(answer));
+    this.logger.debug("Created answer:", answer);
+    this.emit("answer", answer);
 
     return answer;
   }
@@ -121,29 +364,58 @@ export class P2PConnection {
       throw new Error("Peer connection not initialized");
     }
 
-    await this.peerConnection.setRemoteDescription(
-      new RTCSessionDescription(answer),
-    );
-    console.log("Answer received and set");
+    // An answer to an offer we rolled back (or already settled) no longer applies
+    if (this.peerConnection.signalingState !== "have-local-offer") {
+      this.logger.debug(
+        "Ignoring answer in signaling state:",
+        this.peerConnection.signalingState,
+      );
+      return;
+    }
+
+    await this.peerConnection.setRemoteDescription(answer);
+    this.logger.debug("Answer received and set");
+    await this.flushCandidates();
   }
 
   /**
    * Add ICE candidate received from remote peer.
    *
+   * Candidates that arrive before the remote description is set are queued and
+   * added once it is.
+   *
    * @param {RTCIceCandidateInit} candidate - ICE candidate object.
    * @returns {Promise<void>}
-   * @throws {Error} If the peer connection is not initialized.
    */
   async addIceCandidate(candidate) {
-    if (!this.peerConnection) {
-      throw new Error("Peer connection not initialized");
+    if (!this.peerConnection || !this.peerConnection.remoteDescription) {
+      this.pendingCandidates.push(candidate);
+      this.logger.debug("ICE candidate queued:", candidate);
+      return;
     }
 
     try {
-      await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-      console.log("ICE candidate added:", candidate);
+      await this.peerConnection.addIceCandidate(candidate);
+      this.logger.debug("ICE candidate added:", candidate);
     } catch (error) {
-      console.error("Error adding ICE candidate:", error);
+      // Candidates of an offer we ignored are expected to fail
+      if (!this.ignoreOffer) {
+        this.logger.error("Error adding ICE candidate:", error);
+      }
+    }
+  }
+
+  /**
+   * Add the candidates queued while the remote description was missing.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async flushCandidates() {
+    const queued = this.pendingCandidates;
+    this.pendingCandidates = [];
+    for (const candidate of queued) {
+      await this.addIceCandidate(candidate);
     }
   }
 
@@ -153,198 +425,588 @@ export class P2PConnection {
    * - onicecandidate: emits candidate to registered handlers
    * - onconnectionstatechange: emits connected/disconnected events
    * - oniceconnectionstatechange: logs ICE state
-   * - ondatachannel: handles incoming data channels (for non-initiator)
+   * - onnegotiationneeded: sends a new offer (perfect negotiation)
+   * - ondatachannel: routes channels opened by the remote peer to the named channel
+   *   with the same label, then emits them to registered handlers
+   *
+   * The main data channel is pre-negotiated (`negotiated: true`, id 0) and created on
+   * both sides, so colliding offers can't leave each side with its own channel. Named
+   * channels are opened as described for the `channels` option.
    *
    * @private
    */
   createPeerConnection() {
-    this.peerConnection = new RTCPeerConnection(this.config);
+    this.peerConnection = this.peerConnectionFactory(this.config);
+    this.peerClosed = false;
 
     // Handle ICE candidates
     this.peerConnection.onicecandidate = (event) => {
       if (event.candidate) {
-        console.log("New ICE candidate:", event.candidate);
-        this.onIceCandidateHandlers.forEach((handler) =>
-          handler(event.candidate),
-        );
+        this.logger.debug("New ICE candidate:", event.candidate);
+        this.emit("iceCandidate", event.candidate);
       }
     };
 
     // Handle connection state changes
     this.peerConnection.onconnectionstatechange = () => {
-      console.log("Connection state:", this.peerConnection.connectionState);
+      const state = this.peerConnection.connectionState;
+      this.logger.info("Connection state:", state);
 
-      if (this.peerConnection.connectionState === "connected") {
-        this.onConnectedHandlers.forEach((handler) => handler());
+      if (state === "connected") {
+        this.emit("connected");
+        this.finishRecovery();
       } else if (
-        this.peerConnection.connectionState === "disconnected" ||
-        this.peerConnection.connectionState === "failed" ||
-        this.peerConnection.connectionState === "closed"
+        state === "disconnected" ||
+        state === "failed" ||
+        state === "closed"
       ) {
-        this.onDisconnectedHandlers.forEach((handler) => handler());
+        this.emit("disconnected");
+        if (state !== "closed") this.beginRecovery(state);
       }
     };
 
     // Handle ICE connection state changes
     this.peerConnection.oniceconnectionstatechange = () => {
-      console.log(
+      this.logger.debug(
         "ICE connection state:",
         this.peerConnection.iceConnectionState,
       );
     };
 
-    // Handle data channel (for non-initiator)
-    if (!this.isInitiator) {
-      this.peerConnection.ondatachannel = (event) => {
-        console.log("Data channel received");
-        this.dataChannel = event.channel;
-        this.setupDataChannel(this.dataChannel);
-        this.onDataChannelHandlers.forEach((handler) =>
-          handler(this.dataChannel),
-        );
-      };
+    // Renegotiate whenever the connection needs it (e.g. channels added later)
+    this.peerConnection.onnegotiationneeded = () => {
+      if (this.makingOffer || this.peerConnection.signalingState !== "stable") {
+        return;
+      }
+      this.makeOffer().catch((error) =>
+        this.logger.error("Renegotiation failed:", error),
+      );
+    };
+
+    // Named data channels opened by the remote peer
+    this.peerConnection.ondatachannel = (event) => {
+      this.logger.info("Data channel received:", event.channel.label);
+      this.channel(event.channel.label).attach(event.channel);
+      this.emit("dataChannel", event.channel);
+    };
+
+    this.dataChannel = this.peerConnection.createDataChannel("dataChannel", {
+      negotiated: true,
+      id: 0,
+    });
+    this.setupDataChannel(this.dataChannel);
+
+    this.channels.forEach((channel) => {
+      if (!channel.isInBand() || !this.polite) this.openChannel(channel);
+    });
+  }
+
+  /**
+   * Create the RTCDataChannel behind a named channel on the current connection.
+   *
+   * @private
+   * @param {P2PChannel} channel
+   */
+  openChannel(channel) {
+    channel.attach(
+      this.peerConnection.createDataChannel(
+        channel.label,
+        channel.toChannelInit(),
+      ),
+    );
+  }
+
+  /**
+   * Declare a named data channel at runtime. On a live connection it is opened right
+   * away (this side announces it) and the connection is renegotiated in place.
+   *
+   * @param {import("./p2p-channel.js").ChannelConfig} config
+   * @returns {P2PChannel}
+   * @throws {Error} If the label is taken by the main channel or another open channel.
+   */
+  addChannel(config) {
+    const existing = this.channels.get(config.label);
+    if (config.label === "dataChannel" || (existing && existing.channel)) {
+      throw new Error(`Data channel "${config.label}" already exists`);
+    }
+    const channel =
+      existing || new P2PChannel(config, this, this.chunkerOptions);
+    channel.config = config;
+    this.channels.set(config.label, channel);
+    if (this.hasUsablePeerConnection()) this.openChannel(channel);
+    return channel;
+  }
+
+  /**
+   * The named channel with this label. Handlers can be registered before the channel
+   * is declared or received; it is created empty and attached when it arrives.
+   *
+   * @param {string} label
+   * @returns {P2PChannel}
+   */
+  channel(label) {
+    let channel = this.channels.get(label);
+    if (!channel) {
+      channel = new P2PChannel({ label }, this, this.chunkerOptions);
+      this.channels.set(label, channel);
     }
+    return channel;
   }
 
   /**
    * Setup data channel event handlers for messaging.
    *
-   * - onopen/onclose: log state changes
-   * - onerror: log errors
-   * - onmessage: emit incoming messages to registered handlers
+   * - onopen: send this side's `hello`, then emit channel-open events to registered handlers
+   * - onopen/onclose: log state changes via the logger
+   * - onerror: log errors via the logger
+   * - onmessage: reassemble chunked messages and handle the handshake, then emit the
+   *   remaining messages to registered handlers
    *
    * @param {RTCDataChannel} channel - The data channel to setup.
    * @private
    */
   setupDataChannel(channel) {
+    // Binary frames (e.g. compressed batches) arrive as ArrayBuffer rather than Blob
+    channel.binaryType = "arraybuffer";
+
     channel.onopen = () => {
-      console.log("Data channel opened");
+      this.logger.info("Data channel opened");
+      this.protocol = null;
+      const hello = createHello();
+      this.localHello = hello.body;
+      this.send(hello);
+      this.emit("channelOpen");
     };
 
     channel.onclose = () => {
-      console.log("Data channel closed");
+      this.logger.info("Data channel closed");
+      this.chunker.clear();
+      this.protocol = null;
+      // A network failure takes the connection down before the channel; the channel
+      // closing on a healthy connection means the peer closed it, so don't recover
+      if (this.peerConnection?.connectionState === "connected") {
+        this.peerClosed = true;
+        this.stopRecovery();
+        this.emit("closedByPeer");
+      }
     };
 
     channel.onerror = (error) => {
-      console.error("Data channel error:", error);
+      this.logger.error("Data channel error:", error);
     };
 
     channel.onmessage = (event) => {
-      console.log("Data channel message received:", event.data);
-      this.onMessageHandlers.forEach((handler) => handler(event.data));
+      this.logger.debug("Data channel message received:", event.data);
+      const data = this.chunker.accept(event.data);
+      if (data === null) return;
+      if (typeof data === "string") {
+        let handshake;
+        try {
+          handshake = parseHandshake(data);
+        } catch (error) {
+          this.logger.warn("Discarding malformed handshake message:", error);
+          return;
+        }
+        if (handshake) {
+          this.handleHandshake(handshake);
+          return;
+        }
+      }
+      this.emit("message", data);
     };
   }
 
+  /**
+   * Handle the peer's `hello` (agree on version and features) or its protocol `error`.
+   *
+   * On an incompatible version the peer is sent an `error` envelope explaining why and
+   * the connection is closed; protocol-error handlers are told in both directions.
+   *
+   * @private
+   * @param {import("./protocol.js").Envelope} envelope - A validated `hello` or `error` envelope.
+   */
+  handleHandshake(envelope) {
+    if (envelope.kind === "error") {
+      this.failProtocol(
+        new ProtocolError(envelope.body.code, envelope.body.message),
+      );
+      return;
+    }
+
+    try {
+      this.protocol = negotiate(
+        this.localHello || createHello().body,
+        envelope.body,
+      );
+    } catch (error) {
+      this.send(
+        createEnvelope("error", { code: error.code, message: error.message }),
+      );
+      this.failProtocol(error);
+      return;
+    }
+
+    this.logger.info("Protocol negotiated:", this.protocol);
+    this.emit("protocolReady", this.protocol);
+  }
+
+  /**
+   * Report a protocol error and close the connection.
+   *
+   * @private
+   * @param {ProtocolError} error
+   */
+  failProtocol(error) {
+    this.logger.error("Protocol error:", error.message);
+    this.emit("protocolError", error);
+    this.close();
+  }
+
   /**
    * Send a message through the data channel.
    *
    * - If `message` is an object, it will be JSON serialized.
+   * - ArrayBuffer and typed array views are sent as binary, unchanged; the receiving
+   *   side gets an ArrayBuffer.
+   * - Blobs are read and then sent as binary. Reading is asynchronous, so messages
+   *   sent in the meantime arrive first.
+   * - Messages larger than the channel allows are split into chunks that the
+   *   receiving P2PConnection reassembles before its message handlers run, unless
+   *   the handshake found that the peer can't reassemble them.
    * - Returns a boolean indicating whether the message was sent.
    *
-   * @param {string|Object} message - Message to send.
+   * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message - Message to send.
    * @returns {boolean} True if the message was sent, false otherwise.
    */
   send(message) {
-    if (!this.dataChannel) {
-      console.warn("Data channel not initialized");
-      return false;
-    }
-
-    if (this.dataChannel.readyState !== "open") {
-      console.warn(
-        "Data channel is not open. Current state:",
-        this.dataChannel.readyState,
-      );
-      return false;
-    }
+    return sendOverChannel(message, {
+      channel: () => this.dataChannel,
+      chunker: this.chunker,
+      connection: this,
+      name: "data channel",
+    });
+  }
 
-    const data =
-      typeof message === "string" ? message : JSON.stringify(message);
-    this.dataChannel.send(data);
-    console.log("Message sent:", data);
-    return true;
+  /**
+   * Largest single frame to hand to the data channel: `maxChunkBytes`, lowered to the
+   * SCTP transport's `maxMessageSize` when the remote advertises a smaller one.
+   *
+   * @returns {number}
+   */
+  getMaxMessageSize() {
+    const sctp = this.peerConnection && this.peerConnection.sctp;
+    const remoteMax = sctp ? sctp.maxMessageSize : 0;
+    return remoteMax > 0 && Number.isFinite(remoteMax)
+      ? Math.min(this.maxChunkBytes, remoteMax)
+      : this.maxChunkBytes;
   }
 
   /**
    * Register a message handler.
    *
    * @param {function(string|Object):void} handler - Called with incoming message data.
+   * @returns {function():void} Removes the handler.
    */
   onMessage(handler) {
-    this.onMessageHandlers.push(handler);
+    return this.on("message", handler);
   }
 
   /**
    * Register a connected handler.
    *
    * @param {function():void} handler - Called when the connection state becomes 'connected'.
+   * @returns {function():void} Removes the handler.
    */
   onConnected(handler) {
-    this.onConnectedHandlers.push(handler);
+    return this.on("connected", handler);
   }
 
   /**
    * Register a disconnected handler.
    *
    * @param {function():void} handler - Called when the connection is disconnected/failed/closed.
+   * @returns {function():void} Removes the handler.
    */
   onDisconnected(handler) {
-    this.onDisconnectedHandlers.push(handler);
+    return this.on("disconnected", handler);
   }
 
   /**
    * Register an ICE candidate handler.
    *
    * @param {function(RTCIceCandidate):void} handler - Called when a local ICE candidate is discovered.
+   * @returns {function():void} Removes the handler.
    */
   onIceCandidate(handler) {
-    this.onIceCandidateHandlers.push(handler);
+    return this.on("iceCandidate", handler);
   }
 
   /**
    * Register an offer handler.
    *
    * @param {function(RTCSessionDescriptionInit):void} handler - Called with the local offer SDP.
+   * @returns {function():void} Removes the handler.
    */
   onOffer(handler) {
-    this.onOfferHandlers.push(handler);
+    return this.on("offer", handler);
   }
 
   /**
    * Register an answer handler.
    *
    * @param {function(RTCSessionDescriptionInit):void} handler - Called with the local answer SDP.
+   * @returns {function():void} Removes the handler.
    */
   onAnswer(handler) {
-    this.onAnswerHandlers.push(handler);
+    return this.on("answer", handler);
   }
 
   /**
    * Register a data channel handler.
    *
    * @param {function(RTCDataChannel):void} handler - Called when a remote data channel is received.
+   * @returns {function():void} Removes the handler.
    */
   onDataChannel(handler) {
-    this.onDataChannelHandlers.push(handler);
+    return this.on("dataChannel", handler);
   }
 
   /**
-   * Close the connection and cleanup resources.
+   * Register a data channel open handler.
    *
-   * - Closes data channel and peer connection if they exist.
+   * @param {function():void} handler - Called when the data channel opens and messages can be sent.
+   * @returns {function():void} Removes the handler.
    */
-  close() {
+  onChannelOpen(handler) {
+    return this.on("channelOpen", handler);
+  }
+
+  /**
+   * Register a handler for the end of the hello exchange.
+   *
+   * @param {function(import("./protocol.js").NegotiatedProtocol):void} handler - Called with the agreed version and features.
+   * @returns {function():void} Removes the handler.
+   */
+  onProtocolReady(handler) {
+    return this.on("protocolReady", handler);
+  }
+
+  /**
+   * Register a protocol error handler (incompatible version on either side).
+   * The connection is closed right after the handlers run.
+   *
+   * @param {function(ProtocolError):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onProtocolError(handler) {
+    return this.on("protocolError", handler);
+  }
+
+  /**
+   * Register a handler for each recovery step after the connection dropped.
+   *
+   * @param {function(ReconnectAttempt):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onReconnecting(handler) {
+    return this.on("reconnecting", handler);
+  }
+
+  /**
+   * Register a handler for a successful recovery.
+   *
+   * @param {function({attempts: number}):void} handler - Called with the number of attempts it took (0 when the interruption cleared by itself).
+   * @returns {function():void} Removes the handler.
+   */
+  onReconnected(handler) {
+    return this.on("reconnected", handler);
+  }
+
+  /**
+   * Register a handler for recovery giving up after `maxAttempts`.
+   * The connection is left as it is; close it or start over with `initiate()`.
+   *
+   * @param {function({attempts: number}):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onGaveUp(handler) {
+    return this.on("gaveUp", handler);
+  }
+
+  /**
+   * Register a handler for the remote peer closing the connection. No recovery is
+   * attempted afterwards.
+   *
+   * @param {function():void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onClosedByPeer(handler) {
+    return this.on("closedByPeer", handler);
+  }
+
+  /**
+   * Start recovering from a "disconnected" or "failed" connection state.
+   *
+   * A "disconnected" state often clears by itself, so it gets `disconnectGraceMs`
+   * before the first attempt; "failed" is acted on immediately.
+   *
+   * @private
+   * @param {RTCPeerConnectionState} state
+   */
+  beginRecovery(state) {
+    if (
+      !this.reconnect ||
+      this.peerClosed ||
+      this.recoveryState === "gave-up"
+    ) {
+      return;
+    }
+
+    if (this.recoveryState === "idle" && state === "disconnected") {
+      this.recoveryState = "waiting";
+      const delayMs = this.reconnect.disconnectGraceMs;
+      this.logger.info(`Connection interrupted, waiting ${delayMs}ms`);
+      this.emit("reconnecting", { attempt: 0, method: "wait", delayMs });
+      this.scheduleRecovery(delayMs);
+    } else if (state === "failed" && this.recoveryState === "waiting") {
+      this.scheduleRecovery(0);
+    } else if (this.recoveryState === "idle") {
+      this.recoveryState = "waiting";
+      this.scheduleRecovery(0);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} delayMs
+   */
+  scheduleRecovery(delayMs) {
+    clearTimeout(this.recoveryTimer);
+    this.recoveryTimer = setTimeout(() => this.attemptRecovery(), delayMs);
+  }
+
+  /**
+   * Make the next recovery attempt: an ICE restart for the first
+   * `iceRestartAttempts`, then a full renegotiation, with exponential backoff between
+   * attempts. Only the initiator sends offers; the other side waits for them through
+   * the same schedule and gives up at the same point.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async attemptRecovery() {
+    this.recoveryTimer = null;
+    const { iceRestartAttempts, maxAttempts, backoffMs, maxBackoffMs } =
+      this.reconnect;
+
+    if (this.recoveryAttempts >= maxAttempts) {
+      this.recoveryState = "gave-up";
+      this.logger.warn(
+        `Giving up reconnecting after ${this.recoveryAttempts} attempts`,
+      );
+      this.emit("gaveUp", { attempts: this.recoveryAttempts });
+      return;
+    }
+
+    const attempt = ++this.recoveryAttempts;
+    const method =
+      attempt <= iceRestartAttempts ? "ice-restart" : "renegotiate";
+    const delayMs = Math.min(backoffMs * 2 ** (attempt - 1), maxBackoffMs);
+    this.recoveryState =
+      method === "ice-restart" ? "restarting-ice" : "renegotiating";
+    this.logger.info(`Reconnect attempt ${attempt} (${method})`);
+    this.emit("reconnecting", { attempt, method, delayMs });
+    this.scheduleRecovery(delayMs);
+
+    if (!this.isInitiator) return;
+    try {
+      if (method === "ice-restart") {
+        await this.restartIce();
+      } else {
+        this.teardown();
+        await this.initiate();
+      }
+    } catch (error) {
+      this.logger.warn(`Reconnect attempt ${attempt} failed:`, error);
+    }
+  }
+
+  /**
+   * Send an offer with fresh ICE credentials over the existing offer handlers.
+   * The data channel and DTLS session survive, so no hello exchange follows.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async restartIce() {
+    await this.makeOffer({ iceRestart: true });
+  }
+
+  /**
+   * The connection is back: report it if recovery was under way and reset.
+   *
+   * @private
+   */
+  finishRecovery() {
+    if (this.recoveryState === "idle") return;
+    const attempts = this.recoveryAttempts;
+    this.stopRecovery();
+    this.logger.info(`Reconnected after ${attempts} attempt(s)`);
+    this.emit("reconnected", { attempts });
+  }
+
+  /**
+   * @private
+   */
+  stopRecovery() {
+    clearTimeout(this.recoveryTimer);
+    this.recoveryTimer = null;
+    this.recoveryState = "idle";
+    this.recoveryAttempts = 0;
+  }
+
+  /**
+   * Close the data channel and peer connection without firing their events, so a
+   * replacement can be set up.
+   *
+   * @private
+   */
+  teardown() {
+    this.chunker.clear();
+    this.channels.forEach((channel) => channel.detach());
+    this.protocol = null;
+    this.localHello = null;
+
     if (this.dataChannel) {
+      this.dataChannel.onopen = null;
+      this.dataChannel.onclose = null;
+      this.dataChannel.onmessage = null;
       this.dataChannel.close();
       this.dataChannel = null;
     }
 
     if (this.peerConnection) {
+      this.peerConnection.onicecandidate = null;
+      this.peerConnection.onconnectionstatechange = null;
+      this.peerConnection.oniceconnectionstatechange = null;
+      this.peerConnection.onnegotiationneeded = null;
+      this.peerConnection.ondatachannel = null;
       this.peerConnection.close();
       this.peerConnection = null;
     }
+  }
 
-    console.log("P2P connection closed");
+  /**
+   * Close the connection and cleanup resources.
+   *
+   * - Stops any reconnection in progress.
+   * - Closes data channel and peer connection if they exist.
+   */
+  close() {
+    this.stopRecovery();
+    this.teardown();
+    this.pendingCandidates = [];
+    this.logger.info("P2P connection closed");
   }
 
   /**
@@ -1,24 +1,145 @@
 // javascript
+import { serializeValue } from './value-serializer.js';
+import { formatConsoleArgs } from './console-format.js';
+import { Redactor } from './redactor.js';
+
+/**
+ * @typedef {'log'|'info'|'warn'|'error'|'debug'} ConsoleLevel
+ */
+
+/**
+ * Rows/columns extracted from `console.table` data.
+ * Primitive rows are placed under the `Value` column, like the browser console does.
+ * @typedef {Object} ConsoleTable
+ * @property {Array<string>} columns - Column names in display order (excluding the index column).
+ * @property {Array<{index: string, cells: Object<string, import('./value-serializer.js').SerializedValue>}>} rows - One entry per row, keyed by column.
+ */
+
+/**
+ * @typedef {Object} ConsoleMessage
+ * @property {string} id
+ * @property {string|null} namespace
+ * @property {ConsoleLevel} level - Severity used for filtering and styling.
+ * @property {string} method - Console method that produced the message (e.g. 'table', 'timeEnd').
+ * @property {number} timestamp - Source's clock (`Date.now()`) when the message was logged.
+ * @property {number} [correctedTimestamp] - Set by the receiving P2PSignalingClient: `timestamp` converted to the receiver's clock
+ *   with the source's estimated clock offset (see ClockEstimator). Use it to order messages from several sources.
+ * @property {number} groupDepth - Number of open console groups the message is nested in.
+ * @property {Array<import('./value-serializer.js').SerializedValue>} payload - Arguments in the tagged format (see value-serializer.js).
+ * @property {string} text - Plain-text rendering (format specifiers applied, `%c` styles dropped).
+ * @property {Array<import('./console-format.js').FormatSegment>} segments - Formatted output with `%c` styles, as devtools renders it.
+ * @property {ConsoleTable} [table] - Present for `table`.
+ * @property {{label: string, collapsed: boolean}} [group] - Present for `group` / `groupCollapsed`.
+ * @property {{label: string, duration: number}} [timer] - Present for `timeLog` / `timeEnd`.
+ * @property {{label: string, count: number}} [counter] - Present for `count`.
+ * @property {Array<string>} [stack] - Present for `trace`.
+ * @property {ConsoleErrorInfo} [error] - Present for uncaught errors and unhandled rejections.
+ * @property {import('./utils/stack-trace.js').CallSite} [callSite] - Where the console call was made (see ConsoleInterceptor `captureCallSite`).
+ * @property {boolean} [historical] - Set on messages replayed from the source's LogBuffer (logged before the viewer connected).
+ * @property {Array<string>} [redactions] - Names of redaction rules that changed this message (never the redacted values).
+ * @property {{count: number, bytes?: number, reason: string, breakdown?: Array<import('./log-policy.js').DropCount>}} [dropped] - Set on warnings
+ *   reporting messages the source discarded (SendPipeline queue over its cap, LogPolicy rate limits / sampling).
+ * @property {{of: string, count: number}} [repeat] - Set by LogPolicy when identical messages following message `of` were collapsed.
+ * @property {import('./reliable-delivery.js').MessageGap} [lost] - Set on markers a viewer inserts where reliable delivery could not
+ *   recover messages (see P2PSignalingClient#onMessagesLost).
+ */
+
+/**
+ * Details of an uncaught exception or promise rejection.
+ * @typedef {Object} ConsoleErrorInfo
+ * @property {string} name - Error name ('Error', 'TypeError', ...); empty for non-Error values.
+ * @property {string} message
+ * @property {string|null} stack
+ * @property {string|null} file - Source file the error originated from, when known.
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {boolean} handled - False when nothing handled it; true for a rejection that got a handler later.
+ */
+
+/**
+ * @typedef {'uncaughtException'|'unhandledRejection'|'rejectionHandled'} ErrorEventKind
+ */
+
+/**
+ * Column used for primitive `console.table` rows.
+ * @type {string}
+ */
+export const TABLE_VALUE_COLUMN = 'Value';
+
+/**
+ * Stack frames belonging to the interceptor/helper, hidden from `trace` stacks.
+ * @type {RegExp}
+ */
+const INTERNAL_FRAME = /(console-patch|p2p-message-helper)\.js/;
+
+/**
+ * Console methods that map onto a level other than their own name.
+ * @type {Object<string, ConsoleLevel>}
+ */
+const METHOD_LEVELS = {
+    log: 'log',
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+    debug: 'debug',
+    assert: 'error'
+};
+
+/**
+ * Methods that update group/timer/counter state; they are built even when `filter`
+ * rejects their level so that state stays correct.
+ * @type {Set<string>}
+ */
+const STATEFUL_METHODS = new Set(['group', 'groupCollapsed', 'groupEnd', 'time', 'timeLog', 'timeEnd', 'count', 'countReset']);
+
 /**
  * P2pMessageHelper
  *
  * Builds structured message objects for console events and forwards
- * to the underlying console methods (log/info/warn/error/debug).
+ * to the underlying console methods (log/info/warn/error/debug, plus
+ * table/dir/group/time/count/assert/trace).
+ *
+ * Group nesting, timers and counters are tracked per helper, mirroring the
+ * state the console itself keeps for those methods.
  *
  * Designed as a simple base for sending console-originated messages over P2P.
  */
-class P2pMessageHelper {
+export class P2pMessageHelper {
     /**
      * @param {Object} [opts]
      * @param {string} [opts.namespace] - Optional namespace to include in messages.
      * @param {Console} [opts.consoleTarget=console] - Console-like target to call.
      * @param {function():number} [opts.now=() => Date.now()] - Timestamp provider.
+     * @param {function():number} [opts.clock] - Monotonic clock for timers (defaults to performance.now()).
+     * @param {import('./value-serializer.js').SerializeLimits} [opts.limits] - Depth/key/string limits for argument serialization.
+     * @param {boolean|Array<import('./redactor.js').RedactionRule>|Redactor} [opts.redaction] - Redact secrets/PII before messages
+     *   leave the helper: `true` for DEFAULT_REDACTION_RULES, or a rule list / Redactor of your own.
+     * @param {function(ConsoleLevel, string|null):boolean} [opts.filter] - Return false to skip building messages of a
+     *   level/namespace (e.g. `P2PSignalingClient.acceptsMessage` when viewers control what they receive).
      */
     constructor(opts = {}) {
         this.namespace = opts.namespace || null;
         this.consoleTarget = opts.consoleTarget || console;
         this.now = opts.now || (() => Date.now());
+        this.clock = opts.clock || (typeof performance !== 'undefined' ? () => performance.now() : this.now);
+        this.limits = opts.limits || {};
+        this.filter = opts.filter || null;
+        /** @type {Redactor|null} */
+        this.redactor = opts.redaction instanceof Redactor ? opts.redaction
+            : Array.isArray(opts.redaction) ? new Redactor(opts.redaction)
+                : opts.redaction ? new Redactor() : null;
+        /**
+         * Rules fired while building the current message.
+         * @private
+         * @type {Set<string>}
+         */
+        this._firedRules = new Set();
         this._idCounter = 0;
+        this._groupDepth = 0;
+        /** @type {Map<string, number>} */
+        this._timers = new Map();
+        /** @type {Map<string, number>} */
+        this._counters = new Map();
     }
 
     /**
@@ -32,61 +153,354 @@ class P2pMessageHelper {
     }
 
     /**
-     * Safely convert an argument to a serializable representation.
-     * - Primitives are returned as-is.
-     * - Objects/arrays are JSON-stringified where possible.
-     * - Functions replaced with a placeholder.
+     * Convert an argument to the tagged serialization format.
+     * Type information, class names, circular references and error details are kept;
+     * see value-serializer.js for the format and `deserializeValue` for the inverse.
      * @private
      * @param {*} arg
-     * @returns {*}
+     * @param {string|null} [key] - Name the value is stored under (table column), checked by key rules.
+     * @returns {import('./value-serializer.js').SerializedValue}
      */
-    _serializeArg(arg) {
-        if (arg === null || arg === undefined) return arg;
-        const t = typeof arg;
-        if (t === 'string' || t === 'number' || t === 'boolean') return arg;
-        if (t === 'function') return `[function:${arg.name || 'anonymous'}]`;
+    _serializeArg(arg, key = null) {
+        let value;
         try {
-            return JSON.parse(JSON.stringify(arg));
+            value = serializeValue(arg, this.limits);
         } catch (e) {
-            // Fallback to toString for circular/complex values
-            try {
-                return String(arg);
-            } catch (e2) {
-                return `[unserializable:${t}]`;
-            }
+            return { $t: 'thrown', message: e && e.message ? e.message : String(e) };
         }
+        return this._redactValue(value, key);
     }
 
     /**
-     * Build a structured message object for the given level and args.
-     * @param {'log'|'info'|'warn'|'error'|'debug'} level
-     * @param {Array<any>} args
-     * @returns {Object} Message object
+     * Apply the redaction rules (if any) to a serialized value.
+     * @private
+     * @param {import('./value-serializer.js').SerializedValue} value
+     * @param {string|null} [key]
+     * @returns {import('./value-serializer.js').SerializedValue}
      */
-    buildMessage(level, args) {
-        const id = this._nextId();
-        const timestamp = this.now();
-        const payload = args.map(a => this._serializeArg(a));
-        const text = payload.map(p => (typeof p === 'object' ? JSON.stringify(p) : String(p))).join(' ');
+    _redactValue(value, key = null) {
+        return this.redactor ? this.redactor.redactValue(value, this._firedRules, key) : value;
+    }
+
+    /**
+     * Redact the text of a finished message (text segments, labels, error details) and
+     * record which rules fired. Values were already redacted while serializing.
+     * @private
+     * @param {ConsoleMessage|null} msg
+     * @returns {ConsoleMessage|null}
+     */
+    _finishRedaction(msg) {
+        const fired = this._firedRules;
+        this._firedRules = new Set();
+        if (!msg || !this.redactor) return msg;
+
+        const redact = text => this.redactor.redactText(text, fired);
+        msg.segments.forEach(segment => {
+            if (!('value' in segment)) segment.text = redact(segment.text);
+        });
+        msg.text = msg.segments.map(segment => segment.text).join('');
+        if (msg.group) msg.group.label = redact(msg.group.label);
+        if (msg.timer) msg.timer.label = redact(msg.timer.label);
+        if (msg.counter) msg.counter.label = redact(msg.counter.label);
+        if (msg.stack) msg.stack = msg.stack.map(redact);
+        if (msg.error) {
+            msg.error = {
+                ...msg.error,
+                message: redact(msg.error.message),
+                stack: msg.error.stack === null ? null : redact(msg.error.stack)
+            };
+        }
+
+        if (fired.size) msg.redactions = Array.from(fired);
+        return msg;
+    }
+
+    /**
+     * Prepend console-generated text (e.g. "Trace:", "label: 3ms") to a message's output.
+     * @private
+     * @param {ConsoleMessage} msg
+     * @param {string} prefix
+     */
+    _prefixText(msg, prefix) {
+        if (msg.segments.length) {
+            msg.segments.unshift({ text: `${prefix} ` });
+            msg.text = `${prefix} ${msg.text}`;
+        } else {
+            msg.segments = [{ text: prefix }];
+            msg.text = prefix;
+        }
+    }
 
-        const msg = {
-            id,
+    /**
+     * Capture the current call stack without the interceptor/helper frames.
+     * @private
+     * @returns {Array<string>}
+     */
+    _captureStack() {
+        const stack = new Error().stack;
+        if (!stack) return [];
+        return stack.split('\n')
+            .slice(1)
+            .map(line => line.trim())
+            .filter(line => line && !INTERNAL_FRAME.test(line));
+    }
+
+    /**
+     * Extract rows and columns from `console.table` data.
+     * @private
+     * @param {*} data
+     * @param {Array<string>} [columnFilter] - Optional column whitelist (second `console.table` argument).
+     * @returns {ConsoleTable}
+     */
+    _buildTable(data, columnFilter) {
+        const columns = [];
+        const rows = [];
+        let hasValues = false;
+
+        const entries = data instanceof Map ? Array.from(data.entries())
+            : data instanceof Set ? Array.from(data.values()).map((v, i) => [i, v])
+                : Object.entries(data);
+
+        entries.forEach(([index, value]) => {
+            const cells = {};
+            if (value !== null && typeof value === 'object') {
+                Object.keys(value).forEach(key => {
+                    if (!columns.includes(key)) columns.push(key);
+                    cells[key] = this._serializeArg(value[key], key);
+                });
+            } else {
+                hasValues = true;
+                cells[TABLE_VALUE_COLUMN] = this._serializeArg(value, String(index));
+            }
+            rows.push({ index: String(index), cells });
+        });
+
+        const visible = Array.isArray(columnFilter) ? columnFilter.map(String) : columns;
+        if (hasValues && !Array.isArray(columnFilter)) visible.push(TABLE_VALUE_COLUMN);
+
+        return { columns: visible, rows };
+    }
+
+    /**
+     * Create the common message envelope.
+     *
+     * `payload` keeps every argument as-is (serialized); `segments`/`text` are the
+     * output after applying printf-style format specifiers (see console-format.js).
+     * @private
+     * @param {string} method
+     * @param {ConsoleLevel} level
+     * @param {Array<any>} args - Arguments rendered into payload/text.
+     * @returns {ConsoleMessage}
+     */
+    _createMessage(method, level, args) {
+        const payload = args.map(a => this._serializeArg(a));
+        let segments;
+        try {
+            segments = formatConsoleArgs(args, this.limits, value => this._redactValue(value));
+        } catch (e) {
+            segments = [{ text: `[unformattable: ${e && e.message}]` }];
+        }
+        return {
+            id: this._nextId(),
             namespace: this.namespace,
             level,
-            timestamp,
+            method,
+            timestamp: this.now(),
+            groupDepth: this._groupDepth,
             payload,
-            text
+            text: segments.map(segment => segment.text).join(''),
+            segments
         };
+    }
+
+    /**
+     * Build a message reporting misuse of a timer/counter label (mirrors the console warning).
+     * @private
+     * @param {string} method
+     * @param {string} text
+     * @returns {ConsoleMessage}
+     */
+    _warning(method, text) {
+        return this._createMessage(method, 'warn', [text]);
+    }
 
+    /**
+     * Build a structured message object for the given console method and args.
+     *
+     * Besides log/info/warn/error/debug this understands the rest of the console API
+     * and updates the helper's group/timer/counter state accordingly:
+     * - table: adds `table` with rows and columns.
+     * - group/groupCollapsed: adds `group`; following messages get a deeper `groupDepth`.
+     * - groupEnd: closes the innermost group (the message carries the new depth).
+     * - timeLog/timeEnd: adds `timer` with the elapsed milliseconds.
+     * - count: adds `counter` with the current count.
+     * - assert: only produces a message when the assertion fails.
+     * - trace: adds `stack` with the caller's frames.
+     *
+     * Returns null for calls that print nothing (`time`, `countReset`, passing `assert`).
+     *
+     * With `redaction` configured, payload, table cells and text are redacted before the
+     * message is returned and the names of the rules that fired are listed in `redactions`.
+     *
+     * Returns null as well when `filter` rejects the method's level (group/timer/counter
+     * methods are always built to keep their state).
+     *
+     * @param {string} method - Console method name (for log/info/warn/error/debug this is also the level).
+     * @param {Array<any>} args
+     * @param {Object} [meta]
+     * @param {import('./utils/stack-trace.js').CallSite|null} [meta.callSite] - Location of the console call, attached as `callSite`.
+     * @returns {ConsoleMessage|null} Message object
+     */
+    buildMessage(method, args, meta = {}) {
+        if (this.filter && !STATEFUL_METHODS.has(method) && !this.filter(METHOD_LEVELS[method] || 'log', this.namespace)) {
+            return null;
+        }
+        const msg = this._finishRedaction(this._buildForMethod(method, args));
+        if (msg && meta.callSite) msg.callSite = meta.callSite;
         return msg;
     }
 
+    /**
+     * Build a plain message the library reports about itself (dropped-message summaries,
+     * repeat counts). Unlike `buildMessage` this ignores `filter`: those reports are what
+     * tells the viewer output went missing, so they must not vanish with it.
+     *
+     * @param {ConsoleLevel} level
+     * @param {Array<any>} args
+     * @returns {ConsoleMessage}
+     */
+    buildNotice(level, args) {
+        return this._finishRedaction(this._createMessage(level, level, args));
+    }
+
+    /**
+     * Method-specific part of `buildMessage`.
+     * @private
+     * @param {string} method
+     * @param {Array<any>} args
+     * @returns {ConsoleMessage|null}
+     */
+    _buildForMethod(method, args) {
+        const level = METHOD_LEVELS[method] || 'log';
+
+        switch (method) {
+            case 'table': {
+                const [data, columnFilter] = args;
+                if (data === null || typeof data !== 'object') {
+                    return this._createMessage(method, level, args);
+                }
+                const msg = this._createMessage(method, level, [data]);
+                msg.table = this._buildTable(data, columnFilter);
+                return msg;
+            }
+
+            case 'dir':
+                return this._createMessage(method, level, args.slice(0, 1));
+
+            case 'group':
+            case 'groupCollapsed': {
+                const msg = this._createMessage(method, level, args);
+                msg.group = { label: msg.text || 'console.group', collapsed: method === 'groupCollapsed' };
+                this._groupDepth += 1;
+                return msg;
+            }
+
+            case 'groupEnd': {
+                if (this._groupDepth > 0) this._groupDepth -= 1;
+                return this._createMessage(method, level, []);
+            }
+
+            case 'time': {
+                const label = args.length ? String(args[0]) : 'default';
+                if (this._timers.has(label)) {
+                    return this._warning(method, `Timer '${label}' already exists`);
+                }
+                this._timers.set(label, this.clock());
+                return null;
+            }
+
+            case 'timeLog':
+            case 'timeEnd': {
+                const label = args.length ? String(args[0]) : 'default';
+                if (!this._timers.has(label)) {
+                    return this._warning(method, `Timer '${label}' does not exist`);
+                }
+                const duration = this.clock() - this._timers.get(label);
+                if (method === 'timeEnd') this._timers.delete(label);
+
+                const extra = method === 'timeLog' ? args.slice(1) : [];
+                const msg = this._createMessage(method, level, extra);
+                this._prefixText(msg, `${label}: ${duration.toFixed(3)}ms`);
+                msg.timer = { label, duration };
+                return msg;
+            }
+
+            case 'count': {
+                const label = args.length ? String(args[0]) : 'default';
+                const count = (this._counters.get(label) || 0) + 1;
+                this._counters.set(label, count);
+                const msg = this._createMessage(method, level, []);
+                this._prefixText(msg, `${label}: ${count}`);
+                msg.counter = { label, count };
+                return msg;
+            }
+
+            case 'countReset': {
+                const label = args.length ? String(args[0]) : 'default';
+                if (!this._counters.has(label)) {
+                    return this._warning(method, `Count for '${label}' does not exist`);
+                }
+                this._counters.set(label, 0);
+                return null;
+            }
+
+            case 'assert': {
+                const [condition, ...data] = args;
+                if (condition) return null;
+                const msg = this._createMessage(method, level, data);
+                this._prefixText(msg, msg.text ? 'Assertion failed:' : 'Assertion failed');
+                return msg;
+            }
+
+            case 'trace': {
+                const msg = this._createMessage(method, level, args);
+                this._prefixText(msg, msg.text ? 'Trace:' : 'Trace');
+                msg.stack = this._captureStack();
+                return msg;
+            }
+
+            default:
+                return this._createMessage(method, level, args);
+        }
+    }
+
+    /**
+     * Build an error message for an uncaught exception or promise rejection.
+     *
+     * The text mirrors the browser console ("Uncaught TypeError: ...",
+     * "Uncaught (in promise) ...").
+     *
+     * @param {ErrorEventKind} kind
+     * @param {ConsoleErrorInfo} error
+     * @returns {ConsoleMessage}
+     */
+    buildErrorMessage(kind, error) {
+        const description = [error.name, error.message].filter(Boolean).join(': ');
+        const prefix = kind === 'uncaughtException' ? 'Uncaught'
+            : kind === 'unhandledRejection' ? 'Uncaught (in promise)'
+                : 'Promise rejection handled asynchronously:';
+
+        const msg = this._createMessage(kind, kind === 'rejectionHandled' ? 'warn' : 'error', [`${prefix} ${description}`]);
+        msg.error = error;
+        return this._finishRedaction(msg);
+    }
+
     /**
      * Generic handler: call console method and return the built message.
      * @private
-     * @param {'log'|'info'|'warn'|'error'|'debug'} method
+     * @param {string} method
      * @param {...any} args
-     * @returns {Object} message built by buildMessage
+     * @returns {ConsoleMessage|null} message built by buildMessage
      */
     _emit(method, ...args) {
         // call the underlying console method (if exists)
@@ -113,6 +527,18 @@ class P2pMessageHelper {
     warn(...args) { return this._emit('warn', ...args); }
     error(...args) { return this._emit('error', ...args); }
     debug(...args) { return this._emit('debug', ...args); }
+    table(...args) { return this._emit('table', ...args); }
+    dir(...args) { return this._emit('dir', ...args); }
+    group(...args) { return this._emit('group', ...args); }
+    groupCollapsed(...args) { return this._emit('groupCollapsed', ...args); }
+    groupEnd(...args) { return this._emit('groupEnd', ...args); }
+    time(...args) { return this._emit('time', ...args); }
+    timeLog(...args) { return this._emit('timeLog', ...args); }
+    timeEnd(...args) { return this._emit('timeEnd', ...args); }
+    count(...args) { return this._emit('count', ...args); }
+    countReset(...args) { return this._emit('countReset', ...args); }
+    assert(...args) { return this._emit('assert', ...args); }
+    trace(...args) { return this._emit('trace', ...args); }
 
     /**
      * Serialize a message object to JSON string for sending.
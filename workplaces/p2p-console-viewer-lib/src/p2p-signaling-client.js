@@ -1,6 +1,79 @@
 // javascript
 import { P2PConnection } from "./p2p-connection.js";
+import { isBlob } from "./p2p-channel.js";
 import { WebSocketConnector } from "./websocket-connector.js";
+import { Logger } from "./utils/logger.js";
+import { EventEmitter } from "./event-emitter.js";
+import { LogBuffer } from "./log-buffer.js";
+import { SendPipeline } from "./send-pipeline.js";
+import { StatsSampler } from "./stats-sampler.js";
+import { HEARTBEAT_PING, Heartbeat, createPong } from "./heartbeat.js";
+import { ClockEstimator } from "./clock-sync.js";
+import { PeerPairing } from "./peer-auth.js";
+import { FILE_CHANNEL_LABEL, FileTransfer } from "./file-transfer.js";
+import {
+  CONTROL_ACK_TYPE,
+  StreamFilter,
+  createControlMessage,
+} from "./remote-control.js";
+import { createEnvelope, parseEnvelope, toEnvelope } from "./protocol.js";
+import {
+  InboundStream,
+  OutboundStream,
+  isSeqAck,
+} from "./reliable-delivery.js";
+
+/**
+ * Envelope kinds the client consumes itself; all others are reported as `peerMessage`.
+ * @type {Set<string>}
+ */
+const INTERNAL_KINDS = new Set(["control", "ack", "heartbeat", "auth"]);
+
+/**
+ * Signaling messages exchanged with a peer (as opposed to messages from the server).
+ * @type {Set<string>}
+ */
+const PEER_SIGNALS = new Set(["offer", "answer", "ice-candidate"]);
+
+/**
+ * Handler arguments of each P2PSignalingClient event (see EventEmitter).
+ * @typedef {Object} P2PSignalingClientEvents
+ * @property {[string, import("./stats-sampler.js").ConnectionStats]} peerStats
+ * @property {[string, import("./stats-sampler.js").DegradedEvent]} connectionDegraded
+ * @property {[string, import("./stats-sampler.js").ConnectionStats]} connectionRecovered
+ * @property {[string, number]} peerLatency
+ * @property {[string, import("./clock-sync.js").ClockEstimate]} clockEstimate
+ * @property {[string, {misses: number}]} peerDead
+ * @property {[string, import("./file-transfer.js").FileTransferInfo]} fileProgress
+ * @property {[string, import("./file-transfer.js").CompletedFile]} fileComplete
+ * @property {[string, import("./file-transfer.js").FailedFile]} fileFailed
+ * @property {[string, import("./reliable-delivery.js").MessageGap]} messagesLost
+ * @property {[string, import("./peer-auth.js").PairingCode]} pairingCode
+ * @property {[string, import("./peer-auth.js").PairingCode]} peerAuthenticated
+ * @property {[string, import("./peer-auth.js").PairingFailure]} authFailed
+ * @property {[string, *, import("./protocol.js").Envelope|null]} peerMessage
+ * @property {[string]} peerConnected
+ * @property {[string, {reason: PeerDisconnectReason}]} peerDisconnected
+ * @property {[string, PeerState, PeerState]} peerStateChange
+ */
+
+/**
+ * Where a peer is in its lifecycle, as seen by the client:
+ * - `connecting`: offer/answer and ICE under way.
+ * - `pairing`: protocol agreed, waiting for pairing to complete (only with `opts.auth`).
+ * - `connected`: messages flow.
+ * - `reconnecting`: the connection dropped and is being recovered.
+ * - `disconnected`: the peer was removed from `peers`.
+ * @typedef {'connecting'|'pairing'|'connected'|'reconnecting'|'disconnected'} PeerState
+ */
+
+/**
+ * Why a peer was removed: `closed` (disconnectPeer/disconnect), `remote-closed` (the
+ * peer closed the connection), `left` (the signaling server reported it gone), `dead`
+ * (missed heartbeats), `auth-failed`, `gave-up` (reconnection attempts exhausted) or
+ * `lost` (the connection dropped with `reconnect: false`).
+ * @typedef {'closed'|'remote-closed'|'left'|'dead'|'auth-failed'|'protocol-error'|'gave-up'|'lost'} PeerDisconnectReason
+ */
 
 /**
  * P2P signaling client that bridges a WebSocket-based signaling server and local P2P connections.
@@ -11,24 +84,61 @@ import { WebSocketConnector } from "./websocket-connector.js";
  *   to the appropriate P2P connection.
  * - Forward local signaling events (offer/answer/ice candidates) from P2P connections
  *   to the signaling server.
+ * - Report each peer's lifecycle (connected, reconnecting, disconnected) and its
+ *   application messages as events.
  *
  * Usage:
  * const client = new P2PSignalingClient(signalingUrl);
  * client.connect();
  * client.initiateP2P(remoteId).then(offer => { ... });
+ *
+ * @extends {EventEmitter<P2PSignalingClientEvents>}
  */
-export class P2PSignalingClient {
+export class P2PSignalingClient extends EventEmitter {
   /**
    * Create a P2P signaling client.
    *
    * @param {string} signalingServerUrl - WebSocket URL of the signaling server.
+   * @param {Object} [opts]
+   * @param {Logger} [opts.logger] - Logger shared with the WebSocket and P2P connections (silent by default).
+   * @param {function(string):WebSocket} [opts.webSocketFactory] - Creates the signaling socket (see WebSocketConnector).
+   * @param {function(RTCConfiguration):RTCPeerConnection} [opts.peerConnectionFactory] - Creates each peer's RTCPeerConnection (see P2PConnection).
+   * @param {LogBuffer} [opts.buffer] - Buffer for broadcast messages, replayed once to each viewer when its data channel first opens.
+   * @param {boolean|Object} [opts.pipeline] - Batch (and optionally compress) messages per peer; an object is passed as SendPipeline options. Both sides must enable it.
+   * @param {boolean} [opts.remoteControl=false] - Source side: honor control requests (level, namespaces, pause) from each viewer.
+   * @param {number} [opts.controlTimeoutMs=5000] - Viewer side: how long `sendControl` waits for the acknowledgement.
+   * @param {Array<import("./p2p-channel.js").ChannelConfig>} [opts.channels] - Named data channels to declare on every P2PConnection (see `P2PConnection#channel`).
+   * @param {boolean|Object} [opts.reconnect=true] - Passed to every P2PConnection: recover dropped connections, or `false` to remove a peer as soon as its connection drops.
+   * @param {boolean|Object} [opts.stats] - Sample connection quality per peer while connected; an object is passed as StatsSampler options.
+   * @param {boolean|Object} [opts.heartbeat] - Ping each peer over the data channel and disconnect it after too many unanswered pings; an object may set `intervalMs` and `missThreshold` (see Heartbeat). Pongs also estimate each peer's clock offset, used to set `correctedTimestamp` on its console messages. Pings are always answered, whether or not this is set.
+   * @param {boolean|Object} [opts.files] - Enable `sendFile` and receiving files on a dedicated data channel; an object is passed as FileTransfer options. Both sides must enable it.
+   * @param {boolean|Object} [opts.reliable] - Number console messages per peer, acknowledge them and retransmit after reconnects. An object may set `maxMessages`, `maxBytes` (retransmission buffer), `ackEvery`, `ackIntervalMs` and `retainMs` (how long a disconnected peer's streams are kept, default 60000). Both sides must enable it.
+   * @param {boolean|Object} [opts.auth] - Pair each connection before anything but heartbeats flows: both sides show a pairing code derived from the DTLS fingerprints and, with `secret`, each proves knowledge of the pre-shared secret. An object may set `secret`, `confirm` (also wait for `confirmPairing`) and `timeoutMs` (see PeerPairing). Both sides must enable it.
    */
-  constructor(signalingServerUrl) {
+  constructor(signalingServerUrl, opts = {}) {
+    super();
+
+    /**
+     * Where signaling and per-peer messages go; also handed to the connector and each P2PConnection.
+     * @type {Logger}
+     */
+    this.logger = opts.logger || new Logger();
+
     /**
      * WebSocket connector instance used to communicate with the signaling server.
      * @type {WebSocketConnector}
      */
-    this.ws = new WebSocketConnector(signalingServerUrl);
+    this.ws = new WebSocketConnector(signalingServerUrl, {
+      logger: this.logger,
+      webSocketFactory: opts.webSocketFactory,
+    });
+
+    /**
+     * Passed to each P2PConnection (undefined for the global RTCPeerConnection).
+     * @type {function(RTCConfiguration):RTCPeerConnection|undefined}
+     * @private
+     */
+    this.peerConnectionFactory = opts.peerConnectionFactory;
 
     /**
      * Map of remotePeerId -> P2PConnection instances.
@@ -36,12 +146,196 @@ export class P2PSignalingClient {
      */
     this.peers = new Map();
 
+    /**
+     * Buffer of broadcast messages replayed to newly connected peers (null when not buffering).
+     * @type {LogBuffer|null}
+     */
+    this.buffer = opts.buffer || null;
+
+    /**
+     * Peers that finished replay and receive broadcast messages live.
+     * @type {Set<string>}
+     * @private
+     */
+    this.livePeers = new Set();
+
+    /**
+     * Peers that already received the buffer replay. A later connection to the same
+     * peer (full renegotiation) goes live without replaying it again.
+     * @type {Set<string>}
+     * @private
+     */
+    this.replayedPeers = new Set();
+
+    /**
+     * SendPipeline options, or null when messages go straight to the data channel.
+     * @type {Object|null}
+     * @private
+     */
+    this.pipelineOptions = opts.pipeline === true ? {} : opts.pipeline || null;
+
+    /**
+     * Map of remotePeerId -> SendPipeline (only when `opts.pipeline` is set).
+     * @type {Map<string, SendPipeline>}
+     */
+    this.pipelines = new Map();
+
+    /**
+     * Whether viewers may change what is streamed to them.
+     * @type {boolean}
+     */
+    this.remoteControl = !!opts.remoteControl;
+
+    /**
+     * Map of remotePeerId -> that viewer's stream settings (only with `remoteControl`).
+     * @type {Map<string, StreamFilter>}
+     */
+    this.viewerFilters = new Map();
+
+    /** @type {number} */
+    this.controlTimeoutMs = opts.controlTimeoutMs ?? 5000;
+
+    /**
+     * Control requests awaiting an acknowledgement, by requestId.
+     * @type {Map<string, {resolve: function(import("./remote-control.js").StreamConfig):void, reject: function(Error):void, timer: ReturnType<typeof setTimeout>}>}
+     * @private
+     */
+    this.pendingControls = new Map();
+
+    /**
+     * StatsSampler options, or null when connection quality is not sampled.
+     * @type {Object|null}
+     * @private
+     */
+    this.statsOptions = opts.stats === true ? {} : opts.stats || null;
+
+    /**
+     * Map of remotePeerId -> StatsSampler (only when `opts.stats` is set).
+     * @type {Map<string, StatsSampler>}
+     */
+    this.samplers = new Map();
+
+    /**
+     * Heartbeat options, or null when peers are not probed.
+     * @type {Object|null}
+     * @private
+     */
+    this.heartbeatOptions =
+      opts.heartbeat === true ? {} : opts.heartbeat || null;
+
+    /**
+     * Map of remotePeerId -> Heartbeat (only when `opts.heartbeat` is set).
+     * @type {Map<string, Heartbeat>}
+     */
+    this.heartbeats = new Map();
+
+    /**
+     * Map of remotePeerId -> estimate of that peer's clock (only when `opts.heartbeat` is set).
+     * @type {Map<string, ClockEstimator>}
+     */
+    this.clocks = new Map();
+
+    /**
+     * Named data channels declared on each P2PConnection.
+     * @type {Array<import("./p2p-channel.js").ChannelConfig>}
+     * @private
+     */
+    this.channelConfigs = opts.channels || [];
+
+    /**
+     * Recovery settings for each P2PConnection (see its `reconnect` option).
+     * @type {boolean|Object}
+     * @private
+     */
+    this.reconnectOptions = opts.reconnect ?? true;
+
+    /**
+     * FileTransfer options, or null when file transfer is disabled.
+     * @type {Object|null}
+     * @private
+     */
+    this.fileOptions = opts.files === true ? {} : opts.files || null;
+    if (this.fileOptions) {
+      this.channelConfigs = [
+        ...this.channelConfigs,
+        { label: FILE_CHANNEL_LABEL, ordered: true },
+      ];
+    }
+
+    /**
+     * Map of remotePeerId -> FileTransfer (only when `opts.files` is set).
+     * @type {Map<string, FileTransfer>}
+     */
+    this.fileTransfers = new Map();
+
+    /**
+     * Reliable delivery options, or null when disabled.
+     * @type {Object|null}
+     * @private
+     */
+    this.reliableOptions = opts.reliable === true ? {} : opts.reliable || null;
+
+    /**
+     * Map of remotePeerId -> numbered stream of console messages sent to that peer.
+     * Kept for `retainMs` after the peer disconnects so it can resume.
+     * @type {Map<string, OutboundStream>}
+     */
+    this.outboundStreams = new Map();
+
+    /**
+     * Map of remotePeerId -> numbered stream of console messages received from that peer.
+     * @type {Map<string, InboundStream>}
+     */
+    this.inboundStreams = new Map();
+
+    /**
+     * Timers removing the streams of disconnected peers, by remotePeerId.
+     * @type {Map<string, ReturnType<typeof setTimeout>>}
+     * @private
+     */
+    this.streamExpiry = new Map();
+
+    /**
+     * PeerPairing options, or null when peers are not authenticated.
+     * @type {Object|null}
+     * @private
+     */
+    this.authOptions = opts.auth === true ? {} : opts.auth || null;
+
+    /**
+     * Map of remotePeerId -> pairing of the current connection (only when `opts.auth` is set).
+     * @type {Map<string, PeerPairing>}
+     */
+    this.pairings = new Map();
+
+    /**
+     * Peers whose current connection is paired.
+     * @type {Set<string>}
+     * @private
+     */
+    this.authenticatedPeers = new Set();
+
+    /**
+     * Map of remotePeerId -> lifecycle state of each peer in `peers`.
+     * @type {Map<string, PeerState>}
+     * @private
+     */
+    this.peerStates = new Map();
+
     /**
      * The id assigned by the signaling server for this client (if provided).
      * @type {string|null}
      */
     this.assignedId = null;
 
+    /**
+     * Work that needs this client's id (to pick the negotiation role), held until the
+     * signaling server sends it.
+     * @type {Array<function():void>}
+     * @private
+     */
+    this.awaitingId = [];
+
     // Delay wiring signaling handlers until the WS reports ready.
     this.whenConnected(() => {
       this.setupSignaling();
@@ -63,12 +357,12 @@ export class P2PSignalingClient {
         const data = JSON.parse(message);
         this.handleSignalingMessage(data);
       } catch (e) {
-        console.error("Failed to parse signaling message:", e);
+        this.logger.error("Failed to parse signaling message:", e);
       }
     });
 
     this.ws.onOpen(() => {
-      console.log("Signaling server connected");
+      this.logger.info("Signaling server connected");
     });
   }
 
@@ -78,18 +372,34 @@ export class P2PSignalingClient {
    *
    * The created P2PConnection will forward its local signaling events (offer, answer, ice)
    * to the signaling server with the `to` field set to `remotePeerId`.
-   * It also logs application-level messages and connection events.
+   * It also logs application-level messages and connection events via the logger.
    *
    * @private
    * @param {string} remotePeerId - Identifier of the remote peer.
    * @returns {P2PConnection} The P2PConnection instance associated with the remote peer.
+   * @throws {Error} Before the signaling server assigned this client's id.
    */
   createP2PConnection(remotePeerId) {
     if (this.peers.has(remotePeerId)) {
       return this.peers.get(remotePeerId);
     }
+    if (!this.assignedId) {
+      throw new Error(
+        "Cannot create a peer connection before the signaling server assigned an id",
+      );
+    }
 
-    const p2p = new P2PConnection();
+    // Perfect negotiation needs exactly one polite side per pair; compare the ids
+    const p2p = new P2PConnection({
+      logger: this.logger,
+      peerConnectionFactory: this.peerConnectionFactory,
+      polite: this.assignedId > remotePeerId,
+      channels: this.channelConfigs,
+      reconnect: this.reconnectOptions,
+    });
+
+    clearTimeout(this.streamExpiry.get(remotePeerId));
+    this.streamExpiry.delete(remotePeerId);
 
     // Forward local ICE candidates for this peer
     p2p.onIceCandidate((candidate) => {
@@ -118,60 +428,436 @@ export class P2PSignalingClient {
       });
     });
 
+    // With a pipeline, messages are unpacked from batches before they reach handlers
+    let pipeline = null;
+    if (this.pipelineOptions) {
+      pipeline = new SendPipeline(p2p, this.pipelineOptions);
+      this.pipelines.set(remotePeerId, pipeline);
+    }
+
+    if (this.remoteControl) {
+      this.viewerFilters.set(remotePeerId, new StreamFilter());
+    }
+
+    // Connection quality, sampled only while connected
+    if (this.statsOptions) {
+      const sampler = new StatsSampler(p2p, this.statsOptions);
+      sampler.onStats((stats) => this.emit("peerStats", remotePeerId, stats));
+      sampler.onDegraded((event) =>
+        this.emit("connectionDegraded", remotePeerId, event),
+      );
+      sampler.onRecovered((stats) =>
+        this.emit("connectionRecovered", remotePeerId, stats),
+      );
+      p2p.onConnected(() => sampler.start());
+      p2p.onDisconnected(() => sampler.stop());
+      this.samplers.set(remotePeerId, sampler);
+    }
+
+    // Liveness probe, paused while the connection is down or recovering. A dead peer
+    // goes through the same cleanup as an explicit disconnect.
+    if (this.heartbeatOptions) {
+      const heartbeat = new Heartbeat({
+        ...this.heartbeatOptions,
+        // Sent past the pipeline, so batching doesn't inflate the latency
+        send: (body) => p2p.send(createEnvelope("heartbeat", body)),
+      });
+      heartbeat.onLatency((latencyMs) =>
+        this.emit("peerLatency", remotePeerId, latencyMs),
+      );
+      let clock = this.clocks.get(remotePeerId);
+      if (!clock) {
+        clock = new ClockEstimator();
+        this.clocks.set(remotePeerId, clock);
+      }
+      heartbeat.onClockSample((sample) => {
+        const estimate = clock.addSample(sample);
+        this.emit("clockEstimate", remotePeerId, estimate);
+      });
+      heartbeat.onDead(({ misses }) => {
+        this.logger.warn(
+          `Peer ${remotePeerId} missed ${misses} heartbeats, disconnecting`,
+        );
+        this.disconnectPeer(remotePeerId, "dead");
+        this.emit("peerDead", remotePeerId, { misses });
+      });
+      p2p.onProtocolReady(() => heartbeat.start());
+      p2p.onReconnected(() => {
+        if (p2p.protocol) heartbeat.start();
+      });
+      p2p.onDisconnected(() => heartbeat.stop());
+      this.heartbeats.set(remotePeerId, heartbeat);
+    }
+
+    // Files travel on their own channel, so they don't hold up console messages.
+    // Only a paired peer may start one.
+    if (this.fileOptions) {
+      const { authorize } = this.fileOptions;
+      const files = new FileTransfer(p2p.channel(FILE_CHANNEL_LABEL), {
+        ...this.fileOptions,
+        authorize: () =>
+          this.isPeerAuthenticated(remotePeerId) && (!authorize || authorize()),
+        logger: this.logger,
+      });
+      files.onProgress((info) => this.emit("fileProgress", remotePeerId, info));
+      files.onComplete((file) => {
+        if (this.isPeerAuthenticated(remotePeerId)) {
+          this.emit("fileComplete", remotePeerId, file);
+        } else {
+          this.logger.warn(
+            `Discarding file "${file.name}" from unauthenticated peer ${remotePeerId}`,
+          );
+        }
+      });
+      files.onFailed((file) => this.emit("fileFailed", remotePeerId, file));
+      this.fileTransfers.set(remotePeerId, files);
+    }
+
     // Application-level messages from this peer
-    p2p.onMessage((message) => {
-      console.log(`P2P message received from ${remotePeerId}:`, message);
-      // Application logic can be added here or p2p can expose events upward.
+    (pipeline || p2p).onMessage((message) => {
+      this.logger.debug(`P2P message received from ${remotePeerId}:`, message);
+      const binary =
+        message instanceof ArrayBuffer || ArrayBuffer.isView(message);
+      const envelope = this.parseIncoming(remotePeerId, message);
+      if (!envelope && !binary) return;
+      if (envelope?.kind === "auth") {
+        this.pairings.get(remotePeerId)?.receive(envelope.body);
+        return;
+      }
+      const deliver = () => {
+        if (envelope) {
+          this.handleEnvelope(remotePeerId, p2p, envelope);
+        } else {
+          this.emit("peerMessage", remotePeerId, message, null);
+        }
+      };
+
+      // Until the peer is authenticated only heartbeats get through; whatever arrives
+      // while pairing is under way is held for its outcome
+      const pairing = this.pairings.get(remotePeerId);
+      if (envelope?.kind !== "heartbeat" && pairing?.state === "pending") {
+        pairing.settled.then((paired) => {
+          if (paired) deliver();
+        });
+        return;
+      }
+      if (
+        envelope?.kind !== "heartbeat" &&
+        !this.isPeerAuthenticated(remotePeerId)
+      ) {
+        this.logger.debug(
+          `Dropping ${envelope?.kind || "binary"} message from unauthenticated peer ${remotePeerId}`,
+        );
+        return;
+      }
+      deliver();
     });
 
     // Connection established for this peer
     p2p.onConnected(() => {
-      console.log(`P2P connection established with ${remotePeerId}`);
+      this.logger.info(`P2P connection established with ${remotePeerId}`);
+    });
+
+    p2p.onReconnecting(() => this.setPeerState(remotePeerId, "reconnecting"));
+
+    p2p.onGaveUp(() => this.disconnectPeer(remotePeerId, "gave-up"));
+
+    // Start streaming once both sides agreed on the protocol and, with `opts.auth`,
+    // paired. A full renegotiation brings new DTLS certificates, so it pairs again.
+    p2p.onProtocolReady(() => {
+      if (this.authOptions) {
+        this.startPairing(remotePeerId, p2p);
+      } else {
+        this.startStream(remotePeerId, p2p);
+      }
+    });
+
+    // An ICE restart keeps the data channel, so no new hello follows: pick the stream
+    // back up here. After a full renegotiation onProtocolReady takes over instead.
+    p2p.onReconnected(() => {
+      if (!p2p.protocol || !this.isPeerAuthenticated(remotePeerId)) return;
+      if (this.reliableOptions) {
+        this.inboundStreamFor(remotePeerId, p2p).resume();
+      } else {
+        this.livePeers.add(remotePeerId);
+      }
+      this.setPeerState(remotePeerId, "connected");
     });
 
+    // The connection closes itself on a failed handshake; forget the peer with it
+    p2p.onProtocolError((error) => {
+      this.logger.error(
+        `Protocol error with ${remotePeerId} (${error.code}):`,
+        error.message,
+      );
+      if (this.peers.get(remotePeerId) === p2p) {
+        this.disconnectPeer(remotePeerId, "protocol-error");
+      }
+    });
+
+    // Drops that won't be recovered remove the peer like an explicit disconnect
+    p2p.onDisconnected(() => {
+      this.livePeers.delete(remotePeerId);
+      if (!p2p.reconnect && this.peers.get(remotePeerId) === p2p) {
+        this.disconnectPeer(remotePeerId, "lost");
+      }
+    });
+
+    p2p.onClosedByPeer(() =>
+      this.disconnectPeer(remotePeerId, "remote-closed"),
+    );
+
     // Store and return
     this.peers.set(remotePeerId, p2p);
+    this.setPeerState(remotePeerId, "connecting");
     return p2p;
   }
 
+  /**
+   * Handle a validated envelope from a peer that may send it.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @param {import("./protocol.js").Envelope} envelope
+   */
+  handleEnvelope(remotePeerId, p2p, envelope) {
+    if (this.remoteControl && envelope.kind === "control") {
+      this.handleControl(remotePeerId, p2p, envelope.body);
+    } else if (envelope.kind === "ack" && isSeqAck(envelope.body)) {
+      this.handleSeqAck(remotePeerId, p2p, envelope.body);
+    } else if (envelope.kind === "ack") {
+      this.settleControl(envelope.body);
+    } else if (envelope.kind === "heartbeat") {
+      this.handleHeartbeat(remotePeerId, p2p, envelope.body);
+    } else if (typeof envelope.seq === "number" && this.reliableOptions) {
+      const { duplicate } = this.acceptSequenced(remotePeerId, envelope);
+      if (duplicate) return;
+    }
+    if (envelope.kind === "console") {
+      this.alignTimestamp(remotePeerId, envelope.body);
+    }
+    if (!INTERNAL_KINDS.has(envelope.kind)) {
+      this.emit("peerMessage", remotePeerId, envelope.body, envelope);
+    }
+  }
+
+  /**
+   * Record a peer's new lifecycle state and report the transition.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {PeerState} state
+   */
+  setPeerState(remotePeerId, state) {
+    const previous = this.peerStates.get(remotePeerId) || "disconnected";
+    if (state === previous) return;
+    if (state === "disconnected") {
+      this.peerStates.delete(remotePeerId);
+    } else {
+      this.peerStates.set(remotePeerId, state);
+    }
+    this.emit("peerStateChange", remotePeerId, state, previous);
+    if (state === "connected") this.emit("peerConnected", remotePeerId);
+  }
+
+  /**
+   * A peer's current lifecycle state.
+   *
+   * @param {string} remotePeerId
+   * @returns {PeerState} `disconnected` for peers not in `peers`.
+   */
+  getPeerState(remotePeerId) {
+    return this.peerStates.get(remotePeerId) || "disconnected";
+  }
+
+  /**
+   * Begin the stream to a peer: replay buffered messages the first time, then go
+   * live. With reliable delivery the peer's resume acknowledgement decides what to send.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   */
+  startStream(remotePeerId, p2p) {
+    if (this.reliableOptions) {
+      this.inboundStreamFor(remotePeerId, p2p).resume();
+    } else if (this.replayedPeers.has(remotePeerId)) {
+      this.livePeers.add(remotePeerId);
+    } else {
+      this.replayTo(remotePeerId, p2p);
+    }
+    this.setPeerState(remotePeerId, "connected");
+  }
+
+  /**
+   * Pair the peer's current connection and start the stream once that succeeded.
+   * A failed pairing disconnects the peer.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   */
+  startPairing(remotePeerId, p2p) {
+    this.pairings.get(remotePeerId)?.stop();
+    this.authenticatedPeers.delete(remotePeerId);
+    this.setPeerState(remotePeerId, "pairing");
+
+    const pairing = new PeerPairing({
+      ...this.authOptions,
+      // Sent past the pipeline and reliable streams, which wait for the outcome
+      send: (body) => p2p.send(createEnvelope("auth", body)),
+    });
+    pairing.onCode((code) => this.emit("pairingCode", remotePeerId, code));
+    pairing.onPaired((code) => {
+      this.logger.info(`Paired with ${remotePeerId} (code ${code.code})`);
+      this.authenticatedPeers.add(remotePeerId);
+      this.emit("peerAuthenticated", remotePeerId, code);
+      this.startStream(remotePeerId, p2p);
+    });
+    pairing.onFailed(({ reason, by }) => {
+      this.logger.warn(
+        `Pairing with ${remotePeerId} failed (${by === "local" ? "rejected here" : "rejected by peer"}): ${reason}`,
+      );
+      this.disconnectPeer(remotePeerId, "auth-failed");
+      this.emit("authFailed", remotePeerId, { reason, by });
+    });
+    this.pairings.set(remotePeerId, pairing);
+
+    const pc = p2p.peerConnection;
+    pairing.start(pc?.localDescription?.sdp, pc?.remoteDescription?.sdp);
+  }
+
+  /**
+   * Whether a peer may exchange messages with us: always true without `opts.auth`,
+   * otherwise once its current connection is paired.
+   *
+   * @param {string} remotePeerId
+   * @returns {boolean}
+   */
+  isPeerAuthenticated(remotePeerId) {
+    return !this.authOptions || this.authenticatedPeers.has(remotePeerId);
+  }
+
+  /**
+   * The pairing code of a peer's current connection, for the user to compare with
+   * the one shown on the other side.
+   *
+   * @param {string} remotePeerId
+   * @returns {import("./peer-auth.js").PairingCode|null} Null without `opts.auth` or before it is known.
+   */
+  getPairingCode(remotePeerId) {
+    return this.pairings.get(remotePeerId)?.code || null;
+  }
+
+  /**
+   * The user confirmed that both sides show the same pairing code (needed with
+   * `opts.auth.confirm`).
+   *
+   * @param {string} remotePeerId
+   * @returns {void}
+   */
+  confirmPairing(remotePeerId) {
+    this.pairings.get(remotePeerId)?.confirm();
+  }
+
+  /**
+   * The pairing codes differ, or the user doesn't trust the peer: tell it and disconnect.
+   *
+   * @param {string} remotePeerId
+   * @returns {void}
+   */
+  rejectPairing(remotePeerId) {
+    this.pairings.get(remotePeerId)?.reject();
+  }
+
+  /**
+   * Send every buffered message to a peer, marked as historical, then mark the peer live.
+   *
+   * Without a buffer the peer goes live immediately. Broadcasts made while the replay
+   * waits for persisted messages to load are buffered and therefore part of the replay.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @returns {Promise<void>}
+   */
+  async replayTo(remotePeerId, p2p) {
+    if (this.buffer) {
+      await this.buffer.ready;
+      if (this.peers.get(remotePeerId) !== p2p) return;
+      this.replayedPeers.add(remotePeerId);
+
+      const history = this.buffer.getMessages();
+      for (const message of history) {
+        const marked =
+          message && typeof message === "object"
+            ? { ...message, historical: true }
+            : message;
+        if (!this.isWantedBy(remotePeerId, marked)) continue;
+        if (!this.sendTo(remotePeerId, p2p, marked)) break;
+      }
+      this.logger.debug(
+        `Replayed ${history.length} buffered messages to ${remotePeerId}`,
+      );
+    }
+    this.livePeers.add(remotePeerId);
+  }
+
   /**
    * Handle signaling messages and route them to the correct P2PConnection.
    *
    * Expected `data.from` to identify the remote peer for offer/answer/ice-candidate messages.
+   * Those are held until the server sent this client's id, which decides the
+   * negotiation role.
    *
    * Supported message shapes:
    * - { type: "offer", from: "<peerId>", offer: {...} }
    * - { type: "answer", from: "<peerId>", answer: {...} }
    * - { type: "ice-candidate", from: "<peerId>", candidate: {...} }
    * - { type: "id", id: "<serverAssignedId>" }
+   * - { type: "peer-left", id: "<peerId>" }
    *
    * @param {Object} data - Parsed signaling message.
    * @returns {void}
    */
   handleSignalingMessage(data) {
+    if (!this.assignedId && PEER_SIGNALS.has(data.type)) {
+      this.awaitingId.push(() => this.handleSignalingMessage(data));
+      return;
+    }
+
     switch (data.type) {
       case "offer": {
         const from = data.from;
         if (!from) {
-          console.warn("Offer received without `from` field:", data);
+          this.logger.warn("Offer received without `from` field:", data);
           return;
         }
         const p2p = this.createP2PConnection(from);
-        p2p.receiveOffer(data.offer);
+        p2p
+          .receiveOffer(data.offer)
+          .catch((e) =>
+            this.logger.error(`Failed to handle offer from ${from}:`, e),
+          );
         break;
       }
 
       case "answer": {
         const from = data.from;
         if (!from) {
-          console.warn("Answer received without `from` field:", data);
+          this.logger.warn("Answer received without `from` field:", data);
           return;
         }
         const p2p = this.peers.get(from);
         if (p2p) {
-          p2p.receiveAnswer(data.answer);
+          p2p
+            .receiveAnswer(data.answer)
+            .catch((e) =>
+              this.logger.error(`Failed to handle answer from ${from}:`, e),
+            );
         } else {
-          console.warn("Received answer for unknown peer:", from);
+          this.logger.warn("Received answer for unknown peer:", from);
         }
         break;
       }
@@ -179,14 +865,14 @@ export class P2PSignalingClient {
       case "ice-candidate": {
         const from = data.from;
         if (!from) {
-          console.warn("ICE candidate received without `from` field:", data);
+          this.logger.warn("ICE candidate received without `from` field:", data);
           return;
         }
         const p2p = this.peers.get(from);
         if (p2p) {
           p2p.addIceCandidate(data.candidate);
         } else {
-          console.warn("Received ICE candidate for unknown peer:", from);
+          this.logger.warn("Received ICE candidate for unknown peer:", from);
         }
         break;
       }
@@ -194,10 +880,18 @@ export class P2PSignalingClient {
       case "id":
         // Server assigned id for this client
         this.assignedId = data.id;
+        this.awaitingId.splice(0).forEach((run) => run());
+        break;
+
+      case "peer-left":
+        if (this.peers.has(data.id)) {
+          this.logger.info(`Peer ${data.id} left the signaling server`);
+          this.disconnectPeer(data.id, "left");
+        }
         break;
 
       default:
-        console.log("Unknown signaling message:", data);
+        this.logger.debug("Unknown signaling message:", data);
     }
   }
 
@@ -214,12 +908,20 @@ export class P2PSignalingClient {
    * Initiate a P2P connection to a remote peer.
    *
    * Creates (or reuses) a P2PConnection and calls its `initiate()` method which
-   * typically creates a local SDP offer and returns it.
+   * typically creates a local SDP offer and returns it. Called before the signaling
+   * server assigned this client's id, it waits for the id first.
    *
    * @param {string} remotePeerId - Identifier of the peer to initiate a connection with.
    * @returns {Promise<Object>} Resolves with the created SDP offer object.
    */
   initiateP2P(remotePeerId) {
+    if (!this.assignedId) {
+      return new Promise((resolve, reject) => {
+        this.awaitingId.push(() =>
+          this.initiateP2P(remotePeerId).then(resolve, reject),
+        );
+      });
+    }
     const p2p = this.createP2PConnection(remotePeerId);
     return p2p.initiate();
   }
@@ -231,48 +933,628 @@ export class P2PSignalingClient {
    * - sendMessage(remotePeerId, message)
    * - sendMessage(message) -> sends to the first connected peer (backward compatibility)
    *
+   * With a `buffer` configured, the single-arg form broadcasts instead: the message is
+   * buffered (so peers connecting later get it on replay) and sent to every live peer.
+   *
    * @param {string|Object} remotePeerIdOrMessage - remotePeerId when sending to a specific peer, or the message payload when using single-arg form.
    * @param {string|Object} [message] - Message payload when using two-arg form.
-   * @returns {boolean} True if the message was sent, false otherwise.
+   * @returns {boolean} True if the message was sent (buffered mode: sent to at least one peer), false otherwise.
    */
   sendMessage(remotePeerIdOrMessage, message) {
     let remotePeerId = null;
     let payload = message;
 
+    if (typeof message === "undefined" && this.buffer) {
+      return this.broadcast(remotePeerIdOrMessage);
+    }
+
     if (typeof message === "undefined") {
       // Only one arg provided -> treat as payload and send to first connected peer
       payload = remotePeerIdOrMessage;
-      const first = this.peers.values().next();
+      const first = this.peers.entries().next();
       if (first.done) return false;
-      const firstP2P = first.value;
-      return firstP2P.send(payload);
+      const [firstId, firstP2P] = first.value;
+      if (!this.isWantedBy(firstId, payload)) return false;
+      return this.sendTo(firstId, firstP2P, payload);
     } else {
       remotePeerId = remotePeerIdOrMessage;
     }
 
     const p2p = this.peers.get(remotePeerId);
     if (!p2p) {
-      console.warn("Attempt to send message to unknown peer:", remotePeerId);
+      this.logger.warn("Attempt to send message to unknown peer:", remotePeerId);
       return false;
     }
-    return p2p.send(payload);
+    if (!this.isWantedBy(remotePeerId, payload)) return false;
+    return this.sendTo(remotePeerId, p2p, payload);
+  }
+
+  /**
+   * Whether a viewer's stream settings let a message through (always true without `remoteControl`).
+   *
+   * Dropped-message summaries skip the level and namespace settings, so a viewer that
+   * only wants errors still learns that warnings were dropped; pausing holds them back too.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {string|Object} message
+   * @returns {boolean}
+   */
+  isWantedBy(remotePeerId, message) {
+    const filter = this.viewerFilters.get(remotePeerId);
+    if (!filter) return true;
+    const { level, namespace, dropped } =
+      message && typeof message === "object" ? message : {};
+    if (dropped) return filter.allows(null, null);
+    return filter.allows(level, namespace);
+  }
+
+  /**
+   * Whether any connected viewer currently wants messages of this level/namespace.
+   *
+   * Meant as a `P2pMessageHelper` `filter`, so messages nobody will receive are not
+   * built at all. Always true without `remoteControl`, or with a buffer (future viewers
+   * may still want the message).
+   *
+   * @param {string} level
+   * @param {string|null} [namespace]
+   * @returns {boolean}
+   */
+  acceptsMessage(level, namespace = null) {
+    if (!this.remoteControl || this.buffer) return true;
+    for (const filter of this.viewerFilters.values()) {
+      if (filter.allows(level, namespace)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Apply a viewer's control request to its stream settings and acknowledge it.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @param {import("./remote-control.js").ControlMessage} control
+   */
+  handleControl(remotePeerId, p2p, control) {
+    const filter = this.viewerFilters.get(remotePeerId);
+    if (!filter) return;
+    const error = filter.apply(control);
+    if (error) {
+      this.logger.warn(`Rejected control request from ${remotePeerId}:`, error);
+    } else {
+      this.logger.info(
+        `Applied control "${control.action}" from ${remotePeerId}`,
+      );
+    }
+
+    const ack = {
+      type: CONTROL_ACK_TYPE,
+      requestId: control.requestId,
+      ok: !error,
+      config: filter.toJSON(),
+    };
+    if (error) ack.error = error;
+    this.sendTo(remotePeerId, p2p, ack);
+  }
+
+  /**
+   * Viewer side: ask a source to change what it streams to this viewer.
+   *
+   * @param {string} remotePeerId - The source to control.
+   * @param {import("./remote-control.js").ControlAction} action
+   * @param {{level?: string, namespace?: string}} [params]
+   * @returns {Promise<import("./remote-control.js").StreamConfig>} Resolves with the effective config from the acknowledgement.
+   */
+  sendControl(remotePeerId, action, params = {}) {
+    const p2p = this.peers.get(remotePeerId);
+    if (!p2p) {
+      return Promise.reject(new Error(`Unknown peer: ${remotePeerId}`));
+    }
+
+    const control = createControlMessage(action, params);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingControls.delete(control.requestId);
+        reject(new Error(`Control request "${action}" was not acknowledged`));
+      }, this.controlTimeoutMs);
+      this.pendingControls.set(control.requestId, { resolve, reject, timer });
+
+      if (!this.sendTo(remotePeerId, p2p, control)) {
+        clearTimeout(timer);
+        this.pendingControls.delete(control.requestId);
+        reject(new Error(`Could not send control request to ${remotePeerId}`));
+      }
+    });
+  }
+
+  /**
+   * Send a file (heap snapshot, HAR dump, screenshot, log archive, ...) to a peer.
+   * Requires `opts.files` on both sides.
+   *
+   * @param {string} remotePeerId
+   * @param {Blob|ArrayBuffer|ArrayBufferView} file
+   * @param {{name?: string, mimeType?: string}} [opts]
+   * @returns {{id: string, done: Promise<void>}} `done` resolves once the peer verified the file.
+   * @throws {Error} If file transfer is not enabled, or the peer is unknown or not authenticated.
+   */
+  sendFile(remotePeerId, file, opts = {}) {
+    const files = this.fileTransfers.get(remotePeerId);
+    if (!files) {
+      throw new Error(
+        this.fileOptions
+          ? `Unknown peer: ${remotePeerId}`
+          : "File transfer is not enabled (opts.files)",
+      );
+    }
+    if (!this.isPeerAuthenticated(remotePeerId)) {
+      throw new Error(`Peer ${remotePeerId} is not authenticated`);
+    }
+    return files.send(file, opts);
+  }
+
+  /**
+   * Cancel a file transfer to or from a peer.
+   *
+   * @param {string} remotePeerId
+   * @param {string} id - Transfer id from `sendFile` or a progress event.
+   */
+  cancelFile(remotePeerId, id) {
+    this.fileTransfers.get(remotePeerId)?.cancel(id);
+  }
+
+  /**
+   * Resolve (or reject) the pending `sendControl` call an acknowledgement belongs to.
+   *
+   * @private
+   * @param {import("./remote-control.js").ControlAck} ack
+   */
+  settleControl(ack) {
+    const pending = this.pendingControls.get(ack.requestId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pendingControls.delete(ack.requestId);
+    if (ack.ok) {
+      pending.resolve(ack.config);
+    } else {
+      pending.reject(new Error(ack.error || "Control request rejected"));
+    }
+  }
+
+  /**
+   * Add the receiver-relative time to a console message from a peer whose clock
+   * has been estimated; `timestamp` keeps the source's own reading.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+   */
+  alignTimestamp(remotePeerId, message) {
+    const clock = this.clocks.get(remotePeerId);
+    if (!clock || !clock.estimate) return;
+    message.correctedTimestamp = clock.toLocalTime(message.timestamp);
+  }
+
+  /**
+   * Answer a peer's ping, or hand a pong to that peer's Heartbeat.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @param {import("./heartbeat.js").HeartbeatBody} body
+   */
+  handleHeartbeat(remotePeerId, p2p, body) {
+    if (body.type === HEARTBEAT_PING) {
+      p2p.send(createEnvelope("heartbeat", createPong(body)));
+      return;
+    }
+    this.heartbeats.get(remotePeerId)?.receive(body);
+  }
+
+  /**
+   * Parse and validate an incoming envelope.
+   *
+   * Invalid messages are logged and dropped; binary data is not an envelope (it is
+   * reported as `peerMessage` as it is).
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {*} message
+   * @returns {import("./protocol.js").Envelope|null}
+   */
+  parseIncoming(remotePeerId, message) {
+    if (message instanceof ArrayBuffer || ArrayBuffer.isView(message)) {
+      return null;
+    }
+    try {
+      return parseEnvelope(message);
+    } catch (error) {
+      this.logger.warn(
+        `Dropping invalid message from ${remotePeerId}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Wrap a payload in a protocol envelope and send it through the peer's pipeline
+   * when one is configured, otherwise directly. Binary payloads (including Blobs) are
+   * sent as they are; console messages are numbered when the peer has a reliable stream.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} payload
+   * @returns {boolean}
+   */
+  sendTo(remotePeerId, p2p, payload) {
+    if (!this.isPeerAuthenticated(remotePeerId)) return false;
+    let message =
+      payload instanceof ArrayBuffer ||
+      ArrayBuffer.isView(payload) ||
+      isBlob(payload)
+        ? payload
+        : toEnvelope(payload);
+    const stream = this.outboundStreams.get(remotePeerId);
+    if (stream && message.kind === "console" && !("seq" in message)) {
+      message = stream.stamp(message);
+    }
+    const pipeline = this.pipelines.get(remotePeerId);
+    return pipeline ? pipeline.send(message) : p2p.send(message);
+  }
+
+  /**
+   * Buffer a message and send it to every peer that has finished its replay.
+   *
+   * @private
+   * @param {string|Object} message
+   * @returns {boolean} True if at least one peer received the message.
+   */
+  broadcast(message) {
+    this.buffer.push(message);
+
+    let sent = false;
+    for (const remotePeerId of this.livePeers) {
+      const p2p = this.peers.get(remotePeerId);
+      if (
+        p2p &&
+        this.isWantedBy(remotePeerId, message) &&
+        this.sendTo(remotePeerId, p2p, message)
+      ) {
+        sent = true;
+      }
+    }
+
+    // Peers that are away keep numbering, so they get the message when they resume
+    for (const [remotePeerId, stream] of this.outboundStreams) {
+      if (this.livePeers.has(remotePeerId)) continue;
+      const envelope = toEnvelope(message);
+      if (
+        envelope.kind === "console" &&
+        this.isWantedBy(remotePeerId, message)
+      ) {
+        stream.stamp(envelope);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Reliable stream of console messages received from a peer, created on first use.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @returns {InboundStream}
+   */
+  inboundStreamFor(remotePeerId, p2p) {
+    let stream = this.inboundStreams.get(remotePeerId);
+    if (!stream) {
+      stream = new InboundStream({
+        ...this.reliableOptions,
+        sendAck: (ack) => {
+          const current = this.peers.get(remotePeerId) || p2p;
+          this.sendTo(remotePeerId, current, ack);
+        },
+      });
+      this.inboundStreams.set(remotePeerId, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Track a numbered message from a peer and report the messages that never arrived.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {import("./reliable-delivery.js").SequencedEnvelope} envelope
+   * @returns {{duplicate: boolean}} Duplicates (retransmissions already seen) should be ignored.
+   */
+  acceptSequenced(remotePeerId, envelope) {
+    const p2p = this.peers.get(remotePeerId);
+    const { duplicate, gap } = this.inboundStreamFor(remotePeerId, p2p).accept(
+      envelope.stream,
+      envelope.seq,
+    );
+    if (gap) {
+      this.logger.warn(`${gap.count} message(s) from ${remotePeerId} lost`);
+      this.emit("messagesLost", remotePeerId, gap);
+    }
+    return { duplicate };
+  }
+
+  /**
+   * Apply a peer's acknowledgement to the stream we send it.
+   *
+   * A resume acknowledgement for our current stream retransmits what the peer missed;
+   * for any other stream (new peer, or we restarted) a fresh stream starts with the
+   * usual buffer replay. Either way the peer then receives messages live.
+   *
+   * @private
+   * @param {string} remotePeerId
+   * @param {P2PConnection} p2p
+   * @param {import("./reliable-delivery.js").SeqAck} ack
+   */
+  handleSeqAck(remotePeerId, p2p, ack) {
+    if (!this.reliableOptions) return;
+    let stream = this.outboundStreams.get(remotePeerId);
+
+    if (!ack.resume) {
+      if (stream && ack.stream === stream.id) stream.ack(ack.seq);
+      return;
+    }
+
+    if (stream && ack.stream === stream.id) {
+      const missed = stream.resend(ack.seq);
+      this.logger.info(
+        `Resuming stream to ${remotePeerId}: retransmitting ${missed.length} message(s)`,
+      );
+      for (const envelope of missed) {
+        if (!this.sendTo(remotePeerId, p2p, envelope)) break;
+      }
+      this.livePeers.add(remotePeerId);
+      return;
+    }
+
+    stream = new OutboundStream(this.reliableOptions);
+    this.outboundStreams.set(remotePeerId, stream);
+    this.replayTo(remotePeerId, p2p);
+  }
+
+  /**
+   * Keep a disconnected peer's streams for `retainMs`, so it can resume if it comes back.
+   *
+   * @private
+   * @param {string} remotePeerId
+   */
+  retireStreams(remotePeerId) {
+    if (!this.reliableOptions) return;
+    clearTimeout(this.streamExpiry.get(remotePeerId));
+    this.inboundStreams.get(remotePeerId)?.close();
+    this.streamExpiry.set(
+      remotePeerId,
+      setTimeout(() => {
+        this.streamExpiry.delete(remotePeerId);
+        this.outboundStreams.delete(remotePeerId);
+        this.inboundStreams.delete(remotePeerId);
+      }, this.reliableOptions.retainMs ?? 60000),
+    );
+  }
+
+  /**
+   * Register a handler for connection quality samples (requires `opts.stats`).
+   *
+   * @param {function(string, import("./stats-sampler.js").ConnectionStats):void} handler - Called with the peer id and the sample.
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerStats(handler) {
+    return this.on("peerStats", handler);
+  }
+
+  /**
+   * Register a handler for a peer's connection falling below the stats thresholds.
+   *
+   * @param {function(string, import("./stats-sampler.js").DegradedEvent):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onConnectionDegraded(handler) {
+    return this.on("connectionDegraded", handler);
+  }
+
+  /**
+   * Register a handler for a degraded connection meeting the thresholds again.
+   *
+   * @param {function(string, import("./stats-sampler.js").ConnectionStats):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onConnectionRecovered(handler) {
+    return this.on("connectionRecovered", handler);
+  }
+
+  /**
+   * Register a handler for application-level round-trip times (requires `opts.heartbeat`).
+   *
+   * @param {function(string, number):void} handler - Called with the peer id and the latency in milliseconds.
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerLatency(handler) {
+    return this.on("peerLatency", handler);
+  }
+
+  /**
+   * Register a handler for updates of a peer's estimated clock offset (requires `opts.heartbeat`).
+   *
+   * @param {function(string, import("./clock-sync.js").ClockEstimate):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onClockEstimate(handler) {
+    return this.on("clockEstimate", handler);
+  }
+
+  /**
+   * Register a handler for a peer that stopped answering heartbeats. By the time it
+   * runs the peer has been disconnected and removed from `peers`.
+   *
+   * @param {function(string, {misses: number}):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerDead(handler) {
+    return this.on("peerDead", handler);
+  }
+
+  /**
+   * Register a handler for file transfer progress in either direction (requires `opts.files`).
+   *
+   * @param {function(string, import("./file-transfer.js").FileTransferInfo):void} handler - Called with the peer id and the transfer.
+   * @returns {function():void} Removes the handler.
+   */
+  onFileProgress(handler) {
+    return this.on("fileProgress", handler);
+  }
+
+  /**
+   * Register a handler for finished file transfers; received files carry the verified blob.
+   *
+   * @param {function(string, import("./file-transfer.js").CompletedFile):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onFileComplete(handler) {
+    return this.on("fileComplete", handler);
+  }
+
+  /**
+   * Register a handler for file transfers that were cancelled, refused or failed verification.
+   *
+   * @param {function(string, import("./file-transfer.js").FailedFile):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onFileFailed(handler) {
+    return this.on("fileFailed", handler);
+  }
+
+  /**
+   * Register a handler for messages a peer sent that will never arrive (reliable
+   * delivery only): the sender's retransmission buffer no longer had them.
+   *
+   * @param {function(string, import("./reliable-delivery.js").MessageGap):void} handler - Called with the peer id and the missing range.
+   * @returns {function():void} Removes the handler.
+   */
+  onMessagesLost(handler) {
+    return this.on("messagesLost", handler);
+  }
+
+  /**
+   * Register a handler for application messages from any peer: console messages and
+   * other payloads sent with `sendMessage` (protocol traffic such as acknowledgements,
+   * heartbeats and control requests is handled internally). Console messages carry
+   * `correctedTimestamp` once the peer's clock is estimated.
+   *
+   * @param {function(string, *, import("./protocol.js").Envelope|null):void} handler - Called with the peer id, the
+   *   message (the envelope body, or an ArrayBuffer for binary data) and its envelope (null for binary data).
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerMessage(handler) {
+    return this.on("peerMessage", handler);
+  }
+
+  /**
+   * Register a handler for peers becoming ready to exchange messages: after the
+   * protocol handshake (and pairing, with `opts.auth`), and again after each recovery.
+   *
+   * @param {function(string):void} handler - Called with the peer id.
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerConnected(handler) {
+    return this.on("peerConnected", handler);
+  }
+
+  /**
+   * Register a handler for peers removed from `peers`, with the reason.
+   *
+   * @param {function(string, {reason: PeerDisconnectReason}):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerDisconnected(handler) {
+    return this.on("peerDisconnected", handler);
+  }
+
+  /**
+   * Register a handler for every lifecycle transition of a peer.
+   *
+   * @param {function(string, PeerState, PeerState):void} handler - Called with the peer id, the new and the previous state.
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerStateChange(handler) {
+    return this.on("peerStateChange", handler);
+  }
+
+  /**
+   * Register a handler for a connection's pairing code (requires `opts.auth`). Show it
+   * to the user, who compares it with the code on the other device.
+   *
+   * @param {function(string, import("./peer-auth.js").PairingCode):void} handler - Called with the peer id and the code.
+   * @returns {function():void} Removes the handler.
+   */
+  onPairingCode(handler) {
+    return this.on("pairingCode", handler);
+  }
+
+  /**
+   * Register a handler for peers that completed pairing; messages flow from then on.
+   *
+   * @param {function(string, import("./peer-auth.js").PairingCode):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onPeerAuthenticated(handler) {
+    return this.on("peerAuthenticated", handler);
+  }
+
+  /**
+   * Register a handler for failed pairing (wrong or missing secret, rejected code,
+   * timeout). By the time it runs the peer has been disconnected.
+   *
+   * @param {function(string, import("./peer-auth.js").PairingFailure):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onAuthFailed(handler) {
+    return this.on("authFailed", handler);
   }
 
   /**
    * Disconnect a specific peer connection and remove it from the peers map.
    *
    * @param {string} remotePeerId - Identifier of the peer to disconnect.
+   * @param {PeerDisconnectReason} [reason="closed"] - Reported with `peerDisconnected`.
    * @returns {void}
    */
-  disconnectPeer(remotePeerId) {
+  disconnectPeer(remotePeerId, reason = "closed") {
     const p2p = this.peers.get(remotePeerId);
     if (p2p) {
       try {
         p2p.close();
       } catch (e) {
-        console.warn("Error closing peer connection", remotePeerId, e);
+        this.logger.warn("Error closing peer connection", remotePeerId, e);
       }
       this.peers.delete(remotePeerId);
+      this.livePeers.delete(remotePeerId);
+      this.replayedPeers.delete(remotePeerId);
+      this.pipelines.get(remotePeerId)?.close();
+      this.pipelines.delete(remotePeerId);
+      this.viewerFilters.delete(remotePeerId);
+      this.samplers.get(remotePeerId)?.stop();
+      this.samplers.delete(remotePeerId);
+      this.heartbeats.get(remotePeerId)?.stop();
+      this.heartbeats.delete(remotePeerId);
+      this.clocks.delete(remotePeerId);
+      this.fileTransfers.get(remotePeerId)?.close();
+      this.fileTransfers.delete(remotePeerId);
+      this.pairings.get(remotePeerId)?.stop();
+      this.pairings.delete(remotePeerId);
+      this.authenticatedPeers.delete(remotePeerId);
+      this.retireStreams(remotePeerId);
+      this.setPeerState(remotePeerId, "disconnected");
+      this.emit("peerDisconnected", remotePeerId, { reason });
     }
   }
 
@@ -288,10 +1570,35 @@ export class P2PSignalingClient {
       try {
         p2p.close();
       } catch (e) {
-        console.warn("Error closing peer connection", id, e);
+        this.logger.warn("Error closing peer connection", id, e);
       }
     }
     this.peers.clear();
+    this.livePeers.clear();
+    this.replayedPeers.clear();
+    this.awaitingId = [];
+    this.pipelines.forEach((pipeline) => pipeline.close());
+    this.pipelines.clear();
+    this.viewerFilters.clear();
+    this.samplers.forEach((sampler) => sampler.stop());
+    this.samplers.clear();
+    this.heartbeats.forEach((heartbeat) => heartbeat.stop());
+    this.heartbeats.clear();
+    this.clocks.clear();
+    this.fileTransfers.forEach((files) => files.close());
+    this.fileTransfers.clear();
+    this.pairings.forEach((pairing) => pairing.stop());
+    this.pairings.clear();
+    this.authenticatedPeers.clear();
+    this.streamExpiry.forEach((timer) => clearTimeout(timer));
+    this.streamExpiry.clear();
+    this.inboundStreams.forEach((stream) => stream.close());
+    this.inboundStreams.clear();
+    this.outboundStreams.clear();
+    for (const remotePeerId of Array.from(this.peerStates.keys())) {
+      this.setPeerState(remotePeerId, "disconnected");
+      this.emit("peerDisconnected", remotePeerId, { reason: "closed" });
+    }
     this.ws.disconnect();
   }
 
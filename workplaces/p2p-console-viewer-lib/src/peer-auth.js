@@ -0,0 +1,454 @@
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Auth body type sent by each peer to make the other prove its secret.
+ * @type {string}
+ */
+export const AUTH_CHALLENGE = "challenge";
+
+/**
+ * Auth body type of the answer to a challenge.
+ * @type {string}
+ */
+export const AUTH_RESPONSE = "response";
+
+/**
+ * Auth body type of the challenger's verdict.
+ * @type {string}
+ */
+export const AUTH_RESULT = "result";
+
+/**
+ * Body of an `auth` envelope.
+ * @typedef {Object} AuthBody
+ * @property {'challenge'|'response'|'result'} type
+ * @property {string} [nonce] - Challenge/response: random hex chosen by the challenger.
+ * @property {string|null} [proof] - Response: hex HMAC-SHA256, or null when the responder has no secret.
+ * @property {boolean} [ok] - Result: whether the challenger accepted the proof.
+ * @property {string} [reason] - Result: why it did not.
+ */
+
+/**
+ * Short authentication string of one connection.
+ * @typedef {Object} PairingCode
+ * @property {string} code - Six digits, e.g. "042 917". Both sides show the same code
+ *   unless something between them terminated DTLS (a swapped SDP).
+ * @property {string} localFingerprint - This side's DTLS fingerprint, e.g. "sha-256 4F:0A:...".
+ * @property {string} remoteFingerprint
+ */
+
+/**
+ * Why pairing failed, and which side decided it.
+ * @typedef {Object} PairingFailure
+ * @property {string} reason - 'missing-proof', 'bad-proof', 'no-fingerprint', 'unsupported',
+ *   'timeout', 'rejected' (by the user), or whatever the peer reported.
+ * @property {'local'|'remote'} by
+ */
+
+/**
+ * Domain separation for proofs, so they can't be replayed as HMACs of anything else.
+ * @type {string}
+ */
+const PROOF_CONTEXT = "p2p-console-viewer/auth/v1";
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * @returns {SubtleCrypto|null} WebCrypto, or null where it isn't available (e.g. an insecure context).
+ */
+function getSubtle() {
+  return (globalThis.crypto && globalThis.crypto.subtle) || null;
+}
+
+/**
+ * The first DTLS fingerprint of a session description.
+ *
+ * @param {string|null|undefined} sdp
+ * @returns {string|null} Normalized as "<lower-case hash> <UPPER:CASE:HEX>", or null when there is none.
+ */
+export function extractFingerprint(sdp) {
+  const match = /^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)\s*$/m.exec(sdp || "");
+  return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * Derive the pairing code of a connection from the fingerprints in its local and
+ * remote descriptions. The fingerprints are sorted first, so both sides get the same
+ * code from their opposite views of the session.
+ *
+ * @param {string|null|undefined} localSdp
+ * @param {string|null|undefined} remoteSdp
+ * @returns {Promise<PairingCode|null>} Null when a fingerprint or WebCrypto is missing.
+ */
+export async function computePairingCode(localSdp, remoteSdp) {
+  const localFingerprint = extractFingerprint(localSdp);
+  const remoteFingerprint = extractFingerprint(remoteSdp);
+  const subtle = getSubtle();
+  if (!localFingerprint || !remoteFingerprint || !subtle) return null;
+
+  const input = [localFingerprint, remoteFingerprint].sort().join("\n");
+  const digest = await subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(input),
+  );
+  const digits = String(new DataView(digest).getUint32(0) % 1e6).padStart(
+    6,
+    "0",
+  );
+  return {
+    code: `${digits.slice(0, 3)} ${digits.slice(3)}`,
+    localFingerprint,
+    remoteFingerprint,
+  };
+}
+
+/**
+ * Bytes a proof is computed over. Naming the responder's fingerprint first means a
+ * peer can't answer our challenge by reflecting it back to us.
+ *
+ * @param {string} nonce
+ * @param {string} responderFingerprint
+ * @param {string} challengerFingerprint
+ * @returns {Uint8Array}
+ */
+function proofInput(nonce, responderFingerprint, challengerFingerprint) {
+  return new TextEncoder().encode(
+    [PROOF_CONTEXT, nonce, responderFingerprint, challengerFingerprint].join(
+      "\n",
+    ),
+  );
+}
+
+/**
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function importSecret(secret) {
+  return getSubtle().importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"],
+  );
+}
+
+/**
+ * Handler arguments of each PeerPairing event (see EventEmitter).
+ * @typedef {Object} PeerPairingEvents
+ * @property {[PairingCode]} code
+ * @property {[PairingCode]} paired
+ * @property {[PairingFailure]} failed
+ */
+
+/**
+ * PeerPairing
+ *
+ * Authenticates one connection after the protocol handshake. Both sides derive a
+ * pairing code from the DTLS fingerprints for the user to compare, then challenge
+ * each other: the answer is an HMAC over the challenge nonce and both fingerprints,
+ * keyed with the pre-shared secret. Binding the proof to the fingerprints means a
+ * signaling server that swaps SDP (and so terminates DTLS on both legs) can't relay
+ * it. A side without a secret answers with no proof and accepts any answer, which
+ * leaves only the pairing code.
+ *
+ * The connection is paired once this side accepted the peer's proof, the peer
+ * accepted ours and, with `confirm`, the user confirmed the code.
+ *
+ * Usage:
+ * const pairing = new PeerPairing({ secret, send: (body) => p2p.send(createEnvelope("auth", body)) });
+ * pairing.onCode(({ code }) => show(code));
+ * pairing.onPaired(() => startStreaming());
+ * pairing.start(pc.localDescription.sdp, pc.remoteDescription.sdp);
+ * pairing.receive(authBody); // for each incoming auth envelope
+ *
+ * @extends {EventEmitter<PeerPairingEvents>}
+ */
+export class PeerPairing extends EventEmitter {
+  /**
+   * @param {Object} opts
+   * @param {function(AuthBody):boolean} opts.send - Sends an auth body to the peer.
+   * @param {string|null} [opts.secret=null] - Pre-shared secret the peer must prove it knows.
+   * @param {boolean} [opts.confirm=false] - Also wait for `confirm()`, after the user compared the codes.
+   * @param {number} [opts.timeoutMs=10000] - Fail when the challenges aren't settled in time.
+   */
+  constructor(opts) {
+    super();
+
+    /** @type {function(AuthBody):boolean} @private */
+    this.send = opts.send;
+
+    /** @type {string|null} @private */
+    this.secret = opts.secret || null;
+
+    /** @type {number} */
+    this.timeoutMs = opts.timeoutMs ?? 10000;
+
+    /** @type {'pending'|'paired'|'failed'} */
+    this.state = "pending";
+
+    /**
+     * This connection's pairing code (null until computed).
+     * @type {PairingCode|null}
+     */
+    this.code = null;
+
+    /**
+     * Nonce of our challenge.
+     * @type {string|null}
+     * @private
+     */
+    this.nonce = null;
+
+    /** @type {boolean} @private */
+    this.peerVerified = false;
+
+    /** @type {boolean} @private */
+    this.acceptedByPeer = false;
+
+    /** @type {boolean} @private */
+    this.confirmed = !opts.confirm;
+
+    /**
+     * Settles once the code is known (or pairing failed before that).
+     * @type {Promise<void>|null}
+     * @private
+     */
+    this.ready = null;
+
+    /**
+     * Incoming bodies are handled one at a time, in arrival order.
+     * @type {Promise<void>}
+     * @private
+     */
+    this.queue = Promise.resolve();
+
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    this.timer = null;
+
+    /** @type {function(boolean):void} @private */
+    this.resolveSettled = () => {};
+
+    /**
+     * Resolves with true once paired, or false when pairing failed or was stopped.
+     * @type {Promise<boolean>}
+     */
+    this.settled = new Promise((resolve) => {
+      this.resolveSettled = resolve;
+    });
+  }
+
+  /**
+   * Compute the pairing code and send our challenge.
+   *
+   * @param {string|null|undefined} localSdp - The connection's current local description.
+   * @param {string|null|undefined} remoteSdp - Its current remote description.
+   * @returns {Promise<void>}
+   */
+  start(localSdp, remoteSdp) {
+    this.timer = setTimeout(() => this.fail("timeout"), this.timeoutMs);
+    this.ready = this.prepare(localSdp, remoteSdp);
+    return this.ready;
+  }
+
+  /**
+   * @private
+   * @param {string|null|undefined} localSdp
+   * @param {string|null|undefined} remoteSdp
+   * @returns {Promise<void>}
+   */
+  async prepare(localSdp, remoteSdp) {
+    const code = await computePairingCode(localSdp, remoteSdp);
+    if (this.state !== "pending") return;
+    if (!code) {
+      const hasFingerprints =
+        extractFingerprint(localSdp) && extractFingerprint(remoteSdp);
+      this.fail(hasFingerprints ? "unsupported" : "no-fingerprint");
+      return;
+    }
+    this.code = code;
+    this.emit("code", code);
+
+    this.nonce = toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+    this.send({ type: AUTH_CHALLENGE, nonce: this.nonce });
+  }
+
+  /**
+   * Handle an auth body from the peer.
+   *
+   * @param {AuthBody} body
+   * @returns {Promise<void>}
+   */
+  receive(body) {
+    this.queue = this.queue.then(() =>
+      this.handle(body).catch((error) => this.fail(`error: ${error.message}`)),
+    );
+    return this.queue;
+  }
+
+  /**
+   * @private
+   * @param {AuthBody} body
+   * @returns {Promise<void>}
+   */
+  async handle(body) {
+    await this.ready;
+    if (this.state === "failed" || !this.code) return;
+    const { localFingerprint, remoteFingerprint } = this.code;
+
+    switch (body.type) {
+      case AUTH_CHALLENGE: {
+        const proof = this.secret
+          ? toHex(
+              new Uint8Array(
+                await getSubtle().sign(
+                  "HMAC",
+                  await importSecret(this.secret),
+                  proofInput(body.nonce, localFingerprint, remoteFingerprint),
+                ),
+              ),
+            )
+          : null;
+        this.send({ type: AUTH_RESPONSE, nonce: body.nonce, proof });
+        break;
+      }
+      case AUTH_RESPONSE: {
+        // Answers to anything but our current challenge are stale or replayed
+        if (body.nonce !== this.nonce || this.peerVerified) return;
+        const reason = await this.checkProof(body.proof);
+        if (reason) {
+          this.fail(reason);
+          return;
+        }
+        this.peerVerified = true;
+        this.send({ type: AUTH_RESULT, ok: true });
+        this.settle();
+        break;
+      }
+      case AUTH_RESULT:
+        if (!body.ok) {
+          this.fail(body.reason || "rejected", "remote");
+          return;
+        }
+        this.acceptedByPeer = true;
+        this.settle();
+        break;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string|null|undefined} proof
+   * @returns {Promise<string|null>} Why the proof is not accepted, or null.
+   */
+  async checkProof(proof) {
+    if (!this.secret) return null;
+    if (typeof proof !== "string" || !/^[0-9a-f]{64}$/.test(proof)) {
+      return "missing-proof";
+    }
+    const { localFingerprint, remoteFingerprint } = this.code;
+    const signature = new Uint8Array(
+      proof.match(/../g).map((byte) => parseInt(byte, 16)),
+    );
+    const valid = await getSubtle().verify(
+      "HMAC",
+      await importSecret(this.secret),
+      signature,
+      proofInput(this.nonce, remoteFingerprint, localFingerprint),
+    );
+    return valid ? null : "bad-proof";
+  }
+
+  /**
+   * The user compared the codes and they match.
+   */
+  confirm() {
+    if (this.state !== "pending") return;
+    this.confirmed = true;
+    this.settle();
+  }
+
+  /**
+   * The user compared the codes and they differ (or declined). The peer is told.
+   */
+  reject() {
+    this.fail("rejected");
+  }
+
+  /**
+   * Stop waiting without a verdict, e.g. because the connection went away.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.state === "pending") this.resolveSettled(false);
+  }
+
+  /**
+   * Pair once every condition holds. The timeout only covers the challenges; the
+   * user may take their time to confirm.
+   *
+   * @private
+   */
+  settle() {
+    if (this.state !== "pending" || !this.peerVerified || !this.acceptedByPeer)
+      return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.confirmed) return;
+    this.state = "paired";
+    this.emit("paired", this.code);
+    this.resolveSettled(true);
+  }
+
+  /**
+   * @private
+   * @param {string} reason
+   * @param {'local'|'remote'} [by="local"] - Local failures are reported to the peer.
+   */
+  fail(reason, by = "local") {
+    if (this.state === "failed") return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (by === "local") this.send({ type: AUTH_RESULT, ok: false, reason });
+    this.state = "failed";
+    this.emit("failed", { reason, by });
+    this.resolveSettled(false);
+  }
+
+  /**
+   * Register a handler for the pairing code, available right after `start()`.
+   *
+   * @param {function(PairingCode):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onCode(handler) {
+    return this.on("code", handler);
+  }
+
+  /**
+   * Register a handler for successful pairing.
+   *
+   * @param {function(PairingCode):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onPaired(handler) {
+    return this.on("paired", handler);
+  }
+
+  /**
+   * Register a handler for failed pairing.
+   *
+   * @param {function(PairingFailure):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onFailed(handler) {
+    return this.on("failed", handler);
+  }
+}
@@ -0,0 +1,404 @@
+import { P2pMessageHelper } from "./p2p-message-helper.js";
+import { isControlAck, isControlMessage } from "./remote-control.js";
+import { isSeqAck } from "./reliable-delivery.js";
+
+/**
+ * Protocol version spoken by this library.
+ * @type {number}
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Oldest protocol version this library can still talk to.
+ * @type {number}
+ */
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Envelope kinds. `hello` and `error` belong to the handshake; `data` carries
+ * application payloads that are none of the other kinds.
+ * @type {ReadonlyArray<string>}
+ */
+export const ENVELOPE_KINDS = Object.freeze([
+  "hello",
+  "error",
+  "console",
+  "control",
+  "ack",
+  "heartbeat",
+  "auth",
+  "file",
+  "rpc",
+  "data",
+]);
+
+/**
+ * Envelope kinds that P2PConnection handles itself instead of passing them to its
+ * message handlers.
+ * @type {ReadonlyArray<string>}
+ */
+export const HANDSHAKE_KINDS = Object.freeze(["hello", "error"]);
+
+/**
+ * @typedef {'hello'|'error'|'console'|'control'|'ack'|'heartbeat'|'auth'|'file'|'rpc'|'data'} EnvelopeKind
+ */
+
+/**
+ * Every message on the data channel (see protocol.schema.json).
+ * @typedef {Object} Envelope
+ * @property {number} v - Protocol version.
+ * @property {EnvelopeKind} kind
+ * @property {*} body
+ * @property {string} [stream] - Reliable stream the envelope belongs to (see reliable-delivery.js).
+ * @property {number} [seq] - Position in that stream, from 1.
+ */
+
+/**
+ * Optional features a peer can support.
+ * @typedef {Object} Capabilities
+ * @property {Array<string>} compression - CompressionStream formats it can read and write.
+ * @property {boolean} binary - Accepts binary frames.
+ * @property {boolean} chunking - Reassembles chunked messages (requires `binary`).
+ */
+
+/**
+ * Body of a `hello` envelope, sent by both peers when the channel opens.
+ * @typedef {Object} HelloBody
+ * @property {number} version - Newest version the peer speaks.
+ * @property {number} minVersion - Oldest version the peer speaks.
+ * @property {Capabilities} capabilities
+ */
+
+/**
+ * Outcome of the handshake.
+ * @typedef {Object} NegotiatedProtocol
+ * @property {number} version - Version both peers use.
+ * @property {{compression: string|null, binary: boolean, chunking: boolean}} features - Features both peers support.
+ */
+
+/**
+ * Protocol violation: incompatible version, malformed envelope, or an error reported by the peer.
+ */
+export class ProtocolError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason, e.g. 'incompatible-version', 'invalid-envelope'.
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "ProtocolError";
+    /** @type {string} */
+    this.code = code;
+  }
+}
+
+/**
+ * Capabilities of the current runtime.
+ *
+ * @returns {Capabilities}
+ */
+export function localCapabilities() {
+  const compression =
+    typeof CompressionStream !== "undefined" &&
+    typeof DecompressionStream !== "undefined"
+      ? ["gzip"]
+      : [];
+  return { compression, binary: true, chunking: true };
+}
+
+/**
+ * Wrap a body in an envelope.
+ *
+ * @param {EnvelopeKind} kind
+ * @param {*} body
+ * @returns {Envelope}
+ */
+export function createEnvelope(kind, body) {
+  return { v: PROTOCOL_VERSION, kind, body };
+}
+
+/**
+ * Build this peer's `hello` envelope.
+ *
+ * @param {Capabilities} [capabilities=localCapabilities()]
+ * @returns {Envelope}
+ */
+export function createHello(capabilities = localCapabilities()) {
+  return createEnvelope("hello", {
+    version: PROTOCOL_VERSION,
+    minVersion: MIN_PROTOCOL_VERSION,
+    capabilities,
+  });
+}
+
+/**
+ * Wrap an application message in an envelope of the matching kind.
+ * Envelopes are returned unchanged.
+ *
+ * @param {*} message
+ * @returns {Envelope}
+ */
+export function toEnvelope(message) {
+  if (isEnvelope(message)) return message;
+  if (isControlMessage(message)) return createEnvelope("control", message);
+  if (isControlAck(message) || isSeqAck(message))
+    return createEnvelope("ack", message);
+  if (P2pMessageHelper.isConsoleMessage(message)) {
+    return createEnvelope("console", message);
+  }
+  return createEnvelope("data", message);
+}
+
+/**
+ * Whether a value has the envelope shape (without validating its body).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEnvelope(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    typeof value.v === "number" &&
+    typeof value.kind === "string" &&
+    "body" in value
+  );
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Body checks per kind, mirroring protocol.schema.json.
+ * Each returns a list of problems (empty when valid).
+ * @type {Object<string, function(*):Array<string>>}
+ */
+const BODY_VALIDATORS = {
+  hello: (body) => {
+    const errors = [];
+    if (!isObject(body)) return ["body must be an object"];
+    if (!Number.isInteger(body.version))
+      errors.push("body.version must be an integer");
+    if (!Number.isInteger(body.minVersion))
+      errors.push("body.minVersion must be an integer");
+    const caps = body.capabilities;
+    if (!isObject(caps)) {
+      errors.push("body.capabilities must be an object");
+    } else {
+      if (
+        !Array.isArray(caps.compression) ||
+        caps.compression.some((f) => typeof f !== "string")
+      ) {
+        errors.push(
+          "body.capabilities.compression must be an array of strings",
+        );
+      }
+      if (typeof caps.binary !== "boolean")
+        errors.push("body.capabilities.binary must be a boolean");
+      if (typeof caps.chunking !== "boolean")
+        errors.push("body.capabilities.chunking must be a boolean");
+    }
+    return errors;
+  },
+  error: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    const errors = [];
+    if (typeof body.code !== "string")
+      errors.push("body.code must be a string");
+    if (typeof body.message !== "string")
+      errors.push("body.message must be a string");
+    return errors;
+  },
+  console: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    const errors = [];
+    if (typeof body.id !== "string") errors.push("body.id must be a string");
+    if (typeof body.level !== "string")
+      errors.push("body.level must be a string");
+    if (typeof body.timestamp !== "number")
+      errors.push("body.timestamp must be a number");
+    if (typeof body.text !== "string")
+      errors.push("body.text must be a string");
+    return errors;
+  },
+  control: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    const errors = [];
+    if (typeof body.requestId !== "string")
+      errors.push("body.requestId must be a string");
+    if (typeof body.action !== "string")
+      errors.push("body.action must be a string");
+    return errors;
+  },
+  ack: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    if (isControlAck(body) || isSeqAck(body)) return [];
+    return ["body must be a control-ack or seq-ack"];
+  },
+  heartbeat: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    const errors = [];
+    if (body.type !== "ping" && body.type !== "pong")
+      errors.push("body.type must be ping or pong");
+    if (!Number.isInteger(body.seq)) errors.push("body.seq must be an integer");
+    if (typeof body.sentAt !== "number")
+      errors.push("body.sentAt must be a number");
+    if ("repliedAt" in body && typeof body.repliedAt !== "number")
+      errors.push("body.repliedAt must be a number");
+    return errors;
+  },
+  auth: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    const errors = [];
+    if (!["challenge", "response", "result"].includes(body.type))
+      errors.push("body.type must be challenge, response or result");
+    if (body.type !== "result" && typeof body.nonce !== "string")
+      errors.push("body.nonce must be a string");
+    if (
+      body.type === "response" &&
+      body.proof !== null &&
+      typeof body.proof !== "string"
+    )
+      errors.push("body.proof must be a string or null");
+    if (body.type === "result" && typeof body.ok !== "boolean")
+      errors.push("body.ok must be a boolean");
+    return errors;
+  },
+  file: (body) => {
+    if (!isObject(body)) return ["body must be an object"];
+    const errors = [];
+    if (!["start", "end", "done", "cancel"].includes(body.type))
+      errors.push("body.type must be start, end, done or cancel");
+    if (typeof body.id !== "string") errors.push("body.id must be a string");
+    if (
+      body.type === "start" &&
+      (typeof body.name !== "string" || !Number.isInteger(body.size))
+    ) {
+      errors.push("start needs a string name and an integer size");
+    }
+    return errors;
+  },
+  rpc: (body) => (isObject(body) ? [] : ["body must be an object"]),
+  data: () => [],
+};
+
+/**
+ * Validate an envelope against the protocol (see protocol.schema.json).
+ *
+ * `hello` and `error` envelopes are accepted from any version, so that a peer on an
+ * incompatible version can still be told why the connection is refused.
+ *
+ * @param {*} value
+ * @returns {Array<string>} Problems found; empty when the envelope is valid.
+ */
+export function validateEnvelope(value) {
+  if (!isObject(value)) return ["envelope must be an object"];
+  const errors = [];
+  if (!Number.isInteger(value.v)) {
+    errors.push("v must be an integer");
+  } else if (
+    !HANDSHAKE_KINDS.includes(value.kind) &&
+    (value.v < MIN_PROTOCOL_VERSION || value.v > PROTOCOL_VERSION)
+  ) {
+    errors.push(
+      `unsupported protocol version ${value.v} (supported: ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`,
+    );
+  }
+  if ("seq" in value && !(Number.isInteger(value.seq) && value.seq >= 1)) {
+    errors.push("seq must be a positive integer");
+  }
+  if ("seq" in value && typeof value.stream !== "string") {
+    errors.push("stream must be a string when seq is set");
+  }
+  if (!ENVELOPE_KINDS.includes(value.kind)) {
+    errors.push(`unknown kind: ${value.kind}`);
+    return errors;
+  }
+  if (!("body" in value)) {
+    errors.push("body is required");
+    return errors;
+  }
+  return errors.concat(BODY_VALIDATORS[value.kind](value.body));
+}
+
+/**
+ * Parse and validate incoming data.
+ *
+ * @param {string|Object} data - JSON text or an already parsed object.
+ * @returns {Envelope}
+ * @throws {ProtocolError} When the data is not JSON or not a valid envelope.
+ */
+export function parseEnvelope(data) {
+  let value = data;
+  if (typeof data === "string") {
+    try {
+      value = JSON.parse(data);
+    } catch (e) {
+      throw new ProtocolError("invalid-envelope", "Message is not JSON");
+    }
+  }
+  const errors = validateEnvelope(value);
+  if (errors.length) {
+    throw new ProtocolError(
+      "invalid-envelope",
+      `Invalid envelope: ${errors.join("; ")}`,
+    );
+  }
+  return value;
+}
+
+/**
+ * Read a handshake envelope (`hello` or `error`) out of a data channel frame.
+ *
+ * @param {string} data - A reassembled text frame.
+ * @returns {Envelope|null} The validated envelope, or null when the frame is not a handshake.
+ * @throws {ProtocolError} When the frame claims a handshake kind but is not a valid envelope.
+ */
+export function parseHandshake(data) {
+  let value;
+  try {
+    value = JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+  if (!isObject(value) || !HANDSHAKE_KINDS.includes(value.kind)) return null;
+  return parseEnvelope(value);
+}
+
+/**
+ * Agree on a version and features from both peers' hellos.
+ *
+ * @param {HelloBody} local
+ * @param {HelloBody} remote
+ * @returns {NegotiatedProtocol}
+ * @throws {ProtocolError} With code 'incompatible-version' when the version ranges don't overlap.
+ */
+export function negotiate(local, remote) {
+  const version = Math.min(local.version, remote.version);
+  if (version < Math.max(local.minVersion, remote.minVersion)) {
+    throw new ProtocolError(
+      "incompatible-version",
+      `Incompatible protocol versions: this peer speaks ${local.minVersion}-${local.version}, ` +
+        `the remote peer speaks ${remote.minVersion}-${remote.version}`,
+    );
+  }
+
+  const binary = local.capabilities.binary && remote.capabilities.binary;
+  return {
+    version,
+    features: {
+      compression: binary
+        ? local.capabilities.compression.find((format) =>
+            remote.capabilities.compression.includes(format),
+          ) || null
+        : null,
+      binary,
+      chunking:
+        binary && local.capabilities.chunking && remote.capabilities.chunking,
+    },
+  };
+}
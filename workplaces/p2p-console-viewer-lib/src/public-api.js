@@ -1,6 +1,27 @@
 export * from "./websocket-connector.js";
+export * from "./event-emitter.js";
 export * from "./p2p-connection.js";
+export * from "./p2p-channel.js";
 export * from "./p2p-signaling-client.js";
+export * from "./loopback.js";
 export * from "./console-patch.js";
+export * from "./error-capture.js";
+export * from "./log-buffer.js";
+export * from "./log-policy.js";
+export * from "./send-pipeline.js";
+export * from "./message-chunker.js";
+export * from "./stats-sampler.js";
+export * from "./heartbeat.js";
+export * from "./clock-sync.js";
+export * from "./file-transfer.js";
+export * from "./reliable-delivery.js";
+export * from "./peer-auth.js";
 export * from "./p2p-message-helper.js";
+export * from "./console-format.js";
+export * from "./value-serializer.js";
+export * from "./redactor.js";
+export * from "./remote-control.js";
+export * from "./protocol.js";
 export * from './utils/rest-client.js';
+export * from './utils/logger.js';
+export * from './utils/stack-trace.js';
@@ -0,0 +1,192 @@
+/**
+ * A redaction rule. Exactly one of `key`, `pattern` or `redact` is normally set.
+ *
+ * @typedef {Object} RedactionRule
+ * @property {string} name - Recorded in a message's `redactions` when the rule fires.
+ * @property {RegExp} [key] - Replace the whole value of object properties / Map entries whose key matches.
+ * @property {RegExp} [pattern] - Replace matches inside strings (payload strings and message text).
+ * @property {function(string):boolean} [validate] - Extra check for a `pattern` match; the match is kept when it returns false.
+ * @property {function(string, string|null):(string|null|undefined)} [redact] - Custom rule: receives each string and the
+ *   property key it is stored under (null for message text); returns a replacement, or null/undefined to keep it.
+ */
+
+/**
+ * Replacement for redacted values.
+ * @type {string}
+ */
+export const REDACTED = "[REDACTED]";
+
+/**
+ * Luhn checksum, used to tell card numbers from other long digit runs.
+ *
+ * @param {string} candidate - Digits, possibly separated by spaces or dashes.
+ * @returns {boolean}
+ */
+function passesLuhn(candidate) {
+  const digits = candidate.replace(/[ -]/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Rules used when redaction is enabled without an explicit rule list.
+ * @type {ReadonlyArray<RedactionRule>}
+ */
+export const DEFAULT_REDACTION_RULES = Object.freeze([
+  {
+    name: "sensitive-key",
+    key: /passw(or)?d|passphrase|secret|token|authorization|api[-_]?key|cookie|session|credential/i,
+  },
+  { name: "jwt", pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g },
+  { name: "email", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  {
+    name: "pan",
+    // Visa / Mastercard / Amex / Discover-style prefixes, 13-19 digits, Luhn-valid
+    pattern: /\b[3-6]\d(?:[ -]?\d){11,17}\b/g,
+    validate: passesLuhn,
+  },
+]);
+
+/**
+ * Redactor
+ *
+ * Applies redaction rules to serialized values (see value-serializer.js) and to
+ * plain text. Inputs are never mutated; the names of rules that changed something
+ * are added to the `fired` set passed by the caller.
+ *
+ * Typical use (through P2pMessageHelper):
+ * const helper = new P2pMessageHelper({ redaction: [...DEFAULT_REDACTION_RULES, myRule] });
+ */
+export class Redactor {
+  /**
+   * @param {Array<RedactionRule>|ReadonlyArray<RedactionRule>} [rules=DEFAULT_REDACTION_RULES]
+   */
+  constructor(rules = DEFAULT_REDACTION_RULES) {
+    /** @type {Array<RedactionRule>} */
+    this.keyRules = rules.filter((rule) => rule.key);
+
+    // Patterns need the global flag to replace every match
+    /** @type {Array<RedactionRule>} */
+    this.stringRules = rules
+      .filter((rule) => rule.pattern || rule.redact)
+      .map((rule) =>
+        rule.pattern && !rule.pattern.global
+          ? {
+              ...rule,
+              pattern: new RegExp(
+                rule.pattern.source,
+                `${rule.pattern.flags}g`,
+              ),
+            }
+          : rule,
+      );
+  }
+
+  /**
+   * Redact a string with the pattern and custom rules.
+   *
+   * @param {string} text
+   * @param {Set<string>} fired - Receives the names of rules that changed the text.
+   * @param {string|null} [key=null] - Property key the string is stored under, for custom rules.
+   * @returns {string}
+   */
+  redactText(text, fired, key = null) {
+    let out = text;
+    for (const rule of this.stringRules) {
+      if (rule.pattern) {
+        out = out.replace(rule.pattern, (match) => {
+          if (rule.validate && !rule.validate(match)) return match;
+          fired.add(rule.name);
+          return REDACTED;
+        });
+      } else {
+        const replaced = rule.redact(out, key);
+        if (replaced !== null && replaced !== undefined && replaced !== out) {
+          fired.add(rule.name);
+          out = String(replaced);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Name of the first key rule matching a property name, if any.
+   *
+   * @private
+   * @param {*} key
+   * @returns {string|null}
+   */
+  matchKey(key) {
+    if (typeof key !== "string") return null;
+    const rule = this.keyRules.find((r) => {
+      r.key.lastIndex = 0;
+      return r.key.test(key);
+    });
+    return rule ? rule.name : null;
+  }
+
+  /**
+   * Redact a serialized value.
+   *
+   * @param {import("./value-serializer.js").SerializedValue} value
+   * @param {Set<string>} fired - Receives the names of rules that changed the value.
+   * @param {string|null} [key=null] - Property key the value is stored under.
+   * @returns {import("./value-serializer.js").SerializedValue}
+   */
+  redactValue(value, fired, key = null) {
+    const keyRule = this.matchKey(key);
+    if (keyRule) {
+      fired.add(keyRule);
+      return REDACTED;
+    }
+
+    if (typeof value === "string") return this.redactText(value, fired, key);
+    if (value === null || typeof value !== "object") return value;
+
+    const child = (v, k = null) => this.redactValue(v, fired, k);
+    const redactProps = (props) =>
+      Object.fromEntries(
+        Object.entries(props).map(([k, v]) => [k, child(v, k)]),
+      );
+
+    switch (value.$t) {
+      case "string":
+        return { ...value, v: this.redactText(value.v, fired, key) };
+      case "error": {
+        const out = {
+          ...value,
+          message: child(value.message),
+          stack: child(value.stack),
+        };
+        if ("cause" in value) out.cause = child(value.cause);
+        if (value.props) out.props = redactProps(value.props);
+        return out;
+      }
+      case "object":
+        return { ...value, props: redactProps(value.props) };
+      case "array":
+        return { ...value, items: value.items.map((item) => child(item)) };
+      case "map":
+        return {
+          ...value,
+          entries: value.entries.map(([k, v]) => [
+            child(k),
+            child(v, typeof k === "string" ? k : null),
+          ]),
+        };
+      case "set":
+        return { ...value, values: value.values.map((v) => child(v)) };
+      default:
+        return value;
+    }
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Body type of sequence acknowledgements (sent in `ack` envelopes).
+ * @type {string}
+ */
+export const SEQ_ACK_TYPE = "seq-ack";
+
+/**
+ * Cumulative acknowledgement from the receiving side of a stream.
+ * @typedef {Object} SeqAck
+ * @property {'seq-ack'} type
+ * @property {string|null} stream - Stream id the receiver knows (null before its first message).
+ * @property {number} seq - Highest sequence number processed (0 when none).
+ * @property {boolean} [resume] - Sent when the channel (re)opens: asks the sender to retransmit everything after `seq`.
+ */
+
+/**
+ * Messages the receiver will never get: the sender no longer had them buffered.
+ * @typedef {Object} MessageGap
+ * @property {string} stream
+ * @property {number} fromSeq - First missing sequence number.
+ * @property {number} toSeq - Last missing sequence number.
+ * @property {number} count
+ */
+
+/**
+ * An envelope carrying a position in its stream.
+ * @typedef {import("./protocol.js").Envelope & {stream: string, seq: number}} SequencedEnvelope
+ */
+
+/**
+ * Size of a message once serialized, in UTF-16 code units (cheap upper-bound estimate).
+ *
+ * @param {*} message
+ * @returns {number}
+ */
+function estimateBytes(message) {
+  try {
+    return JSON.stringify(message).length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Build a sequence acknowledgement.
+ *
+ * @param {string|null} stream
+ * @param {number} seq
+ * @param {boolean} [resume=false]
+ * @returns {SeqAck}
+ */
+export function createSeqAck(stream, seq, resume = false) {
+  const ack = { type: SEQ_ACK_TYPE, stream, seq };
+  if (resume) ack.resume = true;
+  return ack;
+}
+
+/**
+ * Whether a parsed message is a sequence acknowledgement.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isSeqAck(message) {
+  return (
+    !!message &&
+    typeof message === "object" &&
+    message.type === SEQ_ACK_TYPE &&
+    typeof message.seq === "number"
+  );
+}
+
+/**
+ * OutboundStream
+ *
+ * Sending side of one reliable stream: numbers outgoing envelopes and keeps the ones
+ * the receiver hasn't acknowledged, so they can be sent again after a reconnect.
+ * The buffer is bounded; the oldest unacknowledged envelopes are forgotten first and
+ * the receiver reports them as lost.
+ *
+ * Usage:
+ * const stream = new OutboundStream({ maxMessages: 500 });
+ * p2p.send(stream.stamp(envelope));
+ * stream.ack(ack.seq); // on each SeqAck
+ * stream.resend(ack.seq).forEach((e) => p2p.send(e)); // on a resume SeqAck
+ */
+export class OutboundStream {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.maxMessages=1000] - Unacknowledged envelopes kept for retransmission.
+   * @param {number} [opts.maxBytes=1048576] - Size cap of the retransmission buffer.
+   */
+  constructor(opts = {}) {
+    /** @type {number} */
+    this.maxMessages = opts.maxMessages ?? 1000;
+
+    /** @type {number} */
+    this.maxBytes = opts.maxBytes ?? 1024 * 1024;
+
+    /**
+     * Identifies this stream, so a receiver can tell a restarted sender from a resumed one.
+     * @type {string}
+     */
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    /**
+     * Sequence number of the next envelope.
+     * @type {number}
+     */
+    this.nextSeq = 1;
+
+    /**
+     * Highest sequence number the receiver acknowledged.
+     * @type {number}
+     */
+    this.acked = 0;
+
+    /**
+     * Unacknowledged envelopes, oldest first.
+     * @type {Array<{envelope: SequencedEnvelope, bytes: number}>}
+     * @private
+     */
+    this.unacked = [];
+
+    /** @type {number} @private */
+    this.unackedBytes = 0;
+  }
+
+  /**
+   * Number an envelope and keep it until it is acknowledged.
+   *
+   * @param {import("./protocol.js").Envelope} envelope
+   * @returns {SequencedEnvelope}
+   */
+  stamp(envelope) {
+    const stamped = { ...envelope, stream: this.id, seq: this.nextSeq++ };
+    const bytes = estimateBytes(stamped);
+    this.unacked.push({ envelope: stamped, bytes });
+    this.unackedBytes += bytes;
+
+    while (
+      this.unacked.length > this.maxMessages ||
+      (this.unackedBytes > this.maxBytes && this.unacked.length > 1)
+    ) {
+      this.unackedBytes -= this.unacked.shift().bytes;
+    }
+    return stamped;
+  }
+
+  /**
+   * Forget everything up to and including `seq`.
+   *
+   * @param {number} seq
+   */
+  ack(seq) {
+    if (seq <= this.acked) return;
+    this.acked = Math.min(seq, this.nextSeq - 1);
+    while (this.unacked.length && this.unacked[0].envelope.seq <= this.acked) {
+      this.unackedBytes -= this.unacked.shift().bytes;
+    }
+  }
+
+  /**
+   * Envelopes to send again after the receiver reported `seq` as its last one.
+   * Anything older that was already dropped from the buffer is not included.
+   *
+   * @param {number} seq
+   * @returns {Array<SequencedEnvelope>}
+   */
+  resend(seq) {
+    this.ack(seq);
+    return this.unacked.map((entry) => entry.envelope);
+  }
+}
+
+/**
+ * InboundStream
+ *
+ * Receiving side of one reliable stream: drops duplicates, detects gaps and sends
+ * cumulative acknowledgements, batched by count and time.
+ *
+ * Usage:
+ * const stream = new InboundStream({ sendAck: (ack) => p2p.send(ack) });
+ * const { duplicate, gap } = stream.accept(envelope.stream, envelope.seq);
+ */
+export class InboundStream {
+  /**
+   * @param {Object} opts
+   * @param {function(SeqAck):void} opts.sendAck - Sends an acknowledgement to the sender.
+   * @param {number} [opts.ackEvery=50] - Acknowledge at least every this many messages...
+   * @param {number} [opts.ackIntervalMs=500] - ...or this long after an unacknowledged message.
+   */
+  constructor(opts) {
+    /** @type {function(SeqAck):void} @private */
+    this.sendAck = opts.sendAck;
+
+    /** @type {number} */
+    this.ackEvery = opts.ackEvery ?? 50;
+
+    /** @type {number} */
+    this.ackIntervalMs = opts.ackIntervalMs ?? 500;
+
+    /**
+     * Id of the sender's stream (null until the first message).
+     * @type {string|null}
+     */
+    this.id = null;
+
+    /**
+     * Highest sequence number processed.
+     * @type {number}
+     */
+    this.lastSeq = 0;
+
+    /** @type {number} @private */
+    this.unackedCount = 0;
+
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    this.ackTimer = null;
+  }
+
+  /**
+   * Record an incoming sequence number.
+   *
+   * A new stream id means the sender started over, so numbering restarts.
+   *
+   * @param {string} stream
+   * @param {number} seq
+   * @returns {{duplicate: boolean, gap: MessageGap|null}}
+   */
+  accept(stream, seq) {
+    if (stream !== this.id) {
+      this.id = stream;
+      this.lastSeq = 0;
+    }
+    if (seq <= this.lastSeq) return { duplicate: true, gap: null };
+
+    const gap =
+      seq > this.lastSeq + 1
+        ? {
+            stream,
+            fromSeq: this.lastSeq + 1,
+            toSeq: seq - 1,
+            count: seq - 1 - this.lastSeq,
+          }
+        : null;
+    this.lastSeq = seq;
+    this.scheduleAck();
+    return { duplicate: false, gap };
+  }
+
+  /**
+   * Ask the sender to retransmit what we missed; sent each time the channel opens.
+   */
+  resume() {
+    this.cancelAck();
+    this.sendAck(createSeqAck(this.id, this.lastSeq, true));
+  }
+
+  /**
+   * Acknowledge now, or arm the timer for a batched acknowledgement.
+   *
+   * @private
+   */
+  scheduleAck() {
+    this.unackedCount += 1;
+    if (this.unackedCount >= this.ackEvery) {
+      this.flushAck();
+    } else if (!this.ackTimer) {
+      this.ackTimer = setTimeout(() => this.flushAck(), this.ackIntervalMs);
+    }
+  }
+
+  /**
+   * Send a cumulative acknowledgement of everything processed so far.
+   *
+   * @private
+   */
+  flushAck() {
+    this.cancelAck();
+    this.sendAck(createSeqAck(this.id, this.lastSeq));
+  }
+
+  /**
+   * Drop a pending acknowledgement.
+   *
+   * @private
+   */
+  cancelAck() {
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+    this.unackedCount = 0;
+  }
+
+  /**
+   * Stop the acknowledgement timer.
+   */
+  close() {
+    this.cancelAck();
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Message type of control requests sent by a viewer.
+ * @type {string}
+ */
+export const CONTROL_TYPE = "control";
+
+/**
+ * Message type of the source's reply to a control request.
+ * @type {string}
+ */
+export const CONTROL_ACK_TYPE = "control-ack";
+
+/**
+ * Severity order used by `set-level`; `log` and `info` rank the same, as in devtools.
+ * @type {Object<string, number>}
+ */
+export const LEVEL_ORDER = Object.freeze({
+  debug: 0,
+  log: 1,
+  info: 1,
+  warn: 2,
+  error: 3,
+});
+
+/**
+ * @typedef {'set-level'|'enable-namespace'|'disable-namespace'|'pause'|'resume'} ControlAction
+ */
+
+/**
+ * Control request sent from a viewer to a source.
+ * @typedef {Object} ControlMessage
+ * @property {'control'} type
+ * @property {string} requestId - Echoed in the acknowledgement.
+ * @property {ControlAction} action
+ * @property {import("./p2p-message-helper.js").ConsoleLevel} [level] - For `set-level`.
+ * @property {string} [namespace] - For `enable-namespace` / `disable-namespace`.
+ */
+
+/**
+ * What a source currently streams to one viewer.
+ * @typedef {Object} StreamConfig
+ * @property {import("./p2p-message-helper.js").ConsoleLevel} minLevel
+ * @property {Array<string>} disabledNamespaces
+ * @property {boolean} paused
+ */
+
+/**
+ * Acknowledgement of a control request.
+ * @typedef {Object} ControlAck
+ * @property {'control-ack'} type
+ * @property {string} requestId
+ * @property {boolean} ok
+ * @property {string} [error] - Why the request was rejected (`ok: false`).
+ * @property {StreamConfig} config - Effective config after the request.
+ */
+
+/**
+ * Build a control request.
+ *
+ * @param {ControlAction} action
+ * @param {{level?: string, namespace?: string}} [params]
+ * @returns {ControlMessage}
+ */
+export function createControlMessage(action, params = {}) {
+  return {
+    type: CONTROL_TYPE,
+    requestId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    action,
+    ...params,
+  };
+}
+
+/**
+ * Whether a parsed message is a control request.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isControlMessage(message) {
+  return (
+    !!message &&
+    typeof message === "object" &&
+    message.type === CONTROL_TYPE &&
+    typeof message.action === "string"
+  );
+}
+
+/**
+ * Whether a parsed message is a control acknowledgement.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isControlAck(message) {
+  return (
+    !!message &&
+    typeof message === "object" &&
+    message.type === CONTROL_ACK_TYPE &&
+    typeof message.requestId === "string"
+  );
+}
+
+/**
+ * StreamFilter
+ *
+ * One viewer's view of the stream: a minimum level, a set of muted namespaces and
+ * a pause switch. The source keeps one per connected viewer and updates it from
+ * that viewer's control requests.
+ */
+export class StreamFilter {
+  constructor() {
+    /** @type {import("./p2p-message-helper.js").ConsoleLevel} */
+    this.minLevel = "debug";
+
+    /** @type {Set<string>} */
+    this.disabledNamespaces = new Set();
+
+    /** @type {boolean} */
+    this.paused = false;
+  }
+
+  /**
+   * Apply a control request.
+   *
+   * @param {ControlMessage} control
+   * @returns {string|null} An error description, or null when applied.
+   */
+  apply(control) {
+    switch (control.action) {
+      case "set-level":
+        if (!(control.level in LEVEL_ORDER)) {
+          return `Unknown level: ${control.level}`;
+        }
+        this.minLevel = control.level;
+        return null;
+      case "enable-namespace":
+      case "disable-namespace":
+        if (typeof control.namespace !== "string" || !control.namespace) {
+          return "Missing namespace";
+        }
+        if (control.action === "disable-namespace") {
+          this.disabledNamespaces.add(control.namespace);
+        } else {
+          this.disabledNamespaces.delete(control.namespace);
+        }
+        return null;
+      case "pause":
+        this.paused = true;
+        return null;
+      case "resume":
+        this.paused = false;
+        return null;
+      default:
+        return `Unknown action: ${control.action}`;
+    }
+  }
+
+  /**
+   * Whether a message with this level/namespace should reach the viewer.
+   *
+   * Messages without a level (not console messages) are only held back while paused.
+   *
+   * @param {string|undefined} level
+   * @param {string|null|undefined} namespace
+   * @returns {boolean}
+   */
+  allows(level, namespace) {
+    if (this.paused) return false;
+    if (namespace && this.disabledNamespaces.has(namespace)) return false;
+    if (level in LEVEL_ORDER) {
+      return LEVEL_ORDER[level] >= LEVEL_ORDER[this.minLevel];
+    }
+    return true;
+  }
+
+  /**
+   * The effective config, as reported in acknowledgements.
+   *
+   * @returns {StreamConfig}
+   */
+  toJSON() {
+    return {
+      minLevel: this.minLevel,
+      disabledNamespaces: Array.from(this.disabledNamespaces),
+      paused: this.paused,
+    };
+  }
+}
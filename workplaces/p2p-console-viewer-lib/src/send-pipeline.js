@@ -0,0 +1,445 @@
+import { P2pMessageHelper } from "./p2p-message-helper.js";
+import { isBlob } from "./p2p-channel.js";
+import { createEnvelope } from "./protocol.js";
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * Frame type used for batches (`batchFrame` in protocol.schema.json).
+ * @type {string}
+ */
+const BATCH = "batch";
+
+/**
+ * Size of text once UTF-8 encoded for the data channel.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Run bytes through a CompressionStream / DecompressionStream.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<ArrayBuffer>}
+ */
+function transform(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  // Failures surface through the readable side; avoid unhandled rejections here
+  writer
+    .write(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes))
+    .catch(() => {});
+  writer.close().catch(() => {});
+  return new Response(stream.readable).arrayBuffer();
+}
+
+/**
+ * Handler arguments of each SendPipeline event (see EventEmitter).
+ * @typedef {Object} SendPipelineEvents
+ * @property {[*]} message
+ */
+
+/**
+ * SendPipeline
+ *
+ * Sits in front of `P2PConnection.send` for high-volume log streams:
+ * - Batches messages over a time/size window into a single data channel send.
+ * - Pauses while the channel's `bufferedAmount` is above a high-water mark and resumes
+ *   on `bufferedamountlow`. The mark is checked before every batch, after the previous
+ *   one was handed to the channel.
+ * - Optionally gzips batches with `CompressionStream` when the protocol handshake found
+ *   a format both peers support.
+ * - Caps queued bytes (UTF-8 encoded size); past the cap a drop policy applies and a
+ *   warning message with the dropped count is sent ahead of the next batch.
+ *
+ * Both peers need a pipeline: the receiving side uses `onMessage` to get the individual
+ * messages back out of batches. Non-batch messages pass through unchanged, and binary
+ * payloads (ArrayBuffer, typed arrays, Blob) skip the batches: JSON can't carry them.
+ *
+ * Typical use:
+ * const pipeline = new SendPipeline(p2p, { compression: true });
+ * pipeline.onMessage((message) => { ... });
+ * pipeline.send(helper.log("hello"));
+ *
+ * @extends {EventEmitter<SendPipelineEvents>}
+ */
+export class SendPipeline extends EventEmitter {
+  /**
+   * Create a SendPipeline for a connection.
+   *
+   * @param {import("./p2p-connection.js").P2PConnection} connection
+   * @param {Object} [opts]
+   * @param {number} [opts.batchIntervalMs=50] - Max time a message waits for its batch to fill.
+   * @param {number} [opts.maxBatchMessages=100] - Flush as soon as this many messages are queued.
+   * @param {number} [opts.maxBatchBytes=65536] - Flush as soon as this many bytes are queued.
+   * @param {number} [opts.highWaterMark=1048576] - Pause sending while `bufferedAmount` exceeds this.
+   * @param {number} [opts.lowWaterMark=262144] - `bufferedAmountLowThreshold` at which sending resumes.
+   * @param {number} [opts.maxQueueBytes=4194304] - Memory cap for messages waiting to be sent.
+   * @param {'drop-oldest'|'drop-newest'} [opts.dropPolicy='drop-oldest'] - What to discard past the cap.
+   * @param {boolean} [opts.compression=false] - Compress batches when the handshake agreed on a format.
+   * @param {number} [opts.compressMinBytes=1024] - Smaller batches are sent uncompressed.
+   * @param {P2pMessageHelper} [opts.helper] - Builds the dropped-messages warning.
+   */
+  constructor(connection, opts = {}) {
+    super();
+
+    /** @type {import("./p2p-connection.js").P2PConnection} */
+    this.connection = connection;
+
+    this.batchIntervalMs = opts.batchIntervalMs ?? 50;
+    this.maxBatchMessages = opts.maxBatchMessages ?? 100;
+    this.maxBatchBytes = opts.maxBatchBytes ?? 64 * 1024;
+    this.highWaterMark = opts.highWaterMark ?? 1024 * 1024;
+    this.lowWaterMark = opts.lowWaterMark ?? 256 * 1024;
+    this.maxQueueBytes = opts.maxQueueBytes ?? 4 * 1024 * 1024;
+    this.dropPolicy = opts.dropPolicy || "drop-oldest";
+    this.compression = !!opts.compression;
+    this.compressMinBytes = opts.compressMinBytes ?? 1024;
+    this.helper = opts.helper || new P2pMessageHelper();
+
+    /**
+     * Messages waiting to be batched, oldest first.
+     * @type {Array<{message: *, bytes: number}>}
+     * @private
+     */
+    this.queue = [];
+
+    /** @type {number} */
+    this.queuedBytes = 0;
+
+    /**
+     * Counters since creation.
+     * @type {{sent: number, batches: number, dropped: number, droppedBytes: number}}
+     */
+    this.stats = { sent: 0, batches: 0, dropped: 0, droppedBytes: 0 };
+
+    /**
+     * Drops not yet reported to the peer.
+     * @type {{count: number, bytes: number}}
+     * @private
+     */
+    this.unreportedDrops = { count: 0, bytes: 0 };
+
+    /**
+     * Whether sending is paused for backpressure.
+     * @type {boolean}
+     */
+    this.isPaused = false;
+
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    this.flushTimer = null;
+
+    /**
+     * Whether a batch is being compressed. Later batches wait for it, so batches stay
+     * in order and backpressure is checked once it was sent.
+     * @type {boolean}
+     * @private
+     */
+    this.compressing = false;
+
+    /**
+     * Tail of the in-order receive chain (decompression is async).
+     * @type {Promise<void>}
+     * @private
+     */
+    this.receiving = Promise.resolve();
+
+    /** @type {RTCDataChannel|null} @private */
+    this.watchedChannel = null;
+
+    this.handleBufferedAmountLow = () => {
+      this.isPaused = false;
+      this.flush();
+    };
+
+    connection.onChannelOpen(() => this.attachChannel());
+    connection.onMessage((data) => this.receive(data));
+    if (this.isChannelOpen()) this.attachChannel();
+  }
+
+  /**
+   * Whether the connection's data channel can currently carry messages.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  isChannelOpen() {
+    const channel = this.connection.dataChannel;
+    return !!channel && channel.readyState === "open";
+  }
+
+  /**
+   * Compression format to use: the one agreed in the handshake, or null while it is
+   * pending or when compression is off.
+   *
+   * @returns {string|null}
+   */
+  get negotiatedCompression() {
+    const protocol = this.connection.protocol;
+    return this.compression && protocol ? protocol.features.compression : null;
+  }
+
+  /**
+   * Configure backpressure on the (new) data channel.
+   *
+   * @private
+   */
+  attachChannel() {
+    const channel = this.connection.dataChannel;
+    if (!channel || channel === this.watchedChannel) return;
+
+    if (this.watchedChannel) {
+      this.watchedChannel.removeEventListener(
+        "bufferedamountlow",
+        this.handleBufferedAmountLow,
+      );
+    }
+    this.watchedChannel = channel;
+    channel.bufferedAmountLowThreshold = this.lowWaterMark;
+    channel.addEventListener("bufferedamountlow", this.handleBufferedAmountLow);
+  }
+
+  /**
+   * Queue a message for the next batch. Binary payloads are sent right away instead.
+   *
+   * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message
+   * @returns {boolean} False when the channel is not open or the message was dropped (drop-newest).
+   */
+  send(message) {
+    if (!this.isChannelOpen()) return false;
+    if (
+      message instanceof ArrayBuffer ||
+      ArrayBuffer.isView(message) ||
+      isBlob(message)
+    ) {
+      return this.connection.send(message);
+    }
+
+    let bytes;
+    try {
+      bytes = utf8Length(
+        typeof message === "string" ? message : JSON.stringify(message),
+      );
+    } catch (e) {
+      return false;
+    }
+
+    if (this.queuedBytes + bytes > this.maxQueueBytes) {
+      if (this.dropPolicy === "drop-newest") {
+        this.recordDrop(bytes);
+        return false;
+      }
+      while (
+        this.queue.length &&
+        this.queuedBytes + bytes > this.maxQueueBytes
+      ) {
+        const dropped = this.queue.shift();
+        this.queuedBytes -= dropped.bytes;
+        this.recordDrop(dropped.bytes);
+      }
+    }
+
+    this.queue.push({ message, bytes });
+    this.queuedBytes += bytes;
+
+    if (
+      this.queue.length >= this.maxBatchMessages ||
+      this.queuedBytes >= this.maxBatchBytes
+    ) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.batchIntervalMs);
+    }
+    return true;
+  }
+
+  /**
+   * Count a dropped message.
+   *
+   * @private
+   * @param {number} bytes
+   */
+  recordDrop(bytes) {
+    this.stats.dropped += 1;
+    this.stats.droppedBytes += bytes;
+    this.unreportedDrops.count += 1;
+    this.unreportedDrops.bytes += bytes;
+  }
+
+  /**
+   * Send queued messages in batches until the queue is empty or the channel pushes back.
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    while (this.queue.length && !this.isPaused && !this.compressing) {
+      if (!this.isChannelOpen()) return;
+
+      if (this.connection.dataChannel.bufferedAmount > this.highWaterMark) {
+        this.isPaused = true;
+        return;
+      }
+
+      const messages = [];
+      let bytes = 0;
+      if (this.unreportedDrops.count) {
+        messages.push(this.buildDropSummary());
+      }
+      while (
+        this.queue.length &&
+        messages.length < this.maxBatchMessages &&
+        (bytes === 0 || bytes + this.queue[0].bytes <= this.maxBatchBytes)
+      ) {
+        const entry = this.queue.shift();
+        this.queuedBytes -= entry.bytes;
+        bytes += entry.bytes;
+        messages.push(entry.message);
+      }
+
+      this.sendBatch(messages);
+    }
+  }
+
+  /**
+   * Warning message telling the viewer how many messages were dropped since the last report.
+   *
+   * @private
+   * @returns {Object}
+   */
+  buildDropSummary() {
+    const { count, bytes } = this.unreportedDrops;
+    this.unreportedDrops = { count: 0, bytes: 0 };
+    const msg = this.helper.buildNotice("warn", [
+      `${count} message(s) dropped: send queue exceeded ${this.maxQueueBytes} bytes (${this.dropPolicy})`,
+    ]);
+    msg.dropped = { count, bytes, reason: "queue-full" };
+    return createEnvelope("console", msg);
+  }
+
+  /**
+   * Serialize and send a batch. Uncompressed batches go out immediately; a compressed
+   * one holds back the following batches until it was sent.
+   *
+   * @private
+   * @param {Array<*>} messages
+   */
+  sendBatch(messages) {
+    const json = JSON.stringify({ type: BATCH, messages });
+    const format = this.negotiatedCompression;
+    const bytes = format ? new TextEncoder().encode(json) : null;
+    if (!bytes || bytes.length < this.compressMinBytes) {
+      this.deliverBatch(json, messages.length);
+      return;
+    }
+
+    this.compressing = true;
+    transform(bytes, new CompressionStream(format))
+      .then((data) => this.deliverBatch(data, messages.length))
+      .catch((error) => {
+        this.connection.logger.error("Failed to send batch:", error);
+      })
+      .finally(() => {
+        this.compressing = false;
+        this.flush();
+      });
+  }
+
+  /**
+   * Hand a serialized batch to the connection and count it.
+   *
+   * @private
+   * @param {string|ArrayBuffer} data
+   * @param {number} count - Messages in the batch.
+   */
+  deliverBatch(data, count) {
+    if (this.connection.send(data)) {
+      this.stats.sent += count;
+      this.stats.batches += 1;
+    }
+  }
+
+  /**
+   * Queue raw incoming data so frames are unpacked in arrival order even when
+   * decompression is async.
+   *
+   * @private
+   * @param {string|ArrayBuffer} data
+   */
+  receive(data) {
+    this.receiving = this.receiving
+      .then(() => this.unpack(data))
+      .catch((error) => {
+        this.connection.logger.error("Failed to unpack incoming frame:", error);
+      });
+  }
+
+  /**
+   * Handle one frame: (compressed) batch or plain message.
+   *
+   * @private
+   * @param {string|ArrayBuffer} data
+   */
+  async unpack(data) {
+    let frame = data;
+    if (typeof data !== "string") {
+      try {
+        const bytes = await transform(data, new DecompressionStream("gzip"));
+        frame = new TextDecoder().decode(bytes);
+      } catch (e) {
+        // Binary that isn't a compressed batch is handed through as-is
+        this.emit("message", data);
+        return;
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(frame);
+    } catch (e) {
+      this.emit("message", frame);
+      return;
+    }
+
+    if (parsed && parsed.type === BATCH && Array.isArray(parsed.messages)) {
+      parsed.messages.forEach((message) => this.emit("message", message));
+      return;
+    }
+
+    this.emit("message", frame);
+  }
+
+  /**
+   * Register a handler for individual incoming messages (batches are unpacked).
+   *
+   * @param {function(*):void} handler - Called with each message object, or the raw data for non-JSON payloads.
+   * @returns {function():void} Removes the handler.
+   */
+  onMessage(handler) {
+    return this.on("message", handler);
+  }
+
+  /**
+   * Stop batching: cancel the pending flush, drop queued messages and detach from the channel.
+   */
+  close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.queue = [];
+    this.queuedBytes = 0;
+    if (this.watchedChannel) {
+      this.watchedChannel.removeEventListener(
+        "bufferedamountlow",
+        this.handleBufferedAmountLow,
+      );
+      this.watchedChannel = null;
+    }
+  }
+}
@@ -0,0 +1,303 @@
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * One reading of a connection's quality.
+ * @typedef {Object} ConnectionStats
+ * @property {number} timestamp - When the sample was taken (ms since epoch).
+ * @property {number|null} rttMs - Round-trip time of the selected candidate pair (null until measured).
+ * @property {number} bytesSent - Data channel payload bytes sent since the connection started.
+ * @property {number} bytesReceived
+ * @property {number} messagesSent - Data channel messages (frames) sent since the connection started.
+ * @property {number} messagesReceived
+ * @property {number} sendBps - Send throughput since the previous sample, in bytes per second.
+ * @property {number} receiveBps - Receive throughput since the previous sample, in bytes per second.
+ * @property {'host'|'srflx'|'prflx'|'relay'|null} localCandidateType - Type of the selected local candidate.
+ * @property {'host'|'srflx'|'prflx'|'relay'|null} remoteCandidateType
+ * @property {'udp'|'tcp'|null} protocol - Transport protocol of the selected candidate pair.
+ * @property {string|null} relayProtocol - Protocol to the TURN server when relayed ('udp', 'tcp' or 'tls').
+ */
+
+/**
+ * Limits beyond which a connection counts as degraded.
+ * @typedef {Object} StatsThresholds
+ * @property {number} [maxRttMs=400] - Round-trip time above this is degraded.
+ * @property {number} [minReceiveBps=0] - Receive throughput below this is degraded (0 disables the check).
+ * @property {boolean} [relayIsDegraded=false] - Whether a relayed (TURN) connection counts as degraded.
+ */
+
+/**
+ * Why a connection is degraded, with the sample that showed it.
+ * @typedef {Object} DegradedEvent
+ * @property {Array<'rtt'|'throughput'|'relay'>} reasons
+ * @property {ConnectionStats} stats
+ */
+
+/**
+ * Pick the candidate pair the ICE agent is using.
+ *
+ * @param {RTCStatsReport} report
+ * @returns {Object|null}
+ */
+function selectedCandidatePair(report) {
+  let fallback = null;
+  for (const stat of report.values()) {
+    if (stat.type === "transport" && stat.selectedCandidatePairId) {
+      return report.get(stat.selectedCandidatePairId) || null;
+    }
+    if (stat.type === "candidate-pair" && stat.state === "succeeded") {
+      if (stat.selected || (stat.nominated && !fallback)) fallback = stat;
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Reduce a stats report to the figures StatsSampler reports (without throughput).
+ *
+ * @param {RTCStatsReport} report
+ * @param {number} timestamp
+ * @returns {ConnectionStats}
+ */
+export function readConnectionStats(report, timestamp) {
+  const stats = {
+    timestamp,
+    rttMs: null,
+    bytesSent: 0,
+    bytesReceived: 0,
+    messagesSent: 0,
+    messagesReceived: 0,
+    sendBps: 0,
+    receiveBps: 0,
+    localCandidateType: null,
+    remoteCandidateType: null,
+    protocol: null,
+    relayProtocol: null,
+  };
+
+  for (const stat of report.values()) {
+    if (stat.type !== "data-channel") continue;
+    stats.bytesSent += stat.bytesSent || 0;
+    stats.bytesReceived += stat.bytesReceived || 0;
+    stats.messagesSent += stat.messagesSent || 0;
+    stats.messagesReceived += stat.messagesReceived || 0;
+  }
+
+  const pair = selectedCandidatePair(report);
+  if (pair) {
+    if (typeof pair.currentRoundTripTime === "number") {
+      stats.rttMs = Math.round(pair.currentRoundTripTime * 1000);
+    }
+    const local = report.get(pair.localCandidateId);
+    const remote = report.get(pair.remoteCandidateId);
+    if (local) {
+      stats.localCandidateType = local.candidateType ?? null;
+      stats.protocol = local.protocol ?? null;
+      stats.relayProtocol = local.relayProtocol ?? null;
+    }
+    if (remote) stats.remoteCandidateType = remote.candidateType ?? null;
+  }
+  return stats;
+}
+
+/**
+ * Handler arguments of each StatsSampler event (see EventEmitter).
+ * @typedef {Object} StatsSamplerEvents
+ * @property {[ConnectionStats]} stats
+ * @property {[DegradedEvent]} degraded
+ * @property {[ConnectionStats]} recovered
+ */
+
+/**
+ * StatsSampler
+ *
+ * Polls `P2PConnection.getStats()` at a fixed interval and turns each report into a
+ * ConnectionStats sample. Samples are compared against thresholds; a degraded event
+ * fires after `degradedAfter` bad samples in a row, and a recovered event once a
+ * sample is fine again.
+ *
+ * Usage:
+ * const sampler = new StatsSampler(p2p, { intervalMs: 1000, thresholds: { maxRttMs: 250 } });
+ * sampler.onStats((stats) => render(stats));
+ * sampler.onDegraded(({ reasons }) => warn(reasons));
+ * sampler.start();
+ *
+ * @extends {EventEmitter<StatsSamplerEvents>}
+ */
+export class StatsSampler extends EventEmitter {
+  /**
+   * @param {import("./p2p-connection.js").P2PConnection} connection
+   * @param {Object} [opts]
+   * @param {number} [opts.intervalMs=2000] - Time between samples.
+   * @param {StatsThresholds} [opts.thresholds]
+   * @param {number} [opts.degradedAfter=2] - Consecutive bad samples before reporting degradation.
+   */
+  constructor(connection, opts = {}) {
+    super();
+
+    /**
+     * @type {import("./p2p-connection.js").P2PConnection}
+     * @private
+     */
+    this.connection = connection;
+
+    /** @type {number} */
+    this.intervalMs = opts.intervalMs ?? 2000;
+
+    /** @type {Required<StatsThresholds>} */
+    this.thresholds = {
+      maxRttMs: 400,
+      minReceiveBps: 0,
+      relayIsDegraded: false,
+      ...opts.thresholds,
+    };
+
+    /** @type {number} */
+    this.degradedAfter = opts.degradedAfter ?? 2;
+
+    /**
+     * Most recent sample (null before the first one).
+     * @type {ConnectionStats|null}
+     */
+    this.latest = null;
+
+    /**
+     * Whether a degraded event is outstanding (no recovery since).
+     * @type {boolean}
+     */
+    this.degraded = false;
+
+    /** @type {number} @private */
+    this.badSamples = 0;
+
+    /** @type {ReturnType<typeof setInterval>|null} @private */
+    this.timer = null;
+
+    /** @type {boolean} @private */
+    this.sampling = false;
+  }
+
+  /**
+   * Start sampling (no-op when already running).
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sample(), this.intervalMs);
+    this.sample();
+  }
+
+  /**
+   * Stop sampling. The previous sample is kept, so throughput resumes correctly.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Take one sample now.
+   *
+   * @returns {Promise<ConnectionStats|null>} The sample, or null without a peer connection.
+   */
+  async sample() {
+    if (this.sampling) return null;
+    this.sampling = true;
+    let report;
+    try {
+      report = await this.connection.getStats();
+    } catch (error) {
+      this.connection.logger.warn("Failed to read connection stats:", error);
+      return null;
+    } finally {
+      this.sampling = false;
+    }
+    if (!report) return null;
+
+    const stats = readConnectionStats(report, Date.now());
+    const previous = this.latest;
+    if (previous && stats.timestamp > previous.timestamp) {
+      const seconds = (stats.timestamp - previous.timestamp) / 1000;
+      stats.sendBps = Math.max(
+        0,
+        Math.round((stats.bytesSent - previous.bytesSent) / seconds),
+      );
+      stats.receiveBps = Math.max(
+        0,
+        Math.round((stats.bytesReceived - previous.bytesReceived) / seconds),
+      );
+    }
+    this.latest = stats;
+
+    this.emit("stats", stats);
+    this.evaluate(stats, !!previous);
+    return stats;
+  }
+
+  /**
+   * Compare a sample against the thresholds and fire degraded/recovered transitions.
+   *
+   * @private
+   * @param {ConnectionStats} stats
+   * @param {boolean} hasThroughput - False for the first sample, which has no throughput yet.
+   */
+  evaluate(stats, hasThroughput) {
+    const { maxRttMs, minReceiveBps, relayIsDegraded } = this.thresholds;
+    const reasons = [];
+    if (stats.rttMs !== null && stats.rttMs > maxRttMs) reasons.push("rtt");
+    if (
+      hasThroughput &&
+      minReceiveBps > 0 &&
+      stats.receiveBps < minReceiveBps
+    ) {
+      reasons.push("throughput");
+    }
+    if (relayIsDegraded && stats.localCandidateType === "relay") {
+      reasons.push("relay");
+    }
+
+    if (!reasons.length) {
+      this.badSamples = 0;
+      if (this.degraded) {
+        this.degraded = false;
+        this.emit("recovered", stats);
+      }
+      return;
+    }
+
+    this.badSamples += 1;
+    if (!this.degraded && this.badSamples >= this.degradedAfter) {
+      this.degraded = true;
+      this.connection.logger.warn("Connection degraded:", reasons.join(", "));
+      this.emit("degraded", { reasons, stats });
+    }
+  }
+
+  /**
+   * Register a handler for every sample.
+   *
+   * @param {function(ConnectionStats):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onStats(handler) {
+    return this.on("stats", handler);
+  }
+
+  /**
+   * Register a handler for the connection becoming degraded.
+   *
+   * @param {function(DegradedEvent):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onDegraded(handler) {
+    return this.on("degraded", handler);
+  }
+
+  /**
+   * Register a handler for a degraded connection meeting the thresholds again.
+   *
+   * @param {function(ConnectionStats):void} handler
+   * @returns {function():void} Removes the handler.
+   */
+  onRecovered(handler) {
+    return this.on("recovered", handler);
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Numeric severity for each logger level; a message is written when its level
+ * is at or below the logger's configured level.
+ * @type {Readonly<Object<string, number>>}
+ */
+export const LOG_LEVELS = Object.freeze({
+    silent: 0,
+    error: 1,
+    warn: 2,
+    info: 3,
+    debug: 4
+});
+
+/**
+ * @typedef {'silent'|'error'|'warn'|'info'|'debug'} LogLevel
+ *
+ * @typedef {Object} LogSink
+ * @property {function(...*):void} error
+ * @property {function(...*):void} warn
+ * @property {function(...*):void} info
+ * @property {function(...*):void} debug
+ */
+
+/**
+ * Console methods captured when this module is first loaded, i.e. before a
+ * ConsoleInterceptor can patch them. Writing here never feeds the interceptor.
+ * @type {LogSink}
+ */
+const nativeConsole = {
+    error: console.error.bind(console),
+    warn: console.warn.bind(console),
+    info: console.info.bind(console),
+    debug: console.debug.bind(console)
+};
+
+/**
+ * Leveled logger used for the library's own diagnostics.
+ *
+ * Silent by default so library chatter never reaches the application's console
+ * (and therefore never reaches a patched console that forwards over P2P).
+ *
+ * Any object with error/warn/info/debug methods can be injected where a Logger is accepted.
+ */
+export class Logger {
+    /**
+     * @param {Object} [opts]
+     * @param {LogLevel} [opts.level='silent'] - Most verbose level that is written.
+     * @param {LogSink} [opts.sink] - Destination; defaults to the unpatched console.
+     * @param {string} [opts.prefix='[p2p]'] - Prepended to every line.
+     */
+    constructor(opts = {}) {
+        this.level = opts.level || 'silent';
+        this.sink = opts.sink || nativeConsole;
+        this.prefix = opts.prefix ?? '[p2p]';
+    }
+
+    /**
+     * Change the most verbose level that is written.
+     * @param {LogLevel} level
+     */
+    setLevel(level) {
+        if (!(level in LOG_LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+    }
+
+    /**
+     * Whether messages of `level` are currently written.
+     * @param {LogLevel} level
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return LOG_LEVELS[level] <= LOG_LEVELS[this.level] && level !== 'silent';
+    }
+
+    /**
+     * Write a message at the given level.
+     * @private
+     * @param {'error'|'warn'|'info'|'debug'} level
+     * @param {Array<*>} args
+     */
+    _write(level, args) {
+        if (!this.isEnabled(level)) return;
+        const write = this.sink[level] || this.sink.info;
+        if (this.prefix) {
+            write(this.prefix, ...args);
+        } else {
+            write(...args);
+        }
+    }
+
+    error(...args) { this._write('error', args); }
+    warn(...args) { this._write('warn', args); }
+    info(...args) { this._write('info', args); }
+    debug(...args) { this._write('debug', args); }
+}
@@ -0,0 +1,50 @@
+/**
+ * Where a console call or error originated.
+ * @typedef {Object} CallSite
+ * @property {string|null} functionName
+ * @property {string} file
+ * @property {number} line
+ * @property {number} column
+ */
+
+/**
+ * V8 frame: "at fn (file:1:2)", "at async fn (file:1:2)" or "at file:1:2".
+ * @type {RegExp}
+ */
+const V8_FRAME = /^\s*at (?:(?:async )?(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+/**
+ * SpiderMonkey / JavaScriptCore frame: "fn@file:1:2" or "@file:1:2".
+ * @type {RegExp}
+ */
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Parse a single stack line into a call site.
+ *
+ * @param {string} line
+ * @returns {CallSite|null} Null for header lines ("Error: ...") and native frames without a location.
+ */
+export function parseStackFrame(line) {
+    const match = V8_FRAME.exec(line) || GECKO_FRAME.exec(line);
+    if (!match) return null;
+    return {
+        functionName: match[1] || null,
+        file: match[2],
+        line: Number(match[3]),
+        column: Number(match[4])
+    };
+}
+
+/**
+ * Parse every frame of an `Error#stack` string that has a source location.
+ *
+ * @param {string|null|undefined} stack
+ * @returns {Array<CallSite>}
+ */
+export function parseStack(stack) {
+    if (!stack) return [];
+    return stack.split('\n')
+        .map(parseStackFrame)
+        .filter(Boolean);
+}
@@ -0,0 +1,616 @@
+/**
+ * Tagged, JSON-safe encoding for arbitrary console arguments.
+ *
+ * Strings, finite numbers, booleans and null are emitted as-is. Everything else
+ * becomes an object with a `$t` tag describing its type, e.g.
+ * { $t: "map", id: 1, size: 2, entries: [["a", 1], ["b", 2]] }.
+ *
+ * Containers (objects, arrays, maps, sets, errors) get an `id`; seeing the same
+ * container again (circular or shared) emits { $t: "ref", id } instead.
+ *
+ * `serializeValue` produces the tagged form, `deserializeValue` rebuilds JS values
+ * from it and `previewValue` renders a one-line devtools-style preview.
+ */
+
+/**
+ * @typedef {Object} SerializeLimits
+ * @property {number} [maxDepth=6] - Nesting depth after which containers are summarized.
+ * @property {number} [maxKeys=100] - Max object keys / array items / map or set entries kept per container.
+ * @property {number} [maxStringLength=10000] - Strings longer than this are truncated.
+ */
+
+/**
+ * @typedef {string|number|boolean|null|{$t: string}} SerializedValue
+ */
+
+/**
+ * Limits applied when none are given.
+ * @type {Readonly<Required<SerializeLimits>>}
+ */
+export const DEFAULT_SERIALIZE_LIMITS = Object.freeze({
+  maxDepth: 6,
+  maxKeys: 100,
+  maxStringLength: 10000,
+});
+
+/**
+ * Number of entries shown per container by `previewValue`.
+ * @type {number}
+ */
+const PREVIEW_ENTRIES = 5;
+
+/**
+ * Typed array constructors `deserializeValue` may rebuild, by class name. The name
+ * comes from the peer, so nothing outside this list is ever looked up.
+ * @type {Map<string, Function>}
+ */
+const TYPED_ARRAYS = new Map(
+  [
+    "Int8Array",
+    "Uint8Array",
+    "Uint8ClampedArray",
+    "Int16Array",
+    "Uint16Array",
+    "Int32Array",
+    "Uint32Array",
+    "Float32Array",
+    "Float64Array",
+    "BigInt64Array",
+    "BigUint64Array",
+  ]
+    .filter((name) => typeof globalThis[name] === "function")
+    .map((name) => [name, globalThis[name]]),
+);
+
+/**
+ * Error classes `deserializeValue` may rebuild, by name; any other name becomes an
+ * `Error` that keeps the name.
+ * @type {Map<string, ErrorConstructor>}
+ */
+const ERROR_CLASSES = new Map(
+  [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError].map((Ctor) => [Ctor.name, Ctor]),
+);
+
+/**
+ * Best-effort class name of an object ("Object", "Foo", ...); null for null-prototype objects.
+ *
+ * @param {Object} value
+ * @returns {string|null}
+ */
+function getClassName(value) {
+  try {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null) return null;
+    const ctor = proto.constructor;
+    if (typeof ctor === "function" && ctor.name) return ctor.name;
+  } catch (e) {
+    // Proxies and exotic objects may throw; fall through to the tag
+  }
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+/**
+ * Whether the value is a DOM node in the current realm.
+ *
+ * @param {Object} value
+ * @returns {boolean}
+ */
+function isDomNode(value) {
+  return typeof Node !== "undefined" && value instanceof Node;
+}
+
+/**
+ * Read a property without letting a throwing getter abort serialization.
+ *
+ * @param {Object} target
+ * @param {PropertyKey} key
+ * @returns {{value: *}|{thrown: string}}
+ */
+function readProperty(target, key) {
+  try {
+    return { value: target[key] };
+  } catch (e) {
+    return { thrown: e && e.message ? e.message : String(e) };
+  }
+}
+
+/**
+ * Encode a string, truncating it past the configured limit.
+ *
+ * @param {string} value
+ * @param {Required<SerializeLimits>} limits
+ * @returns {SerializedValue}
+ */
+function encodeString(value, limits) {
+  if (value.length <= limits.maxStringLength) return value;
+  return {
+    $t: "string",
+    v: value.slice(0, limits.maxStringLength),
+    length: value.length,
+  };
+}
+
+/**
+ * Encode a DOM node as a short description (tag, id/class attributes, text preview).
+ *
+ * @param {Node} node
+ * @param {Required<SerializeLimits>} limits
+ * @returns {SerializedValue}
+ */
+function encodeDomNode(node, limits) {
+  const out = {
+    $t: "dom",
+    nodeType: node.nodeType,
+    nodeName: node.nodeName,
+  };
+  if (node.attributes) {
+    out.attributes = {};
+    Array.from(node.attributes)
+      .slice(0, limits.maxKeys)
+      .forEach((attr) => {
+        out.attributes[attr.name] = encodeString(attr.value, limits);
+      });
+  }
+  if (typeof node.textContent === "string" && node.nodeType !== 9) {
+    out.text = encodeString(node.textContent, limits);
+  }
+  if (node.childNodes) out.childCount = node.childNodes.length;
+  return out;
+}
+
+/**
+ * Recursively encode a value.
+ *
+ * @param {*} value
+ * @param {number} depth
+ * @param {Required<SerializeLimits>} limits
+ * @param {{seen: Map<Object, number>, nextId: number}} state
+ * @returns {SerializedValue}
+ */
+function encode(value, depth, limits, state) {
+  switch (typeof value) {
+    case "string":
+      return encodeString(value, limits);
+    case "boolean":
+      return value;
+    case "number":
+      if (Number.isNaN(value)) return { $t: "number", v: "NaN" };
+      if (!Number.isFinite(value)) {
+        return { $t: "number", v: value > 0 ? "Infinity" : "-Infinity" };
+      }
+      if (Object.is(value, -0)) return { $t: "number", v: "-0" };
+      return value;
+    case "undefined":
+      return { $t: "undefined" };
+    case "bigint":
+      return { $t: "bigint", v: value.toString() };
+    case "symbol":
+      return { $t: "symbol", description: value.description ?? null };
+    case "function":
+      return { $t: "function", name: value.name || "" };
+  }
+
+  if (value === null) return null;
+
+  if (state.seen.has(value)) {
+    return { $t: "ref", id: state.seen.get(value) };
+  }
+
+  const className = getClassName(value);
+
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return { $t: "date", v: Number.isNaN(time) ? null : time };
+  }
+
+  if (value instanceof RegExp) {
+    return { $t: "regexp", source: value.source, flags: value.flags };
+  }
+
+  if (isDomNode(value)) {
+    return encodeDomNode(value, limits);
+  }
+
+  if (value instanceof ArrayBuffer || (typeof SharedArrayBuffer !== "undefined" && value instanceof SharedArrayBuffer)) {
+    return {
+      $t: "arraybuffer",
+      className,
+      byteLength: value.byteLength,
+      items: Array.from(new Uint8Array(value, 0, Math.min(value.byteLength, limits.maxKeys))),
+    };
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    if (value instanceof DataView) {
+      return { $t: "opaque", className, byteLength: value.byteLength };
+    }
+    return {
+      $t: "typedarray",
+      className,
+      length: value.length,
+      items: Array.from(value.subarray(0, limits.maxKeys), (n) =>
+        typeof n === "bigint" ? n.toString() : n,
+      ),
+    };
+  }
+
+  if (
+    (typeof Promise !== "undefined" && value instanceof Promise) ||
+    (typeof WeakMap !== "undefined" && value instanceof WeakMap) ||
+    (typeof WeakSet !== "undefined" && value instanceof WeakSet) ||
+    (typeof WeakRef !== "undefined" && value instanceof WeakRef)
+  ) {
+    return { $t: "opaque", className };
+  }
+
+  const isError = value instanceof Error || Object.prototype.toString.call(value) === "[object Error]";
+
+  if (depth >= limits.maxDepth) {
+    const summary = { $t: "depth", className };
+    if (Array.isArray(value)) summary.length = value.length;
+    if (value instanceof Map || value instanceof Set) summary.size = value.size;
+    return summary;
+  }
+
+  const id = state.nextId++;
+  state.seen.set(value, id);
+  const child = (v) => encode(v, depth + 1, limits, state);
+
+  if (isError) {
+    const out = {
+      $t: "error",
+      id,
+      className,
+      name: String(readProperty(value, "name").value ?? "Error"),
+      message: encodeString(String(readProperty(value, "message").value ?? ""), limits),
+      stack: null,
+    };
+    const stack = readProperty(value, "stack").value;
+    if (typeof stack === "string") out.stack = encodeString(stack, limits);
+    if ("cause" in value) out.cause = child(readProperty(value, "cause").value);
+
+    const props = {};
+    const keys = Object.keys(value).filter((k) => k !== "stack" && k !== "message" && k !== "cause");
+    if (Array.isArray(value.errors) && !keys.includes("errors")) keys.push("errors");
+    keys.slice(0, limits.maxKeys).forEach((key) => {
+      const prop = readProperty(value, key);
+      props[key] = "thrown" in prop ? { $t: "thrown", message: prop.thrown } : child(prop.value);
+    });
+    if (keys.length) out.props = props;
+    return out;
+  }
+
+  if (Array.isArray(value)) {
+    const out = { $t: "array", id, length: value.length, items: [] };
+    if (className !== "Array") out.className = className;
+    const count = Math.min(value.length, limits.maxKeys);
+    for (let i = 0; i < count; i++) {
+      out.items.push(child(value[i]));
+    }
+    return out;
+  }
+
+  if (value instanceof Map) {
+    const entries = [];
+    for (const [k, v] of value) {
+      if (entries.length >= limits.maxKeys) break;
+      entries.push([child(k), child(v)]);
+    }
+    return { $t: "map", id, className, size: value.size, entries };
+  }
+
+  if (value instanceof Set) {
+    const values = [];
+    for (const v of value) {
+      if (values.length >= limits.maxKeys) break;
+      values.push(child(v));
+    }
+    return { $t: "set", id, className, size: value.size, values };
+  }
+
+  let keys;
+  try {
+    keys = Object.keys(value);
+  } catch (e) {
+    keys = [];
+  }
+  const props = {};
+  keys.slice(0, limits.maxKeys).forEach((key) => {
+    const prop = readProperty(value, key);
+    props[key] = "thrown" in prop ? { $t: "thrown", message: prop.thrown } : child(prop.value);
+  });
+  return { $t: "object", id, className, size: keys.length, props };
+}
+
+/**
+ * Encode any value into the tagged, JSON-safe format.
+ *
+ * @param {*} value
+ * @param {SerializeLimits} [limits]
+ * @returns {SerializedValue}
+ */
+export function serializeValue(value, limits = {}) {
+  return encode(value, 0, { ...DEFAULT_SERIALIZE_LIMITS, ...limits }, { seen: new Map(), nextId: 1 });
+}
+
+/**
+ * Attach the original class name to a rebuilt object so `Object.prototype.toString`
+ * and devtools show it (e.g. `[object Foo]`).
+ *
+ * @param {Object} target
+ * @param {string|null} className
+ * @param {string} defaultName - Class name that needs no tag (e.g. "Object").
+ */
+function tagClassName(target, className, defaultName) {
+  if (className && className !== defaultName) {
+    Object.defineProperty(target, Symbol.toStringTag, {
+      value: className,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * Recursively rebuild a value from its tagged form.
+ *
+ * @param {SerializedValue} value
+ * @param {Map<number, *>} refs
+ * @returns {*}
+ */
+function decode(value, refs) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((v) => decode(v, refs));
+
+  switch (value.$t) {
+    case "undefined":
+      return undefined;
+    case "number":
+      return Number(value.v);
+    case "bigint":
+      return typeof BigInt === "function" ? BigInt(value.v) : value.v;
+    case "symbol":
+      return Symbol(value.description ?? undefined);
+    case "function": {
+      const stub = function () {};
+      Object.defineProperty(stub, "name", { value: value.name });
+      return stub;
+    }
+    case "string":
+      return `${value.v}…`;
+    case "date":
+      return new Date(value.v === null ? NaN : value.v);
+    case "regexp":
+      return new RegExp(value.source, value.flags);
+    case "ref":
+      return refs.get(value.id);
+
+    case "error": {
+      const Ctor = ERROR_CLASSES.get(value.name) || Error;
+      const error = new Ctor(decode(value.message, refs));
+      refs.set(value.id, error);
+      // name/stack/cause are non-enumerable on native errors; keep them that way
+      const hidden = (key, v) =>
+        Object.defineProperty(error, key, { value: v, writable: true, configurable: true });
+      if (error.name !== value.name) hidden("name", value.name);
+      hidden("stack", value.stack === null ? undefined : decode(value.stack, refs));
+      if ("cause" in value) hidden("cause", decode(value.cause, refs));
+      if (value.props) {
+        Object.keys(value.props).forEach((key) => {
+          error[key] = decode(value.props[key], refs);
+        });
+      }
+      return error;
+    }
+
+    case "array": {
+      const arr = [];
+      refs.set(value.id, arr);
+      value.items.forEach((item) => arr.push(decode(item, refs)));
+      arr.length = value.length;
+      tagClassName(arr, value.className, "Array");
+      return arr;
+    }
+
+    case "map": {
+      const map = new Map();
+      refs.set(value.id, map);
+      value.entries.forEach(([k, v]) => map.set(decode(k, refs), decode(v, refs)));
+      return map;
+    }
+
+    case "set": {
+      const set = new Set();
+      refs.set(value.id, set);
+      value.values.forEach((v) => set.add(decode(v, refs)));
+      return set;
+    }
+
+    case "object": {
+      const obj = value.className === null ? Object.create(null) : {};
+      refs.set(value.id, obj);
+      tagClassName(obj, value.className, "Object");
+      Object.keys(value.props).forEach((key) => {
+        obj[key] = decode(value.props[key], refs);
+      });
+      return obj;
+    }
+
+    case "typedarray": {
+      const items = Array.isArray(value.items) ? value.items : [];
+      const Ctor = TYPED_ARRAYS.get(value.className);
+      if (!Ctor) return items.slice();
+      try {
+        return new Ctor(value.className.startsWith("Big") ? items.map((n) => BigInt(n)) : items);
+      } catch (e) {
+        return items.slice();
+      }
+    }
+
+    case "arraybuffer":
+      return new Uint8Array(value.items).buffer;
+
+    default:
+      // dom / depth / opaque / thrown: nothing to rebuild, keep the description
+      return value;
+  }
+}
+
+/**
+ * Rebuild JS values from the tagged format produced by `serializeValue`.
+ *
+ * Maps, Sets, Dates, RegExps, BigInts, Symbols, Errors (name/message/stack/cause),
+ * typed arrays and circular/shared references are restored. Class instances become
+ * plain objects tagged with their original class name via `Symbol.toStringTag`.
+ * Values that can't be rebuilt (DOM nodes, depth-limited or opaque objects) are
+ * returned as their tagged description.
+ *
+ * @param {SerializedValue} value
+ * @returns {*}
+ */
+export function deserializeValue(value) {
+  return decode(value, new Map());
+}
+
+/**
+ * A string field of a tagged value, or `fallback` when the field is malformed.
+ *
+ * @param {*} value
+ * @param {string} [fallback=""]
+ * @returns {string}
+ */
+const textField = (value, fallback = "") => (typeof value === "string" ? value : fallback);
+
+/**
+ * A count field of a tagged value, or 0 when the field is malformed.
+ *
+ * @param {*} value
+ * @returns {number}
+ */
+const countField = (value) => (Number.isFinite(value) ? value : 0);
+
+/**
+ * A list field of a tagged value, or an empty list when the field is malformed.
+ *
+ * @param {*} value
+ * @returns {Array<*>}
+ */
+const listField = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * An object field of a tagged value, or an empty object when the field is malformed.
+ *
+ * @param {*} value
+ * @returns {Object}
+ */
+const objectField = (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : {});
+
+/**
+ * Render a tagged value as a one-line, devtools-style preview.
+ *
+ * Top-level strings are returned verbatim; nested strings are quoted. Values come off
+ * the wire, so every field is checked: a malformed one is rendered with a fallback
+ * rather than throwing.
+ *
+ * @param {SerializedValue} value
+ * @param {number} [depth=0] - Current nesting; containers below depth 1 are shown as `{…}`.
+ * @returns {string}
+ */
+export function previewValue(value, depth = 0) {
+  if (typeof value === "string") return depth === 0 ? value : JSON.stringify(value);
+  if (value === null || typeof value !== "object") return String(value);
+  if (Array.isArray(value)) return `[${value.map((v) => previewValue(v, depth + 1)).join(", ")}]`;
+
+  const nested = (v) => previewValue(v, depth + 1);
+  const more = (shown, total) => (total > shown ? ", …" : "");
+  const prefix = (className, defaultName) =>
+    typeof className === "string" && className && className !== defaultName ? `${className} ` : "";
+
+  switch (value.$t) {
+    case "undefined":
+      return "undefined";
+    case "number":
+      return String(value.v);
+    case "bigint":
+      return `${value.v}n`;
+    case "symbol":
+      return `Symbol(${textField(value.description)})`;
+    case "function":
+      return `ƒ ${textField(value.name) || "anonymous"}()`;
+    case "string":
+      return depth === 0 ? `${textField(value.v)}…` : JSON.stringify(`${textField(value.v)}…`);
+    case "date": {
+      const date = new Date(typeof value.v === "number" ? value.v : NaN);
+      return Number.isNaN(date.getTime()) ? "Invalid Date" : date.toISOString();
+    }
+    case "regexp":
+      return `/${textField(value.source)}/${textField(value.flags)}`;
+    case "ref":
+      return "[Circular]";
+    case "depth":
+      return `[${textField(value.className) || "Object"}]`;
+    case "thrown":
+      return `[Exception: ${textField(value.message)}]`;
+    case "opaque":
+      return `${textField(value.className, "Object")} {}`;
+    case "arraybuffer":
+      return `${textField(value.className) || "ArrayBuffer"}(${countField(value.byteLength)})`;
+    case "typedarray": {
+      const items = listField(value.items);
+      const length = countField(value.length);
+      return `${textField(value.className, "TypedArray")}(${length}) [${items.slice(0, PREVIEW_ENTRIES).map(String).join(", ")}${more(PREVIEW_ENTRIES, length)}]`;
+    }
+
+    case "dom": {
+      const nodeName = textField(value.nodeName, "#node");
+      if (value.nodeType !== 1) return nodeName;
+      const attrs = Object.entries(objectField(value.attributes))
+        .map(([name, v]) => ` ${name}="${previewValue(v)}"`)
+        .join("");
+      return `<${nodeName.toLowerCase()}${attrs}>`;
+    }
+
+    case "error": {
+      const name = textField(value.name, "Error");
+      const message = previewValue(value.message ?? "");
+      if (depth === 0 && value.stack) return previewValue(value.stack);
+      return message ? `${name}: ${message}` : name;
+    }
+
+    case "array": {
+      const items = listField(value.items);
+      const length = countField(value.length);
+      if (depth > 0) return `${prefix(value.className, "Array")}Array(${length})`;
+      return `${prefix(value.className, "Array")}(${length}) [${items.slice(0, PREVIEW_ENTRIES).map(nested).join(", ")}${more(Math.min(PREVIEW_ENTRIES, items.length), length)}]`;
+    }
+
+    case "map": {
+      const entries = listField(value.entries);
+      const size = countField(value.size);
+      if (depth > 0) return `Map(${size})`;
+      const entry = (pair) => `${nested(listField(pair)[0])} => ${nested(listField(pair)[1])}`;
+      return `Map(${size}) {${entries.slice(0, PREVIEW_ENTRIES).map(entry).join(", ")}${more(Math.min(PREVIEW_ENTRIES, entries.length), size)}}`;
+    }
+
+    case "set": {
+      const values = listField(value.values);
+      const size = countField(value.size);
+      if (depth > 0) return `Set(${size})`;
+      return `Set(${size}) {${values.slice(0, PREVIEW_ENTRIES).map(nested).join(", ")}${more(Math.min(PREVIEW_ENTRIES, values.length), size)}}`;
+    }
+
+    case "object": {
+      const name = value.className === null ? "[Object: null prototype] " : prefix(value.className, "Object");
+      if (depth > 0) return `${name}{…}`;
+      const props = objectField(value.props);
+      const keys = Object.keys(props);
+      const body = keys
+        .slice(0, PREVIEW_ENTRIES)
+        .map((key) => `${key}: ${nested(props[key])}`)
+        .join(", ");
+      return `${name}{${body}${more(Math.min(PREVIEW_ENTRIES, keys.length), countField(value.size))}}`;
+    }
+
+    default:
+      return JSON.stringify(value);
+  }
+}
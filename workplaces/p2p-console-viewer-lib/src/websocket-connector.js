@@ -1,3 +1,22 @@
+import { Logger } from "./utils/logger.js";
+import { EventEmitter } from "./event-emitter.js";
+
+/**
+ * `WebSocket.OPEN`, spelled out so the connector also works where there is no global
+ * WebSocket (e.g. Node with an injected `webSocketFactory`).
+ * @type {number}
+ */
+const WS_OPEN = 1;
+
+/**
+ * Handler arguments of each WebSocketConnector event (see EventEmitter).
+ * @typedef {Object} WebSocketConnectorEvents
+ * @property {[string]} message - Raw message data.
+ * @property {[Event]} open
+ * @property {[CloseEvent]} close
+ * @property {[Event]} error
+ */
+
 /**
  * WebSocketConnector
  *
@@ -10,14 +29,22 @@
  * const connector = new WebSocketConnector('wss://example.com');
  * connector.onMessage(msg => console.log(msg));
  * connector.connect();
+ *
+ * @extends {EventEmitter<WebSocketConnectorEvents>}
  */
-class WebSocketConnector {
+class WebSocketConnector extends EventEmitter {
   /**
    * Create a new WebSocketConnector.
    *
    * @param {string} url - WebSocket server URL.
+   * @param {Object} [opts]
+   * @param {Logger} [opts.logger] - Logger for connection diagnostics (silent by default).
+   * @param {function(string):WebSocket} [opts.webSocketFactory] - Creates the socket for a URL; defaults to the
+   *   global WebSocket. Inject e.g. `LoopbackSignalingHub#createWebSocket` to run without a server.
    */
-  constructor(url) {
+  constructor(url, opts = {}) {
+    super();
+
     /**
      * The WebSocket server URL.
      * @type {string}
@@ -25,41 +52,24 @@ class WebSocketConnector {
     this.url = url;
 
     /**
-     * Underlying WebSocket instance (or null if not connected).
-     * @type {WebSocket|null}
+     * Where socket lifecycle, reconnect and traffic messages go.
+     * @type {Logger}
      */
-    this.ws = null;
+    this.logger = opts.logger || new Logger();
 
     /**
-     * Registered message handlers. Each receives the raw message data (string).
-     * @type {Array<function(string):void>}
+     * Creates the underlying socket on each `connect()`.
+     * @type {function(string):WebSocket}
+     * @private
      */
-    this.messageHandlers = [];
+    this.webSocketFactory =
+      opts.webSocketFactory || ((socketUrl) => new WebSocket(socketUrl));
 
     /**
-     * Handlers invoked on every open event.
-     * @type {Array<function(Event):void>}
-     */
-    this.onOpenHandlers = [];
-
-    /**
-     * Handlers that run once when the socket next opens (then cleared).
-     * Useful for waiting for readiness.
-     * @type {Array<function(Event):void>}
-     */
-    this.oneTimeOpenHandlers = []; // handlers that run once when socket opens
-
-    /**
-     * Handlers invoked on close events.
-     * @type {Array<function(CloseEvent):void>}
-     */
-    this.onCloseHandlers = [];
-
-    /**
-     * Handlers invoked on error events.
-     * @type {Array<function(Event):void>}
+     * Underlying WebSocket instance (or null if not connected).
+     * @type {WebSocket|null}
      */
-    this.onErrorHandlers = [];
+    this.ws = null;
 
     /**
      * Milliseconds to wait before attempting to reconnect after a close.
@@ -77,7 +87,7 @@ class WebSocketConnector {
   /**
    * Open the WebSocket connection and wire up event handlers.
    *
-   * - Logs lifecycle events to the console.
+   * - Logs lifecycle events via the logger.
    * - For incoming messages, handlers receive the event.data (string).
    * - On close, will auto-reconnect after `reconnectInterval` if `shouldReconnect` is true.
    *
@@ -85,37 +95,34 @@ class WebSocketConnector {
    */
   connect() {
     try {
-      this.ws = new WebSocket(this.url);
+      this.ws = this.webSocketFactory(this.url);
 
       this.ws.onopen = (event) => {
-        console.log("WebSocket connected:", this.url);
-        this.onOpenHandlers.forEach((handler) => handler(event));
-        // run and clear one-time handlers
-        this.oneTimeOpenHandlers.forEach((handler) => handler(event));
-        this.oneTimeOpenHandlers = [];
+        this.logger.info("WebSocket connected:", this.url);
+        this.emit("open", event);
       };
 
       this.ws.onmessage = (event) => {
-        console.log("WebSocket message received:", event.data);
-        this.messageHandlers.forEach((handler) => handler(event.data));
+        this.logger.debug("WebSocket message received:", event.data);
+        this.emit("message", event.data);
       };
 
       this.ws.onerror = (error) => {
-        console.error("WebSocket error:", error);
-        this.onErrorHandlers.forEach((handler) => handler(error));
+        this.logger.error("WebSocket error:", error);
+        this.emit("error", error);
       };
 
       this.ws.onclose = (event) => {
-        console.log("WebSocket closed:", event.code, event.reason);
-        this.onCloseHandlers.forEach((handler) => handler(event));
+        this.logger.info("WebSocket closed:", event.code, event.reason);
+        this.emit("close", event);
 
         if (this.shouldReconnect) {
-          console.log(`Reconnecting in ${this.reconnectInterval}ms...`);
+          this.logger.info(`Reconnecting in ${this.reconnectInterval}ms...`);
           setTimeout(() => this.connect(), this.reconnectInterval);
         }
       };
     } catch (error) {
-      console.error("Failed to create WebSocket connection:", error);
+      this.logger.error("Failed to create WebSocket connection:", error);
     }
   }
 
@@ -129,14 +136,14 @@ class WebSocketConnector {
    * @returns {boolean} True if sent, false if socket not open.
    */
   send(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this.ws && this.ws.readyState === WS_OPEN) {
       const data =
         typeof message === "string" ? message : JSON.stringify(message);
       this.ws.send(data);
-      console.log("WebSocket message sent:", data);
+      this.logger.debug("WebSocket message sent:", data);
       return true;
     } else {
-      console.warn(
+      this.logger.warn(
         "WebSocket is not open. Current state:",
         this.ws?.readyState,
       );
@@ -148,36 +155,40 @@ class WebSocketConnector {
    * Register a handler for incoming messages.
    *
    * @param {function(string):void} handler - Called with raw message data.
+   * @returns {function():void} Removes the handler.
    */
   onMessage(handler) {
-    this.messageHandlers.push(handler);
+    return this.on("message", handler);
   }
 
   /**
    * Register a handler invoked on every open event.
    *
    * @param {function(Event):void} handler
+   * @returns {function():void} Removes the handler.
    */
   onOpen(handler) {
-    this.onOpenHandlers.push(handler);
+    return this.on("open", handler);
   }
 
   /**
    * Register a handler invoked when the socket closes.
    *
    * @param {function(CloseEvent):void} handler
+   * @returns {function():void} Removes the handler.
    */
   onClose(handler) {
-    this.onCloseHandlers.push(handler);
+    return this.on("close", handler);
   }
 
   /**
    * Register a handler invoked on socket errors.
    *
    * @param {function(Event):void} handler
+   * @returns {function():void} Removes the handler.
    */
   onError(handler) {
-    this.onErrorHandlers.push(handler);
+    return this.on("error", handler);
   }
 
   /**
@@ -192,7 +203,7 @@ class WebSocketConnector {
     if (this.isConnected()) {
       callback();
     } else {
-      this.oneTimeOpenHandlers.push(() => callback());
+      this.once("open", () => callback());
     }
   }
 
@@ -209,18 +220,15 @@ class WebSocketConnector {
       return Promise.resolve();
     }
     return new Promise((resolve, reject) => {
-      const handler = () => {
+      let timer;
+      const off = this.once("open", () => {
         clearTimeout(timer);
         resolve();
-      };
-      this.oneTimeOpenHandlers.push(handler);
-      let timer;
+      });
       if (timeoutMs > 0) {
         timer = setTimeout(() => {
           // remove the handler if timeout occurs
-          this.oneTimeOpenHandlers = this.oneTimeOpenHandlers.filter(
-            (h) => h !== handler,
-          );
+          off();
           reject(new Error("waitUntilOpen timeout"));
         }, timeoutMs);
       }
@@ -245,10 +253,10 @@ class WebSocketConnector {
   /**
    * Check whether the underlying WebSocket is currently open.
    *
-   * @returns {boolean} True when connected and readyState is WebSocket.OPEN.
+   * @returns {boolean} True when connected and readyState is OPEN.
    */
   isConnected() {
-    return !!(this.ws && this.ws.readyState === WebSocket.OPEN);
+    return !!(this.ws && this.ws.readyState === WS_OPEN);
   }
 }
 
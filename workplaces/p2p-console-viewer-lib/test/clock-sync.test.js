@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ClockEstimator } from "../src/clock-sync.js";
+
+test("the offset comes from the exchange with the shortest round trip", () => {
+  const clock = new ClockEstimator();
+  // Peer runs 1000ms ahead; the second exchange was delayed on the way back
+  clock.addSample({ sentAt: 0, repliedAt: 1010, returnedAt: 20 });
+  const estimate = clock.addSample({
+    sentAt: 100,
+    repliedAt: 1110,
+    returnedAt: 300,
+  });
+  assert.equal(estimate.offsetMs, 1000);
+  assert.equal(estimate.rttMs, 20);
+  assert.equal(estimate.samples, 2);
+});
+
+test("toLocalTime() converts the peer's clock to ours", () => {
+  const clock = new ClockEstimator();
+  assert.equal(clock.toLocalTime(5000), 5000);
+  clock.addSample({ sentAt: 0, repliedAt: 1010, returnedAt: 20 });
+  assert.equal(clock.toLocalTime(6000), 5000);
+});
+
+test("drift is estimated once enough history has accumulated", () => {
+  const clock = new ClockEstimator({ minDriftSpanMs: 10000 });
+  let estimate;
+  // Peer gains 100 microseconds per second (100 ppm)
+  for (let t = 0; t <= 20000; t += 1000) {
+    estimate = clock.addSample({
+      sentAt: t,
+      repliedAt: t + 5 + 500 + (t + 5) * 1e-4,
+      returnedAt: t + 10,
+    });
+  }
+  assert.ok(Math.abs(estimate.driftPpm - 100) < 1, `${estimate.driftPpm}`);
+});
+
+test("implausible drift is ignored", () => {
+  const clock = new ClockEstimator({ minDriftSpanMs: 1000 });
+  let estimate;
+  for (let t = 0; t <= 4000; t += 1000) {
+    estimate = clock.addSample({
+      sentAt: t,
+      repliedAt: t * 1.01 + 5,
+      returnedAt: t + 10,
+    });
+  }
+  assert.equal(estimate.driftPpm, 0);
+});
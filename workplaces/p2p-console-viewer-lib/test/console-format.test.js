@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatConsoleArgs } from "../src/console-format.js";
+
+test("format directives are substituted and styled", () => {
+  const segments = formatConsoleArgs([
+    "%cred%s %d%%",
+    "color:red",
+    "x",
+    4.5,
+    { a: 1 },
+  ]);
+  assert.deepEqual(segments[0], { text: "redx 4%", style: "color:red" });
+  assert.equal(segments[1].text, " ");
+  assert.equal(segments[2].text, "{a: 1}");
+  assert.equal(segments[2].value.$t, "object");
+});
+
+test("a first argument that is not a string is not treated as a format", () => {
+  assert.deepEqual(formatConsoleArgs([1, "%s"]), [
+    { text: "1", value: 1 },
+    { text: " %s" },
+  ]);
+});
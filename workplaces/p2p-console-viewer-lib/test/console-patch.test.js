@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ConsoleInterceptor } from "../src/console-patch.js";
+
+/**
+ * Replace console methods with recorders for the duration of `run`, so intercepted
+ * calls don't reach the test runner's output.
+ *
+ * @param {Array<string>} methods
+ * @param {function(Array<Array<*>>):void} run - Receives the calls the recorders got.
+ */
+function withQuietConsole(methods, run) {
+  const saved = {};
+  const printed = [];
+  methods.forEach((method) => {
+    saved[method] = console[method];
+    console[method] = (...args) => printed.push([method, ...args]);
+  });
+  try {
+    run(printed);
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+test("patched methods reach the callback and the previous implementation", () => {
+  withQuietConsole(["log", "warn"], (printed) => {
+    const interceptor = new ConsoleInterceptor();
+    const captured = [];
+    interceptor.patch(
+      (method, ...args) => captured.push([method, ...args]),
+      ["log", "warn"],
+    );
+    console.log("a", 1);
+    console.warn("b");
+    interceptor.unpatch();
+    console.log("after");
+
+    assert.deepEqual(captured, [
+      ["log", "a", 1],
+      ["warn", "b"],
+    ]);
+    assert.deepEqual(printed, [
+      ["log", "a", 1],
+      ["warn", "b"],
+      ["log", "after"],
+    ]);
+    assert.equal(interceptor.isPatched, false);
+  });
+});
+
+test("console calls made from the callback are printed but not captured", () => {
+  withQuietConsole(["log"], (printed) => {
+    const interceptor = new ConsoleInterceptor();
+    const captured = [];
+    interceptor.patch(
+      (method, ...args) => {
+        captured.push(args);
+        console.log("from callback");
+      },
+      ["log"],
+    );
+    console.log("outer");
+    interceptor.unpatch();
+
+    assert.deepEqual(captured, [["outer"]]);
+    assert.deepEqual(printed, [
+      ["log", "from callback"],
+      ["log", "outer"],
+    ]);
+  });
+});
+
+test("passing assertions are not captured", () => {
+  withQuietConsole(["assert"], () => {
+    const interceptor = new ConsoleInterceptor();
+    const captured = [];
+    interceptor.patch((method, ...args) => captured.push(args), ["assert"]);
+    console.assert(true, "fine");
+    console.assert(false, "broken");
+    interceptor.unpatch();
+    assert.deepEqual(captured, [[false, "broken"]]);
+  });
+});
+
+test("captureCallSite records where the console call was made", () => {
+  withQuietConsole(["log"], () => {
+    const interceptor = new ConsoleInterceptor({ captureCallSite: true });
+    const sites = [];
+    interceptor.patch(() => sites.push(interceptor.callSite), ["log"]);
+    const line = Number(new Error().stack.split("\n")[1].split(":").at(-2)) + 1;
+    console.log("here");
+    interceptor.unpatch();
+
+    assert.equal(sites.length, 1);
+    assert.match(sites[0].file, /console-patch\.test\.js$/);
+    assert.equal(sites[0].line, line);
+    assert.equal(interceptor.callSite, null);
+  });
+});
+
+test("patching twice is a no-op", () => {
+  withQuietConsole(["log"], () => {
+    const interceptor = new ConsoleInterceptor();
+    const captured = [];
+    interceptor.patch(() => captured.push("first"), ["log"]);
+    interceptor.patch(() => captured.push("second"), ["log"]);
+    console.log("x");
+    interceptor.unpatch();
+    assert.deepEqual(captured, ["first"]);
+  });
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { ErrorCapture } from "../src/error-capture.js";
+
+const ERROR_CAPTURE = new URL("../src/error-capture.js", import.meta.url).href;
+
+/**
+ * Run a module in a fresh Node process with an ErrorCapture installed that prints
+ * each reported message as a JSON line.
+ *
+ * @param {Object} opts - ErrorCapture options.
+ * @param {string} body - Code run after installing.
+ * @returns {{status: number|null, reports: Array<Object>}}
+ */
+function runWithCapture(opts, body) {
+  const source = `
+    import { ErrorCapture } from ${JSON.stringify(ERROR_CAPTURE)};
+    new ErrorCapture(${JSON.stringify(opts)}).install((message) => {
+      process.stdout.write(JSON.stringify({ method: message.method, text: message.text }) + "\\n");
+    });
+    ${body}
+  `;
+  const result = spawnSync(
+    process.execPath,
+    ["--input-type=module", "-e", source],
+    { encoding: "utf8", timeout: 10000 },
+  );
+  const reports = result.stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  return { status: result.status, reports };
+}
+
+test("unhandled rejections are reported and still crash the process", () => {
+  const { status, reports } = runWithCapture(
+    {},
+    `Promise.reject(new TypeError("boom"));`,
+  );
+  assert.notEqual(status, 0);
+  assert.deepEqual(reports, [
+    {
+      method: "unhandledRejection",
+      text: "Uncaught (in promise) TypeError: boom",
+    },
+  ]);
+});
+
+test("handleRejections keeps the process alive and reports late handlers", () => {
+  const { status, reports } = runWithCapture(
+    { handleRejections: true },
+    `const rejected = Promise.reject(new Error("late"));
+     setTimeout(() => rejected.catch(() => {}), 10);`,
+  );
+  assert.equal(status, 0);
+  assert.deepEqual(
+    reports.map((report) => report.method),
+    ["unhandledRejection", "rejectionHandled"],
+  );
+});
+
+test("uncaught exceptions are reported without changing the exit", () => {
+  const { status, reports } = runWithCapture(
+    {},
+    `setTimeout(() => { throw new RangeError("out"); });`,
+  );
+  assert.notEqual(status, 0);
+  assert.deepEqual(reports, [
+    { method: "uncaughtException", text: "Uncaught RangeError: out" },
+  ]);
+});
+
+test("browser error events are reported with their location", () => {
+  const target = new EventTarget();
+  globalThis.window = target;
+  try {
+    const capture = new ErrorCapture();
+    const reports = [];
+    capture.install((message) => reports.push(message));
+
+    const error = Object.assign(new Event("error"), {
+      error: new TypeError("bad"),
+      filename: "app.js",
+      lineno: 3,
+      colno: 7,
+    });
+    target.dispatchEvent(error);
+
+    const promise = Promise.resolve();
+    const rejection = Object.assign(new Event("unhandledrejection"), {
+      promise,
+      reason: "nope",
+    });
+    target.dispatchEvent(rejection);
+    target.dispatchEvent(
+      Object.assign(new Event("rejectionhandled"), { promise, reason: "nope" }),
+    );
+
+    capture.uninstall();
+    target.dispatchEvent(error);
+
+    assert.deepEqual(
+      reports.map((message) => [message.method, message.level, message.text]),
+      [
+        ["uncaughtException", "error", "Uncaught TypeError: bad"],
+        ["unhandledRejection", "error", "Uncaught (in promise) nope"],
+        [
+          "rejectionHandled",
+          "warn",
+          "Promise rejection handled asynchronously: nope",
+        ],
+      ],
+    );
+    assert.deepEqual(
+      [reports[0].error.file, reports[0].error.line, reports[0].error.column],
+      ["app.js", 3, 7],
+    );
+    assert.equal(reports[2].error.handled, true);
+  } finally {
+    delete globalThis.window;
+  }
+});
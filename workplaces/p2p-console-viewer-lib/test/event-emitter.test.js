@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "../src/event-emitter.js";
+
+class Emitter extends EventEmitter {
+  fire(event, ...args) {
+    this.emit(event, ...args);
+  }
+}
+
+test("on() returns a function that removes the handler", () => {
+  const emitter = new Emitter();
+  const calls = [];
+  const off = emitter.on("tick", (n) => calls.push(n));
+  emitter.fire("tick", 1);
+  off();
+  emitter.fire("tick", 2);
+  assert.deepEqual(calls, [1]);
+  assert.equal(emitter.listenerCount("tick"), 0);
+});
+
+test("off() removes a handler by reference", () => {
+  const emitter = new Emitter();
+  const calls = [];
+  const handler = (n) => calls.push(n);
+  emitter.on("tick", handler);
+  emitter.off("tick", handler);
+  emitter.fire("tick", 1);
+  assert.deepEqual(calls, []);
+});
+
+test("once() runs a handler for the next emission only", () => {
+  const emitter = new Emitter();
+  const calls = [];
+  emitter.once("tick", (n) => calls.push(n));
+  emitter.fire("tick", 1);
+  emitter.fire("tick", 2);
+  assert.deepEqual(calls, [1]);
+});
+
+test("once() without a handler resolves with the event's arguments", async () => {
+  const emitter = new Emitter();
+  const next = emitter.once("pair");
+  emitter.fire("pair", "a", 2);
+  assert.deepEqual(await next, ["a", 2]);
+});
+
+test("handlers removed during an emission still run for that emission", () => {
+  const emitter = new Emitter();
+  const calls = [];
+  let offSecond;
+  emitter.on("tick", () => {
+    calls.push("first");
+    offSecond();
+  });
+  offSecond = emitter.on("tick", () => calls.push("second"));
+  emitter.fire("tick");
+  emitter.fire("tick");
+  assert.deepEqual(calls, ["first", "second", "first"]);
+});
+
+test("events() yields buffered emissions and unsubscribes when the loop ends", async () => {
+  const emitter = new Emitter();
+  const iterator = emitter.events("tick");
+  emitter.fire("tick", 1);
+  emitter.fire("tick", 2);
+  const seen = [];
+  for await (const [n] of iterator) {
+    seen.push(n);
+    if (n === 2) break;
+  }
+  assert.deepEqual(seen, [1, 2]);
+  assert.equal(emitter.listenerCount("tick"), 0);
+});
+
+test("events() ends when its signal aborts", async () => {
+  const emitter = new Emitter();
+  const controller = new AbortController();
+  const seen = [];
+  const loop = (async () => {
+    for await (const [n] of emitter.events("tick", {
+      signal: controller.signal,
+    })) {
+      seen.push(n);
+    }
+  })();
+  emitter.fire("tick", 1);
+  await Promise.resolve();
+  controller.abort();
+  await loop;
+  assert.deepEqual(seen, [1]);
+  assert.equal(emitter.listenerCount("tick"), 0);
+});
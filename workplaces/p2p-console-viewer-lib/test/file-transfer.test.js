@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FILE_CHANNEL_LABEL, FileTransfer } from "../src/public-api.js";
+import { createConnectionPair, waitFor } from "./helpers.js";
+
+/**
+ * A connected pair with a FileTransfer on each side's file channel.
+ *
+ * @param {Object} [receiverOpts] - Options for `b`'s FileTransfer.
+ * @returns {Promise<{a: *, b: *, sender: FileTransfer, receiver: FileTransfer, events: Array<Array<*>>}>}
+ */
+async function connectFiles(receiverOpts = {}) {
+  const channels = [{ label: FILE_CHANNEL_LABEL, id: 2 }];
+  const { a, b } = createConnectionPair({ channels });
+  const ready = Promise.all([a.once("protocolReady"), b.once("protocolReady")]);
+  a.initiate();
+  await ready;
+  await waitFor(() => b.channel(FILE_CHANNEL_LABEL).isOpen());
+
+  const sender = new FileTransfer(a.channel(FILE_CHANNEL_LABEL), {
+    chunkSize: 4,
+  });
+  const receiver = new FileTransfer(
+    b.channel(FILE_CHANNEL_LABEL),
+    receiverOpts,
+  );
+  const events = [];
+  receiver.onProgress((info) => events.push(["progress", info]));
+  receiver.onComplete((file) => events.push(["complete", file]));
+  receiver.onFailed((file) => events.push(["failed", file]));
+  return { a, b, sender, receiver, events };
+}
+
+/**
+ * Run `fn` as if WebCrypto were unavailable (e.g. an insecure context).
+ *
+ * @param {function():Promise<void>} fn
+ * @returns {Promise<void>}
+ */
+async function withoutWebCrypto(fn) {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+  const { crypto } = globalThis;
+  Object.defineProperty(globalThis, "crypto", {
+    value: { getRandomValues: (array) => crypto.getRandomValues(array) },
+    configurable: true,
+  });
+  try {
+    await fn();
+  } finally {
+    Object.defineProperty(globalThis, "crypto", descriptor);
+  }
+}
+
+test("a received file is verified against the sender's digest", async () => {
+  const { a, b, sender, events } = await connectFiles();
+  const { done } = sender.send(new TextEncoder().encode("hello, file"), {
+    name: "note.txt",
+  });
+  await done;
+  const [, file] = events.find(([type]) => type === "complete");
+  assert.equal(file.verified, true);
+  assert.match(file.sha256, /^[0-9a-f]{64}$/);
+  assert.equal(await file.blob.text(), "hello, file");
+  a.close();
+  b.close();
+});
+
+test("files without a digest are refused unless unverified files are allowed", async () => {
+  await withoutWebCrypto(async () => {
+    const strict = await connectFiles();
+    await assert.rejects(
+      strict.sender.send(new Uint8Array([1, 2, 3])).done,
+      /unverified/,
+    );
+    assert.equal(strict.events.at(-1)[1].reason, "unverified");
+    strict.a.close();
+    strict.b.close();
+
+    const lenient = await connectFiles({ allowUnverified: true });
+    await lenient.sender.send(new Uint8Array([1, 2, 3])).done;
+    const [type, file] = lenient.events.at(-1);
+    assert.equal(type, "complete");
+    assert.equal(file.verified, false);
+    assert.equal(file.sha256, null);
+    lenient.a.close();
+    lenient.b.close();
+  });
+});
+
+test("incoming transfers past the concurrency or byte cap are refused", async () => {
+  const { a, b, sender } = await connectFiles({
+    maxConcurrent: 1,
+    maxPendingBytes: 32,
+  });
+  const first = sender.send(new Uint8Array(16)).done;
+  const second = assert.rejects(sender.send(new Uint8Array(16)).done, /busy/);
+  await Promise.all([first, second]);
+  await assert.rejects(sender.send(new Uint8Array(40)).done, /busy/);
+  a.close();
+  b.close();
+});
+
+test("transfers from a peer that isn't authorized are refused without progress", async () => {
+  let authorized = false;
+  const { a, b, sender, events } = await connectFiles({
+    authorize: () => authorized,
+  });
+  await assert.rejects(sender.send(new Uint8Array(8)).done, /unauthorized/);
+  assert.deepEqual(
+    events.map(([type]) => type),
+    [],
+  );
+
+  authorized = true;
+  await sender.send(new Uint8Array(8)).done;
+  assert.equal(events.at(-1)[0], "complete");
+  a.close();
+  b.close();
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HEARTBEAT_PING, Heartbeat, createPong } from "../src/heartbeat.js";
+import { delay } from "./helpers.js";
+
+test("a pong yields the latency and a clock sample", () => {
+  let now = 1000;
+  const sent = [];
+  const heartbeat = new Heartbeat({
+    send: (body) => sent.push(body),
+    intervalMs: 60000,
+    now: () => now,
+  });
+  const latencies = [];
+  const samples = [];
+  heartbeat.onLatency((ms) => latencies.push(ms));
+  heartbeat.onClockSample((sample) => samples.push(sample));
+
+  heartbeat.start();
+  assert.equal(sent[0].type, HEARTBEAT_PING);
+  now = 1040;
+  heartbeat.receive(createPong(sent[0], 5000));
+  heartbeat.stop();
+
+  assert.deepEqual(latencies, [40]);
+  assert.deepEqual(samples, [
+    { sentAt: 1000, repliedAt: 5000, returnedAt: 1040 },
+  ]);
+  assert.equal(heartbeat.latencyMs, 40);
+});
+
+test("missThreshold unanswered pings declare the peer dead", async () => {
+  const heartbeat = new Heartbeat({
+    send: () => true,
+    intervalMs: 5,
+    missThreshold: 2,
+  });
+  heartbeat.start();
+  const [info] = await heartbeat.once("dead");
+  assert.deepEqual(info, { misses: 2 });
+  assert.equal(heartbeat.timer, null);
+});
+
+test("any pong resets the miss count", async () => {
+  const sent = [];
+  const heartbeat = new Heartbeat({
+    send: (body) => sent.push(body),
+    intervalMs: 5,
+    missThreshold: 3,
+  });
+  let dead = false;
+  heartbeat.onDead(() => (dead = true));
+  heartbeat.start();
+  for (let i = 0; i < 6; i++) {
+    await delay(5);
+    heartbeat.receive(createPong(sent[sent.length - 1]));
+  }
+  heartbeat.stop();
+  assert.equal(dead, false);
+});
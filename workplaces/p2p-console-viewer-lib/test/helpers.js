@@ -0,0 +1,94 @@
+import {
+  LoopbackNetwork,
+  LoopbackSignalingHub,
+  P2PConnection,
+  P2pMessageHelper,
+} from "../src/public-api.js";
+
+/**
+ * Resolve after `ms` milliseconds.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll until `predicate` returns true.
+ *
+ * @param {function():boolean} predicate
+ * @param {number} [timeoutMs=2000]
+ * @returns {Promise<void>}
+ * @throws {Error} When the condition doesn't hold in time.
+ */
+export async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error("Condition not met in time");
+    await delay(5);
+  }
+}
+
+/**
+ * A loopback network and signaling hub, with factories for both.
+ *
+ * @returns {{network: LoopbackNetwork, hub: LoopbackSignalingHub, factories: {webSocketFactory: function(string):*, peerConnectionFactory: function(*):*}}}
+ */
+export function createLoopback() {
+  const network = new LoopbackNetwork();
+  const hub = new LoopbackSignalingHub();
+  return {
+    network,
+    hub,
+    factories: {
+      webSocketFactory: (url) => hub.createWebSocket(url),
+      peerConnectionFactory: (config) => network.createPeerConnection(config),
+    },
+  };
+}
+
+/**
+ * Two P2PConnections on a loopback network whose signaling is wired directly to each
+ * other. `a` is impolite, `b` polite.
+ *
+ * @param {Object} [config] - Passed to both connections.
+ * @returns {{network: LoopbackNetwork, a: P2PConnection, b: P2PConnection}}
+ */
+export function createConnectionPair(config = {}) {
+  const network = config.network || new LoopbackNetwork();
+  const peerConnectionFactory = (rtcConfig) =>
+    network.createPeerConnection(rtcConfig);
+  const a = new P2PConnection({
+    ...config,
+    peerConnectionFactory,
+    polite: false,
+  });
+  const b = new P2PConnection({
+    ...config,
+    peerConnectionFactory,
+    polite: true,
+  });
+  const wire = (from, to) => {
+    from.onOffer((offer) => to.receiveOffer(offer).catch(() => {}));
+    from.onAnswer((answer) => to.receiveAnswer(answer).catch(() => {}));
+    from.onIceCandidate((candidate) =>
+      to.addIceCandidate(JSON.parse(JSON.stringify(candidate))),
+    );
+  };
+  wire(a, b);
+  wire(b, a);
+  return { network, a, b };
+}
+
+/**
+ * Build a console message as the console patch would.
+ *
+ * @param {string} text
+ * @param {string} [level="log"]
+ * @returns {import("../src/p2p-message-helper.js").ConsoleMessage}
+ */
+export function consoleMessage(text, level = "log") {
+  return new P2pMessageHelper().buildMessage(level, [text]);
+}
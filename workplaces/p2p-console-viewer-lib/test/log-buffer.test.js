@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LogBuffer } from "../src/log-buffer.js";
+import { delay } from "./helpers.js";
+
+/**
+ * An in-memory LogBufferStorage that records what was saved.
+ *
+ * @param {Array<*>} [initial]
+ * @returns {import("../src/log-buffer.js").LogBufferStorage & {saved: Array<*>|null}}
+ */
+function memoryStorage(initial = []) {
+  return {
+    saved: null,
+    async load() {
+      return initial;
+    },
+    async save(messages) {
+      this.saved = messages;
+    },
+    async clear() {
+      this.saved = [];
+    },
+  };
+}
+
+test("the oldest messages are evicted past maxMessages", () => {
+  const buffer = new LogBuffer({ maxMessages: 2 });
+  buffer.push("a");
+  buffer.push("b");
+  buffer.push("c");
+  assert.deepEqual(buffer.getMessages(), ["b", "c"]);
+  assert.equal(buffer.size, 2);
+});
+
+test("maxBytes is measured on the UTF-8 encoded message", () => {
+  const buffer = new LogBuffer({ maxBytes: 10 });
+  assert.equal(buffer.push("éééé"), true);
+  assert.equal(buffer.totalBytes, 8);
+  buffer.push("abc");
+  assert.deepEqual(buffer.getMessages(), ["abc"]);
+  assert.equal(buffer.push("x".repeat(11)), false);
+  assert.deepEqual(buffer.getMessages(), ["abc"]);
+});
+
+test("persisted messages are restored ahead of new ones", async () => {
+  const storage = memoryStorage(["old-1", "old-2"]);
+  const buffer = new LogBuffer({
+    persist: storage,
+    maxMessages: 3,
+    persistDelayMs: 1,
+  });
+  buffer.push("new");
+  await buffer.ready;
+  assert.deepEqual(buffer.getMessages(), ["old-1", "old-2", "new"]);
+
+  buffer.push("newer");
+  await delay(10);
+  assert.deepEqual(storage.saved, ["old-2", "new", "newer"]);
+
+  await buffer.clear();
+  assert.equal(buffer.size, 0);
+  assert.deepEqual(storage.saved, []);
+});
+
+test("a save scheduled during a slow restore keeps the restored history", async () => {
+  const storage = memoryStorage(["old"]);
+  const load = storage.load;
+  storage.load = async () => {
+    await delay(30);
+    return load();
+  };
+  const buffer = new LogBuffer({ persist: storage, persistDelayMs: 1 });
+  buffer.push("new");
+  await delay(10);
+  assert.equal(storage.saved, null);
+  await buffer.ready;
+  await delay(5);
+  assert.deepEqual(storage.saved, ["old", "new"]);
+});
+
+test("unavailable built-in storage falls back to memory only", async () => {
+  const buffer = new LogBuffer({ persist: "indexeddb" });
+  await buffer.ready;
+  assert.equal(buffer.push("kept"), true);
+  assert.deepEqual(buffer.getMessages(), ["kept"]);
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LogPolicy, P2pMessageHelper } from "../src/public-api.js";
+
+/**
+ * A helper whose filter rejects every level, as a viewer muting everything would.
+ *
+ * @returns {P2pMessageHelper}
+ */
+function mutedHelper() {
+  return new P2pMessageHelper({ consoleTarget: {}, filter: () => false });
+}
+
+test("the drop summary is built even when the helper's filter rejects warnings", () => {
+  const policy = new LogPolicy({
+    helper: mutedHelper(),
+    sampling: { log: 0 },
+  });
+  const sent = [];
+  policy.onMessage((message) => sent.push(message));
+
+  const helper = new P2pMessageHelper({ consoleTarget: {} });
+  policy.push(helper.buildMessage("log", ["a"]));
+  policy.push(helper.buildMessage("log", ["b"]));
+  policy.close();
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].level, "warn");
+  assert.deepEqual(sent[0].dropped, {
+    count: 2,
+    reason: "policy",
+    breakdown: [{ level: "log", namespace: null, reason: "sampled", count: 2 }],
+  });
+});
+
+test("repeat reports are built even when the helper's filter rejects the level", () => {
+  const policy = new LogPolicy({
+    helper: mutedHelper(),
+    collapseRepeats: true,
+  });
+  const sent = [];
+  policy.onMessage((message) => sent.push(message));
+
+  const helper = new P2pMessageHelper({ consoleTarget: {} });
+  const first = helper.buildMessage("log", ["same"]);
+  policy.push(first);
+  policy.push(helper.buildMessage("log", ["same"]));
+  policy.push(helper.buildMessage("log", ["same"]));
+  policy.close();
+
+  assert.equal(sent.length, 2);
+  assert.deepEqual(sent[1].repeat, { of: first.id, count: 2 });
+  assert.equal(sent[1].text, "Previous message repeated 2 times");
+});
+
+test("a level's token bucket caps the rate and refills over time", () => {
+  let now = 0;
+  const policy = new LogPolicy({
+    levels: { debug: { rate: 2, burst: 2 } },
+    now: () => now,
+  });
+  const helper = new P2pMessageHelper({ consoleTarget: {} });
+  const results = [1, 2, 3].map(() =>
+    policy.push(helper.buildMessage("debug", ["tick"])),
+  );
+  assert.deepEqual(results, [true, true, false]);
+  assert.equal(policy.push(helper.buildMessage("log", ["other level"])), true);
+
+  now = 500;
+  assert.equal(policy.push(helper.buildMessage("debug", ["tick"])), true);
+  policy.close();
+});
+
+test("namespaces have their own limits and group messages are never dropped", () => {
+  const policy = new LogPolicy({ namespaces: { chatty: { rate: 1 } } });
+  const sent = [];
+  policy.onMessage((message) => sent.push(message));
+  const helper = new P2pMessageHelper({
+    consoleTarget: {},
+    namespace: "chatty",
+  });
+
+  policy.push(helper.buildMessage("group", ["g"]));
+  policy.push(helper.buildMessage("log", ["one"]));
+  policy.push(helper.buildMessage("log", ["two"]));
+  policy.push(helper.buildMessage("groupEnd", []));
+  policy.close();
+
+  assert.deepEqual(
+    sent.map((message) => message.method),
+    ["group", "log", "groupEnd", "warn"],
+  );
+  assert.deepEqual(sent[3].dropped.breakdown, [
+    { level: "log", namespace: "chatty", reason: "rate-limit", count: 1 },
+  ]);
+});
+
+test("sampling keeps the configured fraction of a level", () => {
+  const values = [0.1, 0.6, 0.4, 0.9];
+  const policy = new LogPolicy({
+    sampling: { info: 0.5 },
+    random: () => values.shift(),
+  });
+  const helper = new P2pMessageHelper({ consoleTarget: {} });
+  const kept = [1, 2, 3, 4].map(() =>
+    policy.push(helper.buildMessage("info", ["sample"])),
+  );
+  assert.deepEqual(kept, [true, false, true, false]);
+  policy.close();
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Logger } from "../src/utils/logger.js";
+
+/**
+ * A LogSink that records every call.
+ *
+ * @returns {{sink: import("../src/utils/logger.js").LogSink, lines: Array<Array<*>>}}
+ */
+function recordingSink() {
+  const lines = [];
+  const record =
+    (level) =>
+    (...args) =>
+      lines.push([level, ...args]);
+  return {
+    lines,
+    sink: {
+      error: record("error"),
+      warn: record("warn"),
+      info: record("info"),
+      debug: record("debug"),
+    },
+  };
+}
+
+test("a logger is silent by default", () => {
+  const { sink, lines } = recordingSink();
+  const logger = new Logger({ sink });
+  logger.error("nothing");
+  assert.deepEqual(lines, []);
+});
+
+test("levels at or below the configured one are written with the prefix", () => {
+  const { sink, lines } = recordingSink();
+  const logger = new Logger({ sink, level: "warn" });
+  logger.error("e");
+  logger.warn("w");
+  logger.info("i");
+  assert.deepEqual(lines, [
+    ["error", "[p2p]", "e"],
+    ["warn", "[p2p]", "w"],
+  ]);
+
+  logger.setLevel("debug");
+  assert.equal(logger.isEnabled("debug"), true);
+  assert.throws(() => logger.setLevel("loud"), /Unknown log level: loud/);
+});
+
+test("an empty prefix writes the arguments as they are", () => {
+  const { sink, lines } = recordingSink();
+  new Logger({ sink, level: "info", prefix: "" }).info("plain", 1);
+  assert.deepEqual(lines, [["info", "plain", 1]]);
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LoopbackNetwork, LoopbackSignalingHub } from "../src/loopback.js";
+import { waitFor } from "./helpers.js";
+
+/**
+ * Open a hub socket and collect what it receives.
+ *
+ * @param {LoopbackSignalingHub} hub
+ * @returns {Promise<{socket: *, received: Array<Object>}>}
+ */
+async function join(hub) {
+  const socket = hub.createWebSocket();
+  const received = [];
+  socket.onmessage = (event) => received.push(JSON.parse(event.data));
+  await waitFor(() => received.some((m) => m.type === "id"));
+  return { socket, received };
+}
+
+test("the hub assigns ids and forwards addressed messages", async () => {
+  const hub = new LoopbackSignalingHub();
+  const alice = await join(hub);
+  const bob = await join(hub);
+  const bobId = bob.received[0].id;
+  assert.deepEqual(hub.peerIds().sort(), [alice.received[0].id, bobId].sort());
+
+  alice.socket.send(JSON.stringify({ type: "offer", to: bobId, sdp: "x" }));
+  await waitFor(() => bob.received.length === 2);
+  assert.deepEqual(bob.received[1], {
+    type: "offer",
+    to: bobId,
+    sdp: "x",
+    from: alice.received[0].id,
+  });
+
+  alice.socket.close();
+  bob.socket.close();
+});
+
+test("messages to unknown peers come back as target-unavailable", async () => {
+  const hub = new LoopbackSignalingHub();
+  const alice = await join(hub);
+  alice.socket.send(JSON.stringify({ type: "offer", to: "nobody" }));
+  await waitFor(() => alice.received.length === 2);
+  assert.deepEqual(alice.received[1], {
+    type: "error",
+    message: "target-unavailable",
+    to: "nobody",
+  });
+  alice.socket.close();
+});
+
+test("disconnect() drops a socket uncleanly and announces peer-left", async () => {
+  const hub = new LoopbackSignalingHub();
+  const alice = await join(hub);
+  const bob = await join(hub);
+  const bobId = bob.received[0].id;
+  let closed = null;
+  bob.socket.onclose = (event) => (closed = event);
+
+  hub.disconnect(bobId);
+  await waitFor(() => closed !== null);
+  assert.equal(closed.code, 1006);
+  assert.equal(closed.wasClean, false);
+  await waitFor(() => alice.received.some((m) => m.type === "peer-left"));
+  assert.deepEqual(alice.received.at(-1), { type: "peer-left", id: bobId });
+  alice.socket.close();
+});
+
+test("sockets refuse to send before they open", () => {
+  const socket = new LoopbackSignalingHub().createWebSocket();
+  assert.throws(() => socket.send("early"), { name: "InvalidStateError" });
+  socket.close();
+});
+
+test("peer connections negotiate and open in-band data channels", async () => {
+  const network = new LoopbackNetwork();
+  const a = network.createPeerConnection();
+  const b = network.createPeerConnection();
+  a.onicecandidate = ({ candidate }) =>
+    candidate && b.addIceCandidate(candidate);
+  b.onicecandidate = ({ candidate }) =>
+    candidate && a.addIceCandidate(candidate);
+  let remote = null;
+  b.ondatachannel = (event) => (remote = event.channel);
+
+  const local = a.createDataChannel("logs");
+  await a.setLocalDescription(await a.createOffer());
+  await b.setRemoteDescription(a.localDescription);
+  await b.setLocalDescription(await b.createAnswer());
+  await a.setRemoteDescription(b.localDescription);
+
+  await waitFor(
+    () => remote?.readyState === "open" && local.readyState === "open",
+  );
+  assert.equal(remote.label, "logs");
+  assert.equal(a.connectionState, "connected");
+
+  const received = [];
+  remote.onmessage = (event) => received.push(event.data);
+  local.send("hello");
+  await waitFor(() => received.length === 1);
+  assert.deepEqual(received, ["hello"]);
+
+  a.close();
+  await waitFor(() => remote.readyState === "closed");
+  b.close();
+});
+
+test("frames above maxMessageSize are rejected", async () => {
+  const network = new LoopbackNetwork({ maxMessageSize: 16 });
+  const a = network.createPeerConnection();
+  const b = network.createPeerConnection();
+  a.onicecandidate = ({ candidate }) =>
+    candidate && b.addIceCandidate(candidate);
+  b.onicecandidate = ({ candidate }) =>
+    candidate && a.addIceCandidate(candidate);
+  const channel = a.createDataChannel("c", { negotiated: true, id: 0 });
+  b.createDataChannel("c", { negotiated: true, id: 0 });
+  await a.setLocalDescription(await a.createOffer());
+  await b.setRemoteDescription(a.localDescription);
+  await b.setLocalDescription(await b.createAnswer());
+  await a.setRemoteDescription(b.localDescription);
+  await waitFor(() => channel.readyState === "open");
+
+  assert.equal(a.sctp.maxMessageSize, 16);
+  assert.throws(() => channel.send("x".repeat(17)), TypeError);
+  a.close();
+  b.close();
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MessageChunker } from "../src/message-chunker.js";
+
+/**
+ * Feed frames through a receiving chunker and return what it produced.
+ *
+ * @param {MessageChunker} receiver
+ * @param {Array<*>} frames
+ * @returns {Array<*>}
+ */
+function reassemble(receiver, frames) {
+  return frames
+    .map((frame) => receiver.accept(frame))
+    .filter((data) => data !== null);
+}
+
+test("messages that fit are sent as they are", () => {
+  const chunker = new MessageChunker();
+  assert.deepEqual(chunker.split("short", 1024), ["short"]);
+  assert.equal(chunker.accept("short"), "short");
+});
+
+test("large strings are split and come back as the same string", () => {
+  const sender = new MessageChunker();
+  const receiver = new MessageChunker();
+  const text = "héllo wörld ".repeat(2000);
+  const frames = sender.split(text, 1024);
+  assert.ok(frames.length > 1);
+  assert.ok(frames.every((frame) => frame.byteLength <= 1024));
+  assert.deepEqual(reassemble(receiver, frames), [text]);
+});
+
+test("large binary payloads come back as an ArrayBuffer", () => {
+  const sender = new MessageChunker();
+  const receiver = new MessageChunker();
+  const bytes = Uint8Array.from({ length: 5000 }, (_, i) => i % 251);
+  const [result] = reassemble(receiver, sender.split(bytes, 1024));
+  assert.ok(result instanceof ArrayBuffer);
+  assert.deepEqual(new Uint8Array(result), bytes);
+});
+
+test("chunks arriving out of order are reassembled", () => {
+  const sender = new MessageChunker();
+  const receiver = new MessageChunker();
+  const text = "x".repeat(4000);
+  const frames = sender.split(text, 1024).reverse();
+  assert.deepEqual(reassemble(receiver, frames), [text]);
+});
+
+test("partial messages beyond maxPendingBytes are dropped", () => {
+  const sender = new MessageChunker();
+  const receiver = new MessageChunker({ maxPendingBytes: 2000 });
+  const frames = sender.split("y".repeat(4000), 1024);
+  assert.deepEqual(reassemble(receiver, frames), []);
+  assert.equal(receiver.pendingBytes, 0);
+});
+
+test("a dropped message whose last chunk never arrives is forgotten after the timeout", async () => {
+  const sender = new MessageChunker();
+  const receiver = new MessageChunker({
+    maxPendingBytes: 2000,
+    reassemblyTimeoutMs: 10,
+  });
+  const frames = sender.split("y".repeat(4000), 1024);
+  assert.deepEqual(reassemble(receiver, frames.slice(0, -1)), []);
+  assert.equal(receiver.rejected.size, 1);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(receiver.rejected.size, 0);
+});
+
+test("binary messages that start like a chunk frame survive the round trip", () => {
+  const sender = new MessageChunker();
+  const receiver = new MessageChunker();
+  const bytes = new Uint8Array([0x50, 0x32, 0x50, 0x43, 0, 1, 2, 3, 4, 5]);
+  const frames = sender.split(bytes, 1024);
+  assert.equal(frames.length, 1);
+  assert.notEqual(frames[0], bytes);
+  const [received] = reassemble(receiver, frames);
+  assert.deepEqual([...new Uint8Array(received)], [...bytes]);
+});
+
+test("split() refuses limits too small to carry a chunk", () => {
+  assert.throws(
+    () => new MessageChunker().split("z".repeat(100), 10),
+    /too small/,
+  );
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LoopbackNetwork, P2PConnection } from "../src/public-api.js";
+import { createConnectionPair, waitFor } from "./helpers.js";
+
+/**
+ * Initiate from `a` and wait until both sides completed the protocol handshake.
+ *
+ * @param {P2PConnection} a
+ * @param {P2PConnection} b
+ * @returns {Promise<void>}
+ */
+async function connect(a, b) {
+  const ready = Promise.all([a.once("protocolReady"), b.once("protocolReady")]);
+  a.initiate();
+  await ready;
+}
+
+test("offer, answer and candidates connect both sides", async () => {
+  const { a, b } = createConnectionPair();
+  const connected = [a.once("connected"), b.once("connected")];
+  await connect(a, b);
+  await Promise.all(connected);
+  assert.equal(a.isConnected(), true);
+  assert.equal(b.isConnected(), true);
+
+  const received = [];
+  b.onMessage((message) => received.push(message));
+  a.send("hello");
+  await waitFor(() => received.length === 1);
+  assert.deepEqual(received, ["hello"]);
+  a.close();
+  b.close();
+});
+
+test("candidates that arrive before the offer are queued", async () => {
+  const network = new LoopbackNetwork();
+  const peerConnectionFactory = (config) =>
+    network.createPeerConnection(config);
+  const a = new P2PConnection({ peerConnectionFactory, polite: false });
+  const b = new P2PConnection({ peerConnectionFactory, polite: true });
+  const candidates = [];
+  a.onIceCandidate((candidate) => candidates.push(candidate));
+  b.onAnswer((answer) => a.receiveAnswer(answer));
+  b.onIceCandidate((candidate) => a.addIceCandidate(candidate));
+
+  const [offer] = await (a.initiate(), a.once("offer"));
+  await waitFor(() => candidates.length > 0);
+  for (const candidate of candidates) await b.addIceCandidate(candidate);
+  await b.receiveOffer(offer);
+  await b.once("protocolReady");
+  assert.equal(b.isConnected(), true);
+  a.close();
+  b.close();
+});
+
+test("messages larger than the channel limit are chunked transparently", async () => {
+  const network = new LoopbackNetwork({ maxMessageSize: 4096 });
+  const { a, b } = createConnectionPair({ network });
+  await connect(a, b);
+  assert.equal(a.getMaxMessageSize(), 4096);
+
+  const text = "0123456789".repeat(5000);
+  const received = [];
+  b.onMessage((message) => received.push(message));
+  a.send(text);
+  await waitFor(() => received.length === 1);
+  assert.equal(received[0], text);
+  a.close();
+  b.close();
+});
+
+test("named channels carry their own messages", async () => {
+  const channels = [
+    { label: "verbose", ordered: false },
+    { label: "audit", id: 5 },
+  ];
+  const { a, b } = createConnectionPair({ channels });
+  await connect(a, b);
+  await waitFor(
+    () => a.channel("verbose").isOpen() && a.channel("audit").isOpen(),
+  );
+
+  const received = [];
+  b.channel("verbose").onMessage((m) => received.push(["verbose", m]));
+  b.channel("audit").onMessage((m) => received.push(["audit", m]));
+  b.onMessage((m) => received.push(["main", m]));
+  a.channel("verbose").send("v");
+  a.channel("audit").send("x");
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(received.sort(), [
+    ["audit", "x"],
+    ["verbose", "v"],
+  ]);
+  a.close();
+  b.close();
+});
+
+test("colliding offers are resolved by the polite side", async () => {
+  const { a, b } = createConnectionPair();
+  const ready = Promise.all([a.once("protocolReady"), b.once("protocolReady")]);
+  a.initiate();
+  b.initiate();
+  await ready;
+  assert.equal(a.isConnected() && b.isConnected(), true);
+  a.close();
+  b.close();
+});
+
+test("an interrupted link recovers with an ICE restart", async () => {
+  const reconnect = { disconnectGraceMs: 10, backoffMs: 20 };
+  const { network, a, b } = createConnectionPair({ reconnect });
+  await connect(a, b);
+  const received = [];
+  b.onMessage((message) => received.push(message));
+
+  const methods = [];
+  a.onReconnecting(({ method }) => methods.push(method));
+  const reconnected = a.once("reconnected");
+  network.interrupt(a.peerConnection);
+  a.send("during outage");
+  await reconnected;
+  assert.deepEqual(methods, ["wait", "ice-restart"]);
+  await waitFor(() => received.length === 1);
+  assert.deepEqual(received, ["during outage"]);
+  a.close();
+  b.close();
+});
+
+test("closing one side disconnects the other", async () => {
+  const { a, b } = createConnectionPair({ reconnect: false });
+  await connect(a, b);
+  const disconnected = b.once("disconnected");
+  a.close();
+  await disconnected;
+  assert.ok(!a.isConnected());
+  b.close();
+});
+
+test("the peer closing the connection is reported and not recovered", async () => {
+  const { a, b } = createConnectionPair();
+  await connect(a, b);
+  const reconnecting = [];
+  b.onReconnecting((attempt) => reconnecting.push(attempt));
+  const closed = b.once("closedByPeer");
+  a.close();
+  await closed;
+  await waitFor(() => b.peerConnection.connectionState === "disconnected");
+  assert.deepEqual(reconnecting, []);
+  assert.equal(b.recoveryState, "idle");
+  b.close();
+});
@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  P2pMessageHelper,
+  TABLE_VALUE_COLUMN,
+} from "../src/p2p-message-helper.js";
+import { REDACTED } from "../src/redactor.js";
+
+/**
+ * A helper that doesn't print anything, with a controllable timer clock.
+ *
+ * @param {Object} [opts]
+ * @returns {{helper: P2pMessageHelper, clock: {now: number}}}
+ */
+function quietHelper(opts = {}) {
+  const clock = { now: 0 };
+  const helper = new P2pMessageHelper({
+    consoleTarget: {},
+    clock: () => clock.now,
+    ...opts,
+  });
+  return { helper, clock };
+}
+
+test("table rows keep their columns and primitives go under Value", () => {
+  const { helper } = quietHelper();
+  const msg = helper.buildMessage("table", [[{ a: 1, b: 2 }, 3]]);
+  assert.deepEqual(msg.table, {
+    columns: ["a", "b", TABLE_VALUE_COLUMN],
+    rows: [
+      { index: "0", cells: { a: 1, b: 2 } },
+      { index: "1", cells: { [TABLE_VALUE_COLUMN]: 3 } },
+    ],
+  });
+
+  const filtered = helper.buildMessage("table", [{ x: { a: 1, b: 2 } }, ["b"]]);
+  assert.deepEqual(filtered.table.columns, ["b"]);
+  assert.equal(filtered.table.rows[0].index, "x");
+});
+
+test("groups set the depth of the messages inside them", () => {
+  const { helper } = quietHelper();
+  const group = helper.buildMessage("groupCollapsed", ["outer"]);
+  const inner = helper.buildMessage("log", ["inside"]);
+  const end = helper.buildMessage("groupEnd", []);
+  const after = helper.buildMessage("log", ["after"]);
+
+  assert.deepEqual(group.group, { label: "outer", collapsed: true });
+  assert.equal(group.groupDepth, 0);
+  assert.equal(inner.groupDepth, 1);
+  assert.equal(end.groupDepth, 0);
+  assert.equal(after.groupDepth, 0);
+  // An unmatched groupEnd doesn't go below zero
+  assert.equal(helper.buildMessage("groupEnd", []).groupDepth, 0);
+});
+
+test("count and countReset keep a counter per label", () => {
+  const { helper } = quietHelper();
+  assert.equal(helper.buildMessage("count", []).text, "default: 1");
+  assert.deepEqual(helper.buildMessage("count", []).counter, {
+    label: "default",
+    count: 2,
+  });
+  assert.equal(helper.buildMessage("count", ["x"]).text, "x: 1");
+  assert.equal(helper.buildMessage("countReset", []), null);
+  assert.equal(helper.buildMessage("count", []).text, "default: 1");
+
+  const warning = helper.buildMessage("countReset", ["missing"]);
+  assert.equal(warning.level, "warn");
+  assert.equal(warning.text, "Count for 'missing' does not exist");
+});
+
+test("timers report the elapsed time and warn about unknown labels", () => {
+  const { helper, clock } = quietHelper();
+  assert.equal(helper.buildMessage("time", ["load"]), null);
+  clock.now = 25;
+  const log = helper.buildMessage("timeLog", ["load", "halfway"]);
+  assert.equal(log.text, "load: 25.000ms halfway");
+  clock.now = 40.123456;
+  const end = helper.buildMessage("timeEnd", ["load"]);
+  assert.deepEqual(end.timer, { label: "load", duration: 40.123456 });
+  assert.equal(end.text, "load: 40.123ms");
+
+  assert.equal(
+    helper.buildMessage("timeEnd", ["load"]).text,
+    "Timer 'load' does not exist",
+  );
+  helper.buildMessage("time", []);
+  assert.equal(
+    helper.buildMessage("time", []).text,
+    "Timer 'default' already exists",
+  );
+});
+
+test("assert only produces a message when the assertion fails", () => {
+  const { helper } = quietHelper();
+  assert.equal(helper.buildMessage("assert", [true, "fine"]), null);
+  const failed = helper.buildMessage("assert", [false, "value was %d", 3]);
+  assert.equal(failed.level, "error");
+  assert.equal(failed.text, "Assertion failed: value was 3");
+  assert.equal(helper.buildMessage("assert", [0]).text, "Assertion failed");
+});
+
+test("trace attaches the caller's stack without helper frames", () => {
+  const { helper } = quietHelper();
+  const msg = helper.buildMessage("trace", ["here"]);
+  assert.equal(msg.text, "Trace: here");
+  assert.ok(msg.stack.length > 0);
+  assert.match(msg.stack[0], /p2p-message-helper\.test\.js/);
+  assert.ok(
+    msg.stack.every((line) => !/src\/p2p-message-helper\.js/.test(line)),
+  );
+});
+
+test("redaction masks payload and text and lists the rules that fired", () => {
+  const { helper } = quietHelper({ redaction: true });
+  const msg = helper.buildMessage("log", [
+    "mail a@b.com",
+    { password: "hunter2" },
+  ]);
+  assert.equal(msg.payload[0], `mail ${REDACTED}`);
+  assert.equal(msg.payload[1].props.password, REDACTED);
+  assert.ok(!msg.text.includes("hunter2"));
+  assert.deepEqual(msg.redactions, ["email", "sensitive-key"]);
+
+  const clean = helper.buildMessage("log", ["nothing to hide"]);
+  assert.equal(clean.redactions, undefined);
+});
+
+test("filter skips rejected levels but keeps group state", () => {
+  const { helper } = quietHelper({ filter: (level) => level !== "log" });
+  assert.equal(helper.buildMessage("log", ["dropped"]), null);
+  assert.ok(helper.buildMessage("group", ["kept"]));
+  assert.equal(helper.buildMessage("warn", ["nested"]).groupDepth, 1);
+  assert.equal(helper.buildNotice("log", ["notice"]).text, "notice");
+});
+
+test("console-style methods forward to the console target", () => {
+  const calls = [];
+  const helper = new P2pMessageHelper({
+    consoleTarget: { warn: (...args) => calls.push(args) },
+    namespace: "app",
+  });
+  const msg = helper.warn("careful", 1);
+  assert.deepEqual(calls, [["careful", 1]]);
+  assert.equal(msg.namespace, "app");
+  assert.equal(msg.text, "careful 1");
+});
@@ -0,0 +1,574 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LogBuffer,
+  P2PSignalingClient,
+  parseEnvelope,
+} from "../src/public-api.js";
+import { consoleMessage, createLoopback, waitFor } from "./helpers.js";
+
+/**
+ * A source and a viewer on one loopback network, both registered with the hub.
+ *
+ * @param {Object} [sourceOpts]
+ * @param {Object} [viewerOpts]
+ * @returns {Promise<{hub: *, network: *, source: P2PSignalingClient, viewer: P2PSignalingClient}>}
+ */
+async function createClients(sourceOpts = {}, viewerOpts = {}) {
+  const { hub, network, factories } = createLoopback();
+  const source = new P2PSignalingClient("ws://loopback", {
+    ...factories,
+    ...sourceOpts,
+  });
+  const viewer = new P2PSignalingClient("ws://loopback", {
+    ...factories,
+    ...viewerOpts,
+  });
+  source.connect();
+  viewer.connect();
+  await waitFor(() => source.assignedId && viewer.assignedId);
+  return { hub, network, source, viewer };
+}
+
+/**
+ * A source and a viewer on one loopback network, with the viewer connected to the
+ * source. Console messages the viewer receives from the source are collected.
+ *
+ * @param {Object} [sourceOpts]
+ * @param {Object} [viewerOpts]
+ * @returns {Promise<{hub: *, source: P2PSignalingClient, viewer: P2PSignalingClient, received: Array<Object>}>}
+ */
+async function connectPair(sourceOpts = {}, viewerOpts = {}) {
+  const { hub, source, viewer } = await createClients(sourceOpts, viewerOpts);
+
+  const received = [];
+  const link = viewer.createP2PConnection(source.assignedId);
+  link.onMessage((data) => {
+    if (typeof data !== "string") return;
+    const envelope = parseEnvelope(data);
+    if (envelope.kind === "console") received.push(envelope.body);
+  });
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => source.peers.get(viewer.assignedId)?.isConnected());
+  return { hub, source, viewer, received };
+}
+
+test("signaling through the hub connects a viewer to a source", async () => {
+  const { hub, source, viewer, received } = await connectPair();
+  assert.deepEqual(
+    hub.peerIds().sort(),
+    [source.assignedId, viewer.assignedId].sort(),
+  );
+  assert.equal(
+    source.sendMessage(viewer.assignedId, consoleMessage("hi")),
+    true,
+  );
+  await waitFor(() => received.length === 1);
+  assert.equal(received[0].text, "hi");
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("buffered messages are replayed before live ones", async () => {
+  const buffer = new LogBuffer({ maxMessages: 10 });
+  const { hub, factories } = createLoopback();
+  const source = new P2PSignalingClient("ws://loopback", {
+    ...factories,
+    buffer,
+  });
+  source.connect();
+  await waitFor(() => source.assignedId);
+  source.sendMessage(consoleMessage("early"));
+
+  const viewer = new P2PSignalingClient("ws://loopback", factories);
+  viewer.connect();
+  await waitFor(() => viewer.assignedId);
+  const received = [];
+  viewer.createP2PConnection(source.assignedId).onMessage((data) => {
+    const envelope = parseEnvelope(data);
+    if (envelope.kind === "console") received.push(envelope.body.text);
+  });
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => source.livePeers.has(viewer.assignedId));
+  source.sendMessage(consoleMessage("live"));
+
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(received, ["early", "live"]);
+  assert.equal(hub.peerIds().length, 2);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("a renegotiated connection goes live without a second replay", async () => {
+  const reconnect = {
+    disconnectGraceMs: 10,
+    backoffMs: 20,
+    iceRestartAttempts: 0,
+  };
+  const buffer = new LogBuffer({ maxMessages: 10 });
+  const { network, source, viewer } = await createClients(
+    { buffer, reconnect },
+    { reconnect },
+  );
+  source.sendMessage(consoleMessage("early"));
+
+  const received = [];
+  const link = viewer.createP2PConnection(source.assignedId);
+  link.onMessage((data) => {
+    const envelope = parseEnvelope(data);
+    if (envelope.kind === "console") received.push(envelope.body.text);
+  });
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => received.length === 1);
+
+  const methods = [];
+  link.onReconnecting(({ method }) => methods.push(method));
+  const renegotiated = source.peers
+    .get(viewer.assignedId)
+    .once("protocolReady");
+  network.interrupt(link.peerConnection);
+  await renegotiated;
+  await waitFor(() => source.livePeers.has(viewer.assignedId));
+  source.sendMessage(consoleMessage("live"));
+
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(methods, ["wait", "renegotiate"]);
+  assert.deepEqual(received, ["early", "live"]);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("a viewer's control requests filter what the source sends it", async () => {
+  const { source, viewer } = await connectPair({ remoteControl: true });
+  const config = await viewer.sendControl(source.assignedId, "set-level", {
+    level: "warn",
+  });
+  assert.equal(config.minLevel, "warn");
+  assert.equal(
+    source.sendMessage(viewer.assignedId, consoleMessage("noise", "info")),
+    false,
+  );
+  assert.equal(
+    source.sendMessage(viewer.assignedId, consoleMessage("careful", "warn")),
+    true,
+  );
+
+  const summary = consoleMessage("Dropped 3 messages", "warn");
+  summary.dropped = { count: 3, reason: "policy" };
+  await viewer.sendControl(source.assignedId, "set-level", { level: "error" });
+  assert.equal(source.sendMessage(viewer.assignedId, summary), true);
+  await viewer.sendControl(source.assignedId, "pause");
+  assert.equal(source.sendMessage(viewer.assignedId, summary), false);
+  await assert.rejects(
+    viewer.sendControl(source.assignedId, "set-level", { level: "loud" }),
+    /Unknown level/,
+  );
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("sendControl() rejects for unknown peers", async () => {
+  const client = new P2PSignalingClient("ws://loopback");
+  await assert.rejects(client.sendControl("nobody", "pause"), /Unknown peer/);
+});
+
+test("heartbeats report latency and a clock estimate", async () => {
+  const { source, viewer } = await connectPair(
+    {},
+    { heartbeat: { intervalMs: 10 } },
+  );
+  const [peerId, latencyMs] = await viewer.once("peerLatency");
+  assert.equal(peerId, source.assignedId);
+  assert.equal(typeof latencyMs, "number");
+  const [, estimate] = await viewer.once("clockEstimate");
+  assert.ok(Math.abs(estimate.offsetMs) < 50);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("files arrive intact", async () => {
+  const { source, viewer } = await connectPair(
+    { files: true },
+    { files: true },
+  );
+  const body = new TextEncoder().encode("heap snapshot");
+  const completed = viewer.once("fileComplete");
+  const { done } = source.sendFile(viewer.assignedId, body, {
+    name: "heap.json",
+  });
+  const [peerId, file] = await completed;
+  await done;
+  assert.equal(peerId, source.assignedId);
+  assert.equal(file.name, "heap.json");
+  assert.equal(await file.blob.text(), "heap snapshot");
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("sendFile() requires file transfer to be enabled", async () => {
+  const client = new P2PSignalingClient("ws://loopback");
+  assert.throws(
+    () => client.sendFile("nobody", new Uint8Array(1)),
+    /not enabled/,
+  );
+});
+
+test("reliable delivery numbers console messages", async () => {
+  const { source, viewer, received } = await connectPair(
+    { reliable: true },
+    { reliable: true },
+  );
+  await waitFor(() => source.livePeers.has(viewer.assignedId));
+  source.sendMessage(viewer.assignedId, consoleMessage("one"));
+  source.sendMessage(viewer.assignedId, consoleMessage("two"));
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(
+    received.map((m) => m.text),
+    ["one", "two"],
+  );
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("disconnectPeer() closes and forgets the connection", async () => {
+  const { source, viewer } = await connectPair({ heartbeat: true });
+  const link = source.peers.get(viewer.assignedId);
+  source.disconnectPeer(viewer.assignedId);
+  assert.equal(source.peers.has(viewer.assignedId), false);
+  assert.equal(source.heartbeats.size, 0);
+  assert.ok(!link.isConnected());
+  assert.equal(source.sendMessage(viewer.assignedId, "late"), false);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+/**
+ * Wait until both clients consider each other authenticated.
+ *
+ * @param {P2PSignalingClient} source
+ * @param {P2PSignalingClient} viewer
+ * @returns {Promise<void>}
+ */
+function waitForPairing(source, viewer) {
+  return waitFor(
+    () =>
+      source.isPeerAuthenticated(viewer.assignedId) &&
+      viewer.isPeerAuthenticated(source.assignedId),
+  );
+}
+
+test("peers with the same secret pair before messages flow", async () => {
+  const auth = { secret: "correct horse" };
+  const buffer = new LogBuffer({ maxMessages: 10 });
+  buffer.push(consoleMessage("buffered"));
+  const { source, viewer, received } = await connectPair(
+    { auth, buffer },
+    { auth },
+  );
+  await waitForPairing(source, viewer);
+
+  const sourceCode = source.getPairingCode(viewer.assignedId);
+  const viewerCode = viewer.getPairingCode(source.assignedId);
+  assert.match(sourceCode.code, /^\d{3} \d{3}$/);
+  assert.equal(sourceCode.code, viewerCode.code);
+  assert.equal(sourceCode.localFingerprint, viewerCode.remoteFingerprint);
+
+  source.sendMessage(consoleMessage("live"));
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(
+    received.map((m) => m.text),
+    ["buffered", "live"],
+  );
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("a viewer without the secret gets nothing and is disconnected", async () => {
+  const buffer = new LogBuffer({ maxMessages: 10 });
+  buffer.push(consoleMessage("private"));
+  const { hub, factories } = createLoopback();
+  const source = new P2PSignalingClient("ws://loopback", {
+    ...factories,
+    buffer,
+    auth: { secret: "correct horse" },
+  });
+  const viewer = new P2PSignalingClient("ws://loopback", {
+    ...factories,
+    auth: true,
+  });
+  source.connect();
+  viewer.connect();
+  await waitFor(() => source.assignedId && viewer.assignedId);
+  const received = [];
+  viewer.createP2PConnection(source.assignedId).onMessage((data) => {
+    if (parseEnvelope(data).kind === "console") received.push(data);
+  });
+
+  const sourceFailed = source.once("authFailed");
+  const viewerFailed = viewer.once("authFailed");
+  viewer.initiateP2P(source.assignedId);
+  const [peerId, failure] = await sourceFailed;
+  assert.equal(peerId, viewer.assignedId);
+  assert.deepEqual(failure, { reason: "missing-proof", by: "local" });
+  assert.deepEqual((await viewerFailed)[1], {
+    reason: "missing-proof",
+    by: "remote",
+  });
+  assert.equal(source.peers.has(viewer.assignedId), false);
+  assert.equal(source.sendMessage(consoleMessage("later")), false);
+  assert.deepEqual(received, []);
+  assert.equal(hub.peerIds().length, 2);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("binary payloads reach the peer with the pipeline on", async () => {
+  const { source, viewer } = await createClients(
+    { pipeline: true },
+    { pipeline: true },
+  );
+  const received = [];
+  viewer.onPeerMessage((peerId, message, envelope) => {
+    received.push(envelope ? envelope.body.text : [...new Uint8Array(message)]);
+  });
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => source.livePeers.has(viewer.assignedId));
+
+  const bytes = new Uint8Array([1, 2, 3]);
+  assert.equal(source.sendMessage(viewer.assignedId, bytes.buffer), true);
+  assert.equal(source.sendMessage(viewer.assignedId, new Blob([bytes])), true);
+  source.sendMessage(viewer.assignedId, consoleMessage("text"));
+  await waitFor(() => received.length === 3);
+  assert.deepEqual(received.sort(), [[1, 2, 3], [1, 2, 3], "text"].sort());
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("with confirm, messages wait until the user confirms the code", async () => {
+  const { source, viewer, received } = await connectPair(
+    { auth: { confirm: true } },
+    { auth: true },
+  );
+  await waitFor(() => viewer.isPeerAuthenticated(source.assignedId));
+  assert.equal(source.isPeerAuthenticated(viewer.assignedId), false);
+  assert.equal(
+    source.sendMessage(viewer.assignedId, consoleMessage("early")),
+    false,
+  );
+
+  source.confirmPairing(viewer.assignedId);
+  await waitForPairing(source, viewer);
+  source.sendMessage(viewer.assignedId, consoleMessage("confirmed"));
+  await waitFor(() => received.length === 1);
+  assert.equal(received[0].text, "confirmed");
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("onPeerMessage() reports application messages but not protocol traffic", async () => {
+  const { source, viewer } = await connectPair(
+    { heartbeat: { intervalMs: 10 } },
+    { heartbeat: { intervalMs: 10 } },
+  );
+  const messages = [];
+  viewer.onPeerMessage((peerId, message, envelope) =>
+    messages.push([peerId, envelope?.kind ?? "binary", message]),
+  );
+  await viewer.once("peerLatency");
+
+  source.sendMessage(viewer.assignedId, consoleMessage("hello"));
+  source.sendMessage(viewer.assignedId, { custom: true });
+  source.sendMessage(viewer.assignedId, new Uint8Array([1, 2, 3]));
+  await waitFor(() => messages.length === 3);
+
+  assert.ok(messages.every(([peerId]) => peerId === source.assignedId));
+  assert.deepEqual(
+    messages.map(([, kind]) => kind),
+    ["console", "data", "binary"],
+  );
+  assert.equal(messages[0][2].text, "hello");
+  assert.deepEqual(messages[1][2], { custom: true });
+  assert.deepEqual(new Uint8Array(messages[2][2]), new Uint8Array([1, 2, 3]));
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("lifecycle events follow a peer from connecting to leaving", async () => {
+  const { hub, source, viewer } = await createClients(
+    { auth: true },
+    { auth: true },
+  );
+  const states = [];
+  const connected = [];
+  const disconnected = [];
+  source.onPeerStateChange((peerId, state, previous) =>
+    states.push(`${previous}->${state}`),
+  );
+  source.onPeerConnected((peerId) => connected.push(peerId));
+  source.onPeerDisconnected((peerId, info) =>
+    disconnected.push([peerId, info]),
+  );
+
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => connected.length === 1);
+  assert.equal(source.getPeerState(viewer.assignedId), "connected");
+
+  // The viewer's signaling socket drops; the server broadcasts peer-left
+  hub.disconnect(viewer.assignedId);
+  await waitFor(() => disconnected.length === 1);
+  assert.deepEqual(disconnected, [[viewer.assignedId, { reason: "left" }]]);
+  assert.deepEqual(states, [
+    "disconnected->connecting",
+    "connecting->pairing",
+    "pairing->connected",
+    "connected->disconnected",
+  ]);
+  assert.equal(source.peers.has(viewer.assignedId), false);
+  assert.equal(source.getPeerState(viewer.assignedId), "disconnected");
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("a peer closing the connection is removed without reconnecting", async () => {
+  const { source, viewer } = await connectPair();
+  const states = [];
+  source.onPeerStateChange((peerId, state) => states.push(state));
+  const [peerId, info] = await (viewer.disconnectPeer(source.assignedId),
+  source.once("peerDisconnected"));
+
+  assert.equal(peerId, viewer.assignedId);
+  assert.deepEqual(info, { reason: "remote-closed" });
+  assert.deepEqual(states, ["disconnected"]);
+  assert.equal(source.peers.has(viewer.assignedId), false);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("with reconnect disabled a dropped connection removes the peer", async () => {
+  const { network, source, viewer } = await createClients(
+    { reconnect: false },
+    { reconnect: false },
+  );
+  const connected = viewer.once("peerConnected");
+  viewer.initiateP2P(source.assignedId);
+  await connected;
+
+  const disconnected = Promise.all([
+    viewer.once("peerDisconnected"),
+    source.once("peerDisconnected"),
+  ]);
+  network.interrupt(viewer.peers.get(source.assignedId).peerConnection);
+  const reasons = (await disconnected).map(([, { reason }]) => reason);
+  assert.deepEqual(reasons, ["lost", "lost"]);
+  assert.equal(viewer.peers.size, 0);
+  assert.equal(source.peers.size, 0);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("a recovered connection reports reconnecting, then connected again", async () => {
+  const { network, source, viewer } = await createClients();
+  const connected = [];
+  viewer.onPeerConnected((peerId) => connected.push(peerId));
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => connected.length === 1);
+
+  const link = viewer.peers.get(source.assignedId);
+  link.reconnect.disconnectGraceMs = 10;
+  link.reconnect.backoffMs = 20;
+  network.interrupt(link.peerConnection);
+  await waitFor(
+    () => viewer.getPeerState(source.assignedId) === "reconnecting",
+  );
+  await waitFor(() => connected.length === 2, 5000);
+  assert.equal(viewer.getPeerState(source.assignedId), "connected");
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("disconnectPeer() and disconnect() report the peer as closed", async () => {
+  const { source, viewer } = await connectPair();
+  const reasons = [];
+  source.onPeerDisconnected((peerId, { reason }) => reasons.push(reason));
+  viewer.onPeerDisconnected((peerId, { reason }) => reasons.push(reason));
+
+  source.disconnectPeer(viewer.assignedId);
+  viewer.disconnect();
+  assert.deepEqual(reasons, ["closed", "closed"]);
+  source.disconnect();
+});
+
+test("connections started before the server assigned an id get opposite roles", async () => {
+  const { factories } = createLoopback();
+  const source = new P2PSignalingClient("ws://loopback", factories);
+  source.connect();
+  await waitFor(() => source.assignedId);
+
+  const viewer = new P2PSignalingClient("ws://loopback", factories);
+  assert.throws(
+    () => viewer.createP2PConnection(source.assignedId),
+    /before the signaling server assigned an id/,
+  );
+  const connected = viewer.once("peerConnected");
+  viewer.connect();
+  viewer.initiateP2P(source.assignedId);
+  assert.equal(viewer.assignedId, null);
+  // Both sides offer at once: glare only resolves with one polite side
+  await waitFor(() => viewer.assignedId);
+  source.initiateP2P(viewer.assignedId);
+  await connected;
+
+  const viewerSide = viewer.peers.get(source.assignedId);
+  const sourceSide = source.peers.get(viewer.assignedId);
+  assert.notEqual(viewerSide.polite, sourceSide.polite);
+  await waitFor(() => sourceSide.isConnected());
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("in-band channels open on client connections whichever side initiates", async () => {
+  const channels = [{ label: "debug" }];
+  const { source, viewer } = await createClients({ channels }, { channels });
+  viewer.initiateP2P(source.assignedId);
+  await waitFor(() => source.peers.get(viewer.assignedId)?.isConnected());
+  const sourceSide = source.peers.get(viewer.assignedId);
+  const viewerSide = viewer.peers.get(source.assignedId);
+  await waitFor(
+    () =>
+      sourceSide.channel("debug").isOpen() &&
+      viewerSide.channel("debug").isOpen(),
+  );
+
+  const received = [];
+  viewerSide.channel("debug").onMessage((message) => received.push(message));
+  sourceSide.channel("debug").send("trace");
+  await waitFor(() => received.length === 1);
+  assert.deepEqual(received, ["trace"]);
+  source.disconnect();
+  viewer.disconnect();
+});
+
+test("a failed handshake removes the peer on both sides", async () => {
+  const { source, viewer } = await createClients();
+  const reasons = [];
+  source.onPeerDisconnected((peerId, { reason }) => reasons.push(reason));
+  viewer.onPeerDisconnected((peerId, { reason }) => reasons.push(reason));
+
+  // The viewer claims a protocol version the source doesn't speak
+  const link = viewer.createP2PConnection(source.assignedId);
+  const send = link.send.bind(link);
+  link.send = (message) =>
+    send(
+      message?.kind === "hello"
+        ? { ...message, body: { ...message.body, version: 99, minVersion: 99 } }
+        : message,
+    );
+  viewer.initiateP2P(source.assignedId);
+
+  await waitFor(() => reasons.length === 2);
+  assert.deepEqual(reasons, ["protocol-error", "protocol-error"]);
+  assert.equal(source.peers.size, 0);
+  assert.equal(viewer.peers.size, 0);
+  source.disconnect();
+  viewer.disconnect();
+});
@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PeerPairing,
+  computePairingCode,
+  extractFingerprint,
+} from "../src/peer-auth.js";
+
+const FP_A = "sha-256 " + "AA:".repeat(31) + "AA";
+const FP_B = "sha-256 " + "BB:".repeat(31) + "BB";
+const FP_M = "sha-256 " + "CC:".repeat(31) + "CC";
+
+/**
+ * @param {string} fingerprint
+ * @returns {string}
+ */
+const sdp = (fingerprint) =>
+  `v=0\r\nm=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\na=fingerprint:${fingerprint}\r\n`;
+
+/**
+ * Two pairings whose auth bodies are delivered to each other.
+ *
+ * @param {Object} optsA
+ * @param {Object} optsB
+ * @param {{a: [string, string], b: [string, string]}} [views] - Local/remote fingerprint each side sees.
+ * @returns {{a: PeerPairing, b: PeerPairing, start: function():Promise<[boolean, boolean]>}}
+ */
+function createPair(
+  optsA,
+  optsB,
+  views = { a: [FP_A, FP_B], b: [FP_B, FP_A] },
+) {
+  let a = null;
+  let b = null;
+  a = new PeerPairing({
+    ...optsA,
+    send: (body) => setTimeout(() => b.receive(body)),
+  });
+  b = new PeerPairing({
+    ...optsB,
+    send: (body) => setTimeout(() => a.receive(body)),
+  });
+  const start = () => {
+    a.start(sdp(views.a[0]), sdp(views.a[1]));
+    b.start(sdp(views.b[0]), sdp(views.b[1]));
+    return Promise.all([a.settled, b.settled]);
+  };
+  return { a, b, start };
+}
+
+test("fingerprints are read from the SDP and normalized", () => {
+  assert.equal(
+    extractFingerprint("a=fingerprint:SHA-256 ab:cd\r\n"),
+    "sha-256 AB:CD",
+  );
+  assert.equal(extractFingerprint("v=0\r\n"), null);
+});
+
+test("both sides of a connection get the same six-digit code", async () => {
+  const local = await computePairingCode(sdp(FP_A), sdp(FP_B));
+  const remote = await computePairingCode(sdp(FP_B), sdp(FP_A));
+  assert.match(local.code, /^\d{3} \d{3}$/);
+  assert.equal(local.code, remote.code);
+  assert.equal(local.remoteFingerprint, remote.localFingerprint);
+  assert.equal(await computePairingCode(sdp(FP_A), "v=0"), null);
+});
+
+test("peers with the same secret pair", async () => {
+  const { a, b, start } = createPair(
+    { secret: "s3cret" },
+    { secret: "s3cret" },
+  );
+  assert.deepEqual(await start(), [true, true]);
+  assert.equal(a.state, "paired");
+  assert.equal(a.code.code, b.code.code);
+});
+
+test("without secrets the pairing code is all there is", async () => {
+  const { start } = createPair({}, {});
+  assert.deepEqual(await start(), [true, true]);
+});
+
+test("a peer without the secret is rejected and told so", async () => {
+  const { a, b, start } = createPair({ secret: "s3cret" }, {});
+  const failures = [];
+  a.onFailed((failure) => failures.push(["a", failure]));
+  b.onFailed((failure) => failures.push(["b", failure]));
+  assert.deepEqual(await start(), [false, false]);
+  assert.deepEqual(failures, [
+    ["a", { reason: "missing-proof", by: "local" }],
+    ["b", { reason: "missing-proof", by: "remote" }],
+  ]);
+});
+
+test("a wrong secret fails on both sides", async () => {
+  const { a, b, start } = createPair({ secret: "one" }, { secret: "two" });
+  await start();
+  assert.equal(a.state, "failed");
+  assert.equal(b.state, "failed");
+});
+
+test("swapped fingerprints change the codes and break the proofs", async () => {
+  // A man in the middle terminates DTLS towards each side with its own certificate
+  const { a, b, start } = createPair(
+    { secret: "s3cret" },
+    { secret: "s3cret" },
+    { a: [FP_A, FP_M], b: [FP_B, FP_M] },
+  );
+  assert.deepEqual(await start(), [false, false]);
+  assert.notEqual(a.code.code, b.code.code);
+});
+
+test("with confirm, pairing waits for the user", async () => {
+  const { a, start } = createPair({ confirm: true }, {});
+  const settled = start();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(a.state, "pending");
+  a.confirm();
+  assert.deepEqual(await settled, [true, true]);
+});
+
+test("rejecting the code fails both sides", async () => {
+  const { a, b, start } = createPair({ confirm: true }, { confirm: true });
+  const settled = start();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  a.reject();
+  assert.deepEqual(await settled, [false, false]);
+  assert.equal(b.state, "failed");
+});
+
+test("a silent peer times out", async () => {
+  const pairing = new PeerPairing({ send: () => true, timeoutMs: 10 });
+  pairing.start(sdp(FP_A), sdp(FP_B));
+  assert.equal(await pairing.settled, false);
+  assert.equal(pairing.state, "failed");
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PROTOCOL_VERSION,
+  ProtocolError,
+  createEnvelope,
+  createHello,
+  negotiate,
+  parseEnvelope,
+  parseHandshake,
+  toEnvelope,
+  validateEnvelope,
+} from "../src/protocol.js";
+import { createControlMessage } from "../src/remote-control.js";
+import { createSeqAck } from "../src/reliable-delivery.js";
+import { consoleMessage } from "./helpers.js";
+
+test("toEnvelope() picks the kind from the message shape", () => {
+  assert.equal(toEnvelope(consoleMessage("hi")).kind, "console");
+  assert.equal(toEnvelope(createControlMessage("pause")).kind, "control");
+  assert.equal(toEnvelope(createSeqAck("s", 1)).kind, "ack");
+  assert.equal(toEnvelope({ anything: true }).kind, "data");
+
+  const envelope = createEnvelope("data", 1);
+  assert.equal(toEnvelope(envelope), envelope);
+});
+
+test("parseEnvelope() accepts valid envelopes, as text or objects", () => {
+  const envelope = createEnvelope("console", consoleMessage("hi"));
+  assert.deepEqual(parseEnvelope(JSON.stringify(envelope)), envelope);
+  assert.equal(parseEnvelope(envelope), envelope);
+});
+
+test("parseEnvelope() rejects malformed data with a ProtocolError", () => {
+  assert.throws(() => parseEnvelope("not json"), ProtocolError);
+  assert.throws(
+    () => parseEnvelope({ v: PROTOCOL_VERSION, kind: "nope", body: {} }),
+    /unknown kind/,
+  );
+  assert.throws(
+    () => parseEnvelope(createEnvelope("console", { level: "log" })),
+    /body.id must be a string/,
+  );
+});
+
+test("parseHandshake() reads hello and error frames whatever their key order", () => {
+  const hello = createHello();
+  const { body, kind, v } = hello;
+  assert.deepEqual(parseHandshake(JSON.stringify({ body, kind, v })), hello);
+  assert.deepEqual(parseHandshake(JSON.stringify(hello, null, 2)), hello);
+  assert.equal(parseHandshake(JSON.stringify(createEnvelope("data", 1))), null);
+  assert.equal(parseHandshake("plain text"), null);
+  assert.throws(
+    () => parseHandshake(JSON.stringify({ v: 1, kind: "hello", body: {} })),
+    /body.version must be an integer/,
+  );
+});
+
+test("validateEnvelope() checks the version except for hello and error", () => {
+  const future = { ...createEnvelope("data", 1), v: PROTOCOL_VERSION + 1 };
+  assert.match(validateEnvelope(future)[0], /unsupported protocol version/);
+
+  const hello = { ...createHello(), v: PROTOCOL_VERSION + 1 };
+  assert.deepEqual(validateEnvelope(hello), []);
+});
+
+test("validateEnvelope() requires a stream with seq", () => {
+  const envelope = { ...createEnvelope("data", 1), seq: 1 };
+  assert.deepEqual(validateEnvelope(envelope), [
+    "stream must be a string when seq is set",
+  ]);
+});
+
+test("validateEnvelope() checks auth bodies by type", () => {
+  const valid = [
+    { type: "challenge", nonce: "ab" },
+    { type: "response", nonce: "ab", proof: null },
+    { type: "result", ok: false, reason: "bad-proof" },
+  ];
+  valid.forEach((body) =>
+    assert.deepEqual(validateEnvelope(createEnvelope("auth", body)), []),
+  );
+  assert.deepEqual(
+    validateEnvelope(createEnvelope("auth", { type: "response", nonce: "ab" })),
+    ["body.proof must be a string or null"],
+  );
+});
+
+test("negotiate() agrees on the highest common version and shared features", () => {
+  const local = createHello().body;
+  const remote = {
+    ...local,
+    capabilities: { ...local.capabilities, chunking: false },
+  };
+  const agreed = negotiate(local, remote);
+  assert.equal(agreed.version, PROTOCOL_VERSION);
+  assert.equal(agreed.features.chunking, false);
+  assert.equal(agreed.features.binary, local.capabilities.binary);
+});
+
+test("negotiate() refuses versions that don't overlap", () => {
+  const local = createHello().body;
+  const remote = {
+    ...local,
+    version: PROTOCOL_VERSION + 2,
+    minVersion: PROTOCOL_VERSION + 1,
+  };
+  assert.throws(
+    () => negotiate(local, remote),
+    (error) =>
+      error instanceof ProtocolError && error.code === "incompatible-version",
+  );
+});
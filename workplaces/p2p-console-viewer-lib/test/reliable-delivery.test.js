@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  InboundStream,
+  OutboundStream,
+  createSeqAck,
+  isSeqAck,
+} from "../src/reliable-delivery.js";
+import { createEnvelope } from "../src/protocol.js";
+
+test("OutboundStream numbers envelopes and forgets acknowledged ones", () => {
+  const stream = new OutboundStream();
+  const stamped = [1, 2, 3].map((n) => stream.stamp(createEnvelope("data", n)));
+  assert.deepEqual(
+    stamped.map((e) => e.seq),
+    [1, 2, 3],
+  );
+  assert.ok(stamped.every((e) => e.stream === stream.id));
+
+  stream.ack(2);
+  assert.deepEqual(
+    stream.resend(2).map((e) => e.seq),
+    [3],
+  );
+});
+
+test("OutboundStream drops the oldest envelopes beyond maxMessages", () => {
+  const stream = new OutboundStream({ maxMessages: 2 });
+  [1, 2, 3].forEach((n) => stream.stamp(createEnvelope("data", n)));
+  assert.deepEqual(
+    stream.resend(0).map((e) => e.seq),
+    [2, 3],
+  );
+});
+
+test("InboundStream reports duplicates and gaps", () => {
+  const stream = new InboundStream({ sendAck: () => {}, ackIntervalMs: 1e6 });
+  assert.deepEqual(stream.accept("s", 1), { duplicate: false, gap: null });
+  assert.deepEqual(stream.accept("s", 1), { duplicate: true, gap: null });
+  assert.deepEqual(stream.accept("s", 4).gap, {
+    stream: "s",
+    fromSeq: 2,
+    toSeq: 3,
+    count: 2,
+  });
+  stream.close();
+});
+
+test("InboundStream restarts numbering for a new stream id", () => {
+  const stream = new InboundStream({ sendAck: () => {}, ackIntervalMs: 1e6 });
+  stream.accept("old", 5);
+  assert.deepEqual(stream.accept("new", 1), { duplicate: false, gap: null });
+  stream.close();
+});
+
+test("InboundStream acknowledges every ackEvery messages and on resume", () => {
+  const acks = [];
+  const stream = new InboundStream({
+    sendAck: (ack) => acks.push(ack),
+    ackEvery: 2,
+    ackIntervalMs: 1e6,
+  });
+  stream.accept("s", 1);
+  stream.accept("s", 2);
+  stream.resume();
+  assert.deepEqual(acks, [createSeqAck("s", 2), createSeqAck("s", 2, true)]);
+  assert.ok(acks.every(isSeqAck));
+  stream.close();
+});
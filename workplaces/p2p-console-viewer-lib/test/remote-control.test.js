@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  StreamFilter,
+  createControlMessage,
+  isControlMessage,
+} from "../src/remote-control.js";
+
+test("control messages carry a request id", () => {
+  const control = createControlMessage("set-level", { level: "warn" });
+  assert.ok(isControlMessage(control));
+  assert.equal(typeof control.requestId, "string");
+  assert.equal(control.level, "warn");
+});
+
+test("set-level holds back lower levels but not untyped messages", () => {
+  const filter = new StreamFilter();
+  assert.equal(
+    filter.apply(createControlMessage("set-level", { level: "warn" })),
+    null,
+  );
+  assert.equal(filter.allows("info", null), false);
+  assert.equal(filter.allows("error", null), true);
+  assert.equal(filter.allows(undefined, null), true);
+});
+
+test("namespaces can be muted and unmuted", () => {
+  const filter = new StreamFilter();
+  filter.apply(createControlMessage("disable-namespace", { namespace: "net" }));
+  assert.equal(filter.allows("log", "net"), false);
+  assert.equal(filter.allows("log", "ui"), true);
+  filter.apply(createControlMessage("enable-namespace", { namespace: "net" }));
+  assert.equal(filter.allows("log", "net"), true);
+});
+
+test("pause holds back everything and is reported in the config", () => {
+  const filter = new StreamFilter();
+  filter.apply(createControlMessage("pause"));
+  assert.equal(filter.allows(undefined, null), false);
+  assert.deepEqual(filter.toJSON(), {
+    minLevel: "debug",
+    disabledNamespaces: [],
+    paused: true,
+  });
+});
+
+test("invalid requests are rejected with a reason", () => {
+  const filter = new StreamFilter();
+  assert.match(
+    filter.apply(createControlMessage("set-level", { level: "loud" })),
+    /Unknown level/,
+  );
+  assert.match(
+    filter.apply(createControlMessage("disable-namespace")),
+    /Missing namespace/,
+  );
+  assert.match(filter.apply(createControlMessage("reboot")), /Unknown action/);
+});
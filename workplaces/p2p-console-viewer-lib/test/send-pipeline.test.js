@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { P2pMessageHelper, SendPipeline } from "../src/public-api.js";
+import { createConnectionPair, waitFor } from "./helpers.js";
+
+/**
+ * A connected pair with a pipeline on each side; messages `b` unpacks are collected.
+ *
+ * @param {Object} [opts] - Options for the sending pipeline.
+ * @returns {Promise<{a: *, b: *, sender: SendPipeline, received: Array<*>}>}
+ */
+async function connectPipelines(opts = {}) {
+  const { a, b } = createConnectionPair();
+  const sender = new SendPipeline(a, opts);
+  const receiver = new SendPipeline(b);
+  const received = [];
+  receiver.onMessage((message) => received.push(message));
+  const ready = Promise.all([a.once("protocolReady"), b.once("protocolReady")]);
+  a.initiate();
+  await ready;
+  return { a, b, sender, received };
+}
+
+test("the drop warning is sent even when the helper's filter rejects warnings", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    batchIntervalMs: 60000,
+    maxQueueBytes: 30,
+    dropPolicy: "drop-newest",
+    helper: new P2pMessageHelper({ consoleTarget: {}, filter: () => false }),
+  });
+  assert.equal(sender.send({ n: "x".repeat(10) }), true);
+  assert.equal(sender.send({ n: "y".repeat(20) }), false);
+  sender.flush();
+
+  await waitFor(() => received.length === 2);
+  const [warning, kept] = received;
+  assert.equal(warning.kind, "console");
+  assert.equal(warning.body.dropped.reason, "queue-full");
+  assert.equal(warning.body.dropped.count, 1);
+  assert.deepEqual(kept, { n: "x".repeat(10) });
+  sender.close();
+  a.close();
+  b.close();
+});
+
+test("messages sent within the batch interval go out as one batch", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    batchIntervalMs: 10,
+  });
+  sender.send({ n: 1 });
+  sender.send({ n: 2 });
+  sender.send("three");
+  await waitFor(() => received.length === 3);
+  assert.deepEqual(received, [{ n: 1 }, { n: 2 }, "three"]);
+  assert.equal(sender.stats.batches, 1);
+  assert.equal(sender.stats.sent, 3);
+  a.close();
+  b.close();
+});
+
+test("a full batch is flushed without waiting for the interval", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    batchIntervalMs: 60000,
+    maxBatchMessages: 2,
+  });
+  for (let n = 0; n < 4; n++) sender.send({ n });
+  await waitFor(() => received.length === 4);
+  assert.equal(sender.stats.batches, 2);
+  sender.close();
+  a.close();
+  b.close();
+});
+
+test("queue sizes are measured in UTF-8 bytes", async () => {
+  const { a, b, sender } = await connectPipelines({ batchIntervalMs: 60000 });
+  sender.send("é".repeat(10));
+  sender.send("😀");
+  assert.equal(sender.queuedBytes, 24);
+  sender.close();
+  a.close();
+  b.close();
+});
+
+test("drop-oldest discards the oldest messages and reports them", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    batchIntervalMs: 60000,
+    maxQueueBytes: 20,
+  });
+  sender.send("first-msg");
+  sender.send("second-ms");
+  assert.equal(sender.send("third-msg"), true);
+  sender.flush();
+
+  await waitFor(() => received.length === 3);
+  assert.equal(received[0].body.dropped.count, 1);
+  assert.equal(received[0].body.dropped.bytes, 9);
+  assert.deepEqual(received.slice(1), ["second-ms", "third-msg"]);
+  assert.equal(sender.stats.dropped, 1);
+  sender.close();
+  a.close();
+  b.close();
+});
+
+test("batches above compressMinBytes are compressed and unpacked by the peer", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    batchIntervalMs: 5,
+    compression: true,
+    compressMinBytes: 100,
+  });
+  const sent = [];
+  const send = a.send.bind(a);
+  a.send = (data) => {
+    sent.push(data);
+    return send(data);
+  };
+  assert.equal(sender.negotiatedCompression, "gzip");
+
+  const messages = Array.from({ length: 20 }, (_, n) => ({
+    text: `line ${n}`,
+  }));
+  messages.forEach((message) => sender.send(message));
+  await waitFor(() => received.length === 20);
+  assert.deepEqual(received, messages);
+  assert.ok(sent[0] instanceof ArrayBuffer);
+
+  sender.send({ text: "short" });
+  await waitFor(() => received.length === 21);
+  assert.equal(typeof sent[1], "string");
+  a.close();
+  b.close();
+});
+
+test("sending pauses above the high-water mark and resumes when the buffer drains", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    maxBatchMessages: 1,
+    highWaterMark: 10,
+    lowWaterMark: 0,
+  });
+  sender.send({ n: 1 });
+  sender.send({ n: 2 });
+  sender.send({ n: 3 });
+  assert.equal(sender.isPaused, true);
+  assert.equal(sender.stats.batches, 1);
+  assert.equal(sender.queue.length, 2);
+
+  await waitFor(() => received.length === 3);
+  assert.deepEqual(received, [{ n: 1 }, { n: 2 }, { n: 3 }]);
+  assert.equal(sender.isPaused, false);
+  a.close();
+  b.close();
+});
+
+test("a compressed batch holds back later ones until it was sent", async () => {
+  const { a, b, sender, received } = await connectPipelines({
+    maxBatchMessages: 1,
+    compression: true,
+    compressMinBytes: 0,
+  });
+  sender.send({ n: 1 });
+  sender.send({ n: 2 });
+  assert.equal(sender.stats.batches, 0);
+  assert.equal(sender.queue.length, 1);
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(received, [{ n: 1 }, { n: 2 }]);
+  a.close();
+  b.close();
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LoopbackNetwork, StatsSampler } from "../src/public-api.js";
+import { createConnectionPair, delay, waitFor } from "./helpers.js";
+
+/**
+ * A connected pair on `network`.
+ *
+ * @param {LoopbackNetwork} [network]
+ * @returns {Promise<{a: *, b: *}>}
+ */
+async function connectedPair(network = new LoopbackNetwork()) {
+  const { a, b } = createConnectionPair({ network });
+  const ready = Promise.all([a.once("protocolReady"), b.once("protocolReady")]);
+  a.initiate();
+  await ready;
+  return { a, b };
+}
+
+test("samples report the selected candidate pair and traffic", async () => {
+  const network = new LoopbackNetwork({ latencyMs: 5 });
+  const { a, b } = await connectedPair(network);
+  const sampler = new StatsSampler(a);
+  const first = await sampler.sample();
+  assert.equal(first.rttMs, 10);
+  assert.equal(first.localCandidateType, "host");
+  assert.equal(first.protocol, "udp");
+  assert.equal(first.sendBps, 0);
+
+  const received = [];
+  b.onMessage((message) => received.push(message));
+  a.send("x".repeat(1000));
+  await waitFor(() => received.length === 1);
+  await delay(20);
+  const second = await sampler.sample();
+  assert.ok(second.bytesSent >= first.bytesSent + 1000);
+  assert.ok(second.sendBps > 0);
+  assert.equal(sampler.latest, second);
+  a.close();
+  b.close();
+});
+
+test("degraded fires after consecutive bad samples and recovered once fine", async () => {
+  const network = new LoopbackNetwork({ latencyMs: 30 });
+  const { a, b } = await connectedPair(network);
+  const sampler = new StatsSampler(a, {
+    thresholds: { maxRttMs: 40 },
+    degradedAfter: 2,
+  });
+  const events = [];
+  sampler.onDegraded(({ reasons }) => events.push(["degraded", reasons]));
+  sampler.onRecovered(() => events.push(["recovered"]));
+
+  await sampler.sample();
+  assert.deepEqual(events, []);
+  await sampler.sample();
+  await sampler.sample();
+  assert.deepEqual(events, [["degraded", ["rtt"]]]);
+  assert.equal(sampler.degraded, true);
+
+  network.latencyMs = 0;
+  await sampler.sample();
+  assert.deepEqual(events, [["degraded", ["rtt"]], ["recovered"]]);
+  a.close();
+  b.close();
+});
+
+test("start() samples on an interval until stopped", async () => {
+  const { a, b } = await connectedPair();
+  const sampler = new StatsSampler(a, { intervalMs: 10 });
+  let samples = 0;
+  sampler.onStats(() => (samples += 1));
+  sampler.start();
+  await waitFor(() => samples >= 3);
+  sampler.stop();
+  assert.equal(sampler.timer, null);
+  a.close();
+  b.close();
+});
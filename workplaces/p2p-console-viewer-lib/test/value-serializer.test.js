@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  deserializeValue,
+  previewValue,
+  serializeValue,
+} from "../src/value-serializer.js";
+
+test("values survive a JSON round trip", () => {
+  const value = {
+    map: new Map([["k", new Set([1, 2])]]),
+    date: new Date(0),
+    big: 2n ** 70n,
+    nan: NaN,
+    missing: undefined,
+    re: /a+/gi,
+  };
+  const wire = JSON.parse(JSON.stringify(serializeValue(value)));
+  const copy = deserializeValue(wire);
+  assert.deepEqual(copy.map, value.map);
+  assert.equal(copy.date.getTime(), 0);
+  assert.equal(copy.big, value.big);
+  assert.ok(Number.isNaN(copy.nan));
+  assert.ok("missing" in copy && copy.missing === undefined);
+  assert.equal(copy.re.source, "a+");
+  assert.equal(copy.re.flags, "gi");
+});
+
+test("circular references are restored", () => {
+  const value = { name: "root" };
+  value.self = value;
+  const copy = deserializeValue(serializeValue(value));
+  assert.equal(copy.self, copy);
+});
+
+test("errors keep their class, message and cause", () => {
+  const error = new TypeError("bad", { cause: new Error("root cause") });
+  const copy = deserializeValue(serializeValue(error));
+  assert.ok(copy instanceof TypeError);
+  assert.equal(copy.message, "bad");
+  assert.equal(copy.cause.message, "root cause");
+});
+
+test("previewValue() renders a devtools-style line", () => {
+  const value = { a: 1, list: [1, "two"] };
+  value.self = value;
+  assert.equal(
+    previewValue(serializeValue(value)),
+    "{a: 1, list: Array(2), self: [Circular]}",
+  );
+});
+
+test("depth and key limits are applied", () => {
+  const serialized = serializeValue(
+    { a: { b: {} }, x: 1, y: 2 },
+    { maxDepth: 1, maxKeys: 2 },
+  );
+  assert.equal(serialized.size, 3);
+  assert.deepEqual(Object.keys(serialized.props), ["a", "x"]);
+  assert.equal(serialized.props.a.$t, "depth");
+});
+
+test("only known typed array and error classes are rebuilt from the wire", () => {
+  const bytes = deserializeValue(serializeValue(new Uint16Array([1, 2])));
+  assert.ok(bytes instanceof Uint16Array);
+  assert.deepEqual(
+    deserializeValue({
+      $t: "typedarray",
+      className: "Function",
+      items: ["return 1"],
+    }),
+    ["return 1"],
+  );
+  assert.deepEqual(
+    deserializeValue({
+      $t: "typedarray",
+      className: "BigInt64Array",
+      items: ["x"],
+    }),
+    ["x"],
+  );
+
+  const error = deserializeValue({
+    $t: "error",
+    id: 1,
+    name: "WebAssembly",
+    message: "m",
+    stack: null,
+  });
+  assert.equal(Object.getPrototypeOf(error), Error.prototype);
+  assert.equal(error.name, "WebAssembly");
+});
+
+test("previewValue() renders malformed values without throwing", () => {
+  const malformed = [
+    { $t: "typedarray", className: 5, items: null, length: "x" },
+    { $t: "array", items: "abc" },
+    { $t: "map", entries: [null, 3], size: {} },
+    { $t: "set", values: {} },
+    { $t: "object", props: null, className: 7 },
+    { $t: "dom", nodeType: 1, nodeName: null, attributes: "x" },
+    { $t: "date", v: "not a date" },
+    { $t: "error", name: {}, message: { $t: "array" } },
+    { $t: "arraybuffer" },
+    { $t: "regexp" },
+  ];
+  for (const value of malformed) {
+    assert.equal(typeof previewValue(value), "string");
+    assert.equal(
+      typeof previewValue({ $t: "array", items: [value], length: 1 }),
+      "string",
+    );
+  }
+  assert.equal(previewValue({ $t: "date", v: "not a date" }), "Invalid Date");
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LoopbackSignalingHub } from "../src/loopback.js";
+import { WebSocketConnector } from "../src/websocket-connector.js";
+import { waitFor } from "./helpers.js";
+
+/**
+ * A connector on a fresh hub.
+ *
+ * @returns {{hub: LoopbackSignalingHub, connector: WebSocketConnector}}
+ */
+function createConnector() {
+  const hub = new LoopbackSignalingHub();
+  const connector = new WebSocketConnector("ws://loopback", {
+    webSocketFactory: (url) => hub.createWebSocket(url),
+  });
+  return { hub, connector };
+}
+
+test("waitUntilOpen() resolves once the socket opens", async () => {
+  const { connector } = createConnector();
+  const messages = [];
+  connector.onMessage((data) => messages.push(JSON.parse(data)));
+  connector.connect();
+  await connector.waitUntilOpen(1000);
+  assert.equal(connector.isConnected(), true);
+  await waitFor(() => messages.length === 1);
+  assert.equal(messages[0].type, "id");
+  connector.disconnect();
+});
+
+test("waitUntilOpen() rejects after its timeout", async () => {
+  const { connector } = createConnector();
+  await assert.rejects(connector.waitUntilOpen(10), /waitUntilOpen timeout/);
+});
+
+test("whenReady() runs immediately when already open", async () => {
+  const { connector } = createConnector();
+  connector.connect();
+  await connector.waitUntilOpen();
+  let ran = false;
+  connector.whenReady(() => (ran = true));
+  assert.equal(ran, true);
+  connector.disconnect();
+});
+
+test("send() serializes objects and returns false while closed", async () => {
+  const { hub, connector } = createConnector();
+  assert.equal(connector.send({ type: "hello" }), false);
+
+  const peer = hub.createWebSocket();
+  const received = [];
+  peer.onmessage = (event) => received.push(JSON.parse(event.data));
+  connector.connect();
+  await connector.waitUntilOpen();
+
+  assert.equal(connector.send({ type: "hello" }), true);
+  await waitFor(() => received.some((m) => m.type === "hello"));
+  connector.disconnect();
+  peer.close();
+});
+
+test("the connector reconnects after an unexpected close", async () => {
+  const { hub, connector } = createConnector();
+  connector.reconnectInterval = 5;
+  const ids = [];
+  connector.onMessage((data) => ids.push(JSON.parse(data).id));
+  connector.connect();
+  await waitFor(() => ids.length === 1);
+
+  hub.disconnect(ids[0]);
+  await waitFor(() => ids.length === 2);
+  assert.notEqual(ids[1], ids[0]);
+  assert.equal(connector.isConnected(), true);
+  connector.disconnect();
+});
@@ -0,0 +1,131 @@
+/**
+ * One ping/pong exchange, in the clocks of the two peers.
+ * @typedef {Object} ClockSample
+ * @property {number} sentAt - Local clock when the ping left.
+ * @property {number} repliedAt - Peer's clock when it answered.
+ * @property {number} returnedAt - Local clock when the pong arrived.
+ */
+/**
+ * Current estimate of a peer's clock relative to ours.
+ * @typedef {Object} ClockEstimate
+ * @property {number} offsetMs - Peer clock minus local clock at `referenceTime`.
+ * @property {number} driftPpm - How fast the offset changes, in microseconds per second (0 until enough history).
+ * @property {number} referenceTime - Local time `offsetMs` was measured at.
+ * @property {number} rttMs - Round trip of the exchange `offsetMs` comes from (the error is at most half of it).
+ * @property {number} samples - Exchanges in the window.
+ */
+/**
+ * ClockEstimator
+ *
+ * NTP-style estimate of a peer's clock offset and drift from ping/pong exchanges.
+ * Each exchange bounds the offset by assuming the pong was sent halfway through the
+ * round trip; the exchange with the shortest round trip in the window is the most
+ * accurate, so it provides the offset. Drift is the least-squares slope of the offset
+ * over time, from exchanges that weren't delayed by queuing.
+ *
+ * Usage:
+ * const clock = new ClockEstimator();
+ * clock.addSample({ sentAt, repliedAt, returnedAt }); // for each pong
+ * const localTime = clock.toLocalTime(message.timestamp);
+ */
+export class ClockEstimator {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.windowSize=64] - Exchanges kept for the estimate.
+     * @param {number} [opts.minDriftSpanMs=30000] - History needed before drift is estimated.
+     * @param {number} [opts.maxDriftPpm=500] - Drift beyond this is treated as noise and ignored.
+     */
+    constructor(opts?: {
+        windowSize?: number;
+        minDriftSpanMs?: number;
+        maxDriftPpm?: number;
+    });
+    /** @type {number} */
+    windowSize: number;
+    /** @type {number} */
+    minDriftSpanMs: number;
+    /** @type {number} */
+    maxDriftPpm: number;
+    /**
+     * Recent exchanges, oldest first.
+     * @type {Array<{localTime: number, offset: number, rtt: number}>}
+     * @private
+     */
+    private samples;
+    /**
+     * Latest estimate (null before the first exchange).
+     * @type {ClockEstimate|null}
+     */
+    estimate: ClockEstimate | null;
+    /**
+     * Add an exchange and update the estimate.
+     *
+     * @param {ClockSample} sample
+     * @returns {ClockEstimate}
+     */
+    addSample({ sentAt, repliedAt, returnedAt }: ClockSample): ClockEstimate;
+    /**
+     * Least-squares slope of the offset over local time, in ppm.
+     *
+     * @private
+     * @param {number} minRtt - Exchanges slower than twice this are left out.
+     * @returns {number}
+     */
+    private estimateDrift;
+    /**
+     * Estimated offset (peer minus local) at a local time.
+     *
+     * @param {number} localTime
+     * @returns {number} 0 without an estimate.
+     */
+    offsetAt(localTime: number): number;
+    /**
+     * Convert a time read from the peer's clock to the local clock.
+     *
+     * @param {number} remoteTime
+     * @returns {number} `remoteTime` unchanged without an estimate.
+     */
+    toLocalTime(remoteTime: number): number;
+}
+/**
+ * One ping/pong exchange, in the clocks of the two peers.
+ */
+export type ClockSample = {
+    /**
+     * - Local clock when the ping left.
+     */
+    sentAt: number;
+    /**
+     * - Peer's clock when it answered.
+     */
+    repliedAt: number;
+    /**
+     * - Local clock when the pong arrived.
+     */
+    returnedAt: number;
+};
+/**
+ * Current estimate of a peer's clock relative to ours.
+ */
+export type ClockEstimate = {
+    /**
+     * - Peer clock minus local clock at `referenceTime`.
+     */
+    offsetMs: number;
+    /**
+     * - How fast the offset changes, in microseconds per second (0 until enough history).
+     */
+    driftPpm: number;
+    /**
+     * - Local time `offsetMs` was measured at.
+     */
+    referenceTime: number;
+    /**
+     * - Round trip of the exchange `offsetMs` comes from (the error is at most half of it).
+     */
+    rttMs: number;
+    /**
+     * - Exchanges in the window.
+     */
+    samples: number;
+};
@@ -0,0 +1,36 @@
+/**
+ * Apply the WHATWG console Formatter to a list of arguments.
+ *
+ * When the first argument is a string and more arguments follow, `%s %d %i %f %o %O %c`
+ * in it are substituted from the remaining arguments, left to right (`%%` yields `%`).
+ * Specifiers without a matching argument are left as-is. Remaining arguments are appended
+ * separated by spaces, as the console prints them.
+ *
+ * @param {Array<*>} args
+ * @param {import("./value-serializer.js").SerializeLimits} [limits] - Limits for serialized object values.
+ * @param {function(import("./value-serializer.js").SerializedValue):import("./value-serializer.js").SerializedValue} [transform]
+ *   Applied to every serialized argument before it is previewed or kept (used for redaction).
+ * @returns {Array<FormatSegment>}
+ */
+export function formatConsoleArgs(args: Array<any>, limits?: import("./value-serializer.js").SerializeLimits, transform?: (arg0: import("./value-serializer.js").SerializedValue) => import("./value-serializer.js").SerializedValue): Array<FormatSegment>;
+/**
+ * A run of output produced by formatting console arguments.
+ *
+ * Text segments carry the CSS from the most recent `%c` (if any). Object
+ * substitutions (`%o`/`%O`) and non-string trailing arguments also keep their
+ * serialized `value` so the viewer can render an inspectable object.
+ */
+export type FormatSegment = {
+    /**
+     * - Rendered text (a preview for object values).
+     */
+    text: string;
+    /**
+     * - CSS applied to the segment (from `%c`).
+     */
+    style?: string;
+    /**
+     * - Serialized object for `%o`/`%O` and trailing objects.
+     */
+    value?: import("./value-serializer.js").SerializedValue;
+};
@@ -1,3 +1,11 @@
+/**
+ * Every console method the interceptor knows how to capture.
+ *
+ * Methods that don't exist on the running console (e.g. `timeLog` on older
+ * runtimes) are skipped at patch time.
+ * @type {ReadonlyArray<string>}
+ */
+export const CONSOLE_METHODS: ReadonlyArray<string>;
 /**
  * ConsoleInterceptor
  *
@@ -9,8 +17,38 @@
  * interceptor.patch((method, ...args) => { /* handle log });
  * later
  * interceptor.unpatch();
+ *
+ * With `captureCallSite` enabled, `interceptor.callSite` holds the location of the
+ * console call while the callback runs:
+ * const interceptor = new ConsoleInterceptor({ captureCallSite: true });
+ * interceptor.patch((method, ...args) => {
+ *   send(helper.buildMessage(method, args, { callSite: interceptor.callSite }));
+ * });
  */
 export class ConsoleInterceptor {
+    /**
+     * Create a ConsoleInterceptor.
+     *
+     * Initializes storage for original console methods and patch state.
+     *
+     * @param {Object} [opts]
+     * @param {boolean} [opts.captureCallSite=false] - Record the caller's file/line/column for every
+     *   captured call. Costs a stack capture per console call, so it is off by default.
+     */
+    constructor(opts?: {
+        captureCallSite?: boolean;
+    });
+    /**
+     * Whether call sites are captured for each console call.
+     * @type {boolean}
+     */
+    captureCallSite: boolean;
+    /**
+     * Location of the console call currently being handled by the callback
+     * (null outside the callback or when `captureCallSite` is off).
+     * @type {import("./utils/stack-trace.js").CallSite|null}
+     */
+    callSite: import("./utils/stack-trace.js").CallSite | null;
     /**
      * Map of original console method implementations (e.g. { log: Function, warn: Function }).
      * Stored implementations are bound to the original console to preserve context.
@@ -24,6 +62,16 @@ export class ConsoleInterceptor {
      * @type {boolean}
      */
     isPatched: boolean;
+    /**
+     * True while a wrapper is running (the callback or the saved implementation).
+     * Console calls made from there are printed but never captured, so:
+     * - forwarding code that logs (or whose transport logs) cannot recurse;
+     * - runtimes that implement `table`, `count` or `trace` on top of
+     *   `log`/`warn`/`error` (e.g. Node) don't get captured twice.
+     * @type {boolean}
+     * @private
+     */
+    private isCapturing;
     /**
      * Apply the monkey patch to console methods.
      *
@@ -31,11 +79,26 @@ export class ConsoleInterceptor {
      * 1. Invoke the provided `callback` with the method name and original arguments.
      * 2. Call the previously saved implementation so other listeners / original behavior runs.
      *
+     * `console.assert` only reaches the callback when the assertion fails, matching
+     * what the console itself prints.
+     *
      * If already patched, this is a no-op.
      *
      * @param {function(string, ...*):void} callback - Function invoked for each console call.
+     * @param {Array<string>} [methodsToPatch=CONSOLE_METHODS] - Console methods to intercept.
+     */
+    patch(callback: (arg0: string, ...args: any[]) => void, methodsToPatch?: Array<string>): void;
+    /**
+     * Find the frame that called the console wrapper.
+     *
+     * Uses `Error.captureStackTrace` (V8) to drop the interceptor's own frames and keep
+     * just the caller; elsewhere it skips this method's and the wrapper's frames.
+     *
+     * @private
+     * @param {Function} wrapper - The patched console method that was called.
+     * @returns {import("./utils/stack-trace.js").CallSite|null}
      */
-    patch(callback: (arg0: string, ...args: any[]) => void): void;
+    private getCallSite;
     /**
      * Restore the original console methods that were replaced by `patch`.
      *
@@ -0,0 +1,84 @@
+/**
+ * ErrorCapture
+ *
+ * Opt-in companion to ConsoleInterceptor that reports errors nobody logged:
+ * - Browser: `error` and `unhandledrejection` window events (plus `rejectionhandled`).
+ * - Node: `uncaughtExceptionMonitor`, which also sees unhandled rejections just before
+ *   Node's default handling crashes the process on them.
+ *
+ * Each event is turned into an error message by P2pMessageHelper and passed to the
+ * callback given to `install`. Existing error handling is left untouched: the monitor
+ * only observes. In Node, `handleRejections` opts into an `unhandledRejection` listener
+ * instead (plus `rejectionHandled`), which keeps the process alive after unhandled
+ * rejections because Node stops crashing once such a listener exists.
+ *
+ * Typical use:
+ * const capture = new ErrorCapture();
+ * capture.install((message) => client.sendMessage(message));
+ * later
+ * capture.uninstall();
+ */
+export class ErrorCapture {
+    /**
+     * Create an ErrorCapture.
+     *
+     * @param {Object} [opts]
+     * @param {P2pMessageHelper} [opts.helper] - Helper used to build messages (shares namespace/clock with console messages).
+     * @param {boolean} [opts.handleRejections=false] - Node only: listen for `unhandledRejection` and
+     *   `rejectionHandled`. This turns off Node's default crash on unhandled rejections.
+     */
+    constructor(opts?: {
+        helper?: P2pMessageHelper;
+        handleRejections?: boolean;
+    });
+    /**
+     * @type {P2pMessageHelper}
+     */
+    helper: P2pMessageHelper;
+    /**
+     * Whether Node rejections are handled by a listener of our own (see constructor).
+     * @type {boolean}
+     */
+    handleRejections: boolean;
+    /**
+     * Functions that remove the listeners registered by `install`.
+     * @type {Array<function():void>}
+     * @private
+     */
+    private removers;
+    /**
+     * Unhandled rejections reported so far, so a later "handled" event can reuse their details.
+     * @type {WeakMap<Promise<*>, *>}
+     * @private
+     */
+    private pendingRejections;
+    /**
+     * Whether listeners are currently installed.
+     * @type {boolean}
+     */
+    isInstalled: boolean;
+    /**
+     * Start listening for uncaught errors and unhandled rejections.
+     *
+     * If already installed, this is a no-op.
+     *
+     * @param {function(import("./p2p-message-helper.js").ConsoleMessage):void} callback - Receives each error message.
+     */
+    install(callback: (arg0: import("./p2p-message-helper.js").ConsoleMessage) => void): void;
+    /**
+     * Register a listener on an EventTarget (browser) or EventEmitter (Node) and remember how to remove it.
+     *
+     * @private
+     * @param {EventTarget|NodeJS.Process} target
+     * @param {string} event
+     * @param {Function} handler
+     */
+    private listen;
+    /**
+     * Remove every listener registered by `install`.
+     *
+     * If not installed, this is a no-op.
+     */
+    uninstall(): void;
+}
+import { P2pMessageHelper } from "./p2p-message-helper.js";
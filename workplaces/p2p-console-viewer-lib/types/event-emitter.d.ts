@@ -0,0 +1,116 @@
+/**
+ * A registered handler.
+ * @typedef {Object} Listener
+ * @property {function(...*):void} handler
+ * @property {boolean} once - Removed before its first call.
+ */
+/**
+ * EventEmitter
+ *
+ * Event registration shared by the library's classes. Each event is named after its
+ * `on*` method (`onPeerStats` → "peerStats") and handlers get the same arguments
+ * either way. Every registration returns a function that removes it, so a component
+ * can clean up after itself when it unmounts.
+ *
+ * Handlers run synchronously in registration order; removing one while an event is
+ * being emitted doesn't affect that emission.
+ *
+ * Usage:
+ * const off = client.onPeerStats((peerId, stats) => render(peerId, stats));
+ * off();
+ * const [peerId] = await client.once("peerDead");
+ * for await (const [peerId, stats] of client.events("peerStats")) { ... }
+ *
+ * @template {Record<string, Array<*>>} Events - Map of event name to handler arguments.
+ */
+export class EventEmitter<Events extends Record<string, Array<any>>> {
+    /**
+     * Handlers by event name.
+     * @type {Map<string, Array<Listener>>}
+     * @private
+     */
+    private eventListeners;
+    /**
+     * Register a handler.
+     *
+     * @template {keyof Events & string} K
+     * @param {K} event
+     * @param {(...args: Events[K]) => void} handler
+     * @returns {() => void} Removes the handler.
+     */
+    on<K extends keyof Events & string>(event: K, handler: (...args: Events[K]) => void): () => void;
+    /**
+     * @template {keyof Events & string} K
+     * @overload
+     * @param {K} event
+     * @param {(...args: Events[K]) => void} handler
+     * @returns {() => void}
+     */
+    once<K extends keyof Events & string>(event: K, handler: (...args: Events[K]) => void): () => void;
+    /**
+     * @template {keyof Events & string} K
+     * @overload
+     * @param {K} event
+     * @returns {Promise<Events[K]>}
+     */
+    once<K extends keyof Events & string>(event: K): Promise<Events[K]>;
+    /**
+     * Remove a handler registered with `on`, `once` or an `on*` method.
+     *
+     * @template {keyof Events & string} K
+     * @param {K} event
+     * @param {(...args: Events[K]) => void} handler
+     */
+    off<K extends keyof Events & string>(event: K, handler: (...args: Events[K]) => void): void;
+    /**
+     * Iterate over an event's emissions, each as its array of arguments. Emissions are
+     * buffered until consumed; leaving the loop (or aborting `signal`) unsubscribes.
+     *
+     * @template {keyof Events & string} K
+     * @param {K} event
+     * @param {{signal?: AbortSignal}} [opts]
+     * @returns {AsyncIterableIterator<Events[K]>}
+     */
+    events<K extends keyof Events & string>(event: K, opts?: {
+        signal?: AbortSignal;
+    }): AsyncIterableIterator<Events[K]>;
+    /**
+     * Number of handlers registered for an event.
+     *
+     * @param {keyof Events & string} event
+     * @returns {number}
+     */
+    listenerCount(event: keyof Events & string): number;
+    /**
+     * Call an event's handlers.
+     *
+     * @protected
+     * @template {keyof Events & string} K
+     * @param {K} event
+     * @param {Events[K]} args
+     */
+    protected emit<K extends keyof Events & string>(event: K, ...args: Events[K]): void;
+    /**
+     * @private
+     * @param {string} event
+     * @param {Listener} listener
+     * @returns {() => void}
+     */
+    private addListener;
+    /**
+     * @private
+     * @param {string} event
+     * @param {Listener} listener
+     */
+    private removeListener;
+}
+/**
+ * A registered handler.
+ */
+export type Listener = {
+    handler: (...args: any[]) => void;
+    /**
+     * - Removed before its first call.
+     */
+    once: boolean;
+};
@@ -0,0 +1,305 @@
+/**
+ * Label of the data channel files travel on, so a large transfer doesn't hold up
+ * console messages on the main channel.
+ * @type {string}
+ */
+export const FILE_CHANNEL_LABEL: string;
+/**
+ * Handler arguments of each FileTransfer event (see EventEmitter).
+ * @typedef {Object} FileTransferEvents
+ * @property {[FileTransferInfo]} progress
+ * @property {[CompletedFile]} complete
+ * @property {[FailedFile]} failed
+ */
+/**
+ * FileTransfer
+ *
+ * Sends and receives whole files over one P2PChannel. A transfer is a `start`
+ * message, the file in binary frames of `chunkSize` bytes, and an `end` message with
+ * the file's SHA-256; the receiver checks size and digest and answers `done`.
+ * Either side can cancel. Incoming transfers are refused while `authorize` says no,
+ * past `maxConcurrent` transfers or `maxPendingBytes` in flight. Sending pauses while the channel's buffer is above
+ * `highWaterMark`, and a channel that closes fails every transfer in flight.
+ *
+ * Usage:
+ * const files = new FileTransfer(p2p.channel(FILE_CHANNEL_LABEL));
+ * files.onComplete((file) => file.blob && save(file.name, file.blob));
+ * const { id, done } = files.send(blob, { name: "heap.heapsnapshot" });
+ * await done; // resolves once the receiver verified the file
+ *
+ * @extends {EventEmitter<FileTransferEvents>}
+ */
+export class FileTransfer extends EventEmitter<FileTransferEvents> {
+    /**
+     * @param {import("./p2p-channel.js").P2PChannel} channel - Channel dedicated to file transfer.
+     * @param {Object} [opts]
+     * @param {number} [opts.chunkSize=16384] - Payload bytes per data frame.
+     * @param {number} [opts.highWaterMark=1048576] - Pause sending while the channel buffers more than this.
+     * @param {number} [opts.lowWaterMark=262144] - Resume sending once the buffer drains to this.
+     * @param {number} [opts.maxFileBytes=268435456] - Largest file accepted from the peer.
+     * @param {number} [opts.maxConcurrent=4] - Incoming transfers allowed at once.
+     * @param {number} [opts.maxPendingBytes=536870912] - Combined size of incoming transfers in flight.
+     * @param {boolean} [opts.allowUnverified=false] - Accept files whose SHA-256 could not be checked
+     *   (the sender left it out, or WebCrypto is unavailable here) instead of refusing them.
+     * @param {function():boolean} [opts.authorize] - Whether the peer may send files right now;
+     *   defaults to always.
+     * @param {Logger} [opts.logger]
+     */
+    constructor(channel: import("./p2p-channel.js").P2PChannel, opts?: {
+        chunkSize?: number;
+        highWaterMark?: number;
+        lowWaterMark?: number;
+        maxFileBytes?: number;
+        maxConcurrent?: number;
+        maxPendingBytes?: number;
+        allowUnverified?: boolean;
+        authorize?: () => boolean;
+        logger?: Logger;
+    });
+    /**
+     * @type {import("./p2p-channel.js").P2PChannel}
+     * @private
+     */
+    private channel;
+    /** @type {number} */
+    chunkSize: number;
+    /** @type {number} */
+    highWaterMark: number;
+    /** @type {number} */
+    lowWaterMark: number;
+    /** @type {number} */
+    maxFileBytes: number;
+    /** @type {number} */
+    maxConcurrent: number;
+    /** @type {number} */
+    maxPendingBytes: number;
+    /** @type {boolean} */
+    allowUnverified: boolean;
+    /**
+     * @type {function():boolean}
+     * @private
+     */
+    private authorize;
+    /** @type {Logger} */
+    logger: Logger;
+    /**
+     * Transfers in flight by id, both directions.
+     * @type {Map<string, FileTransferInfo & {chunks?: Array<Uint8Array>, reported: number, resolve?: function():void, reject?: function(Error):void}>}
+     * @private
+     */
+    private transfers;
+    /** @private */
+    private idPrefix;
+    /** @private */
+    private nextId;
+    /**
+     * Send a file to the peer.
+     *
+     * @param {Blob|ArrayBuffer|ArrayBufferView} file
+     * @param {Object} [opts]
+     * @param {string} [opts.name] - Defaults to the File's name, or "file".
+     * @param {string} [opts.mimeType] - Defaults to the Blob's type.
+     * @returns {{id: string, done: Promise<void>}} `done` resolves once the receiver verified the file and rejects when the transfer fails.
+     */
+    send(file: Blob | ArrayBuffer | ArrayBufferView, opts?: {
+        name?: string;
+        mimeType?: string;
+    }): {
+        id: string;
+        done: Promise<void>;
+    };
+    /**
+     * Stop a transfer in either direction and tell the peer.
+     *
+     * @param {string} id
+     * @param {string} [reason="cancelled"]
+     */
+    cancel(id: string, reason?: string): void;
+    /**
+     * Fail every transfer in flight without telling the peer (the channel is gone).
+     *
+     * @param {string} [reason="closed"]
+     */
+    close(reason?: string): void;
+    /**
+     * Transfers in flight.
+     *
+     * @returns {Array<FileTransferInfo>}
+     */
+    active(): Array<FileTransferInfo>;
+    /**
+     * Send the start message, the data frames and the end message.
+     *
+     * @private
+     * @param {FileTransferInfo} transfer
+     * @param {Blob|ArrayBuffer|ArrayBufferView} file
+     */
+    private stream;
+    /**
+     * Resolve once the channel's buffer is below the high-water mark.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    private drained;
+    /**
+     * Handle a frame from the channel: a data frame or a `file` envelope.
+     *
+     * @private
+     * @param {string|ArrayBuffer} data
+     */
+    private receive;
+    /**
+     * @private
+     * @param {FileControl} control
+     */
+    private receiveStart;
+    /**
+     * Why an incoming file of `size` bytes can't be accepted now, or null if it can.
+     *
+     * @private
+     * @param {number} size
+     * @returns {string|null}
+     */
+    private refusal;
+    /**
+     * @private
+     * @param {string} id
+     * @param {Uint8Array} payload
+     */
+    private receiveData;
+    /**
+     * Verify a completely received file and answer the sender. A file whose digest is
+     * missing on either side is refused as `unverified` unless `allowUnverified` is set.
+     *
+     * @private
+     * @param {FileControl} control
+     */
+    private receiveEnd;
+    /**
+     * End a transfer: complete it (`reason` null) or fail it.
+     *
+     * @private
+     * @param {string} id
+     * @param {string|null} reason
+     * @param {Blob|null} [blob=null]
+     * @param {string|null} [digest=null]
+     * @param {boolean} [verified=false] - Received files: whether the digest matched.
+     */
+    private finish;
+    /**
+     * Fire a progress event at most once per percent (and always at the end).
+     *
+     * @private
+     * @param {Object} transfer
+     * @param {boolean} [force=false]
+     */
+    private reportProgress;
+    /**
+     * Public view of a transfer.
+     *
+     * @private
+     * @param {Object} transfer
+     * @returns {FileTransferInfo}
+     */
+    private info;
+    /**
+     * @private
+     * @param {FileControl} control
+     */
+    private sendControl;
+    /**
+     * Register a handler for transfer progress (at most once per percent).
+     *
+     * @param {function(FileTransferInfo):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onProgress(handler: (arg0: FileTransferInfo) => void): () => void;
+    /**
+     * Register a handler for finished transfers. Received files carry the verified blob.
+     *
+     * @param {function(CompletedFile):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onComplete(handler: (arg0: CompletedFile) => void): () => void;
+    /**
+     * Register a handler for transfers that were cancelled, refused or failed verification.
+     *
+     * @param {function(FailedFile):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onFailed(handler: (arg0: FailedFile) => void): () => void;
+}
+/**
+ * Body of a `file` envelope. Data itself travels in binary frames between `start` and `end`.
+ */
+export type FileControl = {
+    type: "start" | "end" | "done" | "cancel";
+    /**
+     * - Transfer id, chosen by the sender.
+     */
+    id: string;
+    /**
+     * - start: file name.
+     */
+    name?: string;
+    /**
+     * - start: byte length.
+     */
+    size?: number;
+    /**
+     * - start: MIME type ('' when unknown).
+     */
+    mimeType?: string;
+    /**
+     * - end: hex SHA-256 of the whole file (null when WebCrypto is unavailable).
+     */
+    sha256?: string | null;
+    /**
+     * - done: whether the receiver accepted the file.
+     */
+    ok?: boolean;
+    /**
+     * - cancel / failed done: why the transfer stopped.
+     */
+    reason?: string;
+};
+/**
+ * State of a transfer, as reported in events.
+ */
+export type FileTransferInfo = {
+    id: string;
+    direction: "send" | "receive";
+    name: string;
+    size: number;
+    mimeType: string;
+    /**
+     * - Bytes sent or received so far.
+     */
+    bytes: number;
+};
+/**
+ * A finished transfer. On the receiving side `blob` holds the file, and `verified`
+ * tells whether its SHA-256 was checked (false only with `allowUnverified`).
+ */
+export type CompletedFile = FileTransferInfo & {
+    blob: Blob | null;
+    sha256: string | null;
+    verified: boolean;
+};
+/**
+ * A transfer that stopped early.
+ */
+export type FailedFile = FileTransferInfo & {
+    reason: string;
+};
+/**
+ * Handler arguments of each FileTransfer event (see EventEmitter).
+ */
+export type FileTransferEvents = {
+    progress: [FileTransferInfo];
+    complete: [CompletedFile];
+    failed: [FailedFile];
+};
+import { EventEmitter } from "./event-emitter.js";
+import { Logger } from "./utils/logger.js";
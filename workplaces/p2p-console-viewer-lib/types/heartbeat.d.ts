@@ -0,0 +1,166 @@
+/**
+ * Body of a `heartbeat` envelope.
+ * @typedef {Object} HeartbeatBody
+ * @property {'ping'|'pong'} type
+ * @property {number} seq - Probe number, echoed in the pong.
+ * @property {number} sentAt - Sender's clock when the ping left, echoed in the pong.
+ * @property {number} [repliedAt] - Pong only: the answering peer's clock, for clock-offset estimation.
+ */
+/**
+ * Reply to a ping.
+ *
+ * @param {HeartbeatBody} ping
+ * @param {number} [now=Date.now()] - Local clock, reported as `repliedAt`.
+ * @returns {HeartbeatBody}
+ */
+export function createPong(ping: HeartbeatBody, now?: number): HeartbeatBody;
+/**
+ * Heartbeat body type of a probe.
+ * @type {string}
+ */
+export const HEARTBEAT_PING: string;
+/**
+ * Heartbeat body type of the reply to a probe.
+ * @type {string}
+ */
+export const HEARTBEAT_PONG: string;
+/**
+ * Handler arguments of each Heartbeat event (see EventEmitter).
+ * @typedef {Object} HeartbeatEvents
+ * @property {[number]} latency
+ * @property {[{misses: number}]} dead
+ * @property {[import("./clock-sync.js").ClockSample]} clockSample
+ */
+/**
+ * Heartbeat
+ *
+ * Application-level liveness probe for one peer. Every `intervalMs` it sends a ping;
+ * a ping still unanswered at the next tick counts as a miss, and `missThreshold`
+ * misses in a row declare the peer dead (a frozen or backgrounded tab keeps ICE
+ * "connected" but stops answering). Each pong yields a round-trip latency and, when it
+ * carries the peer's clock, a ClockSample.
+ *
+ * Usage:
+ * const heartbeat = new Heartbeat({ send: (body) => p2p.send(createEnvelope("heartbeat", body)) });
+ * heartbeat.onDead(() => cleanup());
+ * heartbeat.start();
+ * heartbeat.receive(pongBody); // for each incoming pong
+ *
+ * @extends {EventEmitter<HeartbeatEvents>}
+ */
+export class Heartbeat extends EventEmitter<HeartbeatEvents> {
+    /**
+     * @param {Object} opts
+     * @param {function(HeartbeatBody):boolean} opts.send - Sends a ping to the peer.
+     * @param {number} [opts.intervalMs=5000] - Time between pings.
+     * @param {number} [opts.missThreshold=3] - Unanswered pings in a row before the peer is declared dead.
+     * @param {function():number} [opts.now=Date.now] - Clock used for latency.
+     */
+    constructor(opts: {
+        send: (arg0: HeartbeatBody) => boolean;
+        intervalMs?: number;
+        missThreshold?: number;
+        now?: () => number;
+    });
+    /** @type {function(HeartbeatBody):boolean} @private */
+    private send;
+    /** @type {number} */
+    intervalMs: number;
+    /** @type {number} */
+    missThreshold: number;
+    /** @type {function():number} @private */
+    private now;
+    /**
+     * Latest measured round-trip latency (null until the first pong).
+     * @type {number|null}
+     */
+    latencyMs: number | null;
+    /**
+     * Unanswered pings in a row.
+     * @type {number}
+     */
+    misses: number;
+    /** @type {number} @private */
+    private seq;
+    /**
+     * Number of the ping awaiting its pong (null when none).
+     * @type {number|null}
+     * @private
+     */
+    private outstanding;
+    /** @type {ReturnType<typeof setInterval>|null} @private */
+    private timer;
+    /**
+     * Start probing (no-op when already running). Misses are counted afresh.
+     */
+    start(): void;
+    /**
+     * Stop probing.
+     */
+    stop(): void;
+    /**
+     * Count a miss for an unanswered ping, then send the next one.
+     *
+     * @private
+     */
+    private tick;
+    /**
+     * Handle a pong from the peer. A late pong for an older ping still proves the peer
+     * is alive, but only the current one is used for latency.
+     *
+     * @param {HeartbeatBody} body
+     */
+    receive(body: HeartbeatBody): void;
+    /**
+     * Register a handler for each latency measurement.
+     *
+     * @param {function(number):void} handler - Called with the round-trip time in milliseconds.
+     * @returns {function():void} Removes the handler.
+     */
+    onLatency(handler: (arg0: number) => void): () => void;
+    /**
+     * Register a handler for the peer being declared dead. Probing stops first.
+     *
+     * @param {function({misses: number}):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onDead(handler: (arg0: {
+        misses: number;
+    }) => void): () => void;
+    /**
+     * Register a handler for each completed exchange that carries the peer's clock.
+     *
+     * @param {function(import("./clock-sync.js").ClockSample):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onClockSample(handler: (arg0: import("./clock-sync.js").ClockSample) => void): () => void;
+}
+/**
+ * Body of a `heartbeat` envelope.
+ */
+export type HeartbeatBody = {
+    type: "ping" | "pong";
+    /**
+     * - Probe number, echoed in the pong.
+     */
+    seq: number;
+    /**
+     * - Sender's clock when the ping left, echoed in the pong.
+     */
+    sentAt: number;
+    /**
+     * - Pong only: the answering peer's clock, for clock-offset estimation.
+     */
+    repliedAt?: number;
+};
+/**
+ * Handler arguments of each Heartbeat event (see EventEmitter).
+ */
+export type HeartbeatEvents = {
+    latency: [number];
+    dead: [{
+        misses: number;
+    }];
+    clockSample: [import("./clock-sync.js").ClockSample];
+};
+import { EventEmitter } from "./event-emitter.js";
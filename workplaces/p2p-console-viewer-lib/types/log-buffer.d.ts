@@ -0,0 +1,151 @@
+/**
+ * Persist messages in localStorage under a single key.
+ *
+ * @param {string} key
+ * @returns {LogBufferStorage}
+ */
+export function createLocalStorageBackend(key: string): LogBufferStorage;
+/**
+ * Persist messages in IndexedDB (database "p2p-console-viewer", store "log-buffer").
+ *
+ * @param {string} key - Record key within the store.
+ * @returns {LogBufferStorage}
+ */
+export function createIndexedDbBackend(key: string): LogBufferStorage;
+/**
+ * LogBuffer
+ *
+ * Ring buffer of outgoing messages kept on the source side so that viewers who
+ * connect later still receive what was logged before (startup logs in particular).
+ *
+ * The buffer is capped by message count and by total serialized bytes; the oldest
+ * messages are evicted first. It can optionally persist to IndexedDB or localStorage
+ * so messages survive a reload.
+ *
+ * Typical use:
+ * const buffer = new LogBuffer({ maxMessages: 1000, persist: "indexeddb" });
+ * const client = new P2PSignalingClient(url, { buffer });
+ */
+export class LogBuffer {
+    /**
+     * Turn the `persist` option into a storage backend (null when unavailable).
+     *
+     * @private
+     * @param {'indexeddb'|'localstorage'|LogBufferStorage|null} persist
+     * @param {string} key
+     * @returns {LogBufferStorage|null}
+     */
+    private static resolveStorage;
+    /**
+     * Create a LogBuffer.
+     *
+     * @param {Object} [opts]
+     * @param {number} [opts.maxMessages=500] - Maximum number of buffered messages.
+     * @param {number} [opts.maxBytes=1048576] - Maximum total serialized size of buffered messages.
+     * @param {'indexeddb'|'localstorage'|LogBufferStorage|null} [opts.persist=null] - Where to persist across reloads.
+     * @param {string} [opts.storageKey='p2p-console-viewer:buffer'] - Key used by the built-in backends.
+     * @param {number} [opts.persistDelayMs=250] - Debounce for writes to storage.
+     */
+    constructor(opts?: {
+        maxMessages?: number;
+        maxBytes?: number;
+        persist?: "indexeddb" | "localstorage" | LogBufferStorage | null;
+        storageKey?: string;
+        persistDelayMs?: number;
+    });
+    /** @type {number} */
+    maxMessages: number;
+    /** @type {number} */
+    maxBytes: number;
+    /** @type {number} */
+    persistDelayMs: number;
+    /**
+     * Buffered messages with their size, oldest first.
+     * @type {Array<{message: *, bytes: number}>}
+     * @private
+     */
+    private entries;
+    /**
+     * Total serialized size of `entries`.
+     * @type {number}
+     */
+    totalBytes: number;
+    /**
+     * @type {LogBufferStorage|null}
+     * @private
+     */
+    private storage;
+    /**
+     * Pending debounced save.
+     * @type {ReturnType<typeof setTimeout>|null}
+     * @private
+     */
+    private saveTimer;
+    /**
+     * Resolves once persisted messages (if any) have been restored.
+     * @type {Promise<void>}
+     */
+    ready: Promise<void>;
+    /**
+     * Load persisted messages and place them before anything pushed since startup.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    private restore;
+    /**
+     * Append a message, evicting the oldest ones past the count/byte caps.
+     * A single message larger than `maxBytes` is not buffered.
+     *
+     * @param {*} message
+     * @returns {boolean} True if the message was buffered.
+     */
+    push(message: any): boolean;
+    /**
+     * Evict the oldest messages until both caps are respected.
+     *
+     * @private
+     */
+    private trim;
+    /**
+     * Buffered messages, oldest first.
+     *
+     * @returns {Array<*>}
+     */
+    getMessages(): Array<any>;
+    /**
+     * Number of buffered messages.
+     *
+     * @returns {number}
+     */
+    get size(): number;
+    /**
+     * Drop every buffered (and persisted) message.
+     *
+     * @returns {Promise<void>}
+     */
+    clear(): Promise<void>;
+    /**
+     * Debounce a save of the current messages to storage, once the restore is done.
+     *
+     * @private
+     */
+    private schedulePersist;
+}
+/**
+ * Storage backend used to persist buffered messages across reloads.
+ */
+export type LogBufferStorage = {
+    /**
+     * - Resolve with previously saved messages (oldest first).
+     */
+    load: () => Promise<Array<any>>;
+    /**
+     * - Replace the saved messages.
+     */
+    save: (arg0: Array<any>) => Promise<void>;
+    /**
+     * - Remove saved messages.
+     */
+    clear: () => Promise<void>;
+};
@@ -0,0 +1,189 @@
+/**
+ * Handler arguments of each LogPolicy event (see EventEmitter).
+ * @typedef {Object} LogPolicyEvents
+ * @property {[Object]} message
+ */
+/**
+ * LogPolicy
+ *
+ * Decides which console messages go out, sitting between the console interceptor
+ * and the transport:
+ * - Identical consecutive messages can be collapsed: the first is sent and the rest are
+ *   reported as a single "repeated N times" message referencing it (`repeat`).
+ * - Per-level sampling keeps a random fraction of chatty levels.
+ * - Token buckets cap the rate per level and per namespace.
+ * - Dropped messages are counted by level, namespace and reason, and a warning summarizing
+ *   them (with a `dropped.breakdown`) is sent every `summaryIntervalMs`.
+ *
+ * Group messages are never dropped so the viewer's group nesting stays intact.
+ *
+ * Typical use:
+ * const policy = new LogPolicy({ levels: { debug: { rate: 20, burst: 50 } }, sampling: { debug: 0.2 } });
+ * policy.onMessage((msg) => client.sendMessage(msg));
+ * interceptor.patch((method, ...args) => {
+ *   const msg = helper.buildMessage(method, args);
+ *   if (msg) policy.push(msg);
+ * });
+ *
+ * @extends {EventEmitter<LogPolicyEvents>}
+ */
+export class LogPolicy extends EventEmitter<LogPolicyEvents> {
+    /**
+     * Create a LogPolicy.
+     *
+     * @param {Object} [opts]
+     * @param {Object<string, RateLimit>} [opts.levels] - Token bucket per level (e.g. `{ debug: { rate: 20 } }`).
+     * @param {Object<string, RateLimit>} [opts.namespaces] - Token bucket per message namespace.
+     * @param {Object<string, number>} [opts.sampling] - Fraction (0-1) of messages kept per level.
+     * @param {boolean} [opts.collapseRepeats=false] - Collapse identical consecutive messages.
+     * @param {number} [opts.repeatFlushMs=1000] - How long a run of repeats may stay unreported.
+     * @param {number} [opts.summaryIntervalMs=5000] - How often dropped-message summaries are sent.
+     * @param {P2pMessageHelper} [opts.helper] - Builds the summary and repeat messages.
+     * @param {function():number} [opts.now=() => Date.now()] - Clock used by the token buckets.
+     * @param {function():number} [opts.random=Math.random] - Random source used for sampling.
+     */
+    constructor(opts?: {
+        levels?: {
+            [x: string]: RateLimit;
+        };
+        namespaces?: {
+            [x: string]: RateLimit;
+        };
+        sampling?: {
+            [x: string]: number;
+        };
+        collapseRepeats?: boolean;
+        repeatFlushMs?: number;
+        summaryIntervalMs?: number;
+        helper?: P2pMessageHelper;
+        now?: () => number;
+        random?: () => number;
+    });
+    levelLimits: {
+        [x: string]: RateLimit;
+    };
+    namespaceLimits: {
+        [x: string]: RateLimit;
+    };
+    sampling: {
+        [x: string]: number;
+    };
+    collapseRepeats: boolean;
+    repeatFlushMs: number;
+    summaryIntervalMs: number;
+    helper: P2pMessageHelper;
+    now: () => number;
+    random: () => number;
+    /**
+     * Buckets by "level:<name>" / "namespace:<name>", created on first use.
+     * @type {Map<string, TokenBucket>}
+     * @private
+     */
+    private buckets;
+    /**
+     * Drops since the last summary, by "level|namespace|reason".
+     * @type {Map<string, DropCount>}
+     * @private
+     */
+    private drops;
+    /**
+     * The last message sent and how many identical ones followed it unreported.
+     * @type {{key: string, message: Object, count: number}|null}
+     * @private
+     */
+    private lastRun;
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    private summaryTimer;
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    private repeatTimer;
+    /**
+     * Register a handler for messages that passed the policy (including summaries).
+     *
+     * @param {function(Object):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onMessage(handler: (arg0: any) => void): () => void;
+    /**
+     * Run a message through the policy.
+     *
+     * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+     * @returns {boolean} True if the message was sent, false if it was collapsed or dropped.
+     */
+    push(message: import("./p2p-message-helper.js").ConsoleMessage): boolean;
+    /**
+     * What makes two messages "identical" for collapsing.
+     *
+     * @private
+     * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+     * @returns {string}
+     */
+    private repeatKey;
+    /**
+     * Why a message should be dropped, or null to send it.
+     *
+     * @private
+     * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+     * @returns {'rate-limit'|'sampled'|null}
+     */
+    private dropReason;
+    /**
+     * Bucket for a level/namespace, or null when it isn't limited.
+     *
+     * @private
+     * @param {string} kind
+     * @param {string} name
+     * @param {Object<string, RateLimit>} limits
+     * @returns {TokenBucket|null}
+     */
+    private bucket;
+    /**
+     * Count a dropped message and make sure a summary is scheduled.
+     *
+     * @private
+     * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+     * @param {'rate-limit'|'sampled'} reason
+     */
+    private recordDrop;
+    /**
+     * Report the current run of repeats (if any) as a "repeated N times" message.
+     */
+    flushRepeats(): void;
+    /**
+     * Send a warning describing everything dropped since the last summary.
+     */
+    flushSummary(): void;
+    /**
+     * Report pending repeats and drops now and stop the timers.
+     */
+    close(): void;
+}
+/**
+ * Token bucket settings.
+ */
+export type RateLimit = {
+    /**
+     * - Tokens added per second (sustained messages per second).
+     */
+    rate: number;
+    /**
+     * - Bucket capacity (defaults to `rate`).
+     */
+    burst?: number;
+};
+/**
+ * One line of a dropped-messages summary.
+ */
+export type DropCount = {
+    level: import("./p2p-message-helper.js").ConsoleLevel;
+    namespace: string | null;
+    reason: "rate-limit" | "sampled";
+    count: number;
+};
+/**
+ * Handler arguments of each LogPolicy event (see EventEmitter).
+ */
+export type LogPolicyEvents = {
+    message: [any];
+};
+import { EventEmitter } from "./event-emitter.js";
+import { P2pMessageHelper } from "./p2p-message-helper.js";
@@ -0,0 +1,543 @@
+/**
+ * LoopbackDataChannel
+ *
+ * In-memory RTCDataChannel created by a LoopbackPeerConnection. Delivery is always
+ * reliable and in order, whatever `ordered`/`maxRetransmits` say; `bufferedAmount`
+ * counts bytes not yet delivered, and frames above the network's `maxMessageSize`
+ * are refused like on a real SCTP transport.
+ */
+export class LoopbackDataChannel extends EventTarget {
+    /**
+     * @param {LoopbackPeerConnection} connection - Owning connection.
+     * @param {string} label
+     * @param {RTCDataChannelInit} [init]
+     */
+    constructor(connection: LoopbackPeerConnection, label: string, init?: RTCDataChannelInit);
+    /** @type {LoopbackPeerConnection} @private */
+    private connection;
+    /** @type {string} */
+    label: string;
+    /** @type {boolean} */
+    negotiated: boolean;
+    /**
+     * Stream id: given for pre-negotiated channels, assigned once announced otherwise.
+     * @type {number|null}
+     */
+    id: number | null;
+    /** @type {boolean} */
+    ordered: boolean;
+    /** @type {number|null} */
+    maxRetransmits: number | null;
+    /** @type {number|null} */
+    maxPacketLifeTime: number | null;
+    /** @type {string} */
+    protocol: string;
+    /** @type {RTCDataChannelState} */
+    readyState: RTCDataChannelState;
+    /** @type {BinaryType} */
+    binaryType: BinaryType;
+    /** @type {number} */
+    bufferedAmount: number;
+    /** @type {number} */
+    bufferedAmountLowThreshold: number;
+    /** @type {((event: Event) => void)|null} */
+    onopen: ((event: Event) => void) | null;
+    /** @type {((event: MessageEvent) => void)|null} */
+    onmessage: ((event: MessageEvent) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onclose: ((event: Event) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onerror: ((event: Event) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onbufferedamountlow: ((event: Event) => void) | null;
+    /**
+     * The channel at the other end (null until paired).
+     * @type {LoopbackDataChannel|null}
+     * @private
+     */
+    private remote;
+    /** @type {{messagesSent: number, bytesSent: number, messagesReceived: number, bytesReceived: number}} @private */
+    private counters;
+    /**
+     * Queue a message for the other end.
+     *
+     * @param {string|ArrayBuffer|ArrayBufferView} data
+     * @throws {DOMException} If the channel is not open.
+     * @throws {TypeError} If the payload is of an unsupported type or too large.
+     */
+    send(data: string | ArrayBuffer | ArrayBufferView): void;
+    /**
+     * Close both ends.
+     */
+    close(): void;
+    /**
+     * @private
+     */
+    private open;
+    /**
+     * @private
+     * @param {string|ArrayBuffer} payload
+     * @param {number} size
+     */
+    private receive;
+    /**
+     * @private
+     */
+    private finishClose;
+}
+/**
+ * LoopbackPeerConnection
+ *
+ * In-memory RTCPeerConnection. Session descriptions and candidates only name the
+ * connection that produced them, so they must still travel through signaling like
+ * real ones: two connections link up once each has applied the other's description
+ * (offer/answer, including rollback on glare) and a candidate of its current ICE
+ * generation. `createOffer({ iceRestart: true })` starts a new generation, which is
+ * how an interrupted link (see `LoopbackNetwork#interrupt`) comes back. Descriptions
+ * carry a random DTLS fingerprint per connection, so pairing codes work as well.
+ *
+ * Created through `LoopbackNetwork#createPeerConnection`.
+ */
+export class LoopbackPeerConnection extends EventTarget {
+    /**
+     * @param {LoopbackNetwork} network
+     * @param {RTCConfiguration} [config]
+     */
+    constructor(network: LoopbackNetwork, config?: RTCConfiguration);
+    /** @type {LoopbackNetwork} */
+    network: LoopbackNetwork;
+    /** @type {RTCConfiguration} */
+    config: RTCConfiguration;
+    /**
+     * Identifies this connection in its descriptions and candidates.
+     * @type {string}
+     */
+    id: string;
+    /**
+     * Fingerprint of this connection's (imaginary) DTLS certificate, announced in
+     * every description it creates.
+     * @type {string}
+     */
+    fingerprint: string;
+    /** @type {RTCSignalingState} */
+    signalingState: RTCSignalingState;
+    /** @type {RTCPeerConnectionState} */
+    connectionState: RTCPeerConnectionState;
+    /** @type {RTCIceConnectionState} */
+    iceConnectionState: RTCIceConnectionState;
+    /** @type {RTCSessionDescriptionInit|null} */
+    localDescription: RTCSessionDescriptionInit | null;
+    /** @type {RTCSessionDescriptionInit|null} */
+    remoteDescription: RTCSessionDescriptionInit | null;
+    /**
+     * Available once a description exchange set up the data channel transport.
+     * @type {{maxMessageSize: number}|null}
+     */
+    sctp: {
+        maxMessageSize: number;
+    } | null;
+    /** @type {((event: Event & {candidate: RTCIceCandidateInit|null}) => void)|null} */
+    onicecandidate: ((event: Event & {
+        candidate: RTCIceCandidateInit | null;
+    }) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onconnectionstatechange: ((event: Event) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    oniceconnectionstatechange: ((event: Event) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onsignalingstatechange: ((event: Event) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onnegotiationneeded: ((event: Event) => void) | null;
+    /** @type {((event: Event & {channel: LoopbackDataChannel}) => void)|null} */
+    ondatachannel: ((event: Event & {
+        channel: LoopbackDataChannel;
+    }) => void) | null;
+    /** @type {Array<LoopbackDataChannel>} @private */
+    private channels;
+    /**
+     * ICE generation of the next local description; bumped by ICE restarts.
+     * @type {number}
+     * @private
+     */
+    private iceGeneration;
+    /** @type {number} @private */
+    private localGeneration;
+    /** @type {number} @private */
+    private gatheredGeneration;
+    /** @type {{id: string, generation: number}|null} @private */
+    private remoteInfo;
+    /** @type {number} @private */
+    private remoteCandidateGeneration;
+    /**
+     * Local description of the last completed exchange, restored by a rollback.
+     * @type {RTCSessionDescriptionInit|null}
+     * @private
+     */
+    private stableLocalDescription;
+    /** @type {boolean} @private */
+    private negotiationQueued;
+    /**
+     * The connection at the other end (null until linked).
+     * @type {LoopbackPeerConnection|null}
+     * @private
+     */
+    private peer;
+    /** @type {boolean} @private */
+    private linkUp;
+    /**
+     * Deliveries held while the link is down, flushed when it comes back.
+     * @type {Array<function():void>}
+     * @private
+     */
+    private held;
+    /**
+     * @param {RTCOfferOptions} [options]
+     * @returns {Promise<RTCSessionDescriptionInit>}
+     */
+    createOffer(options?: RTCOfferOptions): Promise<RTCSessionDescriptionInit>;
+    /**
+     * @returns {Promise<RTCSessionDescriptionInit>}
+     */
+    createAnswer(): Promise<RTCSessionDescriptionInit>;
+    /**
+     * @param {RTCSessionDescriptionInit} [description] - Omitted: an offer or answer, whichever fits.
+     * @returns {Promise<void>}
+     */
+    setLocalDescription(description?: RTCSessionDescriptionInit): Promise<void>;
+    /**
+     * Apply the other side's description. A remote offer arriving while ours is pending
+     * rolls ours back, as in perfect negotiation.
+     *
+     * @param {RTCSessionDescriptionInit} description
+     * @returns {Promise<void>}
+     */
+    setRemoteDescription(description: RTCSessionDescriptionInit): Promise<void>;
+    /**
+     * @param {RTCIceCandidateInit|null} [candidate] - Empty or null marks the end of candidates.
+     * @returns {Promise<void>}
+     */
+    addIceCandidate(candidate?: RTCIceCandidateInit | null): Promise<void>;
+    /**
+     * @param {string} label
+     * @param {RTCDataChannelInit} [init]
+     * @returns {LoopbackDataChannel}
+     */
+    createDataChannel(label: string, init?: RTCDataChannelInit): LoopbackDataChannel;
+    /**
+     * Stats in the shape StatsSampler reads: one entry per data channel and, while
+     * linked, the selected candidate pair with an RTT of twice the network latency.
+     *
+     * @returns {Promise<Map<string, Object>>}
+     */
+    getStats(): Promise<Map<string, any>>;
+    /**
+     * Close the connection. Local channels close silently; the other end sees its
+     * channels close and the connection drop to "disconnected".
+     */
+    close(): void;
+    /**
+     * Send a delivery over the link, or hold it while the link is down.
+     *
+     * @private
+     * @param {function():void} delivery
+     */
+    private transmit;
+    /**
+     * Bring the link down without closing anything (see `LoopbackNetwork#interrupt`).
+     *
+     * @private
+     */
+    private interrupt;
+    /**
+     * @private
+     * @returns {string}
+     */
+    private describe;
+    /**
+     * @private
+     */
+    private assertNotClosed;
+    /**
+     * @private
+     * @param {RTCSignalingState} state
+     */
+    private setSignalingState;
+    /**
+     * @private
+     * @param {RTCPeerConnectionState} state
+     */
+    private setConnectionState;
+    /**
+     * An offer/answer exchange finished.
+     *
+     * @private
+     */
+    private completeNegotiation;
+    /**
+     * Announce one local candidate per ICE generation, then the end of candidates.
+     *
+     * @private
+     */
+    private gatherCandidates;
+    /**
+     * Fire negotiationneeded once the current operations settle, unless a description
+     * exchange has set up the transport in the meantime.
+     *
+     * @private
+     */
+    private queueNegotiationNeeded;
+    /**
+     * Whether this side has everything it needs to (re)establish the link.
+     *
+     * @private
+     * @returns {boolean}
+     */
+    private isReady;
+    /**
+     * Link up with the other side once both are ready for the same ICE generations.
+     *
+     * @private
+     */
+    private tryConnect;
+    /**
+     * @private
+     * @param {LoopbackPeerConnection} peer
+     */
+    private linkWith;
+    /**
+     * Pair up the channels of both sides and open them: pre-negotiated ones by id,
+     * in-band ones by announcing them to the other side (datachannel event).
+     *
+     * @private
+     */
+    private pairChannels;
+    /**
+     * Lowest stream id not used by either side.
+     *
+     * @private
+     * @returns {number}
+     */
+    private nextStreamId;
+    /**
+     * @private
+     * @param {LoopbackPeerConnection} peer
+     */
+    private handlePeerClosed;
+}
+/**
+ * LoopbackNetwork
+ *
+ * Creates LoopbackPeerConnections that can reach each other, for running the full
+ * offer/answer/ICE/data channel flow without a browser. Everything crosses the
+ * "network" asynchronously after `latencyMs`.
+ *
+ * Usage:
+ * const network = new LoopbackNetwork();
+ * const a = new P2PConnection({ peerConnectionFactory: (config) => network.createPeerConnection(config) });
+ * const b = new P2PConnection({ peerConnectionFactory: (config) => network.createPeerConnection(config), polite: false });
+ * // wire a's offer/candidates to b and b's answer/candidates to a, then a.initiate()
+ */
+export class LoopbackNetwork {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.latencyMs=0] - One-way delay of every delivery.
+     * @param {number} [opts.maxMessageSize=262144] - Largest data channel message, advertised as `sctp.maxMessageSize`.
+     */
+    constructor(opts?: {
+        latencyMs?: number;
+        maxMessageSize?: number;
+    });
+    /** @type {number} */
+    latencyMs: number;
+    /** @type {number} */
+    maxMessageSize: number;
+    /**
+     * Open connections by id.
+     * @type {Map<string, LoopbackPeerConnection>}
+     * @private
+     */
+    private connections;
+    /** @type {number} @private */
+    private nextId;
+    /**
+     * Create a connection on this network; usable as a `peerConnectionFactory`.
+     *
+     * @param {RTCConfiguration} [config]
+     * @returns {LoopbackPeerConnection}
+     */
+    createPeerConnection(config?: RTCConfiguration): LoopbackPeerConnection;
+    /**
+     * Simulate a network outage between a connection and the one it is linked to: both
+     * go "disconnected", their channels stay open and messages wait until an ICE restart
+     * links them up again.
+     *
+     * @param {LoopbackPeerConnection} connection
+     */
+    interrupt(connection: LoopbackPeerConnection): void;
+    /**
+     * @private
+     * @param {LoopbackPeerConnection} connection
+     * @returns {string} The connection's id.
+     */
+    private register;
+    /**
+     * @private
+     * @param {LoopbackPeerConnection} connection
+     */
+    private unregister;
+    /**
+     * @private
+     * @param {string} id
+     * @returns {LoopbackPeerConnection|undefined}
+     */
+    private lookup;
+    /**
+     * @private
+     * @param {function():void} delivery
+     */
+    private deliver;
+}
+/**
+ * LoopbackWebSocket
+ *
+ * In-memory WebSocket connected to a LoopbackSignalingHub. Created through
+ * `LoopbackSignalingHub#createWebSocket`.
+ */
+export class LoopbackWebSocket extends EventTarget {
+    /**
+     * @param {LoopbackSignalingHub} hub
+     * @param {string} url - Kept for reference; every socket reaches the same hub.
+     */
+    constructor(hub: LoopbackSignalingHub, url: string);
+    /** @type {LoopbackSignalingHub} @private */
+    private hub;
+    /** @type {string} */
+    url: string;
+    /** @type {number} */
+    readyState: number;
+    /**
+     * Id the hub assigned to this socket.
+     * @type {string|null}
+     */
+    id: string | null;
+    /** @type {((event: Event) => void)|null} */
+    onopen: ((event: Event) => void) | null;
+    /** @type {((event: MessageEvent) => void)|null} */
+    onmessage: ((event: MessageEvent) => void) | null;
+    /** @type {((event: Event & {code: number, reason: string, wasClean: boolean}) => void)|null} */
+    onclose: ((event: Event & {
+        code: number;
+        reason: string;
+        wasClean: boolean;
+    }) => void) | null;
+    /** @type {((event: Event) => void)|null} */
+    onerror: ((event: Event) => void) | null;
+    /**
+     * @param {string} data
+     * @throws {DOMException} While still connecting.
+     */
+    send(data: string): void;
+    /**
+     * @param {number} [code=1000]
+     * @param {string} [reason=""]
+     */
+    close(code?: number, reason?: string): void;
+    /**
+     * @private
+     */
+    private open;
+    /**
+     * @private
+     * @param {string} data
+     */
+    private receive;
+    /**
+     * @private
+     * @param {number} code
+     * @param {string} reason
+     * @param {boolean} wasClean
+     */
+    private finishClose;
+}
+/**
+ * LoopbackSignalingHub
+ *
+ * In-memory stand-in for the signaling server (examples/server.cjs), with the same
+ * protocol: each socket is sent `{ type: "id", id }` when it connects, messages with a
+ * `to` field are forwarded to that client with `from` added (or answered with a
+ * `target-unavailable` error), others are broadcast, and a leaving client is
+ * announced with `{ type: "peer-left", id }`.
+ *
+ * Usage:
+ * const hub = new LoopbackSignalingHub();
+ * const client = new P2PSignalingClient("ws://loopback", {
+ *   webSocketFactory: (url) => hub.createWebSocket(url),
+ *   peerConnectionFactory: (config) => network.createPeerConnection(config),
+ * });
+ */
+export class LoopbackSignalingHub {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.latencyMs=0] - Delay of every delivery.
+     */
+    constructor(opts?: {
+        latencyMs?: number;
+    });
+    /** @type {number} */
+    latencyMs: number;
+    /**
+     * Connected sockets by assigned id.
+     * @type {Map<string, LoopbackWebSocket>}
+     * @private
+     */
+    private clients;
+    /** @type {number} @private */
+    private nextId;
+    /**
+     * Open a socket to the hub; usable as a `webSocketFactory`.
+     *
+     * @param {string} [url]
+     * @returns {LoopbackWebSocket}
+     */
+    createWebSocket(url?: string): LoopbackWebSocket;
+    /**
+     * Ids of the connected clients (what the server's /status reports).
+     *
+     * @returns {Array<string>}
+     */
+    peerIds(): Array<string>;
+    /**
+     * Drop a client as if its connection broke: it gets an unclean close (1006) and the
+     * others a `peer-left`.
+     *
+     * @param {string} id
+     */
+    disconnect(id: string): void;
+    /**
+     * @private
+     * @param {LoopbackWebSocket} socket
+     */
+    private join;
+    /**
+     * @private
+     * @param {LoopbackWebSocket} socket
+     */
+    private leave;
+    /**
+     * @private
+     * @param {LoopbackWebSocket} socket
+     * @param {string} raw
+     */
+    private route;
+    /**
+     * @private
+     * @param {string} message
+     * @param {string|null} exceptId
+     */
+    private broadcast;
+    /**
+     * @private
+     * @param {function():void} delivery
+     */
+    private deliver;
+}
@@ -0,0 +1,162 @@
+/**
+ * MessageChunker
+ *
+ * Splits messages larger than the data channel's `maxMessageSize` into sequenced
+ * binary chunk frames and reassembles them on the receiving side, so callers of
+ * `P2PConnection.send` / `onMessage` never see the fragmentation.
+ *
+ * Strings are sent as UTF-8 and come back as strings; binary payloads come back as
+ * an ArrayBuffer. Partial messages are dropped after `reassemblyTimeoutMs` without a
+ * new chunk, or when accepting them would exceed `maxPendingBytes`.
+ */
+export class MessageChunker {
+    /**
+     * Whether incoming data is a chunk frame.
+     *
+     * @param {*} data
+     * @returns {boolean}
+     */
+    static isChunk(data: any): boolean;
+    /**
+     * Create a MessageChunker.
+     *
+     * @param {Object} [opts]
+     * @param {number} [opts.reassemblyTimeoutMs=30000] - Drop a partial message after this long without a chunk.
+     * @param {number} [opts.maxPendingBytes=33554432] - Upper bound on bytes held for partial messages.
+     * @param {Logger} [opts.logger] - Receives warnings about dropped partial messages.
+     */
+    constructor(opts?: {
+        reassemblyTimeoutMs?: number;
+        maxPendingBytes?: number;
+        logger?: Logger;
+    });
+    /** @type {number} */
+    reassemblyTimeoutMs: number;
+    /** @type {number} */
+    maxPendingBytes: number;
+    /** @type {Logger} */
+    logger: Logger;
+    /**
+     * Partial messages by id.
+     * @type {Map<string, PendingMessage>}
+     * @private
+     */
+    private pending;
+    /**
+     * Bytes allocated for partial messages.
+     * @type {number}
+     */
+    pendingBytes: number;
+    /**
+     * Ids of messages dropped for size; their remaining chunks are ignored quietly.
+     * Forgotten after the last chunk, or `reassemblyTimeoutMs` without one.
+     * @type {Map<string, ReturnType<typeof setTimeout>>}
+     * @private
+     */
+    private rejected;
+    /** @private */
+    private idPrefix;
+    /** @private */
+    private nextId;
+    /**
+     * Split a message into frames no larger than `maxBytes`.
+     *
+     * Messages that already fit are returned unchanged as the only frame, except binary
+     * ones that start like a chunk frame: those are wrapped in chunks so the receiver
+     * doesn't mistake them for one.
+     *
+     * @param {string|ArrayBuffer|ArrayBufferView} data
+     * @param {number} maxBytes - Largest frame the channel accepts.
+     * @returns {Array<string|ArrayBuffer|ArrayBufferView>}
+     */
+    split(data: string | ArrayBuffer | ArrayBufferView, maxBytes: number): Array<string | ArrayBuffer | ArrayBufferView>;
+    /**
+     * Build a chunk frame: magic, uint16 header length, JSON header, payload.
+     *
+     * @private
+     * @param {ChunkHeader} header
+     * @param {Uint8Array} payload
+     * @returns {Uint8Array}
+     */
+    private encodeFrame;
+    /**
+     * Feed incoming data through reassembly.
+     *
+     * @param {*} data - Raw data from the channel.
+     * @returns {*} The data itself when it isn't a chunk, the reassembled message once
+     *   its last chunk arrives, or null while chunks are outstanding (or were dropped).
+     */
+    accept(data: any): any;
+    /**
+     * Ignore the remaining chunks of a dropped message until the last one arrives or
+     * none did for `reassemblyTimeoutMs` (it may be lost, or overtaken on an unordered channel).
+     *
+     * @private
+     * @param {string} id
+     */
+    private reject;
+    /**
+     * Stop ignoring chunks of a dropped message.
+     *
+     * @private
+     * @param {string} id
+     */
+    private forgetRejected;
+    /**
+     * Forget a partial message and release its memory.
+     *
+     * @private
+     * @param {string} id
+     */
+    private discard;
+    /**
+     * Drop every partial message (e.g. when the channel closes).
+     */
+    clear(): void;
+}
+/**
+ * Header carried by every chunk frame.
+ */
+export type ChunkHeader = {
+    /**
+     * - Id shared by all chunks of one message.
+     */
+    id: string;
+    /**
+     * - Chunk index, from 0.
+     */
+    seq: number;
+    /**
+     * - Number of chunks.
+     */
+    total: number;
+    /**
+     * - Byte length of the whole message.
+     */
+    size: number;
+    /**
+     * - Byte offset of this chunk's payload.
+     */
+    offset: number;
+    /**
+     * - True when the message was a string (UTF-8 encoded for transport).
+     */
+    text: boolean;
+};
+/**
+ * A message being reassembled.
+ */
+export type PendingMessage = {
+    bytes: Uint8Array;
+    /**
+     * - Chunks received so far.
+     */
+    received: number;
+    total: number;
+    text: boolean;
+    /**
+     * - Inactivity timeout.
+     */
+    timer: ReturnType<typeof setTimeout>;
+};
+import { Logger } from "./utils/logger.js";
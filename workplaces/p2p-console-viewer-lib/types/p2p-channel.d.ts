@@ -0,0 +1,215 @@
+/**
+ * Settings of a named data channel.
+ * @typedef {Object} ChannelConfig
+ * @property {string} label - Name the receiving side routes by.
+ * @property {boolean} [ordered=true] - Deliver messages in the order they were sent.
+ * @property {number} [maxRetransmits] - Best effort: give up on a message after this many retransmissions.
+ * @property {number} [maxPacketLifeTime] - Best effort: give up on a message after this many milliseconds.
+ * @property {number} [id] - Pre-negotiate the channel with this stream id instead of announcing it in-band;
+ *   both peers must declare it with the same id. Id 0 is taken by the connection's main channel.
+ * @property {string} [protocol] - Sub-protocol name reported to the remote side.
+ */
+/**
+ * Turn a message into what a data channel can send: strings and binary as they are,
+ * anything else as JSON.
+ *
+ * @param {string|Object|ArrayBuffer|ArrayBufferView} message
+ * @returns {string|ArrayBuffer|ArrayBufferView}
+ */
+export function serializeMessage(message: string | any | ArrayBuffer | ArrayBufferView): string | ArrayBuffer | ArrayBufferView;
+/**
+ * Whether a message is a Blob (or File), which has to be read before it can be chunked.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isBlob(message: any): boolean;
+/**
+ * Where `sendOverChannel` sends: a data channel with its chunker, on a connection.
+ * @typedef {Object} ChannelTarget
+ * @property {function():(RTCDataChannel|null)} channel - Current channel; read again after a Blob was read,
+ *   as the channel may have been replaced meanwhile.
+ * @property {MessageChunker} chunker
+ * @property {import("./p2p-connection.js").P2PConnection} connection - Provides the logger, the frame size limit
+ *   and the negotiated features.
+ * @property {string} name - How log messages refer to the channel.
+ */
+/**
+ * Send a message on a data channel, split into frames no larger than the connection
+ * allows. Shared by the main channel (`P2PConnection#send`) and named channels.
+ *
+ * Blobs are read first and sent asynchronously, so messages sent meanwhile go out
+ * before them.
+ *
+ * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message
+ * @param {ChannelTarget} target
+ * @returns {boolean} True if the message was handed to the channel.
+ */
+export function sendOverChannel(message: string | any | ArrayBuffer | ArrayBufferView | Blob, target: ChannelTarget): boolean;
+/**
+ * Handler arguments of each P2PChannel event (see EventEmitter).
+ * @typedef {Object} P2PChannelEvents
+ * @property {[string|ArrayBuffer]} message
+ * @property {[]} open
+ * @property {[]} close
+ */
+/**
+ * P2PChannel
+ *
+ * One named data channel of a P2PConnection, besides the connection's main channel.
+ * It survives renegotiation and reconnection: handlers registered on it stay in place
+ * while the underlying RTCDataChannel is replaced.
+ *
+ * Usage:
+ * const p2p = new P2PConnection({ channels: [{ label: "debug", ordered: false, maxRetransmits: 0 }] });
+ * p2p.channel("debug").onMessage((data) => { ... });
+ * p2p.channel("debug").send({ text: "cheap to lose" });
+ *
+ * @extends {EventEmitter<P2PChannelEvents>}
+ */
+export class P2PChannel extends EventEmitter<P2PChannelEvents> {
+    /**
+     * @param {ChannelConfig} config
+     * @param {import("./p2p-connection.js").P2PConnection} connection - Owner; provides the logger, frame size limit and negotiated features.
+     * @param {Object} [chunkerOptions] - Passed to this channel's MessageChunker.
+     */
+    constructor(config: ChannelConfig, connection: import("./p2p-connection.js").P2PConnection, chunkerOptions?: any);
+    /** @type {string} */
+    label: string;
+    /** @type {ChannelConfig} */
+    config: ChannelConfig;
+    /**
+     * @type {import("./p2p-connection.js").P2PConnection}
+     * @private
+     */
+    private connection;
+    /**
+     * The underlying channel (null until opened or received).
+     * @type {RTCDataChannel|null}
+     */
+    channel: RTCDataChannel | null;
+    /**
+     * @type {MessageChunker}
+     * @private
+     */
+    private chunker;
+    /**
+     * `RTCDataChannelInit` for this channel's config.
+     *
+     * @returns {RTCDataChannelInit}
+     */
+    toChannelInit(): RTCDataChannelInit;
+    /**
+     * Whether the channel is announced in-band rather than pre-negotiated.
+     *
+     * @returns {boolean}
+     */
+    isInBand(): boolean;
+    /**
+     * Take over an RTCDataChannel (created locally or received from the peer).
+     *
+     * @param {RTCDataChannel} channel
+     */
+    attach(channel: RTCDataChannel): void;
+    /**
+     * Send a message on this channel; large messages are chunked like on the main channel.
+     *
+     * On a best-effort channel a message is lost when any of its chunks is. Blobs are
+     * read first and sent asynchronously, so messages sent meanwhile go out before them.
+     *
+     * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message
+     * @returns {boolean} True if the message was handed to the channel.
+     */
+    send(message: string | any | ArrayBuffer | ArrayBufferView | Blob): boolean;
+    /**
+     * Whether the channel is open.
+     *
+     * @returns {boolean}
+     */
+    isOpen(): boolean;
+    /**
+     * Register a message handler.
+     *
+     * @param {function(string|ArrayBuffer):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onMessage(handler: (arg0: string | ArrayBuffer) => void): () => void;
+    /**
+     * Register a handler for the channel opening (again, after a renegotiation).
+     *
+     * @param {function():void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onOpen(handler: () => void): () => void;
+    /**
+     * Register a handler for the channel closing.
+     *
+     * @param {function():void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onClose(handler: () => void): () => void;
+    /**
+     * Close the underlying channel without firing close handlers; registered handlers stay.
+     */
+    detach(): void;
+}
+/**
+ * Settings of a named data channel.
+ */
+export type ChannelConfig = {
+    /**
+     * - Name the receiving side routes by.
+     */
+    label: string;
+    /**
+     * - Deliver messages in the order they were sent.
+     */
+    ordered?: boolean;
+    /**
+     * - Best effort: give up on a message after this many retransmissions.
+     */
+    maxRetransmits?: number;
+    /**
+     * - Best effort: give up on a message after this many milliseconds.
+     */
+    maxPacketLifeTime?: number;
+    /**
+     * - Pre-negotiate the channel with this stream id instead of announcing it in-band;
+     * both peers must declare it with the same id. Id 0 is taken by the connection's main channel.
+     */
+    id?: number;
+    /**
+     * - Sub-protocol name reported to the remote side.
+     */
+    protocol?: string;
+};
+/**
+ * Where `sendOverChannel` sends: a data channel with its chunker, on a connection.
+ */
+export type ChannelTarget = {
+    /**
+     * - Current channel; read again after a Blob was read,
+     * as the channel may have been replaced meanwhile.
+     */
+    channel: () => (RTCDataChannel | null);
+    chunker: MessageChunker;
+    /**
+     * - Provides the logger, the frame size limit
+     * and the negotiated features.
+     */
+    connection: import("./p2p-connection.js").P2PConnection;
+    /**
+     * - How log messages refer to the channel.
+     */
+    name: string;
+};
+/**
+ * Handler arguments of each P2PChannel event (see EventEmitter).
+ */
+export type P2PChannelEvents = {
+    message: [string | ArrayBuffer];
+    open: [];
+    close: [];
+};
+import { EventEmitter } from "./event-emitter.js";
+import { MessageChunker } from "./message-chunker.js";
@@ -1,20 +1,110 @@
+/**
+ * Where connection recovery stands.
+ * @typedef {'idle'|'waiting'|'restarting-ice'|'renegotiating'|'gave-up'} RecoveryState
+ */
+/**
+ * Payload of a reconnecting event.
+ * @typedef {Object} ReconnectAttempt
+ * @property {number} attempt - 0 while waiting out a transient disconnect, then 1, 2, ...
+ * @property {'wait'|'ice-restart'|'renegotiate'} method
+ * @property {number} delayMs - How long until the next step if this one doesn't help.
+ */
+/**
+ * Handler arguments of each P2PConnection event (see EventEmitter).
+ * @typedef {Object} P2PConnectionEvents
+ * @property {[string|Object]} message
+ * @property {[]} connected
+ * @property {[]} disconnected
+ * @property {[RTCIceCandidate]} iceCandidate
+ * @property {[RTCSessionDescriptionInit]} offer
+ * @property {[RTCSessionDescriptionInit]} answer
+ * @property {[RTCDataChannel]} dataChannel
+ * @property {[]} channelOpen
+ * @property {[import("./protocol.js").NegotiatedProtocol]} protocolReady
+ * @property {[ProtocolError]} protocolError
+ * @property {[ReconnectAttempt]} reconnecting
+ * @property {[{attempts: number}]} reconnected
+ * @property {[{attempts: number}]} gaveUp
+ * @property {[]} closedByPeer
+ */
 /**
  * Simple WebRTC P2P Connection
  * Handles peer-to-peer connections with data channel for messaging
+ *
+ * @extends {EventEmitter<P2PConnectionEvents>}
  */
-export class P2PConnection {
+export class P2PConnection extends EventEmitter<P2PConnectionEvents> {
     /**
      * Create a new P2PConnection.
      *
      * @param {Object} [config={}] - Optional RTCPeerConnection configuration.
      * @param {Array<Object>} [config.iceServers] - STUN/TURN servers configuration.
+     * @param {Logger} [config.logger] - Logger for connection diagnostics (silent by default).
+     * @param {function(RTCConfiguration):RTCPeerConnection} [config.peerConnectionFactory] - Creates each
+     *   RTCPeerConnection; defaults to the global one. Inject e.g. `LoopbackNetwork#createPeerConnection` to run
+     *   without WebRTC.
+     * @param {boolean} [config.polite=true] - Perfect negotiation role: on colliding offers the polite side
+     *   yields to the remote offer, the impolite side ignores it. The two peers must disagree.
+     * @param {number} [config.maxChunkBytes=65536] - Messages above this (or the channel's `maxMessageSize`, if lower) are sent in chunks.
+     * @param {number} [config.reassemblyTimeoutMs=30000] - Drop a partially received message after this long without a chunk.
+     * @param {number} [config.maxReassemblyBytes=33554432] - Memory cap for partially received messages.
+     * @param {Array<import("./p2p-channel.js").ChannelConfig>} [config.channels] - Named data channels besides the main one,
+     *   e.g. a best-effort channel for verbose logs. Pre-negotiated ones (with `id`) are opened by both peers,
+     *   in-band ones by the impolite peer; declare the same channels on both sides.
+     * @param {boolean|Object} [config.reconnect=true] - Recover dropped connections; `false` disables it.
+     * @param {number} [config.reconnect.disconnectGraceMs=3000] - How long a "disconnected" state may last before recovery starts.
+     * @param {number} [config.reconnect.iceRestartAttempts=2] - Attempts made with an ICE restart before falling back to a full renegotiation.
+     * @param {number} [config.reconnect.maxAttempts=6] - Attempts before giving up.
+     * @param {number} [config.reconnect.backoffMs=1000] - Wait after the first attempt, doubled after each further one.
+     * @param {number} [config.reconnect.maxBackoffMs=30000] - Upper bound of the wait between attempts.
      */
     constructor(config?: {
         iceServers?: Array<any>;
+        logger?: Logger;
+        peerConnectionFactory?: (arg0: RTCConfiguration) => RTCPeerConnection;
+        polite?: boolean;
+        maxChunkBytes?: number;
+        reassemblyTimeoutMs?: number;
+        maxReassemblyBytes?: number;
+        channels?: Array<import("./p2p-channel.js").ChannelConfig>;
+        reconnect?: boolean | any;
     });
     config: {
         iceServers: any[];
     };
+    /**
+     * Where negotiation, ICE, data channel and handshake messages go.
+     * @type {Logger}
+     */
+    logger: Logger;
+    /**
+     * Creates the RTCPeerConnection whenever a new one is needed.
+     * @type {function(RTCConfiguration):RTCPeerConnection}
+     * @private
+     */
+    private peerConnectionFactory;
+    /**
+     * Largest frame handed to the data channel before chunking kicks in.
+     * @type {number}
+     */
+    maxChunkBytes: number;
+    /**
+     * Splits oversized outgoing messages and reassembles incoming chunks.
+     * @type {MessageChunker}
+     * @private
+     */
+    private chunker;
+    /**
+     * Reassembly limits for the named channels' chunkers.
+     * @type {Object}
+     * @private
+     */
+    private chunkerOptions;
+    /**
+     * Named data channels by label (the main channel is not included).
+     * @type {Map<string, P2PChannel>}
+     */
+    channels: Map<string, P2PChannel>;
     /**
      * @type {RTCPeerConnection|null}
      * @private
@@ -25,48 +115,114 @@ export class P2PConnection {
      * @private
      */
     private dataChannel;
+    /**
+     * Version and features agreed in the hello exchange (null until it completes).
+     * @type {import("./protocol.js").NegotiatedProtocol|null}
+     */
+    protocol: import("./protocol.js").NegotiatedProtocol | null;
+    /**
+     * The `hello` this side sent on the current channel.
+     * @type {import("./protocol.js").HelloBody|null}
+     * @private
+     */
+    private localHello;
     /**
      * Whether this side created the offer (true if initiator).
      * @type {boolean}
      */
     isInitiator: boolean;
-    /** @type {Array<function(string|Object):void>} */
-    onMessageHandlers: Array<(arg0: string | any) => void>;
-    /** @type {Array<function():void>} */
-    onConnectedHandlers: Array<() => void>;
-    /** @type {Array<function():void>} */
-    onDisconnectedHandlers: Array<() => void>;
-    /** @type {Array<function(RTCIceCandidate):void>} */
-    onIceCandidateHandlers: Array<(arg0: RTCIceCandidate) => void>;
-    /** @type {Array<function(RTCSessionDescriptionInit):void>} */
-    onOfferHandlers: Array<(arg0: RTCSessionDescriptionInit) => void>;
-    /** @type {Array<function(RTCSessionDescriptionInit):void>} */
-    onAnswerHandlers: Array<(arg0: RTCSessionDescriptionInit) => void>;
-    /** @type {Array<function(RTCDataChannel):void>} */
-    onDataChannelHandlers: Array<(arg0: RTCDataChannel) => void>;
+    /**
+     * Perfect negotiation role (see the `polite` option).
+     * @type {boolean}
+     */
+    polite: boolean;
+    /**
+     * Whether an offer of ours is being created and applied.
+     * @type {boolean}
+     * @private
+     */
+    private makingOffer;
+    /**
+     * Whether the last remote offer was ignored (impolite side, colliding offer).
+     * Candidates belonging to it are expected to fail.
+     * @type {boolean}
+     * @private
+     */
+    private ignoreOffer;
+    /**
+     * Remote ICE candidates received before the remote description was set.
+     * @type {Array<RTCIceCandidateInit>}
+     * @private
+     */
+    private pendingCandidates;
+    /**
+     * Recovery settings, or null when reconnection is disabled.
+     * @type {{disconnectGraceMs: number, iceRestartAttempts: number, maxAttempts: number, backoffMs: number, maxBackoffMs: number}|null}
+     * @private
+     */
+    private reconnect;
+    /**
+     * Current step of connection recovery.
+     * @type {RecoveryState}
+     */
+    recoveryState: RecoveryState;
+    /**
+     * Whether the remote peer closed the current connection (see `onClosedByPeer`).
+     * @type {boolean}
+     * @private
+     */
+    private peerClosed;
+    /**
+     * Recovery attempts made during the current outage.
+     * @type {number}
+     */
+    recoveryAttempts: number;
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    private recoveryTimer;
     /**
      * Initialize as the connection initiator (creates offer).
      *
-     * - Creates RTCPeerConnection
-     * - Creates a data channel and attaches handlers
+     * - Creates RTCPeerConnection (with its data channel) unless a usable one exists
      * - Creates and sets local description (offer)
      * - Emits the offer via registered offer handlers
      *
+     * Calling it on an established connection renegotiates without tearing it down.
+     *
      * @returns {Promise<RTCSessionDescriptionInit>} The created SDP offer.
      */
     initiate(): Promise<RTCSessionDescriptionInit>;
     /**
-     * Initialize as the connection receiver (receives offer, creates answer).
+     * Create an offer, apply it locally and emit it via the offer handlers.
      *
-     * - Creates RTCPeerConnection
-     * - Sets the remote description (offer)
+     * @private
+     * @param {RTCOfferOptions} [options]
+     * @returns {Promise<RTCSessionDescriptionInit>}
+     */
+    private makeOffer;
+    /**
+     * Whether the current RTCPeerConnection can still be negotiated on.
+     *
+     * @private
+     * @returns {boolean}
+     */
+    private hasUsablePeerConnection;
+    /**
+     * Initialize as the connection receiver (receives offer, creates answer), or answer
+     * a renegotiation on the current connection.
+     *
+     * - Creates RTCPeerConnection unless a usable one exists
+     * - On an offer collision (perfect negotiation) the impolite side ignores the offer;
+     *   the polite side rolls its own offer back and answers
+     * - Sets the remote description (offer); an offer that doesn't fit the current
+     *   connection (the initiator renegotiated from scratch) gets a new RTCPeerConnection
+     * - Adds ICE candidates that arrived early
      * - Creates and sets local description (answer)
      * - Emits the answer via registered answer handlers
      *
      * @param {RTCSessionDescriptionInit} offer - Remote SDP offer.
-     * @returns {Promise<RTCSessionDescriptionInit>} The created SDP answer.
+     * @returns {Promise<RTCSessionDescriptionInit|null>} The created SDP answer, or null when the offer was ignored.
      */
-    receiveOffer(offer: RTCSessionDescriptionInit): Promise<RTCSessionDescriptionInit>;
+    receiveOffer(offer: RTCSessionDescriptionInit): Promise<RTCSessionDescriptionInit | null>;
     /**
      * Receive answer from the remote peer and set as remote description.
      *
@@ -78,88 +234,274 @@ export class P2PConnection {
     /**
      * Add ICE candidate received from remote peer.
      *
+     * Candidates that arrive before the remote description is set are queued and
+     * added once it is.
+     *
      * @param {RTCIceCandidateInit} candidate - ICE candidate object.
      * @returns {Promise<void>}
-     * @throws {Error} If the peer connection is not initialized.
      */
     addIceCandidate(candidate: RTCIceCandidateInit): Promise<void>;
+    /**
+     * Add the candidates queued while the remote description was missing.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    private flushCandidates;
     /**
      * Create the RTCPeerConnection and wire up core event handlers.
      *
      * - onicecandidate: emits candidate to registered handlers
      * - onconnectionstatechange: emits connected/disconnected events
      * - oniceconnectionstatechange: logs ICE state
-     * - ondatachannel: handles incoming data channels (for non-initiator)
+     * - onnegotiationneeded: sends a new offer (perfect negotiation)
+     * - ondatachannel: routes channels opened by the remote peer to the named channel
+     *   with the same label, then emits them to registered handlers
+     *
+     * The main data channel is pre-negotiated (`negotiated: true`, id 0) and created on
+     * both sides, so colliding offers can't leave each side with its own channel. Named
+     * channels are opened as described for the `channels` option.
      *
      * @private
      */
     private createPeerConnection;
+    /**
+     * Create the RTCDataChannel behind a named channel on the current connection.
+     *
+     * @private
+     * @param {P2PChannel} channel
+     */
+    private openChannel;
+    /**
+     * Declare a named data channel at runtime. On a live connection it is opened right
+     * away (this side announces it) and the connection is renegotiated in place.
+     *
+     * @param {import("./p2p-channel.js").ChannelConfig} config
+     * @returns {P2PChannel}
+     * @throws {Error} If the label is taken by the main channel or another open channel.
+     */
+    addChannel(config: import("./p2p-channel.js").ChannelConfig): P2PChannel;
+    /**
+     * The named channel with this label. Handlers can be registered before the channel
+     * is declared or received; it is created empty and attached when it arrives.
+     *
+     * @param {string} label
+     * @returns {P2PChannel}
+     */
+    channel(label: string): P2PChannel;
     /**
      * Setup data channel event handlers for messaging.
      *
-     * - onopen/onclose: log state changes
-     * - onerror: log errors
-     * - onmessage: emit incoming messages to registered handlers
+     * - onopen: send this side's `hello`, then emit channel-open events to registered handlers
+     * - onopen/onclose: log state changes via the logger
+     * - onerror: log errors via the logger
+     * - onmessage: reassemble chunked messages and handle the handshake, then emit the
+     *   remaining messages to registered handlers
      *
      * @param {RTCDataChannel} channel - The data channel to setup.
      * @private
      */
     private setupDataChannel;
+    /**
+     * Handle the peer's `hello` (agree on version and features) or its protocol `error`.
+     *
+     * On an incompatible version the peer is sent an `error` envelope explaining why and
+     * the connection is closed; protocol-error handlers are told in both directions.
+     *
+     * @private
+     * @param {import("./protocol.js").Envelope} envelope - A validated `hello` or `error` envelope.
+     */
+    private handleHandshake;
+    /**
+     * Report a protocol error and close the connection.
+     *
+     * @private
+     * @param {ProtocolError} error
+     */
+    private failProtocol;
     /**
      * Send a message through the data channel.
      *
      * - If `message` is an object, it will be JSON serialized.
+     * - ArrayBuffer and typed array views are sent as binary, unchanged; the receiving
+     *   side gets an ArrayBuffer.
+     * - Blobs are read and then sent as binary. Reading is asynchronous, so messages
+     *   sent in the meantime arrive first.
+     * - Messages larger than the channel allows are split into chunks that the
+     *   receiving P2PConnection reassembles before its message handlers run, unless
+     *   the handshake found that the peer can't reassemble them.
      * - Returns a boolean indicating whether the message was sent.
      *
-     * @param {string|Object} message - Message to send.
+     * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message - Message to send.
      * @returns {boolean} True if the message was sent, false otherwise.
      */
-    send(message: string | any): boolean;
+    send(message: string | any | ArrayBuffer | ArrayBufferView | Blob): boolean;
+    /**
+     * Largest single frame to hand to the data channel: `maxChunkBytes`, lowered to the
+     * SCTP transport's `maxMessageSize` when the remote advertises a smaller one.
+     *
+     * @returns {number}
+     */
+    getMaxMessageSize(): number;
     /**
      * Register a message handler.
      *
      * @param {function(string|Object):void} handler - Called with incoming message data.
+     * @returns {function():void} Removes the handler.
      */
-    onMessage(handler: (arg0: string | any) => void): void;
+    onMessage(handler: (arg0: string | any) => void): () => void;
     /**
      * Register a connected handler.
      *
      * @param {function():void} handler - Called when the connection state becomes 'connected'.
+     * @returns {function():void} Removes the handler.
      */
-    onConnected(handler: () => void): void;
+    onConnected(handler: () => void): () => void;
     /**
      * Register a disconnected handler.
      *
      * @param {function():void} handler - Called when the connection is disconnected/failed/closed.
+     * @returns {function():void} Removes the handler.
      */
-    onDisconnected(handler: () => void): void;
+    onDisconnected(handler: () => void): () => void;
     /**
      * Register an ICE candidate handler.
      *
      * @param {function(RTCIceCandidate):void} handler - Called when a local ICE candidate is discovered.
+     * @returns {function():void} Removes the handler.
      */
-    onIceCandidate(handler: (arg0: RTCIceCandidate) => void): void;
+    onIceCandidate(handler: (arg0: RTCIceCandidate) => void): () => void;
     /**
      * Register an offer handler.
      *
      * @param {function(RTCSessionDescriptionInit):void} handler - Called with the local offer SDP.
+     * @returns {function():void} Removes the handler.
      */
-    onOffer(handler: (arg0: RTCSessionDescriptionInit) => void): void;
+    onOffer(handler: (arg0: RTCSessionDescriptionInit) => void): () => void;
     /**
      * Register an answer handler.
      *
      * @param {function(RTCSessionDescriptionInit):void} handler - Called with the local answer SDP.
+     * @returns {function():void} Removes the handler.
      */
-    onAnswer(handler: (arg0: RTCSessionDescriptionInit) => void): void;
+    onAnswer(handler: (arg0: RTCSessionDescriptionInit) => void): () => void;
     /**
      * Register a data channel handler.
      *
      * @param {function(RTCDataChannel):void} handler - Called when a remote data channel is received.
+     * @returns {function():void} Removes the handler.
+     */
+    onDataChannel(handler: (arg0: RTCDataChannel) => void): () => void;
+    /**
+     * Register a data channel open handler.
+     *
+     * @param {function():void} handler - Called when the data channel opens and messages can be sent.
+     * @returns {function():void} Removes the handler.
+     */
+    onChannelOpen(handler: () => void): () => void;
+    /**
+     * Register a handler for the end of the hello exchange.
+     *
+     * @param {function(import("./protocol.js").NegotiatedProtocol):void} handler - Called with the agreed version and features.
+     * @returns {function():void} Removes the handler.
+     */
+    onProtocolReady(handler: (arg0: import("./protocol.js").NegotiatedProtocol) => void): () => void;
+    /**
+     * Register a protocol error handler (incompatible version on either side).
+     * The connection is closed right after the handlers run.
+     *
+     * @param {function(ProtocolError):void} handler
+     * @returns {function():void} Removes the handler.
      */
-    onDataChannel(handler: (arg0: RTCDataChannel) => void): void;
+    onProtocolError(handler: (arg0: ProtocolError) => void): () => void;
+    /**
+     * Register a handler for each recovery step after the connection dropped.
+     *
+     * @param {function(ReconnectAttempt):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onReconnecting(handler: (arg0: ReconnectAttempt) => void): () => void;
+    /**
+     * Register a handler for a successful recovery.
+     *
+     * @param {function({attempts: number}):void} handler - Called with the number of attempts it took (0 when the interruption cleared by itself).
+     * @returns {function():void} Removes the handler.
+     */
+    onReconnected(handler: (arg0: {
+        attempts: number;
+    }) => void): () => void;
+    /**
+     * Register a handler for recovery giving up after `maxAttempts`.
+     * The connection is left as it is; close it or start over with `initiate()`.
+     *
+     * @param {function({attempts: number}):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onGaveUp(handler: (arg0: {
+        attempts: number;
+    }) => void): () => void;
+    /**
+     * Register a handler for the remote peer closing the connection. No recovery is
+     * attempted afterwards.
+     *
+     * @param {function():void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onClosedByPeer(handler: () => void): () => void;
+    /**
+     * Start recovering from a "disconnected" or "failed" connection state.
+     *
+     * A "disconnected" state often clears by itself, so it gets `disconnectGraceMs`
+     * before the first attempt; "failed" is acted on immediately.
+     *
+     * @private
+     * @param {RTCPeerConnectionState} state
+     */
+    private beginRecovery;
+    /**
+     * @private
+     * @param {number} delayMs
+     */
+    private scheduleRecovery;
+    /**
+     * Make the next recovery attempt: an ICE restart for the first
+     * `iceRestartAttempts`, then a full renegotiation, with exponential backoff between
+     * attempts. Only the initiator sends offers; the other side waits for them through
+     * the same schedule and gives up at the same point.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    private attemptRecovery;
+    /**
+     * Send an offer with fresh ICE credentials over the existing offer handlers.
+     * The data channel and DTLS session survive, so no hello exchange follows.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    private restartIce;
+    /**
+     * The connection is back: report it if recovery was under way and reset.
+     *
+     * @private
+     */
+    private finishRecovery;
+    /**
+     * @private
+     */
+    private stopRecovery;
+    /**
+     * Close the data channel and peer connection without firing their events, so a
+     * replacement can be set up.
+     *
+     * @private
+     */
+    private teardown;
     /**
      * Close the connection and cleanup resources.
      *
+     * - Stops any reconnection in progress.
      * - Closes data channel and peer connection if they exist.
      */
     close(): void;
@@ -176,3 +518,48 @@ export class P2PConnection {
      */
     getStats(): Promise<RTCStatsReport | null>;
 }
+/**
+ * Where connection recovery stands.
+ */
+export type RecoveryState = "idle" | "waiting" | "restarting-ice" | "renegotiating" | "gave-up";
+/**
+ * Payload of a reconnecting event.
+ */
+export type ReconnectAttempt = {
+    /**
+     * - 0 while waiting out a transient disconnect, then 1, 2, ...
+     */
+    attempt: number;
+    method: "wait" | "ice-restart" | "renegotiate";
+    /**
+     * - How long until the next step if this one doesn't help.
+     */
+    delayMs: number;
+};
+/**
+ * Handler arguments of each P2PConnection event (see EventEmitter).
+ */
+export type P2PConnectionEvents = {
+    message: [string | any];
+    connected: [];
+    disconnected: [];
+    iceCandidate: [RTCIceCandidate];
+    offer: [RTCSessionDescriptionInit];
+    answer: [RTCSessionDescriptionInit];
+    dataChannel: [RTCDataChannel];
+    channelOpen: [];
+    protocolReady: [import("./protocol.js").NegotiatedProtocol];
+    protocolError: [ProtocolError];
+    reconnecting: [ReconnectAttempt];
+    reconnected: [{
+        attempts: number;
+    }];
+    gaveUp: [{
+        attempts: number;
+    }];
+    closedByPeer: [];
+};
+import { EventEmitter } from "./event-emitter.js";
+import { Logger } from "./utils/logger.js";
+import { P2PChannel } from "./p2p-channel.js";
+import { ProtocolError } from "./protocol.js";
@@ -1,16 +1,73 @@
-declare namespace _default {
-    export { P2pMessageHelper };
-}
-export default _default;
+/**
+ * @typedef {'log'|'info'|'warn'|'error'|'debug'} ConsoleLevel
+ */
+/**
+ * Rows/columns extracted from `console.table` data.
+ * Primitive rows are placed under the `Value` column, like the browser console does.
+ * @typedef {Object} ConsoleTable
+ * @property {Array<string>} columns - Column names in display order (excluding the index column).
+ * @property {Array<{index: string, cells: Object<string, import('./value-serializer.js').SerializedValue>}>} rows - One entry per row, keyed by column.
+ */
+/**
+ * @typedef {Object} ConsoleMessage
+ * @property {string} id
+ * @property {string|null} namespace
+ * @property {ConsoleLevel} level - Severity used for filtering and styling.
+ * @property {string} method - Console method that produced the message (e.g. 'table', 'timeEnd').
+ * @property {number} timestamp - Source's clock (`Date.now()`) when the message was logged.
+ * @property {number} [correctedTimestamp] - Set by the receiving P2PSignalingClient: `timestamp` converted to the receiver's clock
+ *   with the source's estimated clock offset (see ClockEstimator). Use it to order messages from several sources.
+ * @property {number} groupDepth - Number of open console groups the message is nested in.
+ * @property {Array<import('./value-serializer.js').SerializedValue>} payload - Arguments in the tagged format (see value-serializer.js).
+ * @property {string} text - Plain-text rendering (format specifiers applied, `%c` styles dropped).
+ * @property {Array<import('./console-format.js').FormatSegment>} segments - Formatted output with `%c` styles, as devtools renders it.
+ * @property {ConsoleTable} [table] - Present for `table`.
+ * @property {{label: string, collapsed: boolean}} [group] - Present for `group` / `groupCollapsed`.
+ * @property {{label: string, duration: number}} [timer] - Present for `timeLog` / `timeEnd`.
+ * @property {{label: string, count: number}} [counter] - Present for `count`.
+ * @property {Array<string>} [stack] - Present for `trace`.
+ * @property {ConsoleErrorInfo} [error] - Present for uncaught errors and unhandled rejections.
+ * @property {import('./utils/stack-trace.js').CallSite} [callSite] - Where the console call was made (see ConsoleInterceptor `captureCallSite`).
+ * @property {boolean} [historical] - Set on messages replayed from the source's LogBuffer (logged before the viewer connected).
+ * @property {Array<string>} [redactions] - Names of redaction rules that changed this message (never the redacted values).
+ * @property {{count: number, bytes?: number, reason: string, breakdown?: Array<import('./log-policy.js').DropCount>}} [dropped] - Set on warnings
+ *   reporting messages the source discarded (SendPipeline queue over its cap, LogPolicy rate limits / sampling).
+ * @property {{of: string, count: number}} [repeat] - Set by LogPolicy when identical messages following message `of` were collapsed.
+ * @property {import('./reliable-delivery.js').MessageGap} [lost] - Set on markers a viewer inserts where reliable delivery could not
+ *   recover messages (see P2PSignalingClient#onMessagesLost).
+ */
+/**
+ * Details of an uncaught exception or promise rejection.
+ * @typedef {Object} ConsoleErrorInfo
+ * @property {string} name - Error name ('Error', 'TypeError', ...); empty for non-Error values.
+ * @property {string} message
+ * @property {string|null} stack
+ * @property {string|null} file - Source file the error originated from, when known.
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {boolean} handled - False when nothing handled it; true for a rejection that got a handler later.
+ */
+/**
+ * @typedef {'uncaughtException'|'unhandledRejection'|'rejectionHandled'} ErrorEventKind
+ */
+/**
+ * Column used for primitive `console.table` rows.
+ * @type {string}
+ */
+export const TABLE_VALUE_COLUMN: string;
 /**
  * P2pMessageHelper
  *
  * Builds structured message objects for console events and forwards
- * to the underlying console methods (log/info/warn/error/debug).
+ * to the underlying console methods (log/info/warn/error/debug, plus
+ * table/dir/group/time/count/assert/trace).
+ *
+ * Group nesting, timers and counters are tracked per helper, mirroring the
+ * state the console itself keeps for those methods.
  *
  * Designed as a simple base for sending console-originated messages over P2P.
  */
-declare class P2pMessageHelper {
+export class P2pMessageHelper {
     /**
      * Serialize a message object to JSON string for sending.
      * @param {Object} message
@@ -34,16 +91,42 @@ declare class P2pMessageHelper {
      * @param {string} [opts.namespace] - Optional namespace to include in messages.
      * @param {Console} [opts.consoleTarget=console] - Console-like target to call.
      * @param {function():number} [opts.now=() => Date.now()] - Timestamp provider.
+     * @param {function():number} [opts.clock] - Monotonic clock for timers (defaults to performance.now()).
+     * @param {import('./value-serializer.js').SerializeLimits} [opts.limits] - Depth/key/string limits for argument serialization.
+     * @param {boolean|Array<import('./redactor.js').RedactionRule>|Redactor} [opts.redaction] - Redact secrets/PII before messages
+     *   leave the helper: `true` for DEFAULT_REDACTION_RULES, or a rule list / Redactor of your own.
+     * @param {function(ConsoleLevel, string|null):boolean} [opts.filter] - Return false to skip building messages of a
+     *   level/namespace (e.g. `P2PSignalingClient.acceptsMessage` when viewers control what they receive).
      */
     constructor(opts?: {
         namespace?: string;
         consoleTarget?: Console;
         now?: () => number;
+        clock?: () => number;
+        limits?: import("./value-serializer.js").SerializeLimits;
+        redaction?: boolean | Array<import("./redactor.js").RedactionRule> | Redactor;
+        filter?: (arg0: ConsoleLevel, arg1: string | null) => boolean;
     });
     namespace: string;
     consoleTarget: Console;
     now: () => number;
+    clock: () => number;
+    limits: import("./value-serializer.js").SerializeLimits;
+    filter: (arg0: ConsoleLevel, arg1: string | null) => boolean;
+    /** @type {Redactor|null} */
+    redactor: Redactor | null;
+    /**
+     * Rules fired while building the current message.
+     * @private
+     * @type {Set<string>}
+     */
+    private _firedRules;
     _idCounter: number;
+    _groupDepth: number;
+    /** @type {Map<string, number>} */
+    _timers: Map<string, number>;
+    /** @type {Map<string, number>} */
+    _counters: Map<string, number>;
     /**
      * Create a unique id for each message.
      * @private
@@ -51,37 +134,309 @@ declare class P2pMessageHelper {
      */
     private _nextId;
     /**
-     * Safely convert an argument to a serializable representation.
-     * - Primitives are returned as-is.
-     * - Objects/arrays are JSON-stringified where possible.
-     * - Functions replaced with a placeholder.
+     * Convert an argument to the tagged serialization format.
+     * Type information, class names, circular references and error details are kept;
+     * see value-serializer.js for the format and `deserializeValue` for the inverse.
      * @private
      * @param {*} arg
-     * @returns {*}
+     * @param {string|null} [key] - Name the value is stored under (table column), checked by key rules.
+     * @returns {import('./value-serializer.js').SerializedValue}
      */
     private _serializeArg;
     /**
-     * Build a structured message object for the given level and args.
-     * @param {'log'|'info'|'warn'|'error'|'debug'} level
+     * Apply the redaction rules (if any) to a serialized value.
+     * @private
+     * @param {import('./value-serializer.js').SerializedValue} value
+     * @param {string|null} [key]
+     * @returns {import('./value-serializer.js').SerializedValue}
+     */
+    private _redactValue;
+    /**
+     * Redact the text of a finished message (text segments, labels, error details) and
+     * record which rules fired. Values were already redacted while serializing.
+     * @private
+     * @param {ConsoleMessage|null} msg
+     * @returns {ConsoleMessage|null}
+     */
+    private _finishRedaction;
+    /**
+     * Prepend console-generated text (e.g. "Trace:", "label: 3ms") to a message's output.
+     * @private
+     * @param {ConsoleMessage} msg
+     * @param {string} prefix
+     */
+    private _prefixText;
+    /**
+     * Capture the current call stack without the interceptor/helper frames.
+     * @private
+     * @returns {Array<string>}
+     */
+    private _captureStack;
+    /**
+     * Extract rows and columns from `console.table` data.
+     * @private
+     * @param {*} data
+     * @param {Array<string>} [columnFilter] - Optional column whitelist (second `console.table` argument).
+     * @returns {ConsoleTable}
+     */
+    private _buildTable;
+    /**
+     * Create the common message envelope.
+     *
+     * `payload` keeps every argument as-is (serialized); `segments`/`text` are the
+     * output after applying printf-style format specifiers (see console-format.js).
+     * @private
+     * @param {string} method
+     * @param {ConsoleLevel} level
+     * @param {Array<any>} args - Arguments rendered into payload/text.
+     * @returns {ConsoleMessage}
+     */
+    private _createMessage;
+    /**
+     * Build a message reporting misuse of a timer/counter label (mirrors the console warning).
+     * @private
+     * @param {string} method
+     * @param {string} text
+     * @returns {ConsoleMessage}
+     */
+    private _warning;
+    /**
+     * Build a structured message object for the given console method and args.
+     *
+     * Besides log/info/warn/error/debug this understands the rest of the console API
+     * and updates the helper's group/timer/counter state accordingly:
+     * - table: adds `table` with rows and columns.
+     * - group/groupCollapsed: adds `group`; following messages get a deeper `groupDepth`.
+     * - groupEnd: closes the innermost group (the message carries the new depth).
+     * - timeLog/timeEnd: adds `timer` with the elapsed milliseconds.
+     * - count: adds `counter` with the current count.
+     * - assert: only produces a message when the assertion fails.
+     * - trace: adds `stack` with the caller's frames.
+     *
+     * Returns null for calls that print nothing (`time`, `countReset`, passing `assert`).
+     *
+     * With `redaction` configured, payload, table cells and text are redacted before the
+     * message is returned and the names of the rules that fired are listed in `redactions`.
+     *
+     * Returns null as well when `filter` rejects the method's level (group/timer/counter
+     * methods are always built to keep their state).
+     *
+     * @param {string} method - Console method name (for log/info/warn/error/debug this is also the level).
      * @param {Array<any>} args
-     * @returns {Object} Message object
+     * @param {Object} [meta]
+     * @param {import('./utils/stack-trace.js').CallSite|null} [meta.callSite] - Location of the console call, attached as `callSite`.
+     * @returns {ConsoleMessage|null} Message object
      */
-    buildMessage(level: "log" | "info" | "warn" | "error" | "debug", args: Array<any>): any;
+    buildMessage(method: string, args: Array<any>, meta?: {
+        callSite?: import("./utils/stack-trace.js").CallSite | null;
+    }): ConsoleMessage | null;
+    /**
+     * Build a plain message the library reports about itself (dropped-message summaries,
+     * repeat counts). Unlike `buildMessage` this ignores `filter`: those reports are what
+     * tells the viewer output went missing, so they must not vanish with it.
+     *
+     * @param {ConsoleLevel} level
+     * @param {Array<any>} args
+     * @returns {ConsoleMessage}
+     */
+    buildNotice(level: ConsoleLevel, args: Array<any>): ConsoleMessage;
+    /**
+     * Method-specific part of `buildMessage`.
+     * @private
+     * @param {string} method
+     * @param {Array<any>} args
+     * @returns {ConsoleMessage|null}
+     */
+    private _buildForMethod;
+    /**
+     * Build an error message for an uncaught exception or promise rejection.
+     *
+     * The text mirrors the browser console ("Uncaught TypeError: ...",
+     * "Uncaught (in promise) ...").
+     *
+     * @param {ErrorEventKind} kind
+     * @param {ConsoleErrorInfo} error
+     * @returns {ConsoleMessage}
+     */
+    buildErrorMessage(kind: ErrorEventKind, error: ConsoleErrorInfo): ConsoleMessage;
     /**
      * Generic handler: call console method and return the built message.
      * @private
-     * @param {'log'|'info'|'warn'|'error'|'debug'} method
+     * @param {string} method
      * @param {...any} args
-     * @returns {Object} message built by buildMessage
+     * @returns {ConsoleMessage|null} message built by buildMessage
      */
     private _emit;
     /**
      * Console-like helpers that forward to console and return message objects.
      * Usage: const msg = helper.log('hello', obj);
      */
-    log(...args: any[]): any;
-    info(...args: any[]): any;
-    warn(...args: any[]): any;
-    error(...args: any[]): any;
-    debug(...args: any[]): any;
+    log(...args: any[]): ConsoleMessage;
+    info(...args: any[]): ConsoleMessage;
+    warn(...args: any[]): ConsoleMessage;
+    error(...args: any[]): ConsoleMessage;
+    debug(...args: any[]): ConsoleMessage;
+    table(...args: any[]): ConsoleMessage;
+    dir(...args: any[]): ConsoleMessage;
+    group(...args: any[]): ConsoleMessage;
+    groupCollapsed(...args: any[]): ConsoleMessage;
+    groupEnd(...args: any[]): ConsoleMessage;
+    time(...args: any[]): ConsoleMessage;
+    timeLog(...args: any[]): ConsoleMessage;
+    timeEnd(...args: any[]): ConsoleMessage;
+    count(...args: any[]): ConsoleMessage;
+    countReset(...args: any[]): ConsoleMessage;
+    assert(...args: any[]): ConsoleMessage;
+    trace(...args: any[]): ConsoleMessage;
+}
+declare namespace _default {
+    export { P2pMessageHelper };
 }
+export default _default;
+export type ConsoleLevel = "log" | "info" | "warn" | "error" | "debug";
+/**
+ * Rows/columns extracted from `console.table` data.
+ * Primitive rows are placed under the `Value` column, like the browser console does.
+ */
+export type ConsoleTable = {
+    /**
+     * - Column names in display order (excluding the index column).
+     */
+    columns: Array<string>;
+    /**
+     * - One entry per row, keyed by column.
+     */
+    rows: Array<{
+        index: string;
+        cells: {
+            [x: string]: import("./value-serializer.js").SerializedValue;
+        };
+    }>;
+};
+export type ConsoleMessage = {
+    id: string;
+    namespace: string | null;
+    /**
+     * - Severity used for filtering and styling.
+     */
+    level: ConsoleLevel;
+    /**
+     * - Console method that produced the message (e.g. 'table', 'timeEnd').
+     */
+    method: string;
+    /**
+     * - Source's clock (`Date.now()`) when the message was logged.
+     */
+    timestamp: number;
+    /**
+     * - Set by the receiving P2PSignalingClient: `timestamp` converted to the receiver's clock
+     * with the source's estimated clock offset (see ClockEstimator). Use it to order messages from several sources.
+     */
+    correctedTimestamp?: number;
+    /**
+     * - Number of open console groups the message is nested in.
+     */
+    groupDepth: number;
+    /**
+     * - Arguments in the tagged format (see value-serializer.js).
+     */
+    payload: Array<import("./value-serializer.js").SerializedValue>;
+    /**
+     * - Plain-text rendering (format specifiers applied, `%c` styles dropped).
+     */
+    text: string;
+    /**
+     * - Formatted output with `%c` styles, as devtools renders it.
+     */
+    segments: Array<import("./console-format.js").FormatSegment>;
+    /**
+     * - Present for `table`.
+     */
+    table?: ConsoleTable;
+    /**
+     * - Present for `group` / `groupCollapsed`.
+     */
+    group?: {
+        label: string;
+        collapsed: boolean;
+    };
+    /**
+     * - Present for `timeLog` / `timeEnd`.
+     */
+    timer?: {
+        label: string;
+        duration: number;
+    };
+    /**
+     * - Present for `count`.
+     */
+    counter?: {
+        label: string;
+        count: number;
+    };
+    /**
+     * - Present for `trace`.
+     */
+    stack?: Array<string>;
+    /**
+     * - Present for uncaught errors and unhandled rejections.
+     */
+    error?: ConsoleErrorInfo;
+    /**
+     * - Where the console call was made (see ConsoleInterceptor `captureCallSite`).
+     */
+    callSite?: import("./utils/stack-trace.js").CallSite;
+    /**
+     * - Set on messages replayed from the source's LogBuffer (logged before the viewer connected).
+     */
+    historical?: boolean;
+    /**
+     * - Names of redaction rules that changed this message (never the redacted values).
+     */
+    redactions?: Array<string>;
+    /**
+     * - Set on warnings
+     * reporting messages the source discarded (SendPipeline queue over its cap, LogPolicy rate limits / sampling).
+     */
+    dropped?: {
+        count: number;
+        bytes?: number;
+        reason: string;
+        breakdown?: Array<import("./log-policy.js").DropCount>;
+    };
+    /**
+     * - Set by LogPolicy when identical messages following message `of` were collapsed.
+     */
+    repeat?: {
+        of: string;
+        count: number;
+    };
+    /**
+     * - Set on markers a viewer inserts where reliable delivery could not
+     * recover messages (see P2PSignalingClient#onMessagesLost).
+     */
+    lost?: import("./reliable-delivery.js").MessageGap;
+};
+/**
+ * Details of an uncaught exception or promise rejection.
+ */
+export type ConsoleErrorInfo = {
+    /**
+     * - Error name ('Error', 'TypeError', ...); empty for non-Error values.
+     */
+    name: string;
+    message: string;
+    stack: string | null;
+    /**
+     * - Source file the error originated from, when known.
+     */
+    file: string | null;
+    line: number | null;
+    column: number | null;
+    /**
+     * - False when nothing handled it; true for a rejection that got a handler later.
+     */
+    handled: boolean;
+};
+export type ErrorEventKind = "uncaughtException" | "unhandledRejection" | "rejectionHandled";
+import { Redactor } from './redactor.js';
@@ -1,3 +1,40 @@
+/**
+ * Handler arguments of each P2PSignalingClient event (see EventEmitter).
+ * @typedef {Object} P2PSignalingClientEvents
+ * @property {[string, import("./stats-sampler.js").ConnectionStats]} peerStats
+ * @property {[string, import("./stats-sampler.js").DegradedEvent]} connectionDegraded
+ * @property {[string, import("./stats-sampler.js").ConnectionStats]} connectionRecovered
+ * @property {[string, number]} peerLatency
+ * @property {[string, import("./clock-sync.js").ClockEstimate]} clockEstimate
+ * @property {[string, {misses: number}]} peerDead
+ * @property {[string, import("./file-transfer.js").FileTransferInfo]} fileProgress
+ * @property {[string, import("./file-transfer.js").CompletedFile]} fileComplete
+ * @property {[string, import("./file-transfer.js").FailedFile]} fileFailed
+ * @property {[string, import("./reliable-delivery.js").MessageGap]} messagesLost
+ * @property {[string, import("./peer-auth.js").PairingCode]} pairingCode
+ * @property {[string, import("./peer-auth.js").PairingCode]} peerAuthenticated
+ * @property {[string, import("./peer-auth.js").PairingFailure]} authFailed
+ * @property {[string, *, import("./protocol.js").Envelope|null]} peerMessage
+ * @property {[string]} peerConnected
+ * @property {[string, {reason: PeerDisconnectReason}]} peerDisconnected
+ * @property {[string, PeerState, PeerState]} peerStateChange
+ */
+/**
+ * Where a peer is in its lifecycle, as seen by the client:
+ * - `connecting`: offer/answer and ICE under way.
+ * - `pairing`: protocol agreed, waiting for pairing to complete (only with `opts.auth`).
+ * - `connected`: messages flow.
+ * - `reconnecting`: the connection dropped and is being recovered.
+ * - `disconnected`: the peer was removed from `peers`.
+ * @typedef {'connecting'|'pairing'|'connected'|'reconnecting'|'disconnected'} PeerState
+ */
+/**
+ * Why a peer was removed: `closed` (disconnectPeer/disconnect), `remote-closed` (the
+ * peer closed the connection), `left` (the signaling server reported it gone), `dead`
+ * (missed heartbeats), `auth-failed`, `gave-up` (reconnection attempts exhausted) or
+ * `lost` (the connection dropped with `reconnect: false`).
+ * @typedef {'closed'|'remote-closed'|'left'|'dead'|'auth-failed'|'protocol-error'|'gave-up'|'lost'} PeerDisconnectReason
+ */
 /**
  * P2P signaling client that bridges a WebSocket-based signaling server and local P2P connections.
  *
@@ -7,34 +44,229 @@
  *   to the appropriate P2P connection.
  * - Forward local signaling events (offer/answer/ice candidates) from P2P connections
  *   to the signaling server.
+ * - Report each peer's lifecycle (connected, reconnecting, disconnected) and its
+ *   application messages as events.
  *
  * Usage:
  * const client = new P2PSignalingClient(signalingUrl);
  * client.connect();
  * client.initiateP2P(remoteId).then(offer => { ... });
+ *
+ * @extends {EventEmitter<P2PSignalingClientEvents>}
  */
-export class P2PSignalingClient {
+export class P2PSignalingClient extends EventEmitter<P2PSignalingClientEvents> {
     /**
      * Create a P2P signaling client.
      *
      * @param {string} signalingServerUrl - WebSocket URL of the signaling server.
+     * @param {Object} [opts]
+     * @param {Logger} [opts.logger] - Logger shared with the WebSocket and P2P connections (silent by default).
+     * @param {function(string):WebSocket} [opts.webSocketFactory] - Creates the signaling socket (see WebSocketConnector).
+     * @param {function(RTCConfiguration):RTCPeerConnection} [opts.peerConnectionFactory] - Creates each peer's RTCPeerConnection (see P2PConnection).
+     * @param {LogBuffer} [opts.buffer] - Buffer for broadcast messages, replayed once to each viewer when its data channel first opens.
+     * @param {boolean|Object} [opts.pipeline] - Batch (and optionally compress) messages per peer; an object is passed as SendPipeline options. Both sides must enable it.
+     * @param {boolean} [opts.remoteControl=false] - Source side: honor control requests (level, namespaces, pause) from each viewer.
+     * @param {number} [opts.controlTimeoutMs=5000] - Viewer side: how long `sendControl` waits for the acknowledgement.
+     * @param {Array<import("./p2p-channel.js").ChannelConfig>} [opts.channels] - Named data channels to declare on every P2PConnection (see `P2PConnection#channel`).
+     * @param {boolean|Object} [opts.reconnect=true] - Passed to every P2PConnection: recover dropped connections, or `false` to remove a peer as soon as its connection drops.
+     * @param {boolean|Object} [opts.stats] - Sample connection quality per peer while connected; an object is passed as StatsSampler options.
+     * @param {boolean|Object} [opts.heartbeat] - Ping each peer over the data channel and disconnect it after too many unanswered pings; an object may set `intervalMs` and `missThreshold` (see Heartbeat). Pongs also estimate each peer's clock offset, used to set `correctedTimestamp` on its console messages. Pings are always answered, whether or not this is set.
+     * @param {boolean|Object} [opts.files] - Enable `sendFile` and receiving files on a dedicated data channel; an object is passed as FileTransfer options. Both sides must enable it.
+     * @param {boolean|Object} [opts.reliable] - Number console messages per peer, acknowledge them and retransmit after reconnects. An object may set `maxMessages`, `maxBytes` (retransmission buffer), `ackEvery`, `ackIntervalMs` and `retainMs` (how long a disconnected peer's streams are kept, default 60000). Both sides must enable it.
+     * @param {boolean|Object} [opts.auth] - Pair each connection before anything but heartbeats flows: both sides show a pairing code derived from the DTLS fingerprints and, with `secret`, each proves knowledge of the pre-shared secret. An object may set `secret`, `confirm` (also wait for `confirmPairing`) and `timeoutMs` (see PeerPairing). Both sides must enable it.
      */
-    constructor(signalingServerUrl: string);
+    constructor(signalingServerUrl: string, opts?: {
+        logger?: Logger;
+        webSocketFactory?: (arg0: string) => WebSocket;
+        peerConnectionFactory?: (arg0: RTCConfiguration) => RTCPeerConnection;
+        buffer?: LogBuffer;
+        pipeline?: boolean | any;
+        remoteControl?: boolean;
+        controlTimeoutMs?: number;
+        channels?: Array<import("./p2p-channel.js").ChannelConfig>;
+        reconnect?: boolean | any;
+        stats?: boolean | any;
+        heartbeat?: boolean | any;
+        files?: boolean | any;
+        reliable?: boolean | any;
+        auth?: boolean | any;
+    });
+    /**
+     * Where signaling and per-peer messages go; also handed to the connector and each P2PConnection.
+     * @type {Logger}
+     */
+    logger: Logger;
     /**
      * WebSocket connector instance used to communicate with the signaling server.
      * @type {WebSocketConnector}
      */
     ws: WebSocketConnector;
+    /**
+     * Passed to each P2PConnection (undefined for the global RTCPeerConnection).
+     * @type {function(RTCConfiguration):RTCPeerConnection|undefined}
+     * @private
+     */
+    private peerConnectionFactory;
     /**
      * Map of remotePeerId -> P2PConnection instances.
      * @type {Map<string, P2PConnection>}
      */
     peers: Map<string, P2PConnection>;
+    /**
+     * Buffer of broadcast messages replayed to newly connected peers (null when not buffering).
+     * @type {LogBuffer|null}
+     */
+    buffer: LogBuffer | null;
+    /**
+     * Peers that finished replay and receive broadcast messages live.
+     * @type {Set<string>}
+     * @private
+     */
+    private livePeers;
+    /**
+     * Peers that already received the buffer replay. A later connection to the same
+     * peer (full renegotiation) goes live without replaying it again.
+     * @type {Set<string>}
+     * @private
+     */
+    private replayedPeers;
+    /**
+     * SendPipeline options, or null when messages go straight to the data channel.
+     * @type {Object|null}
+     * @private
+     */
+    private pipelineOptions;
+    /**
+     * Map of remotePeerId -> SendPipeline (only when `opts.pipeline` is set).
+     * @type {Map<string, SendPipeline>}
+     */
+    pipelines: Map<string, SendPipeline>;
+    /**
+     * Whether viewers may change what is streamed to them.
+     * @type {boolean}
+     */
+    remoteControl: boolean;
+    /**
+     * Map of remotePeerId -> that viewer's stream settings (only with `remoteControl`).
+     * @type {Map<string, StreamFilter>}
+     */
+    viewerFilters: Map<string, StreamFilter>;
+    /** @type {number} */
+    controlTimeoutMs: number;
+    /**
+     * Control requests awaiting an acknowledgement, by requestId.
+     * @type {Map<string, {resolve: function(import("./remote-control.js").StreamConfig):void, reject: function(Error):void, timer: ReturnType<typeof setTimeout>}>}
+     * @private
+     */
+    private pendingControls;
+    /**
+     * StatsSampler options, or null when connection quality is not sampled.
+     * @type {Object|null}
+     * @private
+     */
+    private statsOptions;
+    /**
+     * Map of remotePeerId -> StatsSampler (only when `opts.stats` is set).
+     * @type {Map<string, StatsSampler>}
+     */
+    samplers: Map<string, StatsSampler>;
+    /**
+     * Heartbeat options, or null when peers are not probed.
+     * @type {Object|null}
+     * @private
+     */
+    private heartbeatOptions;
+    /**
+     * Map of remotePeerId -> Heartbeat (only when `opts.heartbeat` is set).
+     * @type {Map<string, Heartbeat>}
+     */
+    heartbeats: Map<string, Heartbeat>;
+    /**
+     * Map of remotePeerId -> estimate of that peer's clock (only when `opts.heartbeat` is set).
+     * @type {Map<string, ClockEstimator>}
+     */
+    clocks: Map<string, ClockEstimator>;
+    /**
+     * Named data channels declared on each P2PConnection.
+     * @type {Array<import("./p2p-channel.js").ChannelConfig>}
+     * @private
+     */
+    private channelConfigs;
+    /**
+     * Recovery settings for each P2PConnection (see its `reconnect` option).
+     * @type {boolean|Object}
+     * @private
+     */
+    private reconnectOptions;
+    /**
+     * FileTransfer options, or null when file transfer is disabled.
+     * @type {Object|null}
+     * @private
+     */
+    private fileOptions;
+    /**
+     * Map of remotePeerId -> FileTransfer (only when `opts.files` is set).
+     * @type {Map<string, FileTransfer>}
+     */
+    fileTransfers: Map<string, FileTransfer>;
+    /**
+     * Reliable delivery options, or null when disabled.
+     * @type {Object|null}
+     * @private
+     */
+    private reliableOptions;
+    /**
+     * Map of remotePeerId -> numbered stream of console messages sent to that peer.
+     * Kept for `retainMs` after the peer disconnects so it can resume.
+     * @type {Map<string, OutboundStream>}
+     */
+    outboundStreams: Map<string, OutboundStream>;
+    /**
+     * Map of remotePeerId -> numbered stream of console messages received from that peer.
+     * @type {Map<string, InboundStream>}
+     */
+    inboundStreams: Map<string, InboundStream>;
+    /**
+     * Timers removing the streams of disconnected peers, by remotePeerId.
+     * @type {Map<string, ReturnType<typeof setTimeout>>}
+     * @private
+     */
+    private streamExpiry;
+    /**
+     * PeerPairing options, or null when peers are not authenticated.
+     * @type {Object|null}
+     * @private
+     */
+    private authOptions;
+    /**
+     * Map of remotePeerId -> pairing of the current connection (only when `opts.auth` is set).
+     * @type {Map<string, PeerPairing>}
+     */
+    pairings: Map<string, PeerPairing>;
+    /**
+     * Peers whose current connection is paired.
+     * @type {Set<string>}
+     * @private
+     */
+    private authenticatedPeers;
+    /**
+     * Map of remotePeerId -> lifecycle state of each peer in `peers`.
+     * @type {Map<string, PeerState>}
+     * @private
+     */
+    private peerStates;
     /**
      * The id assigned by the signaling server for this client (if provided).
      * @type {string|null}
      */
     assignedId: string | null;
+    /**
+     * Work that needs this client's id (to pick the negotiation role), held until the
+     * signaling server sends it.
+     * @type {Array<function():void>}
+     * @private
+     */
+    private awaitingId;
     /**
      * Wire WebSocket events to parse and forward incoming signaling messages.
      * Sets up:
@@ -51,23 +283,112 @@ export class P2PSignalingClient {
      *
      * The created P2PConnection will forward its local signaling events (offer, answer, ice)
      * to the signaling server with the `to` field set to `remotePeerId`.
-     * It also logs application-level messages and connection events.
+     * It also logs application-level messages and connection events via the logger.
      *
      * @private
      * @param {string} remotePeerId - Identifier of the remote peer.
      * @returns {P2PConnection} The P2PConnection instance associated with the remote peer.
+     * @throws {Error} Before the signaling server assigned this client's id.
      */
     private createP2PConnection;
+    /**
+     * Handle a validated envelope from a peer that may send it.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @param {import("./protocol.js").Envelope} envelope
+     */
+    private handleEnvelope;
+    /**
+     * Record a peer's new lifecycle state and report the transition.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {PeerState} state
+     */
+    private setPeerState;
+    /**
+     * A peer's current lifecycle state.
+     *
+     * @param {string} remotePeerId
+     * @returns {PeerState} `disconnected` for peers not in `peers`.
+     */
+    getPeerState(remotePeerId: string): PeerState;
+    /**
+     * Begin the stream to a peer: replay buffered messages the first time, then go
+     * live. With reliable delivery the peer's resume acknowledgement decides what to send.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     */
+    private startStream;
+    /**
+     * Pair the peer's current connection and start the stream once that succeeded.
+     * A failed pairing disconnects the peer.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     */
+    private startPairing;
+    /**
+     * Whether a peer may exchange messages with us: always true without `opts.auth`,
+     * otherwise once its current connection is paired.
+     *
+     * @param {string} remotePeerId
+     * @returns {boolean}
+     */
+    isPeerAuthenticated(remotePeerId: string): boolean;
+    /**
+     * The pairing code of a peer's current connection, for the user to compare with
+     * the one shown on the other side.
+     *
+     * @param {string} remotePeerId
+     * @returns {import("./peer-auth.js").PairingCode|null} Null without `opts.auth` or before it is known.
+     */
+    getPairingCode(remotePeerId: string): import("./peer-auth.js").PairingCode | null;
+    /**
+     * The user confirmed that both sides show the same pairing code (needed with
+     * `opts.auth.confirm`).
+     *
+     * @param {string} remotePeerId
+     * @returns {void}
+     */
+    confirmPairing(remotePeerId: string): void;
+    /**
+     * The pairing codes differ, or the user doesn't trust the peer: tell it and disconnect.
+     *
+     * @param {string} remotePeerId
+     * @returns {void}
+     */
+    rejectPairing(remotePeerId: string): void;
+    /**
+     * Send every buffered message to a peer, marked as historical, then mark the peer live.
+     *
+     * Without a buffer the peer goes live immediately. Broadcasts made while the replay
+     * waits for persisted messages to load are buffered and therefore part of the replay.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @returns {Promise<void>}
+     */
+    private replayTo;
     /**
      * Handle signaling messages and route them to the correct P2PConnection.
      *
      * Expected `data.from` to identify the remote peer for offer/answer/ice-candidate messages.
+     * Those are held until the server sent this client's id, which decides the
+     * negotiation role.
      *
      * Supported message shapes:
      * - { type: "offer", from: "<peerId>", offer: {...} }
      * - { type: "answer", from: "<peerId>", answer: {...} }
      * - { type: "ice-candidate", from: "<peerId>", candidate: {...} }
      * - { type: "id", id: "<serverAssignedId>" }
+     * - { type: "peer-left", id: "<peerId>" }
      *
      * @param {Object} data - Parsed signaling message.
      * @returns {void}
@@ -83,7 +404,8 @@ export class P2PSignalingClient {
      * Initiate a P2P connection to a remote peer.
      *
      * Creates (or reuses) a P2PConnection and calls its `initiate()` method which
-     * typically creates a local SDP offer and returns it.
+     * typically creates a local SDP offer and returns it. Called before the signaling
+     * server assigned this client's id, it waits for the id first.
      *
      * @param {string} remotePeerId - Identifier of the peer to initiate a connection with.
      * @returns {Promise<Object>} Resolves with the created SDP offer object.
@@ -96,18 +418,318 @@ export class P2PSignalingClient {
      * - sendMessage(remotePeerId, message)
      * - sendMessage(message) -> sends to the first connected peer (backward compatibility)
      *
+     * With a `buffer` configured, the single-arg form broadcasts instead: the message is
+     * buffered (so peers connecting later get it on replay) and sent to every live peer.
+     *
      * @param {string|Object} remotePeerIdOrMessage - remotePeerId when sending to a specific peer, or the message payload when using single-arg form.
      * @param {string|Object} [message] - Message payload when using two-arg form.
-     * @returns {boolean} True if the message was sent, false otherwise.
+     * @returns {boolean} True if the message was sent (buffered mode: sent to at least one peer), false otherwise.
      */
     sendMessage(remotePeerIdOrMessage: string | any, message?: string | any): boolean;
+    /**
+     * Whether a viewer's stream settings let a message through (always true without `remoteControl`).
+     *
+     * Dropped-message summaries skip the level and namespace settings, so a viewer that
+     * only wants errors still learns that warnings were dropped; pausing holds them back too.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {string|Object} message
+     * @returns {boolean}
+     */
+    private isWantedBy;
+    /**
+     * Whether any connected viewer currently wants messages of this level/namespace.
+     *
+     * Meant as a `P2pMessageHelper` `filter`, so messages nobody will receive are not
+     * built at all. Always true without `remoteControl`, or with a buffer (future viewers
+     * may still want the message).
+     *
+     * @param {string} level
+     * @param {string|null} [namespace]
+     * @returns {boolean}
+     */
+    acceptsMessage(level: string, namespace?: string | null): boolean;
+    /**
+     * Apply a viewer's control request to its stream settings and acknowledge it.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @param {import("./remote-control.js").ControlMessage} control
+     */
+    private handleControl;
+    /**
+     * Viewer side: ask a source to change what it streams to this viewer.
+     *
+     * @param {string} remotePeerId - The source to control.
+     * @param {import("./remote-control.js").ControlAction} action
+     * @param {{level?: string, namespace?: string}} [params]
+     * @returns {Promise<import("./remote-control.js").StreamConfig>} Resolves with the effective config from the acknowledgement.
+     */
+    sendControl(remotePeerId: string, action: import("./remote-control.js").ControlAction, params?: {
+        level?: string;
+        namespace?: string;
+    }): Promise<import("./remote-control.js").StreamConfig>;
+    /**
+     * Send a file (heap snapshot, HAR dump, screenshot, log archive, ...) to a peer.
+     * Requires `opts.files` on both sides.
+     *
+     * @param {string} remotePeerId
+     * @param {Blob|ArrayBuffer|ArrayBufferView} file
+     * @param {{name?: string, mimeType?: string}} [opts]
+     * @returns {{id: string, done: Promise<void>}} `done` resolves once the peer verified the file.
+     * @throws {Error} If file transfer is not enabled, or the peer is unknown or not authenticated.
+     */
+    sendFile(remotePeerId: string, file: Blob | ArrayBuffer | ArrayBufferView, opts?: {
+        name?: string;
+        mimeType?: string;
+    }): {
+        id: string;
+        done: Promise<void>;
+    };
+    /**
+     * Cancel a file transfer to or from a peer.
+     *
+     * @param {string} remotePeerId
+     * @param {string} id - Transfer id from `sendFile` or a progress event.
+     */
+    cancelFile(remotePeerId: string, id: string): void;
+    /**
+     * Resolve (or reject) the pending `sendControl` call an acknowledgement belongs to.
+     *
+     * @private
+     * @param {import("./remote-control.js").ControlAck} ack
+     */
+    private settleControl;
+    /**
+     * Add the receiver-relative time to a console message from a peer whose clock
+     * has been estimated; `timestamp` keeps the source's own reading.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {import("./p2p-message-helper.js").ConsoleMessage} message
+     */
+    private alignTimestamp;
+    /**
+     * Answer a peer's ping, or hand a pong to that peer's Heartbeat.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @param {import("./heartbeat.js").HeartbeatBody} body
+     */
+    private handleHeartbeat;
+    /**
+     * Parse and validate an incoming envelope.
+     *
+     * Invalid messages are logged and dropped; binary data is not an envelope (it is
+     * reported as `peerMessage` as it is).
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {*} message
+     * @returns {import("./protocol.js").Envelope|null}
+     */
+    private parseIncoming;
+    /**
+     * Wrap a payload in a protocol envelope and send it through the peer's pipeline
+     * when one is configured, otherwise directly. Binary payloads (including Blobs) are
+     * sent as they are; console messages are numbered when the peer has a reliable stream.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} payload
+     * @returns {boolean}
+     */
+    private sendTo;
+    /**
+     * Buffer a message and send it to every peer that has finished its replay.
+     *
+     * @private
+     * @param {string|Object} message
+     * @returns {boolean} True if at least one peer received the message.
+     */
+    private broadcast;
+    /**
+     * Reliable stream of console messages received from a peer, created on first use.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @returns {InboundStream}
+     */
+    private inboundStreamFor;
+    /**
+     * Track a numbered message from a peer and report the messages that never arrived.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {import("./reliable-delivery.js").SequencedEnvelope} envelope
+     * @returns {{duplicate: boolean}} Duplicates (retransmissions already seen) should be ignored.
+     */
+    private acceptSequenced;
+    /**
+     * Apply a peer's acknowledgement to the stream we send it.
+     *
+     * A resume acknowledgement for our current stream retransmits what the peer missed;
+     * for any other stream (new peer, or we restarted) a fresh stream starts with the
+     * usual buffer replay. Either way the peer then receives messages live.
+     *
+     * @private
+     * @param {string} remotePeerId
+     * @param {P2PConnection} p2p
+     * @param {import("./reliable-delivery.js").SeqAck} ack
+     */
+    private handleSeqAck;
+    /**
+     * Keep a disconnected peer's streams for `retainMs`, so it can resume if it comes back.
+     *
+     * @private
+     * @param {string} remotePeerId
+     */
+    private retireStreams;
+    /**
+     * Register a handler for connection quality samples (requires `opts.stats`).
+     *
+     * @param {function(string, import("./stats-sampler.js").ConnectionStats):void} handler - Called with the peer id and the sample.
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerStats(handler: (arg0: string, arg1: import("./stats-sampler.js").ConnectionStats) => void): () => void;
+    /**
+     * Register a handler for a peer's connection falling below the stats thresholds.
+     *
+     * @param {function(string, import("./stats-sampler.js").DegradedEvent):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onConnectionDegraded(handler: (arg0: string, arg1: import("./stats-sampler.js").DegradedEvent) => void): () => void;
+    /**
+     * Register a handler for a degraded connection meeting the thresholds again.
+     *
+     * @param {function(string, import("./stats-sampler.js").ConnectionStats):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onConnectionRecovered(handler: (arg0: string, arg1: import("./stats-sampler.js").ConnectionStats) => void): () => void;
+    /**
+     * Register a handler for application-level round-trip times (requires `opts.heartbeat`).
+     *
+     * @param {function(string, number):void} handler - Called with the peer id and the latency in milliseconds.
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerLatency(handler: (arg0: string, arg1: number) => void): () => void;
+    /**
+     * Register a handler for updates of a peer's estimated clock offset (requires `opts.heartbeat`).
+     *
+     * @param {function(string, import("./clock-sync.js").ClockEstimate):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onClockEstimate(handler: (arg0: string, arg1: import("./clock-sync.js").ClockEstimate) => void): () => void;
+    /**
+     * Register a handler for a peer that stopped answering heartbeats. By the time it
+     * runs the peer has been disconnected and removed from `peers`.
+     *
+     * @param {function(string, {misses: number}):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerDead(handler: (arg0: string, arg1: {
+        misses: number;
+    }) => void): () => void;
+    /**
+     * Register a handler for file transfer progress in either direction (requires `opts.files`).
+     *
+     * @param {function(string, import("./file-transfer.js").FileTransferInfo):void} handler - Called with the peer id and the transfer.
+     * @returns {function():void} Removes the handler.
+     */
+    onFileProgress(handler: (arg0: string, arg1: import("./file-transfer.js").FileTransferInfo) => void): () => void;
+    /**
+     * Register a handler for finished file transfers; received files carry the verified blob.
+     *
+     * @param {function(string, import("./file-transfer.js").CompletedFile):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onFileComplete(handler: (arg0: string, arg1: import("./file-transfer.js").CompletedFile) => void): () => void;
+    /**
+     * Register a handler for file transfers that were cancelled, refused or failed verification.
+     *
+     * @param {function(string, import("./file-transfer.js").FailedFile):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onFileFailed(handler: (arg0: string, arg1: import("./file-transfer.js").FailedFile) => void): () => void;
+    /**
+     * Register a handler for messages a peer sent that will never arrive (reliable
+     * delivery only): the sender's retransmission buffer no longer had them.
+     *
+     * @param {function(string, import("./reliable-delivery.js").MessageGap):void} handler - Called with the peer id and the missing range.
+     * @returns {function():void} Removes the handler.
+     */
+    onMessagesLost(handler: (arg0: string, arg1: import("./reliable-delivery.js").MessageGap) => void): () => void;
+    /**
+     * Register a handler for application messages from any peer: console messages and
+     * other payloads sent with `sendMessage` (protocol traffic such as acknowledgements,
+     * heartbeats and control requests is handled internally). Console messages carry
+     * `correctedTimestamp` once the peer's clock is estimated.
+     *
+     * @param {function(string, *, import("./protocol.js").Envelope|null):void} handler - Called with the peer id, the
+     *   message (the envelope body, or an ArrayBuffer for binary data) and its envelope (null for binary data).
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerMessage(handler: (arg0: string, arg1: any, arg2: import("./protocol.js").Envelope | null) => void): () => void;
+    /**
+     * Register a handler for peers becoming ready to exchange messages: after the
+     * protocol handshake (and pairing, with `opts.auth`), and again after each recovery.
+     *
+     * @param {function(string):void} handler - Called with the peer id.
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerConnected(handler: (arg0: string) => void): () => void;
+    /**
+     * Register a handler for peers removed from `peers`, with the reason.
+     *
+     * @param {function(string, {reason: PeerDisconnectReason}):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerDisconnected(handler: (arg0: string, arg1: {
+        reason: PeerDisconnectReason;
+    }) => void): () => void;
+    /**
+     * Register a handler for every lifecycle transition of a peer.
+     *
+     * @param {function(string, PeerState, PeerState):void} handler - Called with the peer id, the new and the previous state.
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerStateChange(handler: (arg0: string, arg1: PeerState, arg2: PeerState) => void): () => void;
+    /**
+     * Register a handler for a connection's pairing code (requires `opts.auth`). Show it
+     * to the user, who compares it with the code on the other device.
+     *
+     * @param {function(string, import("./peer-auth.js").PairingCode):void} handler - Called with the peer id and the code.
+     * @returns {function():void} Removes the handler.
+     */
+    onPairingCode(handler: (arg0: string, arg1: import("./peer-auth.js").PairingCode) => void): () => void;
+    /**
+     * Register a handler for peers that completed pairing; messages flow from then on.
+     *
+     * @param {function(string, import("./peer-auth.js").PairingCode):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onPeerAuthenticated(handler: (arg0: string, arg1: import("./peer-auth.js").PairingCode) => void): () => void;
+    /**
+     * Register a handler for failed pairing (wrong or missing secret, rejected code,
+     * timeout). By the time it runs the peer has been disconnected.
+     *
+     * @param {function(string, import("./peer-auth.js").PairingFailure):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onAuthFailed(handler: (arg0: string, arg1: import("./peer-auth.js").PairingFailure) => void): () => void;
     /**
      * Disconnect a specific peer connection and remove it from the peers map.
      *
      * @param {string} remotePeerId - Identifier of the peer to disconnect.
+     * @param {PeerDisconnectReason} [reason="closed"] - Reported with `peerDisconnected`.
      * @returns {void}
      */
-    disconnectPeer(remotePeerId: string): void;
+    disconnectPeer(remotePeerId: string, reason?: PeerDisconnectReason): void;
     /**
      * Close all P2P connections and the signaling WebSocket.
      *
@@ -126,5 +748,59 @@ export class P2PSignalingClient {
      */
     whenConnected(callback: Function): void;
 }
+/**
+ * Handler arguments of each P2PSignalingClient event (see EventEmitter).
+ */
+export type P2PSignalingClientEvents = {
+    peerStats: [string, import("./stats-sampler.js").ConnectionStats];
+    connectionDegraded: [string, import("./stats-sampler.js").DegradedEvent];
+    connectionRecovered: [string, import("./stats-sampler.js").ConnectionStats];
+    peerLatency: [string, number];
+    clockEstimate: [string, import("./clock-sync.js").ClockEstimate];
+    peerDead: [string, {
+        misses: number;
+    }];
+    fileProgress: [string, import("./file-transfer.js").FileTransferInfo];
+    fileComplete: [string, import("./file-transfer.js").CompletedFile];
+    fileFailed: [string, import("./file-transfer.js").FailedFile];
+    messagesLost: [string, import("./reliable-delivery.js").MessageGap];
+    pairingCode: [string, import("./peer-auth.js").PairingCode];
+    peerAuthenticated: [string, import("./peer-auth.js").PairingCode];
+    authFailed: [string, import("./peer-auth.js").PairingFailure];
+    peerMessage: [string, any, import("./protocol.js").Envelope | null];
+    peerConnected: [string];
+    peerDisconnected: [string, {
+        reason: PeerDisconnectReason;
+    }];
+    peerStateChange: [string, PeerState, PeerState];
+};
+/**
+ * Where a peer is in its lifecycle, as seen by the client:
+ * - `connecting`: offer/answer and ICE under way.
+ * - `pairing`: protocol agreed, waiting for pairing to complete (only with `opts.auth`).
+ * - `connected`: messages flow.
+ * - `reconnecting`: the connection dropped and is being recovered.
+ * - `disconnected`: the peer was removed from `peers`.
+ */
+export type PeerState = "connecting" | "pairing" | "connected" | "reconnecting" | "disconnected";
+/**
+ * Why a peer was removed: `closed` (disconnectPeer/disconnect), `remote-closed` (the
+ * peer closed the connection), `left` (the signaling server reported it gone), `dead`
+ * (missed heartbeats), `auth-failed`, `gave-up` (reconnection attempts exhausted) or
+ * `lost` (the connection dropped with `reconnect: false`).
+ */
+export type PeerDisconnectReason = "closed" | "remote-closed" | "left" | "dead" | "auth-failed" | "protocol-error" | "gave-up" | "lost";
+import { EventEmitter } from "./event-emitter.js";
+import { Logger } from "./utils/logger.js";
 import { WebSocketConnector } from "./websocket-connector.js";
 import { P2PConnection } from "./p2p-connection.js";
+import { LogBuffer } from "./log-buffer.js";
+import { SendPipeline } from "./send-pipeline.js";
+import { StreamFilter } from "./remote-control.js";
+import { StatsSampler } from "./stats-sampler.js";
+import { Heartbeat } from "./heartbeat.js";
+import { ClockEstimator } from "./clock-sync.js";
+import { FileTransfer } from "./file-transfer.js";
+import { OutboundStream } from "./reliable-delivery.js";
+import { InboundStream } from "./reliable-delivery.js";
+import { PeerPairing } from "./peer-auth.js";
@@ -0,0 +1,260 @@
+/**
+ * The first DTLS fingerprint of a session description.
+ *
+ * @param {string|null|undefined} sdp
+ * @returns {string|null} Normalized as "<lower-case hash> <UPPER:CASE:HEX>", or null when there is none.
+ */
+export function extractFingerprint(sdp: string | null | undefined): string | null;
+/**
+ * Derive the pairing code of a connection from the fingerprints in its local and
+ * remote descriptions. The fingerprints are sorted first, so both sides get the same
+ * code from their opposite views of the session.
+ *
+ * @param {string|null|undefined} localSdp
+ * @param {string|null|undefined} remoteSdp
+ * @returns {Promise<PairingCode|null>} Null when a fingerprint or WebCrypto is missing.
+ */
+export function computePairingCode(localSdp: string | null | undefined, remoteSdp: string | null | undefined): Promise<PairingCode | null>;
+/**
+ * Auth body type sent by each peer to make the other prove its secret.
+ * @type {string}
+ */
+export const AUTH_CHALLENGE: string;
+/**
+ * Auth body type of the answer to a challenge.
+ * @type {string}
+ */
+export const AUTH_RESPONSE: string;
+/**
+ * Auth body type of the challenger's verdict.
+ * @type {string}
+ */
+export const AUTH_RESULT: string;
+/**
+ * Handler arguments of each PeerPairing event (see EventEmitter).
+ * @typedef {Object} PeerPairingEvents
+ * @property {[PairingCode]} code
+ * @property {[PairingCode]} paired
+ * @property {[PairingFailure]} failed
+ */
+/**
+ * PeerPairing
+ *
+ * Authenticates one connection after the protocol handshake. Both sides derive a
+ * pairing code from the DTLS fingerprints for the user to compare, then challenge
+ * each other: the answer is an HMAC over the challenge nonce and both fingerprints,
+ * keyed with the pre-shared secret. Binding the proof to the fingerprints means a
+ * signaling server that swaps SDP (and so terminates DTLS on both legs) can't relay
+ * it. A side without a secret answers with no proof and accepts any answer, which
+ * leaves only the pairing code.
+ *
+ * The connection is paired once this side accepted the peer's proof, the peer
+ * accepted ours and, with `confirm`, the user confirmed the code.
+ *
+ * Usage:
+ * const pairing = new PeerPairing({ secret, send: (body) => p2p.send(createEnvelope("auth", body)) });
+ * pairing.onCode(({ code }) => show(code));
+ * pairing.onPaired(() => startStreaming());
+ * pairing.start(pc.localDescription.sdp, pc.remoteDescription.sdp);
+ * pairing.receive(authBody); // for each incoming auth envelope
+ *
+ * @extends {EventEmitter<PeerPairingEvents>}
+ */
+export class PeerPairing extends EventEmitter<PeerPairingEvents> {
+    /**
+     * @param {Object} opts
+     * @param {function(AuthBody):boolean} opts.send - Sends an auth body to the peer.
+     * @param {string|null} [opts.secret=null] - Pre-shared secret the peer must prove it knows.
+     * @param {boolean} [opts.confirm=false] - Also wait for `confirm()`, after the user compared the codes.
+     * @param {number} [opts.timeoutMs=10000] - Fail when the challenges aren't settled in time.
+     */
+    constructor(opts: {
+        send: (arg0: AuthBody) => boolean;
+        secret?: string | null;
+        confirm?: boolean;
+        timeoutMs?: number;
+    });
+    /** @type {function(AuthBody):boolean} @private */
+    private send;
+    /** @type {string|null} @private */
+    private secret;
+    /** @type {number} */
+    timeoutMs: number;
+    /** @type {'pending'|'paired'|'failed'} */
+    state: "pending" | "paired" | "failed";
+    /**
+     * This connection's pairing code (null until computed).
+     * @type {PairingCode|null}
+     */
+    code: PairingCode | null;
+    /**
+     * Nonce of our challenge.
+     * @type {string|null}
+     * @private
+     */
+    private nonce;
+    /** @type {boolean} @private */
+    private peerVerified;
+    /** @type {boolean} @private */
+    private acceptedByPeer;
+    /** @type {boolean} @private */
+    private confirmed;
+    /**
+     * Settles once the code is known (or pairing failed before that).
+     * @type {Promise<void>|null}
+     * @private
+     */
+    private ready;
+    /**
+     * Incoming bodies are handled one at a time, in arrival order.
+     * @type {Promise<void>}
+     * @private
+     */
+    private queue;
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    private timer;
+    /** @type {function(boolean):void} @private */
+    private resolveSettled;
+    /**
+     * Resolves with true once paired, or false when pairing failed or was stopped.
+     * @type {Promise<boolean>}
+     */
+    settled: Promise<boolean>;
+    /**
+     * Compute the pairing code and send our challenge.
+     *
+     * @param {string|null|undefined} localSdp - The connection's current local description.
+     * @param {string|null|undefined} remoteSdp - Its current remote description.
+     * @returns {Promise<void>}
+     */
+    start(localSdp: string | null | undefined, remoteSdp: string | null | undefined): Promise<void>;
+    /**
+     * @private
+     * @param {string|null|undefined} localSdp
+     * @param {string|null|undefined} remoteSdp
+     * @returns {Promise<void>}
+     */
+    private prepare;
+    /**
+     * Handle an auth body from the peer.
+     *
+     * @param {AuthBody} body
+     * @returns {Promise<void>}
+     */
+    receive(body: AuthBody): Promise<void>;
+    /**
+     * @private
+     * @param {AuthBody} body
+     * @returns {Promise<void>}
+     */
+    private handle;
+    /**
+     * @private
+     * @param {string|null|undefined} proof
+     * @returns {Promise<string|null>} Why the proof is not accepted, or null.
+     */
+    private checkProof;
+    /**
+     * The user compared the codes and they match.
+     */
+    confirm(): void;
+    /**
+     * The user compared the codes and they differ (or declined). The peer is told.
+     */
+    reject(): void;
+    /**
+     * Stop waiting without a verdict, e.g. because the connection went away.
+     */
+    stop(): void;
+    /**
+     * Pair once every condition holds. The timeout only covers the challenges; the
+     * user may take their time to confirm.
+     *
+     * @private
+     */
+    private settle;
+    /**
+     * @private
+     * @param {string} reason
+     * @param {'local'|'remote'} [by="local"] - Local failures are reported to the peer.
+     */
+    private fail;
+    /**
+     * Register a handler for the pairing code, available right after `start()`.
+     *
+     * @param {function(PairingCode):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onCode(handler: (arg0: PairingCode) => void): () => void;
+    /**
+     * Register a handler for successful pairing.
+     *
+     * @param {function(PairingCode):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onPaired(handler: (arg0: PairingCode) => void): () => void;
+    /**
+     * Register a handler for failed pairing.
+     *
+     * @param {function(PairingFailure):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onFailed(handler: (arg0: PairingFailure) => void): () => void;
+}
+/**
+ * Body of an `auth` envelope.
+ */
+export type AuthBody = {
+    type: "challenge" | "response" | "result";
+    /**
+     * - Challenge/response: random hex chosen by the challenger.
+     */
+    nonce?: string;
+    /**
+     * - Response: hex HMAC-SHA256, or null when the responder has no secret.
+     */
+    proof?: string | null;
+    /**
+     * - Result: whether the challenger accepted the proof.
+     */
+    ok?: boolean;
+    /**
+     * - Result: why it did not.
+     */
+    reason?: string;
+};
+/**
+ * Short authentication string of one connection.
+ */
+export type PairingCode = {
+    /**
+     * - Six digits, e.g. "042 917". Both sides show the same code
+     * unless something between them terminated DTLS (a swapped SDP).
+     */
+    code: string;
+    /**
+     * - This side's DTLS fingerprint, e.g. "sha-256 4F:0A:...".
+     */
+    localFingerprint: string;
+    remoteFingerprint: string;
+};
+/**
+ * Why pairing failed, and which side decided it.
+ */
+export type PairingFailure = {
+    /**
+     * - 'missing-proof', 'bad-proof', 'no-fingerprint', 'unsupported',
+     * 'timeout', 'rejected' (by the user), or whatever the peer reported.
+     */
+    reason: string;
+    by: "local" | "remote";
+};
+/**
+ * Handler arguments of each PeerPairing event (see EventEmitter).
+ */
+export type PeerPairingEvents = {
+    code: [PairingCode];
+    paired: [PairingCode];
+    failed: [PairingFailure];
+};
+import { EventEmitter } from "./event-emitter.js";
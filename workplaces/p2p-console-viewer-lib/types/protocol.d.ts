@@ -0,0 +1,205 @@
+/**
+ * Capabilities of the current runtime.
+ *
+ * @returns {Capabilities}
+ */
+export function localCapabilities(): Capabilities;
+/**
+ * Wrap a body in an envelope.
+ *
+ * @param {EnvelopeKind} kind
+ * @param {*} body
+ * @returns {Envelope}
+ */
+export function createEnvelope(kind: EnvelopeKind, body: any): Envelope;
+/**
+ * Build this peer's `hello` envelope.
+ *
+ * @param {Capabilities} [capabilities=localCapabilities()]
+ * @returns {Envelope}
+ */
+export function createHello(capabilities?: Capabilities): Envelope;
+/**
+ * Wrap an application message in an envelope of the matching kind.
+ * Envelopes are returned unchanged.
+ *
+ * @param {*} message
+ * @returns {Envelope}
+ */
+export function toEnvelope(message: any): Envelope;
+/**
+ * Whether a value has the envelope shape (without validating its body).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEnvelope(value: any): boolean;
+/**
+ * Validate an envelope against the protocol (see protocol.schema.json).
+ *
+ * `hello` and `error` envelopes are accepted from any version, so that a peer on an
+ * incompatible version can still be told why the connection is refused.
+ *
+ * @param {*} value
+ * @returns {Array<string>} Problems found; empty when the envelope is valid.
+ */
+export function validateEnvelope(value: any): Array<string>;
+/**
+ * Parse and validate incoming data.
+ *
+ * @param {string|Object} data - JSON text or an already parsed object.
+ * @returns {Envelope}
+ * @throws {ProtocolError} When the data is not JSON or not a valid envelope.
+ */
+export function parseEnvelope(data: string | any): Envelope;
+/**
+ * Read a handshake envelope (`hello` or `error`) out of a data channel frame.
+ *
+ * @param {string} data - A reassembled text frame.
+ * @returns {Envelope|null} The validated envelope, or null when the frame is not a handshake.
+ * @throws {ProtocolError} When the frame claims a handshake kind but is not a valid envelope.
+ */
+export function parseHandshake(data: string): Envelope | null;
+/**
+ * Agree on a version and features from both peers' hellos.
+ *
+ * @param {HelloBody} local
+ * @param {HelloBody} remote
+ * @returns {NegotiatedProtocol}
+ * @throws {ProtocolError} With code 'incompatible-version' when the version ranges don't overlap.
+ */
+export function negotiate(local: HelloBody, remote: HelloBody): NegotiatedProtocol;
+/**
+ * Protocol version spoken by this library.
+ * @type {number}
+ */
+export const PROTOCOL_VERSION: number;
+/**
+ * Oldest protocol version this library can still talk to.
+ * @type {number}
+ */
+export const MIN_PROTOCOL_VERSION: number;
+/**
+ * Envelope kinds. `hello` and `error` belong to the handshake; `data` carries
+ * application payloads that are none of the other kinds.
+ * @type {ReadonlyArray<string>}
+ */
+export const ENVELOPE_KINDS: ReadonlyArray<string>;
+/**
+ * Envelope kinds that P2PConnection handles itself instead of passing them to its
+ * message handlers.
+ * @type {ReadonlyArray<string>}
+ */
+export const HANDSHAKE_KINDS: ReadonlyArray<string>;
+/**
+ * @typedef {'hello'|'error'|'console'|'control'|'ack'|'heartbeat'|'auth'|'file'|'rpc'|'data'} EnvelopeKind
+ */
+/**
+ * Every message on the data channel (see protocol.schema.json).
+ * @typedef {Object} Envelope
+ * @property {number} v - Protocol version.
+ * @property {EnvelopeKind} kind
+ * @property {*} body
+ * @property {string} [stream] - Reliable stream the envelope belongs to (see reliable-delivery.js).
+ * @property {number} [seq] - Position in that stream, from 1.
+ */
+/**
+ * Optional features a peer can support.
+ * @typedef {Object} Capabilities
+ * @property {Array<string>} compression - CompressionStream formats it can read and write.
+ * @property {boolean} binary - Accepts binary frames.
+ * @property {boolean} chunking - Reassembles chunked messages (requires `binary`).
+ */
+/**
+ * Body of a `hello` envelope, sent by both peers when the channel opens.
+ * @typedef {Object} HelloBody
+ * @property {number} version - Newest version the peer speaks.
+ * @property {number} minVersion - Oldest version the peer speaks.
+ * @property {Capabilities} capabilities
+ */
+/**
+ * Outcome of the handshake.
+ * @typedef {Object} NegotiatedProtocol
+ * @property {number} version - Version both peers use.
+ * @property {{compression: string|null, binary: boolean, chunking: boolean}} features - Features both peers support.
+ */
+/**
+ * Protocol violation: incompatible version, malformed envelope, or an error reported by the peer.
+ */
+export class ProtocolError extends Error {
+    /**
+     * @param {string} code - Machine-readable reason, e.g. 'incompatible-version', 'invalid-envelope'.
+     * @param {string} message
+     */
+    constructor(code: string, message: string);
+    /** @type {string} */
+    code: string;
+}
+export type EnvelopeKind = "hello" | "error" | "console" | "control" | "ack" | "heartbeat" | "auth" | "file" | "rpc" | "data";
+/**
+ * Every message on the data channel (see protocol.schema.json).
+ */
+export type Envelope = {
+    /**
+     * - Protocol version.
+     */
+    v: number;
+    kind: EnvelopeKind;
+    body: any;
+    /**
+     * - Reliable stream the envelope belongs to (see reliable-delivery.js).
+     */
+    stream?: string;
+    /**
+     * - Position in that stream, from 1.
+     */
+    seq?: number;
+};
+/**
+ * Optional features a peer can support.
+ */
+export type Capabilities = {
+    /**
+     * - CompressionStream formats it can read and write.
+     */
+    compression: Array<string>;
+    /**
+     * - Accepts binary frames.
+     */
+    binary: boolean;
+    /**
+     * - Reassembles chunked messages (requires `binary`).
+     */
+    chunking: boolean;
+};
+/**
+ * Body of a `hello` envelope, sent by both peers when the channel opens.
+ */
+export type HelloBody = {
+    /**
+     * - Newest version the peer speaks.
+     */
+    version: number;
+    /**
+     * - Oldest version the peer speaks.
+     */
+    minVersion: number;
+    capabilities: Capabilities;
+};
+/**
+ * Outcome of the handshake.
+ */
+export type NegotiatedProtocol = {
+    /**
+     * - Version both peers use.
+     */
+    version: number;
+    /**
+     * - Features both peers support.
+     */
+    features: {
+        compression: string | null;
+        binary: boolean;
+        chunking: boolean;
+    };
+};
@@ -0,0 +1,93 @@
+/**
+ * A redaction rule. Exactly one of `key`, `pattern` or `redact` is normally set.
+ *
+ * @typedef {Object} RedactionRule
+ * @property {string} name - Recorded in a message's `redactions` when the rule fires.
+ * @property {RegExp} [key] - Replace the whole value of object properties / Map entries whose key matches.
+ * @property {RegExp} [pattern] - Replace matches inside strings (payload strings and message text).
+ * @property {function(string):boolean} [validate] - Extra check for a `pattern` match; the match is kept when it returns false.
+ * @property {function(string, string|null):(string|null|undefined)} [redact] - Custom rule: receives each string and the
+ *   property key it is stored under (null for message text); returns a replacement, or null/undefined to keep it.
+ */
+/**
+ * Replacement for redacted values.
+ * @type {string}
+ */
+export const REDACTED: string;
+/**
+ * Rules used when redaction is enabled without an explicit rule list.
+ * @type {ReadonlyArray<RedactionRule>}
+ */
+export const DEFAULT_REDACTION_RULES: ReadonlyArray<RedactionRule>;
+/**
+ * Redactor
+ *
+ * Applies redaction rules to serialized values (see value-serializer.js) and to
+ * plain text. Inputs are never mutated; the names of rules that changed something
+ * are added to the `fired` set passed by the caller.
+ *
+ * Typical use (through P2pMessageHelper):
+ * const helper = new P2pMessageHelper({ redaction: [...DEFAULT_REDACTION_RULES, myRule] });
+ */
+export class Redactor {
+    /**
+     * @param {Array<RedactionRule>|ReadonlyArray<RedactionRule>} [rules=DEFAULT_REDACTION_RULES]
+     */
+    constructor(rules?: Array<RedactionRule> | ReadonlyArray<RedactionRule>);
+    /** @type {Array<RedactionRule>} */
+    keyRules: Array<RedactionRule>;
+    /** @type {Array<RedactionRule>} */
+    stringRules: Array<RedactionRule>;
+    /**
+     * Redact a string with the pattern and custom rules.
+     *
+     * @param {string} text
+     * @param {Set<string>} fired - Receives the names of rules that changed the text.
+     * @param {string|null} [key=null] - Property key the string is stored under, for custom rules.
+     * @returns {string}
+     */
+    redactText(text: string, fired: Set<string>, key?: string | null): string;
+    /**
+     * Name of the first key rule matching a property name, if any.
+     *
+     * @private
+     * @param {*} key
+     * @returns {string|null}
+     */
+    private matchKey;
+    /**
+     * Redact a serialized value.
+     *
+     * @param {import("./value-serializer.js").SerializedValue} value
+     * @param {Set<string>} fired - Receives the names of rules that changed the value.
+     * @param {string|null} [key=null] - Property key the value is stored under.
+     * @returns {import("./value-serializer.js").SerializedValue}
+     */
+    redactValue(value: import("./value-serializer.js").SerializedValue, fired: Set<string>, key?: string | null): import("./value-serializer.js").SerializedValue;
+}
+/**
+ * A redaction rule. Exactly one of `key`, `pattern` or `redact` is normally set.
+ */
+export type RedactionRule = {
+    /**
+     * - Recorded in a message's `redactions` when the rule fires.
+     */
+    name: string;
+    /**
+     * - Replace the whole value of object properties / Map entries whose key matches.
+     */
+    key?: RegExp;
+    /**
+     * - Replace matches inside strings (payload strings and message text).
+     */
+    pattern?: RegExp;
+    /**
+     * - Extra check for a `pattern` match; the match is kept when it returns false.
+     */
+    validate?: (arg0: string) => boolean;
+    /**
+     * - Custom rule: receives each string and the
+     * property key it is stored under (null for message text); returns a replacement, or null/undefined to keep it.
+     */
+    redact?: (arg0: string, arg1: string | null) => (string | null | undefined);
+};
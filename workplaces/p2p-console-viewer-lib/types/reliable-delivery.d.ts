@@ -0,0 +1,216 @@
+/**
+ * Build a sequence acknowledgement.
+ *
+ * @param {string|null} stream
+ * @param {number} seq
+ * @param {boolean} [resume=false]
+ * @returns {SeqAck}
+ */
+export function createSeqAck(stream: string | null, seq: number, resume?: boolean): SeqAck;
+/**
+ * Whether a parsed message is a sequence acknowledgement.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isSeqAck(message: any): boolean;
+/**
+ * Body type of sequence acknowledgements (sent in `ack` envelopes).
+ * @type {string}
+ */
+export const SEQ_ACK_TYPE: string;
+/**
+ * OutboundStream
+ *
+ * Sending side of one reliable stream: numbers outgoing envelopes and keeps the ones
+ * the receiver hasn't acknowledged, so they can be sent again after a reconnect.
+ * The buffer is bounded; the oldest unacknowledged envelopes are forgotten first and
+ * the receiver reports them as lost.
+ *
+ * Usage:
+ * const stream = new OutboundStream({ maxMessages: 500 });
+ * p2p.send(stream.stamp(envelope));
+ * stream.ack(ack.seq); // on each SeqAck
+ * stream.resend(ack.seq).forEach((e) => p2p.send(e)); // on a resume SeqAck
+ */
+export class OutboundStream {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.maxMessages=1000] - Unacknowledged envelopes kept for retransmission.
+     * @param {number} [opts.maxBytes=1048576] - Size cap of the retransmission buffer.
+     */
+    constructor(opts?: {
+        maxMessages?: number;
+        maxBytes?: number;
+    });
+    /** @type {number} */
+    maxMessages: number;
+    /** @type {number} */
+    maxBytes: number;
+    /**
+     * Identifies this stream, so a receiver can tell a restarted sender from a resumed one.
+     * @type {string}
+     */
+    id: string;
+    /**
+     * Sequence number of the next envelope.
+     * @type {number}
+     */
+    nextSeq: number;
+    /**
+     * Highest sequence number the receiver acknowledged.
+     * @type {number}
+     */
+    acked: number;
+    /**
+     * Unacknowledged envelopes, oldest first.
+     * @type {Array<{envelope: SequencedEnvelope, bytes: number}>}
+     * @private
+     */
+    private unacked;
+    /** @type {number} @private */
+    private unackedBytes;
+    /**
+     * Number an envelope and keep it until it is acknowledged.
+     *
+     * @param {import("./protocol.js").Envelope} envelope
+     * @returns {SequencedEnvelope}
+     */
+    stamp(envelope: import("./protocol.js").Envelope): SequencedEnvelope;
+    /**
+     * Forget everything up to and including `seq`.
+     *
+     * @param {number} seq
+     */
+    ack(seq: number): void;
+    /**
+     * Envelopes to send again after the receiver reported `seq` as its last one.
+     * Anything older that was already dropped from the buffer is not included.
+     *
+     * @param {number} seq
+     * @returns {Array<SequencedEnvelope>}
+     */
+    resend(seq: number): Array<SequencedEnvelope>;
+}
+/**
+ * InboundStream
+ *
+ * Receiving side of one reliable stream: drops duplicates, detects gaps and sends
+ * cumulative acknowledgements, batched by count and time.
+ *
+ * Usage:
+ * const stream = new InboundStream({ sendAck: (ack) => p2p.send(ack) });
+ * const { duplicate, gap } = stream.accept(envelope.stream, envelope.seq);
+ */
+export class InboundStream {
+    /**
+     * @param {Object} opts
+     * @param {function(SeqAck):void} opts.sendAck - Sends an acknowledgement to the sender.
+     * @param {number} [opts.ackEvery=50] - Acknowledge at least every this many messages...
+     * @param {number} [opts.ackIntervalMs=500] - ...or this long after an unacknowledged message.
+     */
+    constructor(opts: {
+        sendAck: (arg0: SeqAck) => void;
+        ackEvery?: number;
+        ackIntervalMs?: number;
+    });
+    /** @type {function(SeqAck):void} @private */
+    private sendAck;
+    /** @type {number} */
+    ackEvery: number;
+    /** @type {number} */
+    ackIntervalMs: number;
+    /**
+     * Id of the sender's stream (null until the first message).
+     * @type {string|null}
+     */
+    id: string | null;
+    /**
+     * Highest sequence number processed.
+     * @type {number}
+     */
+    lastSeq: number;
+    /** @type {number} @private */
+    private unackedCount;
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    private ackTimer;
+    /**
+     * Record an incoming sequence number.
+     *
+     * A new stream id means the sender started over, so numbering restarts.
+     *
+     * @param {string} stream
+     * @param {number} seq
+     * @returns {{duplicate: boolean, gap: MessageGap|null}}
+     */
+    accept(stream: string, seq: number): {
+        duplicate: boolean;
+        gap: MessageGap | null;
+    };
+    /**
+     * Ask the sender to retransmit what we missed; sent each time the channel opens.
+     */
+    resume(): void;
+    /**
+     * Acknowledge now, or arm the timer for a batched acknowledgement.
+     *
+     * @private
+     */
+    private scheduleAck;
+    /**
+     * Send a cumulative acknowledgement of everything processed so far.
+     *
+     * @private
+     */
+    private flushAck;
+    /**
+     * Drop a pending acknowledgement.
+     *
+     * @private
+     */
+    private cancelAck;
+    /**
+     * Stop the acknowledgement timer.
+     */
+    close(): void;
+}
+/**
+ * Cumulative acknowledgement from the receiving side of a stream.
+ */
+export type SeqAck = {
+    type: "seq-ack";
+    /**
+     * - Stream id the receiver knows (null before its first message).
+     */
+    stream: string | null;
+    /**
+     * - Highest sequence number processed (0 when none).
+     */
+    seq: number;
+    /**
+     * - Sent when the channel (re)opens: asks the sender to retransmit everything after `seq`.
+     */
+    resume?: boolean;
+};
+/**
+ * Messages the receiver will never get: the sender no longer had them buffered.
+ */
+export type MessageGap = {
+    stream: string;
+    /**
+     * - First missing sequence number.
+     */
+    fromSeq: number;
+    /**
+     * - Last missing sequence number.
+     */
+    toSeq: number;
+    count: number;
+};
+/**
+ * An envelope carrying a position in its stream.
+ */
+export type SequencedEnvelope = import("./protocol.js").Envelope & {
+    stream: string;
+    seq: number;
+};
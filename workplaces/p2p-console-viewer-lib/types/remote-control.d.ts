@@ -0,0 +1,152 @@
+/**
+ * @typedef {'set-level'|'enable-namespace'|'disable-namespace'|'pause'|'resume'} ControlAction
+ */
+/**
+ * Control request sent from a viewer to a source.
+ * @typedef {Object} ControlMessage
+ * @property {'control'} type
+ * @property {string} requestId - Echoed in the acknowledgement.
+ * @property {ControlAction} action
+ * @property {import("./p2p-message-helper.js").ConsoleLevel} [level] - For `set-level`.
+ * @property {string} [namespace] - For `enable-namespace` / `disable-namespace`.
+ */
+/**
+ * What a source currently streams to one viewer.
+ * @typedef {Object} StreamConfig
+ * @property {import("./p2p-message-helper.js").ConsoleLevel} minLevel
+ * @property {Array<string>} disabledNamespaces
+ * @property {boolean} paused
+ */
+/**
+ * Acknowledgement of a control request.
+ * @typedef {Object} ControlAck
+ * @property {'control-ack'} type
+ * @property {string} requestId
+ * @property {boolean} ok
+ * @property {string} [error] - Why the request was rejected (`ok: false`).
+ * @property {StreamConfig} config - Effective config after the request.
+ */
+/**
+ * Build a control request.
+ *
+ * @param {ControlAction} action
+ * @param {{level?: string, namespace?: string}} [params]
+ * @returns {ControlMessage}
+ */
+export function createControlMessage(action: ControlAction, params?: {
+    level?: string;
+    namespace?: string;
+}): ControlMessage;
+/**
+ * Whether a parsed message is a control request.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isControlMessage(message: any): boolean;
+/**
+ * Whether a parsed message is a control acknowledgement.
+ *
+ * @param {*} message
+ * @returns {boolean}
+ */
+export function isControlAck(message: any): boolean;
+/**
+ * Message type of control requests sent by a viewer.
+ * @type {string}
+ */
+export const CONTROL_TYPE: string;
+/**
+ * Message type of the source's reply to a control request.
+ * @type {string}
+ */
+export const CONTROL_ACK_TYPE: string;
+/**
+ * Severity order used by `set-level`; `log` and `info` rank the same, as in devtools.
+ * @type {Object<string, number>}
+ */
+export const LEVEL_ORDER: {
+    [x: string]: number;
+};
+/**
+ * StreamFilter
+ *
+ * One viewer's view of the stream: a minimum level, a set of muted namespaces and
+ * a pause switch. The source keeps one per connected viewer and updates it from
+ * that viewer's control requests.
+ */
+export class StreamFilter {
+    /** @type {import("./p2p-message-helper.js").ConsoleLevel} */
+    minLevel: import("./p2p-message-helper.js").ConsoleLevel;
+    /** @type {Set<string>} */
+    disabledNamespaces: Set<string>;
+    /** @type {boolean} */
+    paused: boolean;
+    /**
+     * Apply a control request.
+     *
+     * @param {ControlMessage} control
+     * @returns {string|null} An error description, or null when applied.
+     */
+    apply(control: ControlMessage): string | null;
+    /**
+     * Whether a message with this level/namespace should reach the viewer.
+     *
+     * Messages without a level (not console messages) are only held back while paused.
+     *
+     * @param {string|undefined} level
+     * @param {string|null|undefined} namespace
+     * @returns {boolean}
+     */
+    allows(level: string | undefined, namespace: string | null | undefined): boolean;
+    /**
+     * The effective config, as reported in acknowledgements.
+     *
+     * @returns {StreamConfig}
+     */
+    toJSON(): StreamConfig;
+}
+export type ControlAction = "set-level" | "enable-namespace" | "disable-namespace" | "pause" | "resume";
+/**
+ * Control request sent from a viewer to a source.
+ */
+export type ControlMessage = {
+    type: "control";
+    /**
+     * - Echoed in the acknowledgement.
+     */
+    requestId: string;
+    action: ControlAction;
+    /**
+     * - For `set-level`.
+     */
+    level?: import("./p2p-message-helper.js").ConsoleLevel;
+    /**
+     * - For `enable-namespace` / `disable-namespace`.
+     */
+    namespace?: string;
+};
+/**
+ * What a source currently streams to one viewer.
+ */
+export type StreamConfig = {
+    minLevel: import("./p2p-message-helper.js").ConsoleLevel;
+    disabledNamespaces: Array<string>;
+    paused: boolean;
+};
+/**
+ * Acknowledgement of a control request.
+ */
+export type ControlAck = {
+    type: "control-ack";
+    requestId: string;
+    ok: boolean;
+    /**
+     * - Why the request was rejected (`ok: false`).
+     */
+    error?: string;
+    /**
+     * - Effective config after the request.
+     */
+    config: StreamConfig;
+};
@@ -0,0 +1,213 @@
+/**
+ * Handler arguments of each SendPipeline event (see EventEmitter).
+ * @typedef {Object} SendPipelineEvents
+ * @property {[*]} message
+ */
+/**
+ * SendPipeline
+ *
+ * Sits in front of `P2PConnection.send` for high-volume log streams:
+ * - Batches messages over a time/size window into a single data channel send.
+ * - Pauses while the channel's `bufferedAmount` is above a high-water mark and resumes
+ *   on `bufferedamountlow`. The mark is checked before every batch, after the previous
+ *   one was handed to the channel.
+ * - Optionally gzips batches with `CompressionStream` when the protocol handshake found
+ *   a format both peers support.
+ * - Caps queued bytes (UTF-8 encoded size); past the cap a drop policy applies and a
+ *   warning message with the dropped count is sent ahead of the next batch.
+ *
+ * Both peers need a pipeline: the receiving side uses `onMessage` to get the individual
+ * messages back out of batches. Non-batch messages pass through unchanged, and binary
+ * payloads (ArrayBuffer, typed arrays, Blob) skip the batches: JSON can't carry them.
+ *
+ * Typical use:
+ * const pipeline = new SendPipeline(p2p, { compression: true });
+ * pipeline.onMessage((message) => { ... });
+ * pipeline.send(helper.log("hello"));
+ *
+ * @extends {EventEmitter<SendPipelineEvents>}
+ */
+export class SendPipeline extends EventEmitter<SendPipelineEvents> {
+    /**
+     * Create a SendPipeline for a connection.
+     *
+     * @param {import("./p2p-connection.js").P2PConnection} connection
+     * @param {Object} [opts]
+     * @param {number} [opts.batchIntervalMs=50] - Max time a message waits for its batch to fill.
+     * @param {number} [opts.maxBatchMessages=100] - Flush as soon as this many messages are queued.
+     * @param {number} [opts.maxBatchBytes=65536] - Flush as soon as this many bytes are queued.
+     * @param {number} [opts.highWaterMark=1048576] - Pause sending while `bufferedAmount` exceeds this.
+     * @param {number} [opts.lowWaterMark=262144] - `bufferedAmountLowThreshold` at which sending resumes.
+     * @param {number} [opts.maxQueueBytes=4194304] - Memory cap for messages waiting to be sent.
+     * @param {'drop-oldest'|'drop-newest'} [opts.dropPolicy='drop-oldest'] - What to discard past the cap.
+     * @param {boolean} [opts.compression=false] - Compress batches when the handshake agreed on a format.
+     * @param {number} [opts.compressMinBytes=1024] - Smaller batches are sent uncompressed.
+     * @param {P2pMessageHelper} [opts.helper] - Builds the dropped-messages warning.
+     */
+    constructor(connection: import("./p2p-connection.js").P2PConnection, opts?: {
+        batchIntervalMs?: number;
+        maxBatchMessages?: number;
+        maxBatchBytes?: number;
+        highWaterMark?: number;
+        lowWaterMark?: number;
+        maxQueueBytes?: number;
+        dropPolicy?: "drop-oldest" | "drop-newest";
+        compression?: boolean;
+        compressMinBytes?: number;
+        helper?: P2pMessageHelper;
+    });
+    /** @type {import("./p2p-connection.js").P2PConnection} */
+    connection: import("./p2p-connection.js").P2PConnection;
+    batchIntervalMs: number;
+    maxBatchMessages: number;
+    maxBatchBytes: number;
+    highWaterMark: number;
+    lowWaterMark: number;
+    maxQueueBytes: number;
+    dropPolicy: "drop-oldest" | "drop-newest";
+    compression: boolean;
+    compressMinBytes: number;
+    helper: P2pMessageHelper;
+    /**
+     * Messages waiting to be batched, oldest first.
+     * @type {Array<{message: *, bytes: number}>}
+     * @private
+     */
+    private queue;
+    /** @type {number} */
+    queuedBytes: number;
+    /**
+     * Counters since creation.
+     * @type {{sent: number, batches: number, dropped: number, droppedBytes: number}}
+     */
+    stats: {
+        sent: number;
+        batches: number;
+        dropped: number;
+        droppedBytes: number;
+    };
+    /**
+     * Drops not yet reported to the peer.
+     * @type {{count: number, bytes: number}}
+     * @private
+     */
+    private unreportedDrops;
+    /**
+     * Whether sending is paused for backpressure.
+     * @type {boolean}
+     */
+    isPaused: boolean;
+    /** @type {ReturnType<typeof setTimeout>|null} @private */
+    private flushTimer;
+    /**
+     * Whether a batch is being compressed. Later batches wait for it, so batches stay
+     * in order and backpressure is checked once it was sent.
+     * @type {boolean}
+     * @private
+     */
+    private compressing;
+    /**
+     * Tail of the in-order receive chain (decompression is async).
+     * @type {Promise<void>}
+     * @private
+     */
+    private receiving;
+    /** @type {RTCDataChannel|null} @private */
+    private watchedChannel;
+    handleBufferedAmountLow: () => void;
+    /**
+     * Whether the connection's data channel can currently carry messages.
+     *
+     * @private
+     * @returns {boolean}
+     */
+    private isChannelOpen;
+    /**
+     * Compression format to use: the one agreed in the handshake, or null while it is
+     * pending or when compression is off.
+     *
+     * @returns {string|null}
+     */
+    get negotiatedCompression(): string | null;
+    /**
+     * Configure backpressure on the (new) data channel.
+     *
+     * @private
+     */
+    private attachChannel;
+    /**
+     * Queue a message for the next batch. Binary payloads are sent right away instead.
+     *
+     * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} message
+     * @returns {boolean} False when the channel is not open or the message was dropped (drop-newest).
+     */
+    send(message: string | any | ArrayBuffer | ArrayBufferView | Blob): boolean;
+    /**
+     * Count a dropped message.
+     *
+     * @private
+     * @param {number} bytes
+     */
+    private recordDrop;
+    /**
+     * Send queued messages in batches until the queue is empty or the channel pushes back.
+     */
+    flush(): void;
+    /**
+     * Warning message telling the viewer how many messages were dropped since the last report.
+     *
+     * @private
+     * @returns {Object}
+     */
+    private buildDropSummary;
+    /**
+     * Serialize and send a batch. Uncompressed batches go out immediately; a compressed
+     * one holds back the following batches until it was sent.
+     *
+     * @private
+     * @param {Array<*>} messages
+     */
+    private sendBatch;
+    /**
+     * Hand a serialized batch to the connection and count it.
+     *
+     * @private
+     * @param {string|ArrayBuffer} data
+     * @param {number} count - Messages in the batch.
+     */
+    private deliverBatch;
+    /**
+     * Queue raw incoming data so frames are unpacked in arrival order even when
+     * decompression is async.
+     *
+     * @private
+     * @param {string|ArrayBuffer} data
+     */
+    private receive;
+    /**
+     * Handle one frame: (compressed) batch or plain message.
+     *
+     * @private
+     * @param {string|ArrayBuffer} data
+     */
+    private unpack;
+    /**
+     * Register a handler for individual incoming messages (batches are unpacked).
+     *
+     * @param {function(*):void} handler - Called with each message object, or the raw data for non-JSON payloads.
+     * @returns {function():void} Removes the handler.
+     */
+    onMessage(handler: (arg0: any) => void): () => void;
+    /**
+     * Stop batching: cancel the pending flush, drop queued messages and detach from the channel.
+     */
+    close(): void;
+}
+/**
+ * Handler arguments of each SendPipeline event (see EventEmitter).
+ */
+export type SendPipelineEvents = {
+    message: [any];
+};
+import { EventEmitter } from "./event-emitter.js";
+import { P2pMessageHelper } from "./p2p-message-helper.js";
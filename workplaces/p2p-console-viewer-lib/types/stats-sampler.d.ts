@@ -0,0 +1,192 @@
+/**
+ * Reduce a stats report to the figures StatsSampler reports (without throughput).
+ *
+ * @param {RTCStatsReport} report
+ * @param {number} timestamp
+ * @returns {ConnectionStats}
+ */
+export function readConnectionStats(report: RTCStatsReport, timestamp: number): ConnectionStats;
+/**
+ * Handler arguments of each StatsSampler event (see EventEmitter).
+ * @typedef {Object} StatsSamplerEvents
+ * @property {[ConnectionStats]} stats
+ * @property {[DegradedEvent]} degraded
+ * @property {[ConnectionStats]} recovered
+ */
+/**
+ * StatsSampler
+ *
+ * Polls `P2PConnection.getStats()` at a fixed interval and turns each report into a
+ * ConnectionStats sample. Samples are compared against thresholds; a degraded event
+ * fires after `degradedAfter` bad samples in a row, and a recovered event once a
+ * sample is fine again.
+ *
+ * Usage:
+ * const sampler = new StatsSampler(p2p, { intervalMs: 1000, thresholds: { maxRttMs: 250 } });
+ * sampler.onStats((stats) => render(stats));
+ * sampler.onDegraded(({ reasons }) => warn(reasons));
+ * sampler.start();
+ *
+ * @extends {EventEmitter<StatsSamplerEvents>}
+ */
+export class StatsSampler extends EventEmitter<StatsSamplerEvents> {
+    /**
+     * @param {import("./p2p-connection.js").P2PConnection} connection
+     * @param {Object} [opts]
+     * @param {number} [opts.intervalMs=2000] - Time between samples.
+     * @param {StatsThresholds} [opts.thresholds]
+     * @param {number} [opts.degradedAfter=2] - Consecutive bad samples before reporting degradation.
+     */
+    constructor(connection: import("./p2p-connection.js").P2PConnection, opts?: {
+        intervalMs?: number;
+        thresholds?: StatsThresholds;
+        degradedAfter?: number;
+    });
+    /**
+     * @type {import("./p2p-connection.js").P2PConnection}
+     * @private
+     */
+    private connection;
+    /** @type {number} */
+    intervalMs: number;
+    /** @type {Required<StatsThresholds>} */
+    thresholds: Required<StatsThresholds>;
+    /** @type {number} */
+    degradedAfter: number;
+    /**
+     * Most recent sample (null before the first one).
+     * @type {ConnectionStats|null}
+     */
+    latest: ConnectionStats | null;
+    /**
+     * Whether a degraded event is outstanding (no recovery since).
+     * @type {boolean}
+     */
+    degraded: boolean;
+    /** @type {number} @private */
+    private badSamples;
+    /** @type {ReturnType<typeof setInterval>|null} @private */
+    private timer;
+    /** @type {boolean} @private */
+    private sampling;
+    /**
+     * Start sampling (no-op when already running).
+     */
+    start(): void;
+    /**
+     * Stop sampling. The previous sample is kept, so throughput resumes correctly.
+     */
+    stop(): void;
+    /**
+     * Take one sample now.
+     *
+     * @returns {Promise<ConnectionStats|null>} The sample, or null without a peer connection.
+     */
+    sample(): Promise<ConnectionStats | null>;
+    /**
+     * Compare a sample against the thresholds and fire degraded/recovered transitions.
+     *
+     * @private
+     * @param {ConnectionStats} stats
+     * @param {boolean} hasThroughput - False for the first sample, which has no throughput yet.
+     */
+    private evaluate;
+    /**
+     * Register a handler for every sample.
+     *
+     * @param {function(ConnectionStats):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onStats(handler: (arg0: ConnectionStats) => void): () => void;
+    /**
+     * Register a handler for the connection becoming degraded.
+     *
+     * @param {function(DegradedEvent):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onDegraded(handler: (arg0: DegradedEvent) => void): () => void;
+    /**
+     * Register a handler for a degraded connection meeting the thresholds again.
+     *
+     * @param {function(ConnectionStats):void} handler
+     * @returns {function():void} Removes the handler.
+     */
+    onRecovered(handler: (arg0: ConnectionStats) => void): () => void;
+}
+/**
+ * One reading of a connection's quality.
+ */
+export type ConnectionStats = {
+    /**
+     * - When the sample was taken (ms since epoch).
+     */
+    timestamp: number;
+    /**
+     * - Round-trip time of the selected candidate pair (null until measured).
+     */
+    rttMs: number | null;
+    /**
+     * - Data channel payload bytes sent since the connection started.
+     */
+    bytesSent: number;
+    bytesReceived: number;
+    /**
+     * - Data channel messages (frames) sent since the connection started.
+     */
+    messagesSent: number;
+    messagesReceived: number;
+    /**
+     * - Send throughput since the previous sample, in bytes per second.
+     */
+    sendBps: number;
+    /**
+     * - Receive throughput since the previous sample, in bytes per second.
+     */
+    receiveBps: number;
+    /**
+     * - Type of the selected local candidate.
+     */
+    localCandidateType: "host" | "srflx" | "prflx" | "relay" | null;
+    remoteCandidateType: "host" | "srflx" | "prflx" | "relay" | null;
+    /**
+     * - Transport protocol of the selected candidate pair.
+     */
+    protocol: "udp" | "tcp" | null;
+    /**
+     * - Protocol to the TURN server when relayed ('udp', 'tcp' or 'tls').
+     */
+    relayProtocol: string | null;
+};
+/**
+ * Limits beyond which a connection counts as degraded.
+ */
+export type StatsThresholds = {
+    /**
+     * - Round-trip time above this is degraded.
+     */
+    maxRttMs?: number;
+    /**
+     * - Receive throughput below this is degraded (0 disables the check).
+     */
+    minReceiveBps?: number;
+    /**
+     * - Whether a relayed (TURN) connection counts as degraded.
+     */
+    relayIsDegraded?: boolean;
+};
+/**
+ * Why a connection is degraded, with the sample that showed it.
+ */
+export type DegradedEvent = {
+    reasons: Array<"rtt" | "throughput" | "relay">;
+    stats: ConnectionStats;
+};
+/**
+ * Handler arguments of each StatsSampler event (see EventEmitter).
+ */
+export type StatsSamplerEvents = {
+    stats: [ConnectionStats];
+    degraded: [DegradedEvent];
+    recovered: [ConnectionStats];
+};
+import { EventEmitter } from "./event-emitter.js";
@@ -0,0 +1,61 @@
+/**
+ * Numeric severity for each logger level; a message is written when its level
+ * is at or below the logger's configured level.
+ * @type {Readonly<Object<string, number>>}
+ */
+export const LOG_LEVELS: Readonly<{
+    [x: string]: number;
+}>;
+/**
+ * Leveled logger used for the library's own diagnostics.
+ *
+ * Silent by default so library chatter never reaches the application's console
+ * (and therefore never reaches a patched console that forwards over P2P).
+ *
+ * Any object with error/warn/info/debug methods can be injected where a Logger is accepted.
+ */
+export class Logger {
+    /**
+     * @param {Object} [opts]
+     * @param {LogLevel} [opts.level='silent'] - Most verbose level that is written.
+     * @param {LogSink} [opts.sink] - Destination; defaults to the unpatched console.
+     * @param {string} [opts.prefix='[p2p]'] - Prepended to every line.
+     */
+    constructor(opts?: {
+        level?: LogLevel;
+        sink?: LogSink;
+        prefix?: string;
+    });
+    level: LogLevel;
+    sink: LogSink;
+    prefix: string;
+    /**
+     * Change the most verbose level that is written.
+     * @param {LogLevel} level
+     */
+    setLevel(level: LogLevel): void;
+    /**
+     * Whether messages of `level` are currently written.
+     * @param {LogLevel} level
+     * @returns {boolean}
+     */
+    isEnabled(level: LogLevel): boolean;
+    /**
+     * Write a message at the given level.
+     * @private
+     * @param {'error'|'warn'|'info'|'debug'} level
+     * @param {Array<*>} args
+     */
+    private _write;
+    error(...args: any[]): void;
+    warn(...args: any[]): void;
+    info(...args: any[]): void;
+    debug(...args: any[]): void;
+}
+export type LogLevel = "silent" | "error" | "warn" | "info" | "debug";
+export type LogSink = {
+    error: (...args: any[]) => void;
+    warn: (...args: any[]) => void;
+    info: (...args: any[]) => void;
+    debug: (...args: any[]) => void;
+};
@@ -0,0 +1,23 @@
+/**
+ * Parse a single stack line into a call site.
+ *
+ * @param {string} line
+ * @returns {CallSite|null} Null for header lines ("Error: ...") and native frames without a location.
+ */
+export function parseStackFrame(line: string): CallSite | null;
+/**
+ * Parse every frame of an `Error#stack` string that has a source location.
+ *
+ * @param {string|null|undefined} stack
+ * @returns {Array<CallSite>}
+ */
+export function parseStack(stack: string | null | undefined): Array<CallSite>;
+/**
+ * Where a console call or error originated.
+ */
+export type CallSite = {
+    functionName: string | null;
+    file: string;
+    line: number;
+    column: number;
+};
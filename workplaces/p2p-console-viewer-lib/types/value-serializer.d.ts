@@ -0,0 +1,77 @@
+/**
+ * Encode any value into the tagged, JSON-safe format.
+ *
+ * @param {*} value
+ * @param {SerializeLimits} [limits]
+ * @returns {SerializedValue}
+ */
+export function serializeValue(value: any, limits?: SerializeLimits): SerializedValue;
+/**
+ * Rebuild JS values from the tagged format produced by `serializeValue`.
+ *
+ * Maps, Sets, Dates, RegExps, BigInts, Symbols, Errors (name/message/stack/cause),
+ * typed arrays and circular/shared references are restored. Class instances become
+ * plain objects tagged with their original class name via `Symbol.toStringTag`.
+ * Values that can't be rebuilt (DOM nodes, depth-limited or opaque objects) are
+ * returned as their tagged description.
+ *
+ * @param {SerializedValue} value
+ * @returns {*}
+ */
+export function deserializeValue(value: SerializedValue): any;
+/**
+ * Render a tagged value as a one-line, devtools-style preview.
+ *
+ * Top-level strings are returned verbatim; nested strings are quoted. Values come off
+ * the wire, so every field is checked: a malformed one is rendered with a fallback
+ * rather than throwing.
+ *
+ * @param {SerializedValue} value
+ * @param {number} [depth=0] - Current nesting; containers below depth 1 are shown as `{…}`.
+ * @returns {string}
+ */
+export function previewValue(value: SerializedValue, depth?: number): string;
+/**
+ * Tagged, JSON-safe encoding for arbitrary console arguments.
+ *
+ * Strings, finite numbers, booleans and null are emitted as-is. Everything else
+ * becomes an object with a `$t` tag describing its type, e.g.
+ * { $t: "map", id: 1, size: 2, entries: [["a", 1], ["b", 2]] }.
+ *
+ * Containers (objects, arrays, maps, sets, errors) get an `id`; seeing the same
+ * container again (circular or shared) emits { $t: "ref", id } instead.
+ *
+ * `serializeValue` produces the tagged form, `deserializeValue` rebuilds JS values
+ * from it and `previewValue` renders a one-line devtools-style preview.
+ */
+/**
+ * @typedef {Object} SerializeLimits
+ * @property {number} [maxDepth=6] - Nesting depth after which containers are summarized.
+ * @property {number} [maxKeys=100] - Max object keys / array items / map or set entries kept per container.
+ * @property {number} [maxStringLength=10000] - Strings longer than this are truncated.
+ */
+/**
+ * @typedef {string|number|boolean|null|{$t: string}} SerializedValue
+ */
+/**
+ * Limits applied when none are given.
+ * @type {Readonly<Required<SerializeLimits>>}
+ */
+export const DEFAULT_SERIALIZE_LIMITS: Readonly<Required<SerializeLimits>>;
+export type SerializeLimits = {
+    /**
+     * - Nesting depth after which containers are summarized.
+     */
+    maxDepth?: number;
+    /**
+     * - Max object keys / array items / map or set entries kept per container.
+     */
+    maxKeys?: number;
+    /**
+     * - Strings longer than this are truncated.
+     */
+    maxStringLength?: number;
+};
+export type SerializedValue = string | number | boolean | null | {
+    $t: string;
+};
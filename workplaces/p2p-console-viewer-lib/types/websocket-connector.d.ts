@@ -1,3 +1,23 @@
+/**
+ * Handler arguments of each WebSocketConnector event (see EventEmitter).
+ */
+export type WebSocketConnectorEvents = {
+    /**
+     * - Raw message data.
+     */
+    message: [string];
+    open: [Event];
+    close: [CloseEvent];
+    error: [Event];
+};
+/**
+ * Handler arguments of each WebSocketConnector event (see EventEmitter).
+ * @typedef {Object} WebSocketConnectorEvents
+ * @property {[string]} message - Raw message data.
+ * @property {[Event]} open
+ * @property {[CloseEvent]} close
+ * @property {[Event]} error
+ */
 /**
  * WebSocketConnector
  *
@@ -10,50 +30,44 @@
  * const connector = new WebSocketConnector('wss://example.com');
  * connector.onMessage(msg => console.log(msg));
  * connector.connect();
+ *
+ * @extends {EventEmitter<WebSocketConnectorEvents>}
  */
-export class WebSocketConnector {
+export class WebSocketConnector extends EventEmitter<WebSocketConnectorEvents> {
     /**
      * Create a new WebSocketConnector.
      *
      * @param {string} url - WebSocket server URL.
+     * @param {Object} [opts]
+     * @param {Logger} [opts.logger] - Logger for connection diagnostics (silent by default).
+     * @param {function(string):WebSocket} [opts.webSocketFactory] - Creates the socket for a URL; defaults to the
+     *   global WebSocket. Inject e.g. `LoopbackSignalingHub#createWebSocket` to run without a server.
      */
-    constructor(url: string);
+    constructor(url: string, opts?: {
+        logger?: Logger;
+        webSocketFactory?: (arg0: string) => WebSocket;
+    });
     /**
      * The WebSocket server URL.
      * @type {string}
      */
     url: string;
     /**
-     * Underlying WebSocket instance (or null if not connected).
-     * @type {WebSocket|null}
+     * Where socket lifecycle, reconnect and traffic messages go.
+     * @type {Logger}
      */
-    ws: WebSocket | null;
+    logger: Logger;
     /**
-     * Registered message handlers. Each receives the raw message data (string).
-     * @type {Array<function(string):void>}
+     * Creates the underlying socket on each `connect()`.
+     * @type {function(string):WebSocket}
+     * @private
      */
-    messageHandlers: Array<(arg0: string) => void>;
+    private webSocketFactory;
     /**
-     * Handlers invoked on every open event.
-     * @type {Array<function(Event):void>}
-     */
-    onOpenHandlers: Array<(arg0: Event) => void>;
-    /**
-     * Handlers that run once when the socket next opens (then cleared).
-     * Useful for waiting for readiness.
-     * @type {Array<function(Event):void>}
-     */
-    oneTimeOpenHandlers: Array<(arg0: Event) => void>;
-    /**
-     * Handlers invoked on close events.
-     * @type {Array<function(CloseEvent):void>}
-     */
-    onCloseHandlers: Array<(arg0: CloseEvent) => void>;
-    /**
-     * Handlers invoked on error events.
-     * @type {Array<function(Event):void>}
+     * Underlying WebSocket instance (or null if not connected).
+     * @type {WebSocket|null}
      */
-    onErrorHandlers: Array<(arg0: Event) => void>;
+    ws: WebSocket | null;
     /**
      * Milliseconds to wait before attempting to reconnect after a close.
      * @type {number}
@@ -67,7 +81,7 @@ export class WebSocketConnector {
     /**
      * Open the WebSocket connection and wire up event handlers.
      *
-     * - Logs lifecycle events to the console.
+     * - Logs lifecycle events via the logger.
      * - For incoming messages, handlers receive the event.data (string).
      * - On close, will auto-reconnect after `reconnectInterval` if `shouldReconnect` is true.
      *
@@ -88,26 +102,30 @@ export class WebSocketConnector {
      * Register a handler for incoming messages.
      *
      * @param {function(string):void} handler - Called with raw message data.
+     * @returns {function():void} Removes the handler.
      */
-    onMessage(handler: (arg0: string) => void): void;
+    onMessage(handler: (arg0: string) => void): () => void;
     /**
      * Register a handler invoked on every open event.
      *
      * @param {function(Event):void} handler
+     * @returns {function():void} Removes the handler.
      */
-    onOpen(handler: (arg0: Event) => void): void;
+    onOpen(handler: (arg0: Event) => void): () => void;
     /**
      * Register a handler invoked when the socket closes.
      *
      * @param {function(CloseEvent):void} handler
+     * @returns {function():void} Removes the handler.
      */
-    onClose(handler: (arg0: CloseEvent) => void): void;
+    onClose(handler: (arg0: CloseEvent) => void): () => void;
     /**
      * Register a handler invoked on socket errors.
      *
      * @param {function(Event):void} handler
+     * @returns {function():void} Removes the handler.
      */
-    onError(handler: (arg0: Event) => void): void;
+    onError(handler: (arg0: Event) => void): () => void;
     /**
      * Run a callback when the WebSocket is open and ready.
      *
@@ -136,7 +154,9 @@ export class WebSocketConnector {
     /**
      * Check whether the underlying WebSocket is currently open.
      *
-     * @returns {boolean} True when connected and readyState is WebSocket.OPEN.
+     * @returns {boolean} True when connected and readyState is OPEN.
      */
     isConnected(): boolean;
 }
+import { EventEmitter } from "./event-emitter.js";
+import { Logger } from "./utils/logger.js";